@@ -2,11 +2,21 @@
 /* eslint-disable no-console */
 const express = require('express');
 const path = require('path');
+const { createMockSmartRouter } = require('./mock-smart-server');
+const { createJwksRouter } = require('./jwks-server');
 
 const app = express();
 const port = process.env.PORT || 8081;
 // path to webpack built path
 const buildPath = path.join(__dirname, '../../build');
 
+// FHIR servers the mock SMART authorization server passes requests on to (comma separated base URLs), which are the
+// FHIR servers the Sandbox is used with: the server is open to the internet, so it must not proxy any URL
+const mockSmartFhirServers = (process.env.MOCK_SMART_FHIR_SERVERS || 'http://hapi.fhir.org/baseR4').split(',');
+
+// Stand-in SMART authorization server to launch SMART links from cards against open FHIR servers
+app.use('/mock-smart', createMockSmartRouter({ allowedFhirServers: mockSmartFhirServers }));
+// JWKS for services to verify the JWTs signed by the Sandbox, including keys configured in the Sandbox
+app.use(createJwksRouter());
 app.use(express.static(buildPath));
 app.listen(port);
@@ -0,0 +1,129 @@
+/* eslint-disable import/no-extraneous-dependencies */
+
+/**
+ * JWKS of the Sandbox, for CDS services to verify the JWTs the Sandbox signs against a locally running Sandbox:
+ *
+ * - `GET /.well-known/jwks.json` - The public key of the key pair stored on the repository, and every public key
+ *   registered by the Sandbox
+ * - `POST /jwks/keys` - Registers the public key (JWK) of a key pair configured in the Sandbox to sign JWTs with, replacing
+ *   any key registered with the same kid. Only the Sandbox served alongside may register keys: requests from another
+ *   origin (or without an Origin header, as browsers send on POST requests) are rejected
+ *
+ * Registered keys are only kept in memory, for a day after their last registration and up to a few dozens of them (the
+ * oldest registrations are dropped first): the Sandbox registers its configured key again when it starts up.
+ */
+const express = require('express');
+const { keys: sandboxKeyPairs } = require('../../keys/jwk-keypair.json');
+
+// Members of a JWK that are safe to publish, per key type
+const PUBLIC_JWK_MEMBERS = {
+  EC: ['kty', 'crv', 'x', 'y'],
+  RSA: ['kty', 'n', 'e'],
+};
+
+const JWK_METADATA_MEMBERS = ['kid', 'alg', 'use'];
+
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+const MAX_REGISTERED_KEYS = 50;
+const KEY_LIFETIME = 24 * 60 * 60;
+
+/**
+ * Keep the public members of a JWK only
+ * @param {*} jwk - JWK of a public or private key
+ */
+function toPublicJwk(jwk) {
+  return [...PUBLIC_JWK_MEMBERS[jwk.kty], ...JWK_METADATA_MEMBERS]
+    .filter((member) => jwk[member] !== undefined)
+    .reduce((publicJwk, member) => ({ ...publicJwk, [member]: jwk[member] }), {});
+}
+
+/**
+ * Check a JWK sent to be registered, returning the reason it cannot be registered (or null if it can)
+ * @param {*} jwk - JWK sent to the registration endpoint
+ */
+function validateJwk(jwk) {
+  if (!jwk || typeof jwk !== 'object' || Array.isArray(jwk)) {
+    return 'The request body must be a JWK';
+  }
+  if (!PUBLIC_JWK_MEMBERS[jwk.kty]) {
+    return 'Only EC and RSA keys are supported';
+  }
+  if (PRIVATE_JWK_MEMBERS.some((member) => jwk[member] !== undefined)) {
+    return 'The JWK holds private key members: only register the public key';
+  }
+  const missing = [...PUBLIC_JWK_MEMBERS[jwk.kty], 'kid'].filter((member) => typeof jwk[member] !== 'string' || !jwk[member]);
+  if (missing.length) {
+    return `The JWK is missing required members: ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check that a request comes from a page served by the same host as the JWKS, i.e. the Sandbox
+ * @param {*} req - Request to the registration endpoint
+ */
+function isSameOrigin(req) {
+  try {
+    return new URL(req.get('Origin')).host === req.get('host');
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Create the Express router serving the JWKS of the Sandbox
+ * @returns {*} - Router to mount on the root of the Express app
+ */
+function createJwksRouter() {
+  const router = express.Router();
+  const registeredKeys = new Map();
+  const sandboxKeys = sandboxKeyPairs.map(toPublicJwk);
+  const isSandboxKey = (kid) => sandboxKeys.some((key) => key.kid === kid);
+
+  // Registrations are kept in the order they were made, each with the time it expires at
+  const pruneKeys = () => {
+    registeredKeys.forEach(({ expiresAt }, kid) => {
+      if (expiresAt < Date.now()) {
+        registeredKeys.delete(kid);
+      }
+    });
+  };
+
+  router.get('/.well-known/jwks.json', (req, res) => {
+    // Services fetch the JWKS from anywhere, and so may browser-based tools
+    res.set('Access-Control-Allow-Origin', '*');
+    pruneKeys();
+    res.json({
+      keys: [...sandboxKeys, ...Array.from(registeredKeys.values()).map(({ jwk }) => jwk)],
+    });
+  });
+
+  router.post('/jwks/keys', express.json(), (req, res) => {
+    if (!isSameOrigin(req)) {
+      return res.status(403).json({ error: 'Only the Sandbox served alongside the JWKS may register keys' });
+    }
+    const error = validateJwk(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (isSandboxKey(req.body.kid)) {
+      return res.status(409).json({ error: `The kid ${req.body.kid} is the kid of the key pair of the Sandbox` });
+    }
+    const jwk = toPublicJwk(req.body);
+    pruneKeys();
+    // A key registered again moves to the end of the registrations
+    registeredKeys.delete(jwk.kid);
+    registeredKeys.set(jwk.kid, { jwk, expiresAt: Date.now() + (KEY_LIFETIME * 1000) });
+    if (registeredKeys.size > MAX_REGISTERED_KEYS) {
+      registeredKeys.delete(registeredKeys.keys().next().value);
+    }
+    return res.status(201).json(jwk);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createJwksRouter,
+};
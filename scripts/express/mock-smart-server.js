@@ -0,0 +1,463 @@
+/* eslint-disable import/no-extraneous-dependencies */
+
+/**
+ * Mock SMART authorization server, standing in for the SMART launch of an HSPC sandbox so that SMART links on cards are
+ * launchable against any open FHIR server. Each FHIR server is fronted by a SMART-enabled base URL of its own, with the
+ * URL of the FHIR server encoded in the path (base64url): `/mock-smart/<encoded FHIR server URL>/fhir`. That base URL is
+ * the `iss` the apps are launched with, and provides:
+ *
+ * - `POST <iss>/_services/smart/Launch` - Mints a launch ID for the launch parameters of the Sandbox (the patient, user,
+ *   appContext and SMART Web Messaging parameters), as the HSPC endpoint does
+ * - `POST <iss>/_services/smart/Token` - Mints an access token for the Sandbox to send a CDS service as fhirAuthorization,
+ *   only allowing reads of the resource types of its scopes, in the compartment of its patient, on that FHIR server
+ * - `GET <iss>/.well-known/smart-configuration` and `GET <iss>/metadata` - Advertise the authorize and token endpoints
+ * - Any other read or search (`GET`, or `POST <iss>/<type>/_search`) of `<iss>/...` is passed on to the FHIR server, along
+ *   with the access token of the Sandbox a token minted for a CDS service was minted with (if any)
+ *
+ * The authorize endpoint (`GET /mock-smart/authorize`) approves every request with a known launch ID without prompting,
+ * and the token endpoint (`POST /mock-smart/token`) exchanges the authorization code for an access token carrying the
+ * launch context (patient, fhirUser, appContext and SMART Web Messaging parameters). Launches, codes and tokens are only
+ * kept in memory, until they expire.
+ *
+ * Since the server passes requests on to the FHIR servers in its paths, a server open to the internet should be
+ * restricted to the FHIR servers the Sandbox is used with (see createMockSmartRouter).
+ */
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const TOKEN_LIFETIME = 3600;
+const LAUNCH_LIFETIME = 3600;
+const CODE_LIFETIME = 300;
+
+/**
+ * Encode the URL of a FHIR server for the path of its SMART-enabled base URL
+ * @param {string} fhirBaseUrl - Base URL of the FHIR server
+ */
+function encodeServerUrl(fhirBaseUrl) {
+  return Buffer.from(fhirBaseUrl).toString('base64url');
+}
+
+/**
+ * Decode the URL of a FHIR server from the path of its SMART-enabled base URL
+ * @param {string} encodedUrl - URL of the FHIR server, base64url encoded
+ * @returns {string} - Base URL of the FHIR server, or null if the path does not encode an HTTP(S) URL
+ */
+function decodeServerUrl(encodedUrl) {
+  const url = Buffer.from(encodedUrl, 'base64url').toString();
+  return /^https?:\/\/\S+$/.test(url) ? url.replace(/\/$/, '') : null;
+}
+
+const operationOutcome = (code, diagnostics) => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity: 'error', code, diagnostics }],
+});
+
+/**
+ * Get the resource types the read scopes of a token minted for a CDS service allow (i.e. Observation for
+ * patient/Observation.read, * for patient/*.read)
+ * @param {string} scope - Space separated scopes of the token
+ */
+function parseReadScopes(scope) {
+  return (scope || '').split(/\s+/)
+    .map((item) => /^(?:patient|user)\/([A-Za-z]+|\*)\.(?:read|\*)$/.exec(item))
+    .filter((match) => match)
+    .map((match) => match[1]);
+}
+
+const toPatientId = (reference) => String(reference || '').replace(/^Patient\//, '');
+
+/**
+ * Check a FHIR request made with a token minted for a CDS service against the scopes and patient of the token. Reads by
+ * ID of resources other than Patient are checked against the resource returned instead (see checkScopedResource)
+ * @param {*} token - Token minted for a CDS service, with the resource types and patient it is restricted to
+ * @param {*} req - Request to the FHIR server
+ * @returns {string} - Reason the token does not allow the request, or null if it does
+ */
+function checkScopedRequest(token, req) {
+  const [resourceType, id] = req.params[0].split('/');
+  const isSearch = !id || id === '_search';
+  if (!token.resourceTypes.includes('*') && !token.resourceTypes.includes(resourceType)) {
+    return `The access token is not scoped to read ${resourceType} resources`;
+  }
+  const { _id: searchedId, patient, subject } = { ...req.query, ...(id === '_search' ? req.body : {}) };
+  if (resourceType === 'Patient') {
+    return toPatientId(isSearch ? searchedId : id) === token.patient
+      ? null : `The access token only allows reads of Patient/${token.patient}`;
+  }
+  if (isSearch && toPatientId(patient || subject) !== token.patient) {
+    return `The access token only allows searches in the compartment of Patient/${token.patient}`;
+  }
+  return null;
+}
+
+// Resource types outside of the compartment of a patient, which searches with a token minted for a CDS service may
+// include whatever its scopes (i.e. the medication of a MedicationRequest, or the practitioner of an Encounter)
+const NON_PATIENT_TYPES = ['Medication', 'Substance', 'Practitioner', 'PractitionerRole', 'Organization', 'Location'];
+
+/**
+ * Check a resource returned with a token minted for a CDS service against the scopes and patient of the token: the
+ * resource must be of a resource type of the scopes and in the compartment of the patient, as its subject or patient
+ * reference tells (a resource with neither is only allowed if it is the patient, or out of any patient compartment).
+ * Every resource of a bundle is checked, including those a search `_include`s or `_revinclude`s
+ * @param {*} token - Token minted for a CDS service, with the resource types and patient it is restricted to
+ * @param {*} resource - Resource returned by the FHIR server
+ * @returns {string} - Reason the token does not allow the resource, or null if it does
+ */
+function checkScopedResource(token, resource) {
+  if (!resource || typeof resource !== 'object') {
+    return null;
+  }
+  const { resourceType } = resource;
+  if (resourceType === 'Bundle') {
+    return (resource.entry || []).reduce((reason, entry) => reason || checkScopedResource(token, entry.resource), null);
+  }
+  if (resourceType === 'OperationOutcome') {
+    return null;
+  }
+  if (NON_PATIENT_TYPES.includes(resourceType)) {
+    return null;
+  }
+  if (!token.resourceTypes.includes('*') && !token.resourceTypes.includes(resourceType)) {
+    return `The access token is not scoped to read ${resourceType} resources`;
+  }
+  const reference = resourceType === 'Patient'
+    ? `Patient/${resource.id}`
+    : ((resource.subject || resource.patient) || {}).reference;
+  return reference && toPatientId(reference) === token.patient
+    ? null : `The access token only allows reads in the compartment of Patient/${token.patient}`;
+}
+
+/**
+ * Check that a FHIR request passed on to the FHIR server is a read or a search
+ * @param {*} req - Request to the FHIR server
+ */
+function isReadRequest(req) {
+  return req.method === 'GET' || (req.method === 'POST' && req.params[0].split('/')[1] === '_search');
+}
+
+/**
+ * Get an entry of a map of launches, codes or tokens, removing it if it has expired
+ * @param {Map} entries - Launches, codes or tokens, by ID
+ * @param {string} key - ID of the entry
+ * @returns {*} - Entry, or undefined if it is unknown or expired
+ */
+function getLiveEntry(entries, key) {
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt < Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+/**
+ * Add an entry to a map of launches, codes or tokens, removing the entries of the map that have expired
+ * @param {Map} entries - Launches, codes or tokens, by ID
+ * @param {string} key - ID of the entry
+ * @param {*} entry - Entry, with the time it expires at (`expiresAt`, in ms)
+ */
+function setLiveEntry(entries, key, entry) {
+  entries.forEach((value, id) => getLiveEntry(entries, id));
+  entries.set(key, entry);
+}
+
+/**
+ * Check a PKCE code verifier against the code challenge of the authorization request (S256 or plain)
+ * @param {*} authorization - Authorization request the code was issued for
+ * @param {string} codeVerifier - Code verifier sent to the token endpoint
+ */
+function verifyCodeChallenge(authorization, codeVerifier) {
+  if (!authorization.codeChallenge) {
+    return true;
+  }
+  if (!codeVerifier) {
+    return false;
+  }
+  const challenge = authorization.codeChallengeMethod === 'S256'
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : codeVerifier;
+  return challenge === authorization.codeChallenge;
+}
+
+/**
+ * Create the Express router of the mock SMART authorization server
+ * @param {*} options - FHIR servers the server is restricted to (`allowedFhirServers`, base URLs), any if not set
+ * @returns {*} - Router to mount on the Express app (i.e. at /mock-smart)
+ */
+function createMockSmartRouter({ allowedFhirServers } = {}) {
+  const router = express.Router();
+  const launches = new Map();
+  const codes = new Map();
+  const tokens = new Map();
+  const allowedServers = allowedFhirServers && allowedFhirServers.map((url) => url.trim().replace(/\/$/, ''));
+
+  const serverBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+  const issuer = (req) => `${serverBaseUrl(req)}/${req.params.server}/fhir`;
+
+  // Apps call the server from their own origin
+  router.use((req, res, next) => {
+    res.set({
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, Accept',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    });
+    return req.method === 'OPTIONS' ? res.sendStatus(204) : next();
+  });
+  router.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
+  router.use(express.urlencoded({ extended: false }));
+
+  // Every request to a SMART-enabled base URL needs a valid FHIR server in its path
+  router.param('server', (req, res, next, server) => {
+    req.fhirBaseUrl = decodeServerUrl(server);
+    if (!req.fhirBaseUrl) {
+      return res.status(404).json(operationOutcome('not-found', 'The path does not encode the URL of a FHIR server'));
+    }
+    if (allowedServers && !allowedServers.includes(req.fhirBaseUrl)) {
+      return res.status(403).json(operationOutcome('forbidden', `The FHIR server ${req.fhirBaseUrl} is not allowed`));
+    }
+    return next();
+  });
+
+  router.post('/:server/fhir/_services/smart/Launch', (req, res) => {
+    const { launchUrl, parameters } = req.body || {};
+    if (!launchUrl) {
+      return res.status(400).json(operationOutcome('required', 'The launch URL of the app is required'));
+    }
+    const launchId = crypto.randomUUID();
+    setLiveEntry(launches, launchId, {
+      expiresAt: Date.now() + (LAUNCH_LIFETIME * 1000),
+      launchUrl,
+      parameters: parameters || {},
+      iss: issuer(req),
+      fhirBaseUrl: req.fhirBaseUrl,
+    });
+    return res.json({ launch_id: launchId });
+  });
+
+  router.post('/:server/fhir/_services/smart/Token', (req, res) => {
+    const { scope, patient, subject } = req.body || {};
+    if (!patient) {
+      return res.status(400).json(operationOutcome('required', 'The patient the access token is restricted to is required'));
+    }
+    const accessToken = crypto.randomUUID();
+    setLiveEntry(tokens, accessToken, {
+      expiresAt: Date.now() + (TOKEN_LIFETIME * 1000),
+      scope: scope || '',
+      restriction: { resourceTypes: parseReadScopes(scope), patient },
+      // The token only allows queries to the FHIR server it was minted for, as it carries the access token for that one
+      fhirBaseUrl: req.fhirBaseUrl,
+      // The FHIR server may be a secured one, queried with the access token of the Sandbox
+      upstreamAuthorization: req.get('Authorization'),
+    });
+    return res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_LIFETIME,
+      scope: scope || '',
+      subject,
+      patient,
+    });
+  });
+
+  router.get('/:server/fhir/.well-known/smart-configuration', (req, res) => {
+    res.json({
+      issuer: issuer(req),
+      authorization_endpoint: `${serverBaseUrl(req)}/authorize`,
+      token_endpoint: `${serverBaseUrl(req)}/token`,
+      grant_types_supported: ['authorization_code'],
+      code_challenge_methods_supported: ['S256', 'plain'],
+      scopes_supported: ['launch', 'openid', 'fhirUser', 'patient/*.read', 'user/*.read'],
+      response_types_supported: ['code'],
+      capabilities: ['launch-ehr', 'client-public', 'context-ehr-patient', 'permission-patient', 'permission-user'],
+    });
+  });
+
+  router.get('/:server/fhir/metadata', async (req, res) => {
+    try {
+      const result = await axios.get(`${req.fhirBaseUrl}/metadata`, {
+        headers: { Accept: 'application/fhir+json, application/json' },
+      });
+      const capabilityStatement = result.data;
+      const rest = (capabilityStatement.rest && capabilityStatement.rest[0]) || { mode: 'server' };
+      rest.security = {
+        ...rest.security,
+        service: [{
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }],
+        }],
+        extension: [{
+          url: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+          extension: [
+            { url: 'authorize', valueUri: `${serverBaseUrl(req)}/authorize` },
+            { url: 'token', valueUri: `${serverBaseUrl(req)}/token` },
+          ],
+        }],
+      };
+      capabilityStatement.rest = [rest, ...(capabilityStatement.rest || []).slice(1)];
+      res.json(capabilityStatement);
+    } catch (err) {
+      res.status(502).json(operationOutcome('exception', `Could not retrieve the metadata of ${req.fhirBaseUrl}`));
+    }
+  });
+
+  router.all('/:server/fhir/*', async (req, res) => {
+    const authorization = req.get('Authorization');
+    let token;
+    if (authorization) {
+      token = getLiveEntry(tokens, authorization.replace(/^Bearer\s+/i, ''));
+      if (!token) {
+        return res.status(401).json(operationOutcome('login', 'The access token is unknown or expired'));
+      }
+      if (token.fhirBaseUrl !== req.fhirBaseUrl) {
+        return res.status(403).json(operationOutcome('forbidden', `The access token was minted for another FHIR server (${token.fhirBaseUrl})`));
+      }
+    }
+    if (!isReadRequest(req)) {
+      return res.status(403).json(operationOutcome('forbidden', 'Only reads and searches are passed on to the FHIR server'));
+    }
+    const { restriction, upstreamAuthorization } = token || {};
+    const forbidden = restriction ? checkScopedRequest(restriction, req) : null;
+    if (forbidden) {
+      return res.status(403).json(operationOutcome('forbidden', forbidden));
+    }
+    let data;
+    if (req.method === 'POST') {
+      // Searches posted as forms are parsed by the router, and sent on as a form again
+      data = req.is('application/x-www-form-urlencoded') ? new URLSearchParams(req.body).toString() : req.body;
+    }
+    try {
+      const result = await axios({
+        method: req.method,
+        url: `${req.fhirBaseUrl}/${req.params[0]}`,
+        params: req.query,
+        data,
+        headers: {
+          Accept: req.get('Accept') || 'application/fhir+json',
+          ...(req.get('Content-Type') ? { 'Content-Type': req.get('Content-Type') } : {}),
+          ...(upstreamAuthorization ? { Authorization: upstreamAuthorization } : {}),
+        },
+        validateStatus: () => true,
+      });
+      const forbiddenResource = restriction && result.status < 300 ? checkScopedResource(restriction, result.data) : null;
+      if (forbiddenResource) {
+        return res.status(403).json(operationOutcome('forbidden', forbiddenResource));
+      }
+      if (result.headers['content-type']) {
+        res.type(result.headers['content-type']);
+      }
+      return res.status(result.status).send(result.data);
+    } catch (err) {
+      return res.status(502).json(operationOutcome('exception', `Could not reach the FHIR server ${req.fhirBaseUrl}`));
+    }
+  });
+
+  router.get('/authorize', (req, res) => {
+    const {
+      response_type: responseType,
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      launch,
+      scope,
+      state,
+      aud,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    } = req.query;
+    if (!redirectUri) {
+      return res.status(400).send('The redirect_uri parameter is required');
+    }
+
+    const redirect = (params) => {
+      const url = new URL(redirectUri);
+      Object.keys(params).forEach((key) => {
+        if (params[key] !== undefined) {
+          url.searchParams.set(key, params[key]);
+        }
+      });
+      return res.redirect(url.toString());
+    };
+    const reject = (error, description) => redirect({ error, error_description: description, state });
+
+    if (responseType !== 'code') {
+      return reject('unsupported_response_type', 'Only the authorization code flow is supported');
+    }
+    if (!clientId) {
+      return reject('invalid_request', 'The client_id parameter is required');
+    }
+    const launchContext = getLiveEntry(launches, launch);
+    if (!launchContext) {
+      return reject('invalid_request', 'Unknown launch parameter: launch apps from the cards of the Sandbox');
+    }
+    if (aud && aud.replace(/\/$/, '') !== launchContext.iss) {
+      return reject('invalid_request', `The aud parameter does not match the FHIR server the app was launched with (${launchContext.iss})`);
+    }
+
+    const code = crypto.randomUUID();
+    setLiveEntry(codes, code, {
+      expiresAt: Date.now() + (CODE_LIFETIME * 1000),
+      launchContext,
+      clientId,
+      redirectUri,
+      scope: scope || 'launch',
+      codeChallenge,
+      codeChallengeMethod,
+    });
+    return redirect({ code, state });
+  });
+
+  router.post('/token', (req, res) => {
+    const {
+      grant_type: grantType,
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    } = req.body || {};
+    const error = (status, type, description) => res.status(status).json({ error: type, error_description: description });
+
+    if (grantType !== 'authorization_code') {
+      return error(400, 'unsupported_grant_type', 'Only the authorization_code grant type is supported');
+    }
+    const authorization = getLiveEntry(codes, code);
+    // Authorization codes may only be used once
+    codes.delete(code);
+    if (!authorization || authorization.redirectUri !== redirectUri) {
+      return error(400, 'invalid_grant', 'The authorization code is unknown, already used, or issued for another redirect_uri');
+    }
+    if (!verifyCodeChallenge(authorization, codeVerifier)) {
+      return error(400, 'invalid_grant', 'The code_verifier does not match the code_challenge of the authorization request');
+    }
+
+    const { parameters } = authorization.launchContext;
+    const accessToken = crypto.randomUUID();
+    setLiveEntry(tokens, accessToken, {
+      ...authorization,
+      expiresAt: Date.now() + (TOKEN_LIFETIME * 1000),
+      fhirBaseUrl: authorization.launchContext.fhirBaseUrl,
+    });
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_LIFETIME,
+      scope: authorization.scope,
+      need_patient_banner: true,
+    };
+    ['patient', 'encounter', 'appContext', 'smart_web_messaging_origin', 'smart_web_messaging_handle'].forEach((key) => {
+      if (parameters[key]) {
+        response[key] = parameters[key];
+      }
+    });
+    if (parameters.user) {
+      response.fhirUser = parameters.user;
+    }
+    return res.json(response);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMockSmartRouter,
+  encodeServerUrl,
+  decodeServerUrl,
+};
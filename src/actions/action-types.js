@@ -20,6 +20,10 @@ export const SET_TEST_FHIR_SERVER = 'SET_TEST_FHIR_SERVER';
 export const SMART_AUTH_SUCCESS = 'SMART_AUTH_SUCCESS';
 export const SMART_AUTH_FAILURE = 'SMART_AUTH_FAILURE';
 
+// JWT Signing
+export const UPDATE_JWT_SETTINGS = 'UPDATE_JWT_SETTINGS';
+export const RESET_JWT_SETTINGS = 'RESET_JWT_SETTINGS';
+
 // Patient Context
 export const GET_PATIENT_SUCCESS = 'GET_PATIENT_SUCCESS';
 export const GET_PATIENT_FAILURE = 'GET_PATIENT_FAILURE';
@@ -31,13 +35,23 @@ export const DISCOVER_CDS_SERVICES_FAILURE = 'DISCOVER_CDS_SERVICES_FAILURE';
 export const RESET_SERVICES = 'RESET_SERVICES';
 export const TOGGLE_SERVICE = 'TOGGLE_SERVICE';
 export const DELETE_SERVICE = 'DELETE_SERVICE';
+export const UPDATE_SERVICE_SETTINGS = 'UPDATE_SERVICE_SETTINGS';
+export const STORE_DISCOVERY_AUTH_FAULT = 'STORE_DISCOVERY_AUTH_FAULT';
 
 // CDS Service Request/Response
 
 export const CREATE_EXCHANGE_ROUND = 'CREATE_EXCHANGE_ROUND';
 export const SELECT_SERVICE_CONTEXT = 'SELECT_SERVICE_CONTEXT';
 export const STORE_SERVICE_EXCHANGE = 'STORE_SERVICE_EXCHANGE';
+export const STORE_RESPONSE_HANDLING_TIME = 'STORE_RESPONSE_HANDLING_TIME';
 export const STORE_LAUNCH_LINK = 'STORE_LAUNCH_LINK';
+export const SELECT_HISTORY_ENTRY = 'SELECT_HISTORY_ENTRY';
+
+// CDS Service Feedback
+export const QUEUE_FEEDBACK = 'QUEUE_FEEDBACK';
+export const CLEAR_PENDING_FEEDBACK = 'CLEAR_PENDING_FEEDBACK';
+export const STORE_FEEDBACK = 'STORE_FEEDBACK';
+export const SET_FEEDBACK_BATCHING = 'SET_FEEDBACK_BATCHING';
 
 // Misc UI actions
 export const SET_LOADING_STATUS = 'SET_LOADING_STATUS';
@@ -57,6 +71,17 @@ export const STORE_USER_CONDITION = 'STORE_USER_CONDITION';
 export const STORE_MED_DOSAGE_AMOUNT = 'STORE_MED_DOSAGE_AMOUNT';
 export const STORE_DATE = 'STORE_DATE';
 export const TOGGLE_DATE = 'TOGGLE_DATE';
+
+// Order Basket on RxView
+export const ADD_MEDICATION_TO_BASKET = 'ADD_MEDICATION_TO_BASKET';
+export const ADD_SERVICE_TO_BASKET = 'ADD_SERVICE_TO_BASKET';
+export const REMOVE_FROM_BASKET = 'REMOVE_FROM_BASKET';
+export const TOGGLE_BASKET_SELECTION = 'TOGGLE_BASKET_SELECTION';
+
+// Scratchpad of draft FHIR resources
+export const APPLY_SCRATCHPAD_ACTIONS = 'APPLY_SCRATCHPAD_ACTIONS';
+export const CLEAR_SCRATCHPAD = 'CLEAR_SCRATCHPAD';
+
 // Communication
 export const STORE_COMMUNICATION_MESSAGE = 'STORE_COMMUNICATION_MESSAGE';
 
@@ -74,9 +99,27 @@ export const UPDATE_IMAGING_ORDER = 'UPDATE_IMAGING_ORDER';
 
 export const TRIGGER_ORDER_SIGN = 'TRIGGER_ORDER_SIGN';
 
+// Encounter
+export const SET_ENCOUNTER = 'SET_ENCOUNTER';
+export const START_ENCOUNTER = 'START_ENCOUNTER';
+export const TRIGGER_ENCOUNTER_DISCHARGE = 'TRIGGER_ENCOUNTER_DISCHARGE';
+
+// Order Dispatch
+export const SELECT_DISPATCH_PERFORMER = 'SELECT_DISPATCH_PERFORMER';
+export const TRIGGER_ORDER_DISPATCH = 'TRIGGER_ORDER_DISPATCH';
+
+// Custom Hook
+export const STORE_CUSTOM_HOOK_NAME = 'STORE_CUSTOM_HOOK_NAME';
+export const STORE_CUSTOM_HOOK_CONTEXT = 'STORE_CUSTOM_HOOK_CONTEXT';
+export const TRIGGER_CUSTOM_HOOK = 'TRIGGER_CUSTOM_HOOK';
+
 // Suggestions and apps
 export const TAKE_SUGGESTION = 'TAKE_SUGGESTION';
 export const DISMISS_CARD = 'DISMISS_CARD';
+export const TAKE_CARD_SUGGESTION = 'TAKE_CARD_SUGGESTION';
 export const LAUNCH_SMART_APP = 'LAUNCH_SMART_APP';
+export const SET_APP_LAUNCH_MODE = 'SET_APP_LAUNCH_MODE';
+export const OPEN_EMBEDDED_APP = 'OPEN_EMBEDDED_APP';
+export const CLOSE_SMART_APP = 'CLOSE_SMART_APP';
 
 export const EXPLICIT_HOOK_TRIGGER = 'EXPLICIT_HOOK_TRIGGER ';
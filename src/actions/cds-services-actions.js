@@ -18,13 +18,15 @@ export function signalRetrievingServices(testUrl) {
  * Signals successful retrieval of CDS Services. Used to update state with CDS Services found (definitions).
  * @param services - CDS Services found at discovery endpoint
  * @param discoveryUrl - Discovery endpoint URL
+ * @param lintFindings - Lint findings for each service definition, in the same order as the services
  * @returns {{type, services: *}} - Action to dispatch
  */
-export function signalSuccessServicesRetrieval(services, discoveryUrl) {
+export function signalSuccessServicesRetrieval(services, discoveryUrl, lintFindings = []) {
   return {
     type: types.DISCOVER_CDS_SERVICES_SUCCESS,
     services,
     discoveryUrl,
+    lintFindings,
   };
 }
 
@@ -71,3 +73,36 @@ export function deleteService(service) {
     service,
   };
 }
+
+/**
+ * Signals to update the settings the Sandbox uses to invoke a specific configured CDS Service (i.e. the prefetch mode)
+ * @param service - Service to update the settings of
+ * @param settings - Settings to update, merged into the current settings of the service
+ * @returns {{type, service: *, settings: *}} - Action to dispatch
+ */
+export function updateServiceSettings(service, settings) {
+  return {
+    type: types.UPDATE_SERVICE_SETTINGS,
+    service,
+    settings,
+  };
+}
+
+/**
+ * Signals to store the status a discovery endpoint responded with to a request sent with an auth fault
+ * @param discoveryUrl - Discovery endpoint the request was sent to
+ * @param authFault - Auth fault of the request (see AUTH_FAULTS in the service settings)
+ * @param status - Status of the response, or null if there was no response
+ * @param isNotIntroduced - Whether the request was sent with a valid JWT, as the fault could not be introduced (i.e. no
+ * jti to replay)
+ * @returns {{type, discoveryUrl: *, authFault: *, status: *, isNotIntroduced: *}} - Action to dispatch
+ */
+export function storeDiscoveryAuthFault(discoveryUrl, authFault, status, isNotIntroduced = false) {
+  return {
+    type: types.STORE_DISCOVERY_AUTH_FAULT,
+    discoveryUrl,
+    authFault,
+    status,
+    isNotIntroduced,
+  };
+}
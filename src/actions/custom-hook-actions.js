@@ -0,0 +1,32 @@
+import * as types from './action-types';
+
+/**
+ * Stores the name of the hook typed in on the Custom Hook view
+ * @param {*} hookName - Name of the hook (i.e. my-draft-hook)
+ */
+export function storeCustomHookName(hookName) {
+  return {
+    type: types.STORE_CUSTOM_HOOK_NAME,
+    hookName,
+  };
+}
+
+/**
+ * Stores the context JSON authored on the Custom Hook view
+ * @param {*} contextJson - JSON string of the hook context
+ */
+export function storeCustomHookContext(contextJson) {
+  return {
+    type: types.STORE_CUSTOM_HOOK_CONTEXT,
+    contextJson,
+  };
+}
+
+/**
+ * Invokes the services on the custom hook with the authored context
+ */
+export function triggerCustomHook() {
+  return {
+    type: types.TRIGGER_CUSTOM_HOOK,
+  };
+}
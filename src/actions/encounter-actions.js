@@ -0,0 +1,33 @@
+import * as types from './action-types';
+
+const uuidv4 = require('uuid/v4');
+
+/**
+ * Sets the encounter in context (i.e. from the encounterId URL query parameter)
+ * @param {*} encounterId - Identifier of the Encounter resource in context
+ */
+export function setEncounter(encounterId) {
+  return {
+    type: types.SET_ENCOUNTER,
+    encounterId,
+  };
+}
+
+/**
+ * Starts a new encounter for the patient in context, which invokes the services on the encounter-start hook
+ */
+export function startEncounter() {
+  return {
+    type: types.START_ENCOUNTER,
+    encounterId: uuidv4(),
+  };
+}
+
+/**
+ * Discharges the patient from the encounter in context, which invokes the services on the encounter-discharge hook
+ */
+export function dischargePatient() {
+  return {
+    type: types.TRIGGER_ENCOUNTER_DISCHARGE,
+  };
+}
@@ -1,5 +1,3 @@
-/* eslint-disable import/prefer-default-export */
-
 import * as types from './action-types';
 
 /**
@@ -14,3 +12,58 @@ export function setHook(hook, screen) {
     screen,
   };
 }
+
+/**
+ * Registers a SMART app launched from a card, so that the Sandbox replies to its SMART Web Messages
+ * @param {*} triggerPoint - Trigger point of the exchange the card comes from
+ * @param {*} link - SMART link of the card, with the messaging handle given to the app (messagingHandle)
+ * @param {*} sourceWindow - Window the app was launched in
+ * @param {*} isEmbedded - Flag to determine if the app was launched in the embedded app panel rather than a new tab
+ */
+export function launchSmartApp(triggerPoint, link, sourceWindow, isEmbedded) {
+  return {
+    type: types.LAUNCH_SMART_APP,
+    triggerPoint,
+    link,
+    sourceWindow,
+    isEmbedded: !!isEmbedded,
+  };
+}
+
+/**
+ * Sets how SMART apps are launched from card links: in a new tab, or embedded in a panel of the Sandbox
+ * @param {*} mode - Launch mode ('new-tab' or 'embedded')
+ */
+export function setAppLaunchMode(mode) {
+  return {
+    type: types.SET_APP_LAUNCH_MODE,
+    mode,
+  };
+}
+
+/**
+ * Opens a card link in the embedded app panel, in place of any app already embedded. The app is registered once
+ * the panel has a window to load it in (see launchSmartApp)
+ * @param {*} triggerPoint - Trigger point of the exchange the card comes from
+ * @param {*} link - Link of the card, with the messaging handle given to the app (messagingHandle)
+ * @param {*} url - URL to load in the panel (the launch URL of SMART links)
+ */
+export function openEmbeddedApp(triggerPoint, link, url) {
+  return {
+    type: types.OPEN_EMBEDDED_APP,
+    triggerPoint,
+    link,
+    url,
+  };
+}
+
+/**
+ * Closes a SMART app (i.e. on a ui.done message), so that the Sandbox stops replying to its messages
+ * @param {*} windowId - Identifier of the window the app was registered with
+ */
+export function closeSmartApp(windowId) {
+  return {
+    type: types.CLOSE_SMART_APP,
+    windowId,
+  };
+}
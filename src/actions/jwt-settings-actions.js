@@ -0,0 +1,21 @@
+import * as types from './action-types';
+
+/**
+ * Update the settings the Sandbox signs JWTs with (for discovery, service calls and feedback)
+ * @param {*} settings - Object with any of the issuer, algorithm, kid, jku, privateKey and publicJwk to update
+ */
+export function updateJwtSettings(settings) {
+  return {
+    type: types.UPDATE_JWT_SETTINGS,
+    settings,
+  };
+}
+
+/**
+ * Go back to signing JWTs with the issuer and key pair of the Sandbox
+ */
+export function resetJwtSettings() {
+  return {
+    type: types.RESET_JWT_SETTINGS,
+  };
+}
@@ -0,0 +1,45 @@
+import * as types from './action-types';
+
+/**
+ * Adds the medication prescribed on the Rx View form to the order basket
+ * @param {*} medicationOrder - Prescription details (prescribable medication, instructions, dates and condition) to build the order from
+ */
+export function addMedicationToBasket(medicationOrder) {
+  return {
+    type: types.ADD_MEDICATION_TO_BASKET,
+    medicationOrder,
+  };
+}
+
+/**
+ * Adds a service (i.e. a lab test) to the order basket
+ * @param {*} coding - Coding of the service to order
+ */
+export function addServiceToBasket(coding) {
+  return {
+    type: types.ADD_SERVICE_TO_BASKET,
+    coding,
+  };
+}
+
+/**
+ * Removes an order from the order basket
+ * @param {*} id - Identifier of the order in the basket
+ */
+export function removeFromBasket(id) {
+  return {
+    type: types.REMOVE_FROM_BASKET,
+    id,
+  };
+}
+
+/**
+ * Selects or unselects an order of the order basket, which determines if the order is part of the hook selections
+ * @param {*} id - Identifier of the order in the basket
+ */
+export function toggleBasketSelection(id) {
+  return {
+    type: types.TOGGLE_BASKET_SELECTION,
+    id,
+  };
+}
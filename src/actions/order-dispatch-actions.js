@@ -0,0 +1,21 @@
+import * as types from './action-types';
+
+/**
+ * Selects the performer the orders in context are dispatched to
+ * @param {*} performer - Reference of the performer (i.e. Organization/example-lab)
+ */
+export function selectPerformer(performer) {
+  return {
+    type: types.SELECT_DISPATCH_PERFORMER,
+    performer,
+  };
+}
+
+/**
+ * Dispatches the orders in context to the selected performer, which invokes the services on the order-dispatch hook
+ */
+export function dispatchOrders() {
+  return {
+    type: types.TRIGGER_ORDER_DISPATCH,
+  };
+}
@@ -0,0 +1,70 @@
+import * as types from './action-types';
+
+/**
+ * Identifier derived from the content of a resource created without one, so that a service creating the same
+ * resource on every invocation does not pile up drafts (nor invoke the hook again and again)
+ * @param {*} resource - FHIR resource without an id
+ */
+function contentId(resource) {
+  const content = JSON.stringify(resource);
+  let hash = 5381;
+  for (let i = 0; i < content.length; i += 1) {
+    hash = ((hash * 33) + content.charCodeAt(i)) % 4294967296;
+  }
+  return `draft-${hash.toString(16)}`;
+}
+
+/**
+ * Applies the create, update and delete actions of a suggestion to the scratchpad of draft FHIR resources.
+ * Resources created without an id are given one, so that later suggestions may update or delete them
+ * @param {*} actions - Actions of the suggestion taken from a card
+ * @param {*} serviceUrl - URL of the CDS service that returned the suggestion
+ */
+export function applyScratchpadActions(actions, serviceUrl) {
+  return {
+    type: types.APPLY_SCRATCHPAD_ACTIONS,
+    actions: (actions || []).map((action) => {
+      if (action.type === 'create' && action.resource && !action.resource.id) {
+        return { ...action, resource: { ...action.resource, id: contentId(action.resource) } };
+      }
+      return action;
+    }),
+    origin: 'suggestion',
+    sourceUrl: serviceUrl || null,
+  };
+}
+
+/**
+ * Applies the system actions of a CDS service response to the scratchpad of draft FHIR resources, without any user
+ * interaction
+ * @param {*} systemActions - System actions of the CDS service response
+ * @param {*} serviceUrl - URL of the CDS service that returned the system actions
+ */
+export function applySystemActions(systemActions, serviceUrl) {
+  return {
+    ...applyScratchpadActions(systemActions, serviceUrl),
+    origin: 'system-action',
+  };
+}
+
+/**
+ * Applies the scratchpad messages of a SMART app (create, update and delete of a draft FHIR resource) to the scratchpad
+ * of draft FHIR resources
+ * @param {*} actions - Actions equivalent to the scratchpad messages of the app
+ * @param {*} appUrl - Launch URL of the SMART app
+ */
+export function applyAppActions(actions, appUrl) {
+  return {
+    ...applyScratchpadActions(actions, appUrl),
+    origin: 'smart-app',
+  };
+}
+
+/**
+ * Discards every change made to the scratchpad of draft FHIR resources
+ */
+export function clearScratchpad() {
+  return {
+    type: types.CLEAR_SCRATCHPAD,
+  };
+}
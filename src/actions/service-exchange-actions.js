@@ -7,6 +7,8 @@ import * as types from './action-types';
  * @param {*} request - Object representing the request sent to the CDS service endpoint
  * @param {*} response - Object (if any) representing the response sent to the Sandbox from the CDS service
  * @param {*} responseStatus - Number representing the response status
+ * @param {*} exchangeRound - Number of the exchange round the request was made in
+ * @param {*} details - Object with any other detail recorded about the exchange (i.e. the prefetch queries made)
  */
 export function storeExchange(
   url,
@@ -14,6 +16,7 @@ export function storeExchange(
   response,
   responseStatus,
   exchangeRound = 0,
+  details = {},
 ) {
   return {
     type: types.STORE_SERVICE_EXCHANGE,
@@ -22,15 +25,37 @@ export function storeExchange(
     response,
     responseStatus,
     exchangeRound,
+    details,
+    timestamp: new Date().toISOString(),
   };
 }
 
-export function storeLaunchContext({ url, appContext, remappedUrl }) {
+/**
+ * Stores the time the Sandbox took to handle the response of a CDS service exchange (i.e. storing and validating it,
+ * and rendering its cards), adding it to the timings of the exchange
+ *
+ * @param {*} url - String CDS service endpoint
+ * @param {*} hookInstance - String hookInstance of the request of the exchange
+ * @param {*} duration - Number of milliseconds the response took to handle
+ */
+export function storeResponseHandlingTime(url, hookInstance, duration) {
+  return {
+    type: types.STORE_RESPONSE_HANDLING_TIME,
+    url,
+    hookInstance,
+    duration,
+  };
+}
+
+export function storeLaunchContext({
+  url, appContext, remappedUrl, messagingHandle,
+}) {
   return {
     type: types.STORE_LAUNCH_LINK,
     url,
     appContext,
     remappedUrl,
+    messagingHandle,
   };
 }
 
@@ -42,6 +67,15 @@ export function dismissCard({ serviceUrl, cardUUID }) {
   };
 }
 
+export function takeCardSuggestion({ serviceUrl, cardUUID, suggestionIndex }) {
+  return {
+    type: types.TAKE_CARD_SUGGESTION,
+    serviceUrl,
+    cardUUID,
+    suggestionIndex,
+  };
+}
+
 export const createExchangeRound = (
   exchangeRound,
   currentScreen,
@@ -64,3 +98,74 @@ export function selectService(service) {
     service,
   };
 }
+
+/**
+ * Stores the exchange history entry to display in the CDS Developer Panel in place of the latest exchange
+ *
+ * @param {*} id - Number identifying the history entry, or null to go back to the latest exchange
+ */
+export function selectHistoryEntry(id) {
+  return {
+    type: types.SELECT_HISTORY_ENTRY,
+    id,
+  };
+}
+
+/**
+ * Queues the outcome of a card, to send it to the CDS service in a batch with other outcomes
+ *
+ * @param {*} url - String CDS service endpoint the card came from
+ * @param {*} cardFeedback - Object with the outcome of the card (i.e. accepted suggestions or override reason)
+ */
+export function queueFeedback(url, cardFeedback) {
+  return {
+    type: types.QUEUE_FEEDBACK,
+    url,
+    cardFeedback,
+  };
+}
+
+/**
+ * Clears the card outcomes queued for a CDS service, once they are sent
+ *
+ * @param {*} url - String CDS service endpoint
+ */
+export function clearPendingFeedback(url) {
+  return {
+    type: types.CLEAR_PENDING_FEEDBACK,
+    url,
+  };
+}
+
+/**
+ * Stores a feedback request sent to a CDS service, with its outcome
+ *
+ * @param {*} url - String CDS service endpoint the feedback is about
+ * @param {*} feedback - Array of card outcomes sent in the request
+ * @param {*} status - Number representing the response status, or null if there was no response
+ * @param {*} response - Response body (if any) the feedback endpoint returned
+ * @param {*} error - String error message if the request failed, or null
+ */
+export function storeFeedback(url, feedback, status, response, error = null) {
+  return {
+    type: types.STORE_FEEDBACK,
+    url,
+    feedback,
+    status,
+    response,
+    error,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Stores whether card outcomes are queued to be sent in batches, rather than sent to the CDS service right away
+ *
+ * @param {*} isBatched - Boolean to batch card outcomes
+ */
+export function setFeedbackBatching(isBatched) {
+  return {
+    type: types.SET_FEEDBACK_BATCHING,
+    isBatched,
+  };
+}
@@ -0,0 +1,111 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+import map from 'lodash/map';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './auth-fault-panel.css';
+import { describeAuthFaultResult } from '../../reducers/helpers/service-settings';
+
+const propTypes = {
+  /**
+   * Flag to determine if the auth fault panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the auth fault panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * Hash containing the latest service exchange per service, with the auth fault the request was sent with (if any)
+   */
+  exchanges: PropTypes.object,
+  /**
+   * Status each discovery endpoint responded with to the last request sent with an auth fault, keyed by discovery URL
+   */
+  discoveryAuthFaults: PropTypes.object,
+};
+
+/**
+ * Component reporting whether each CDS service (and discovery endpoint) sent a request with an auth fault rejected it
+ * with a 401 or 403 status, as it should
+ */
+class AuthFaultPanel extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Toggles the body display of the auth fault panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const results = [
+      ...map(this.props.exchanges, (exchange, url) => ({ request: 'Service call', url, result: exchange.authFault })),
+      ...map(this.props.discoveryAuthFaults, (result, url) => ({ request: 'Discovery', url, result })),
+    ].filter((entry) => entry.result);
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {`${this.props.panelHeader} (${results.length})`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            {results.length ? (
+              <table className={styles.results}>
+                <thead>
+                  <tr>
+                    <th>Request</th>
+                    <th>URL</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map(({ request, url, result }) => {
+                    const { outcome, message } = describeAuthFaultResult(result);
+                    return (
+                      <tr key={`${request}-${url}`} className={cx(styles.result, styles[outcome])}>
+                        <td>{request}</td>
+                        <td className={styles.url}>{url}</td>
+                        <td>{message}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            ) : <p>No requests sent with an auth fault</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+AuthFaultPanel.propTypes = propTypes;
+
+export default AuthFaultPanel;
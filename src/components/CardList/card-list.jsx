@@ -5,13 +5,12 @@ import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
 import ReactMarkdown from 'react-markdown';
 import cx from 'classnames';
-import axios from 'axios';
 
 import TerraCard from 'terra-card';
 import Text from 'terra-text';
 import Button from 'terra-button';
-import { Item, SplitButton } from 'terra-dropdown-button';
-import generateJWT from '../../retrieve-data-helpers/jwt-generator';
+import submitCardFeedback from '../../retrieve-data-helpers/feedback-sender';
+import { LATENCY_BUDGET, isSlowExchange, describeTimings } from '../../reducers/helpers/service-settings';
 
 import styles from './card-list.css';
 import {
@@ -20,7 +19,10 @@ import {
 } from '../../reducers/helpers/services-filter';
 
 import store from '../../store/store';
-import { dismissCard } from '../../actions/service-exchange-actions';
+import { dismissCard, takeCardSuggestion } from '../../actions/service-exchange-actions';
+import { applyScratchpadActions } from '../../actions/scratchpad-actions';
+import { getActionReference } from '../../reducers/scratchpad-reducers';
+import { launchSmartApp, openEmbeddedApp } from '../../actions/hook-actions';
 
 const propTypes = {
   /**
@@ -29,9 +31,15 @@ const propTypes = {
    */
   isDemoCard: PropTypes.bool,
   /**
-   * Function callback to take a specific suggestion from a card
+   * Function callback to take a specific suggestion from a card into the form of the screen, given the suggestion with
+   * only the actions on the draft orders of the form (see formDraftReferences)
    */
   takeSuggestion: PropTypes.func.isRequired,
+  /**
+   * References of the draft orders built from the form of the screen (if any), which take the actions of suggestions
+   * through takeSuggestion rather than the scratchpad
+   */
+  formDraftReferences: PropTypes.arrayOf(PropTypes.string),
   /**
    * JSON response from a CDS service containing potential cards to display
    */
@@ -44,6 +52,14 @@ const propTypes = {
    * JSON structure allowing mapping Card links to URLs with SMART launch contexts.
    */
   launchLinks: PropTypes.object,
+  /**
+   * SMART Web Messaging handles given to SMART apps in their launch context, keyed by launch URL
+   */
+  messagingHandles: PropTypes.object,
+  /**
+   * How links are launched: in a new tab ('new-tab') or in the embedded app panel ('embedded')
+   */
+  appLaunchMode: PropTypes.string,
 };
 
 /**
@@ -54,20 +70,61 @@ export class CardList extends Component {
   constructor(props) {
     super(props);
     this.launchLink = this.launchLink.bind(this);
+    this.registerApp = this.registerApp.bind(this);
     this.launchSource = this.launchSource.bind(this);
     this.renderSource = this.renderSource.bind(this);
+
+    this.state = {
+      // Override reason (index in the overrideReasons of the card) and comment entered for each card, by card UUID
+      overrides: {},
+    };
+  }
+
+  /**
+   * Update the override reason or comment entered for a card
+   * @param {*} cardUUID - UUID of the card
+   * @param {*} field - Field to update (reasonIndex or userComment)
+   * @param {*} value - Value entered
+   */
+  updateOverride(cardUUID, field, value) {
+    this.setState({
+      overrides: {
+        ...this.state.overrides,
+        [cardUUID]: { ...this.state.overrides[cardUUID], [field]: value },
+      },
+    });
+  }
+
+  /**
+   * Check whether a suggestion of a card can still be taken, given its selectionBehavior: a suggestion is only taken
+   * once, and no other suggestion can be taken from an at-most-one card once one was
+   * @param {*} card - Card containing the suggestion
+   * @param {*} suggestionIndex - Index of the suggestion in the card
+   */
+  isSuggestionAvailable(card, suggestionIndex) {
+    const taken = card.takenSuggestions || [];
+    if (card.selectionBehavior === 'at-most-one') {
+      return !taken.length;
+    }
+    return !taken.includes(suggestionIndex);
   }
 
   /**
    * Take a suggestion from a CDS service based on action on from a card. Also pings the feedback
-   * endpoint of the CDS service to notify that a suggestion was taken.
+   * endpoint of the CDS service to notify that a suggestion was taken (or queues the outcome, if batched). Each action of the
+   * suggestion is applied once: to the form of the screen for its draft orders, to the scratchpad of draft resources otherwise.
    * @param {*} suggestion - CDS service-defined suggestion to take based on CDS Hooks specification
    * @param {*} cardUUID - UUID of the card containing the suggestion
    * @param {*} serviceUrl - CDS service endpoint URL
+   * @param {*} suggestionIndex - Index of the suggestion in the card, remembered to honor the selectionBehavior of the card
    */
-  takeSuggestion(suggestion, cardUUID, serviceUrl) {
+  takeSuggestion(suggestion, cardUUID, serviceUrl, suggestionIndex) {
     if (!this.props.isDemoCard) {
       if (suggestion.label) {
+        if (cardUUID) {
+          store.dispatch(takeCardSuggestion({ serviceUrl, cardUUID, suggestionIndex }));
+        }
+
         if (suggestion.uuid && cardUUID) {
           const cardFeedback = {
             card: cardUUID,
@@ -80,17 +137,32 @@ export class CardList extends Component {
             outcomeTimestamp: new Date().toISOString(),
           };
 
-          this.sendFeedback(serviceUrl, cardFeedback);
+          submitCardFeedback(serviceUrl, cardFeedback);
         }
 
-        this.props.takeSuggestion(suggestion);
+        const formReferences = this.props.formDraftReferences || [];
+        const isFormAction = (action) => formReferences.includes(getActionReference(action));
+        const actions = suggestion.actions || [];
+        this.props.takeSuggestion(suggestion.actions ? { ...suggestion, actions: actions.filter(isFormAction) } : suggestion);
+        const scratchpadActions = actions.filter((action) => !isFormAction(action));
+        if (scratchpadActions.length) {
+          store.dispatch(applyScratchpadActions(scratchpadActions, serviceUrl));
+        }
       } else {
         console.error('There was no label on this suggestion', suggestion);
       }
     }
   }
 
-  dismissCard(serviceUrl, cardUUID, reason) {
+  /**
+   * Dismiss a card, and notify the feedback endpoint of the CDS service that the card was overridden, with the reason
+   * picked from the overrideReasons of the card and the comment of the user (if any)
+   * @param {*} serviceUrl - CDS service endpoint URL
+   * @param {*} cardUUID - UUID of the card
+   * @param {*} reason - Coding of the override reason picked, if any
+   * @param {*} userComment - Free-text comment of the user, if any
+   */
+  dismissCard(serviceUrl, cardUUID, reason, userComment) {
     if (this.props.isDemoCard) {
       return;
     }
@@ -101,40 +173,36 @@ export class CardList extends Component {
       outcomeTimestamp: new Date().toISOString(),
     };
 
+    const overrideReason = {};
     if (reason && reason.code) {
-      cardFeedback.overrideReason = {
-        reason: {
-          code: reason.code,
-        },
+      overrideReason.reason = {
+        code: reason.code,
       };
 
       if (reason.system) {
-        cardFeedback.overrideReason.reason.system = reason.system;
+        overrideReason.reason.system = reason.system;
       }
     }
+    if (userComment && userComment.trim()) {
+      overrideReason.userComment = userComment.trim();
+    }
+    if (Object.keys(overrideReason).length) {
+      cardFeedback.overrideReason = overrideReason;
+    }
 
-    this.sendFeedback(serviceUrl, cardFeedback);
+    submitCardFeedback(serviceUrl, cardFeedback);
 
     store.dispatch(dismissCard({ serviceUrl, cardUUID }));
   }
 
-  sendFeedback(serviceUrl, cardFeedback) {
-    const feedbackEndpoint = `${serviceUrl}/feedback`;
-    const signedPrivateJWT = generateJWT(feedbackEndpoint);
-
-    axios({
-      method: 'POST',
-      url: feedbackEndpoint,
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${signedPrivateJWT}`,
-      },
-      data: {
-        feedback: [
-          cardFeedback,
-        ],
-      },
-    });
+  /**
+   * Dismiss the error card of a failed service exchange. Error cards come from the Sandbox rather than the CDS service,
+   * so the feedback endpoint of the service is not notified
+   * @param {*} serviceUrl - CDS service endpoint URL
+   * @param {*} cardUUID - UUID of the error card
+   */
+  dismissServiceError(serviceUrl, cardUUID) {
+    store.dispatch(dismissCard({ serviceUrl, cardUUID }));
   }
 
   /**
@@ -168,12 +236,13 @@ export class CardList extends Component {
   }
 
   /**
-   * Open the absolute or SMART link in a new tab and display an error if a SMART link does not have
-   * appropriate launch context if used against a secured FHIR endpoint.
+   * Open the absolute or SMART link in a new tab, or in the embedded app panel, and display an error if a SMART link
+   * does not have appropriate launch context if used against a secured FHIR endpoint.
    * @param {*} e - Event emitted when link is clicked
    * @param {*} link - Link object that contains the URL and any error state to catch
+   * @param {*} card - Card the link comes from
    */
-  launchLink(e, link) {
+  launchLink(e, link, card) {
     if (!this.props.isDemoCard) {
       e.preventDefault();
       if (link.error) {
@@ -181,12 +250,89 @@ export class CardList extends Component {
         return null;
       }
 
-      return window.open(this.remapUrl(link), '_blank');
+      // Embedded apps are registered by the app panel, once it has a window to load the app in
+      if (this.props.appLaunchMode === 'embedded') {
+        store.dispatch(openEmbeddedApp(this.findTriggerPoint(card), this.addMessagingHandle(link), this.remapUrl(link)));
+        return null;
+      }
+
+      const launchedWindow = window.open(this.remapUrl(link), '_blank');
+      this.registerApp(link, card, launchedWindow);
+      return launchedWindow;
     }
 
     return null;
   }
 
+  /**
+   * Add the messaging handle given to a SMART app in its launch context to the link launching it, if any
+   * @param {*} link - Link of the card
+   */
+  addMessagingHandle(link) {
+    const messagingHandle = (this.props.messagingHandles || {})[this.remapUrl(link)];
+    return messagingHandle ? { ...link, messagingHandle } : link;
+  }
+
+  /**
+   * Get the trigger point of the exchange a card comes from
+   * @param {*} card - Card returned by a CDS service
+   */
+  findTriggerPoint(card) {
+    const { exchanges, exchangeRounds } = store.getState().serviceExchangeState;
+    const exchange = exchanges[card.serviceUrl];
+    const round = exchange && exchangeRounds[exchange.exchangeRound];
+    return round ? round.triggerPoint : null;
+  }
+
+  /**
+   * Register the SMART app launched from a card with the messaging handle of its launch context, so that the Sandbox
+   * replies to its messages. Screens may register apps themselves (onAppLaunch), otherwise the app is registered
+   * under the trigger point of the exchange the card comes from.
+   * @param {*} link - SMART link of the card
+   * @param {*} card - Card the link comes from
+   * @param {*} launchedWindow - Window the app was launched in
+   */
+  registerApp(link, card, launchedWindow) {
+    const launchedLink = this.addMessagingHandle(link);
+    if (this.props.onAppLaunch) {
+      this.props.onAppLaunch(launchedLink, launchedWindow);
+    } else if (link.type === 'smart' && launchedWindow) {
+      const triggerPoint = this.findTriggerPoint(card);
+      if (triggerPoint) {
+        store.dispatch(launchSmartApp(triggerPoint, launchedLink, launchedWindow));
+      }
+    }
+  }
+
+  /**
+   * Helper function to build out the UI for the error card of a failed service exchange, with the HTTP status and an
+   * excerpt of the response body (if any)
+   * @param {*} card - Error card, with the error record of the exchange
+   * @param {*} cardInd - Index of the card in the list
+   */
+  renderServiceError(card, cardInd) {
+    const error = card.serviceError;
+    return (
+      <TerraCard key={cardInd} className={cx(styles['decision-card'], styles.alert, styles['alert-error'])}>
+        <Text fontSize={18} weight={700} color="#333">{card.summary}</Text>
+        <div className={styles['service-error']}>
+          <div className={styles['error-message']}>{error.message}</div>
+          {error.status ? <div className={styles['error-status']}>{`HTTP status: ${error.status}`}</div> : null}
+          {error.bodyExcerpt ? <pre className={styles['error-body']}>{error.bodyExcerpt}</pre> : null}
+        </div>
+        <div className={styles['dismiss-section']}>
+          <hr />
+          <Button
+            title="Dismiss Error"
+            onClick={() => this.dismissServiceError(card.serviceUrl, card.uuid)}
+            variant="neutral"
+            text="Dismiss"
+          />
+        </div>
+      </TerraCard>
+    );
+  }
+
   /**
    * Helper function to build out the UI for the source of the Card
    * @param {*} source - Object as part of the card to build the UI for
@@ -266,6 +412,12 @@ export class CardList extends Component {
       .forEach((c, cardInd) => {
         const card = JSON.parse(JSON.stringify(c));
 
+        // -- Error card of a failed service exchange --
+        if (card.serviceError) {
+          renderedCards.push(this.renderServiceError(card, cardInd));
+          return;
+        }
+
         // -- Summary --
         const summarySection = (
           <Text
@@ -279,6 +431,34 @@ export class CardList extends Component {
           </Text>
         );
 
+        // -- Validation Issues (violations of the CDS Hooks specification found in the card) --
+        let issuesSection = '';
+        if (card.validationIssues && card.validationIssues.length) {
+          const issueCount = card.validationIssues.length;
+          const hasErrors = card.validationIssues.some((item) => item.severity === 'error');
+          issuesSection = (
+            <span
+              className={cx(styles['validation-badge'], { [styles['validation-warning']]: !hasErrors })}
+              title={card.validationIssues.map((item) => `${item.path}: ${item.message}`).join('\n')}
+            >
+              {`${issueCount} spec ${issueCount === 1 ? 'issue' : 'issues'}`}
+            </span>
+          );
+        }
+
+        // -- Latency (services taking longer than the latency budget of the EHR to return the card) --
+        let latencySection = '';
+        if (isSlowExchange(card.timings)) {
+          latencySection = (
+            <span
+              className={styles['latency-badge']}
+              title={`The service took ${describeTimings(card.timings)}, over the ${LATENCY_BUDGET} ms budget`}
+            >
+              {`Slow: ${card.timings.total} ms`}
+            </span>
+          );
+        }
+
         // -- Source --
         const sourceSection = card.source && Object.keys(card.source).length
           ? this.renderSource(card.source)
@@ -295,17 +475,27 @@ export class CardList extends Component {
           ''
         );
 
-        // -- Suggestions --
+        // -- Suggestions (a taken suggestion, or any other suggestion of an at-most-one card, cannot be taken) --
         let suggestionsSection;
         if (card.suggestions) {
-          suggestionsSection = card.suggestions.map((item, ind) => (
-            <Button
-              key={ind}
-              onClick={() => this.takeSuggestion(item, card.uuid, card.serviceUrl)}
-              text={item.label}
-              variant={Button.Opts.Variants.EMPHASIS}
-            />
-          ));
+          suggestionsSection = card.suggestions.map((item, ind) => {
+            const isTaken = (card.takenSuggestions || []).includes(ind);
+            return (
+              <Button
+                key={ind}
+                isDisabled={!this.isSuggestionAvailable(card, ind)}
+                title={isTaken ? 'Suggestion taken' : ''}
+                onClick={() => this.takeSuggestion(item, card.uuid, card.serviceUrl, ind)}
+                text={item.label}
+                variant={Button.Opts.Variants.EMPHASIS}
+              />
+            );
+          });
+          if (card.selectionBehavior === 'at-most-one' && card.suggestions.length > 1) {
+            suggestionsSection.push(
+              <div key="selection-behavior" className={styles['selection-behavior']}>Take at most one suggestion</div>,
+            );
+          }
         }
 
         // -- Links --
@@ -317,7 +507,7 @@ export class CardList extends Component {
 
             const unlaunchable = isSmart && !remappedUrl;
             const unlaunchableNotice = unlaunchable
-              ? 'Cannot launch SMART link without a SMART-enabled FHIR server'
+              ? 'Cannot launch SMART link: no launch context could be retrieved from the FHIR server or the mock SMART server'
               : '';
 
             return (
@@ -325,12 +515,7 @@ export class CardList extends Component {
                 <Button
                   isDisabled={unlaunchable}
                   title={unlaunchableNotice}
-                  onClick={(e) => {
-                    const launchedWindow = this.launchLink(e, link);
-                    if (this.props.onAppLaunch) {
-                      this.props.onAppLaunch(link, launchedWindow);
-                    }
-                  }}
+                  onClick={(e) => this.launchLink(e, link, card)}
                   variant="action"
                   text={link.label}
                 />
@@ -340,48 +525,45 @@ export class CardList extends Component {
           });
         }
 
+        // -- Dismiss (with an override reason picked from the overrideReasons of the card, and a comment) --
         let dismissSection;
         if (card.uuid) {
-          const { overrideReasons } = card;
-          if (overrideReasons) {
-            const items = overrideReasons.map((reason) => (
-              <Item
-                label={`Override: ${reason.display}`}
-                onSelect={() => {
-                  this.dismissCard(card.serviceUrl, card.uuid, reason);
+          const overrideReasons = card.overrideReasons || [];
+          const { reasonIndex = '', userComment = '' } = this.state.overrides[card.uuid] || {};
+          dismissSection = (
+            <div key="dismiss">
+              <hr />
+              {overrideReasons.length ? (
+                <select
+                  className={styles['override-reason']}
+                  aria-label="Override reason"
+                  value={reasonIndex}
+                  onChange={(e) => this.updateOverride(card.uuid, 'reasonIndex', e.target.value)}
+                >
+                  <option value="">No override reason</option>
+                  {overrideReasons.map((reason, ind) => (
+                    <option key={ind} value={ind}>{reason.display || reason.code}</option>
+                  ))}
+                </select>
+              ) : null}
+              <input
+                type="text"
+                className={styles['override-comment']}
+                aria-label="Override comment"
+                placeholder="Comment (optional)"
+                value={userComment}
+                onChange={(e) => this.updateOverride(card.uuid, 'userComment', e.target.value)}
+              />
+              <Button
+                title="Dismiss Card"
+                onClick={() => {
+                  this.dismissCard(card.serviceUrl, card.uuid, overrideReasons[reasonIndex], userComment);
                 }}
+                variant="neutral"
+                text="Dismiss"
               />
-            ));
-
-            dismissSection = (
-              <div key="dismiss">
-                <hr />
-                <SplitButton
-                  primaryOptionLabel="Dismiss"
-                  onSelect={() => {
-                    this.dismissCard(card.serviceUrl, card.uuid);
-                  }}
-                  variant="neutral"
-                >
-                  {items}
-                </SplitButton>
-              </div>
-            );
-          } else {
-            dismissSection = (
-              <div key="dismiss">
-                <hr />
-                <Button
-                  title="Dismiss Card"
-                  onClick={() => {
-                    this.dismissCard(card.serviceUrl, card.uuid);
-                  }}
-                  variant="neutral"
-                  text="Dismiss"
-                />
-              </div>
-            );
-          }
+            </div>
+          );
         }
 
         const classes = cx(
@@ -395,6 +577,10 @@ export class CardList extends Component {
             {' '}
             {summarySection}
             {' '}
+            {issuesSection}
+            {' '}
+            {latencySection}
+            {' '}
             {sourceSection}
             {' '}
             {detailSection}
@@ -447,6 +633,8 @@ const mapStateToProps = (state, ownProps) => ({
     )),
   ),
   launchLinks: state.serviceExchangeState.launchLinks,
+  messagingHandles: state.serviceExchangeState.messagingHandles,
+  appLaunchMode: state.hookState.appLaunchMode,
 });
 
 export default connect(
@@ -3,13 +3,20 @@
 import React from 'react';
 import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
+import cx from 'classnames';
 
 import Text from 'terra-text';
 import Button from 'terra-button';
 import Checkbox from 'terra-form-checkbox';
 
 import styles from './service-display.css';
-import { toggleService, deleteService } from '../../../actions/cds-services-actions';
+import { toggleService, deleteService, updateServiceSettings } from '../../../actions/cds-services-actions';
+import {
+  PREFETCH_MODES, AUTH_FAULTS, FHIR_AUTHORIZATION_MODES, DEFAULT_SERVICE_SETTINGS,
+  getDiscoveryUrl, describeAuthFaultResult, getPrefetchScopes,
+} from '../../../reducers/helpers/service-settings';
+import { productionClientId } from '../../../config/fhir-config';
+import retrieveDiscoveryServices from '../../../retrieve-data-helpers/discovery-services-retrieval';
 
 const propTypes = {
   /**
@@ -20,6 +27,21 @@ const propTypes = {
    * The CDS service endpoint URL
    */
   serviceUrl: PropTypes.string,
+  /**
+   * Findings from linting the service definition when it was discovered
+   */
+  lintFindings: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Settings the Sandbox uses to invoke the service (i.e. the prefetch mode)
+   */
+  settings: PropTypes.object,
+  /**
+   * Status the discovery endpoint of the service responded with to the last request sent with an auth fault
+   */
+  discoveryAuthFault: PropTypes.shape({
+    authFault: PropTypes.string,
+    status: PropTypes.number,
+  }),
   /**
    * Callback function to toggle the service in the Sandbox (inactivate, not remove)
    */
@@ -28,16 +50,181 @@ const propTypes = {
    * Callback function to remove the service from the Sandbox
    */
   remove: PropTypes.func,
+  /**
+   * Callback function to update the settings the Sandbox uses to invoke the service
+   */
+  updateSettings: PropTypes.func,
 };
 
 export const ServiceDisplay = ({
   definition,
   serviceUrl,
+  lintFindings,
+  settings,
+  discoveryAuthFault,
   toggle,
   remove,
+  updateSettings,
 }) => {
   const definitionCopy = JSON.parse(JSON.stringify(definition));
   const str = JSON.stringify(definitionCopy, null, 2);
+  let lintSection;
+  if (lintFindings && lintFindings.length) {
+    lintSection = (
+      <ul className={styles.findings}>
+        {lintFindings.map((item, ind) => (
+          <li key={`${item.path}-${ind}`} className={cx(styles.finding, styles[item.severity])}>
+            <Text weight={700} fontSize={12}>{item.severity.toUpperCase()}</Text>
+            {' '}
+            {item.path ? <code>{item.path}</code> : null}
+            {' '}
+            {item.message}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  const prefetchKeys = Object.keys(definition.prefetch || {});
+  const {
+    prefetchMode, prefetchKeys: chosenKeys, authFault, fhirAuthorizationMode, fhirAuthorizationSubject, fhirAuthorizationPatient,
+    timeout,
+  } = { ...DEFAULT_SERVICE_SETTINGS, ...settings };
+  let prefetchSection;
+  if (prefetchKeys.length) {
+    const toggleKey = (key) => {
+      const keys = chosenKeys.includes(key) ? chosenKeys.filter((chosen) => chosen !== key) : chosenKeys.concat(key);
+      updateSettings(serviceUrl, { prefetchKeys: prefetchKeys.filter((prefetchKey) => keys.includes(prefetchKey)) });
+    };
+    prefetchSection = (
+      <div>
+        <label htmlFor={`prefetch-mode-${serviceUrl}`}>
+          <Text weight={700} fontSize={12}>Prefetch</Text>
+          {' '}
+          <select
+            id={`prefetch-mode-${serviceUrl}`}
+            className="prefetch-mode"
+            value={prefetchMode}
+            onChange={(e) => updateSettings(serviceUrl, { prefetchMode: e.target.value })}
+          >
+            {Object.keys(PREFETCH_MODES).map((mode) => (
+              <option key={mode} value={mode}>{PREFETCH_MODES[mode]}</option>
+            ))}
+          </select>
+        </label>
+        {prefetchMode === 'partial' ? prefetchKeys.map((key) => (
+          <label key={key} className={styles['prefetch-key']} htmlFor={`prefetch-key-${serviceUrl}-${key}`}>
+            <input
+              id={`prefetch-key-${serviceUrl}-${key}`}
+              type="checkbox"
+              checked={chosenKeys.includes(key)}
+              onChange={() => toggleKey(key)}
+            />
+            {` ${key}`}
+          </label>
+        )) : null}
+      </div>
+    );
+  }
+  // Requests to the service, and to its discovery endpoint on demand, are sent with the auth fault to check they are rejected
+  let discoveryTest;
+  if (authFault !== 'none') {
+    const testDiscovery = () => retrieveDiscoveryServices(getDiscoveryUrl(serviceUrl, definition.id), authFault)
+      .catch((err) => console.error('Could not test the discovery endpoint with an auth fault', err));
+    const result = discoveryAuthFault ? describeAuthFaultResult(discoveryAuthFault) : null;
+    discoveryTest = (
+      <span className={styles['auth-fault-test']}>
+        <Button text="Test Discovery" isCompact onClick={testDiscovery} />
+        {result ? (
+          <span className={cx(styles['auth-fault-result'], styles[result.outcome])}>{`Discovery: ${result.message}`}</span>
+        ) : null}
+      </span>
+    );
+  }
+  const settingsSection = (
+    <div className={styles.settings}>
+      {prefetchSection}
+      <div>
+        <label htmlFor={`timeout-${serviceUrl}`}>
+          <Text weight={700} fontSize={12}>Timeout (ms)</Text>
+          {' '}
+          <input
+            id={`timeout-${serviceUrl}`}
+            className="timeout"
+            type="number"
+            min="0"
+            step="500"
+            value={timeout}
+            onChange={(e) => updateSettings(serviceUrl, { timeout: Math.max(parseInt(e.target.value, 10) || 0, 0) })}
+          />
+        </label>
+        <span className={styles.hint}>0 for no timeout</span>
+      </div>
+      <div>
+        <label htmlFor={`auth-fault-${serviceUrl}`}>
+          <Text weight={700} fontSize={12}>Auth fault</Text>
+          {' '}
+          <select
+            id={`auth-fault-${serviceUrl}`}
+            className="auth-fault"
+            value={authFault}
+            onChange={(e) => updateSettings(serviceUrl, { authFault: e.target.value })}
+          >
+            {Object.keys(AUTH_FAULTS).map((fault) => (
+              <option key={fault} value={fault}>{AUTH_FAULTS[fault]}</option>
+            ))}
+          </select>
+        </label>
+        {discoveryTest}
+      </div>
+      <div>
+        <label htmlFor={`fhir-authorization-mode-${serviceUrl}`}>
+          <Text weight={700} fontSize={12}>fhirAuthorization</Text>
+          {' '}
+          <select
+            id={`fhir-authorization-mode-${serviceUrl}`}
+            className="fhir-authorization-mode"
+            value={fhirAuthorizationMode}
+            onChange={(e) => updateSettings(serviceUrl, { fhirAuthorizationMode: e.target.value })}
+          >
+            {Object.keys(FHIR_AUTHORIZATION_MODES).map((mode) => (
+              <option key={mode} value={mode}>{FHIR_AUTHORIZATION_MODES[mode]}</option>
+            ))}
+          </select>
+        </label>
+        {fhirAuthorizationMode !== 'none' ? (
+          <span>
+            <label className={styles['fhir-authorization-field']} htmlFor={`fhir-authorization-subject-${serviceUrl}`}>
+              {'subject '}
+              <input
+                id={`fhir-authorization-subject-${serviceUrl}`}
+                className="fhir-authorization-subject"
+                type="text"
+                placeholder={productionClientId}
+                value={fhirAuthorizationSubject}
+                onChange={(e) => updateSettings(serviceUrl, { fhirAuthorizationSubject: e.target.value })}
+              />
+            </label>
+            <label className={styles['fhir-authorization-field']} htmlFor={`fhir-authorization-patient-${serviceUrl}`}>
+              {'patient '}
+              <input
+                id={`fhir-authorization-patient-${serviceUrl}`}
+                className="fhir-authorization-patient"
+                type="text"
+                placeholder={fhirAuthorizationMode === 'scoped' ? 'Patient in context' : 'Not sent'}
+                value={fhirAuthorizationPatient}
+                onChange={(e) => updateSettings(serviceUrl, { fhirAuthorizationPatient: e.target.value })}
+              />
+            </label>
+          </span>
+        ) : null}
+        {fhirAuthorizationMode === 'scoped' ? (
+          <div className={styles.scopes}>
+            {`Scopes: ${getPrefetchScopes(definition.prefetch) || 'none (the service has no prefetch templates)'}`}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
   return (
     <div className={styles.container}>
       <div className={styles['url-container']}>
@@ -63,6 +250,8 @@ export const ServiceDisplay = ({
           onClick={() => remove(serviceUrl)}
         />
       </div>
+      {lintSection}
+      {settingsSection}
       <div
         className={styles['definition-body']}
         dangerouslySetInnerHTML={{
@@ -83,6 +272,9 @@ const mapDispatchToProps = (dispatch) => ({
   remove: (service) => {
     dispatch(deleteService(service));
   },
+  updateSettings: (service, settings) => {
+    dispatch(updateServiceSettings(service, settings));
+  },
 });
 
 export default connect(null, mapDispatchToProps)(ServiceDisplay);
@@ -12,6 +12,7 @@ import Text from 'terra-text';
 
 import styles from './configure-services.css';
 import ServiceDisplay from './ServiceDisplay/service-display';
+import { getDiscoveryUrl } from '../../reducers/helpers/service-settings';
 
 const propTypes = {
   /**
@@ -26,6 +27,18 @@ const propTypes = {
    * Services configured on the Sandbox
    */
   services: PropTypes.object,
+  /**
+   * Lint findings of the service definitions, keyed by CDS service URL
+   */
+  lintFindings: PropTypes.object,
+  /**
+   * Settings the Sandbox uses to invoke each service, keyed by CDS service URL
+   */
+  settings: PropTypes.object,
+  /**
+   * Status each discovery endpoint responded with to the last request sent with an auth fault, keyed by discovery URL
+   */
+  discoveryAuthFaults: PropTypes.object,
 };
 
 export class ConfigureServices extends Component {
@@ -81,6 +94,9 @@ export class ConfigureServices extends Component {
               <ServiceDisplay
                 definition={service}
                 serviceUrl={ind}
+                lintFindings={(this.props.lintFindings || {})[ind]}
+                settings={(this.props.settings || {})[ind]}
+                discoveryAuthFault={(this.props.discoveryAuthFaults || {})[getDiscoveryUrl(ind, service.id)]}
                 key={ind}
               />
             ))}
@@ -95,6 +111,9 @@ ConfigureServices.propTypes = propTypes;
 
 const mapStateToProps = (store) => ({
   services: store.cdsServicesState.configuredServices,
+  lintFindings: store.cdsServicesState.serviceLintFindings,
+  settings: store.cdsServicesState.serviceSettings,
+  discoveryAuthFaults: store.cdsServicesState.discoveryAuthFaults,
 });
 
 export default connect(mapStateToProps)(ConfigureServices);
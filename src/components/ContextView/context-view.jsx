@@ -9,13 +9,28 @@ import forIn from 'lodash/forIn';
 import Field from 'terra-form-field';
 import Select from 'react-select';
 import ExchangePanel from '../ExchangePanel/exchange-panel';
+import ExchangeHistory from '../ExchangeHistory/exchange-history';
+import ExchangeDiff from '../ExchangeDiff/exchange-diff';
+import ValidationIssues from '../ValidationIssues/validation-issues';
+import PrefetchPanel from '../PrefetchPanel/prefetch-panel';
+import AuthFaultPanel from '../AuthFaultPanel/auth-fault-panel';
+import ServiceErrorPanel from '../ServiceErrorPanel/service-error-panel';
+import FeedbackPanel from '../FeedbackPanel/feedback-panel';
 import MessagePanel from '../MessagePanel/message-panel';
+import ScratchpadPanel from '../ScratchpadPanel/scratchpad-panel';
+import RequestComposer from '../RequestComposer/request-composer';
+import ExportPanel from '../ExportPanel/export-panel';
 
 import styles from './context-view.css';
 
-import { selectService } from '../../actions/service-exchange-actions';
+import { selectService, selectHistoryEntry, setFeedbackBatching } from '../../actions/service-exchange-actions';
 import { setContextVisibility } from '../../actions/ui-actions';
+import { clearScratchpad } from '../../actions/scratchpad-actions';
 import { getServicesByHook } from '../../reducers/helpers/services-filter';
+import { LATENCY_BUDGET, isSlowExchange, describeTimings } from '../../reducers/helpers/service-settings';
+import { sendPendingFeedback } from '../../retrieve-data-helpers/feedback-sender';
+import { resendRequest } from '../../retrieve-data-helpers/service-exchange';
+import store from '../../store/store';
 
 const propTypes = {
   /**
@@ -23,6 +38,10 @@ const propTypes = {
    * a request and response for
    */
   selectService: PropTypes.func.isRequired,
+  /**
+   * Callback function that sets the past exchange from the history to display a request and response for
+   */
+  selectHistoryEntry: PropTypes.func.isRequired,
   /**
    * Function to toggle the context view visibility (hide/show button)
    */
@@ -43,10 +62,50 @@ const propTypes = {
    * Hash containing the service exchanges per service (request and response)
    */
   exchanges: PropTypes.object,
+  /**
+   * Hash of every CDS service configured in the Sandbox, regardless of hook
+   */
+  allServices: PropTypes.object,
+  /**
+   * Time-ordered list of every service exchange stored (oldest first)
+   */
+  history: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Status each discovery endpoint responded with to the last request sent with an auth fault, keyed by discovery URL
+   */
+  discoveryAuthFaults: PropTypes.object,
+  /**
+   * Identifier of the history entry to display a request/response for instead of the latest exchange
+   */
+  selectedHistoryEntry: PropTypes.number,
+  /**
+   * Time-ordered list of every feedback request sent (oldest first)
+   */
+  feedbackLog: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Card outcomes queued to be sent in a single feedback request, keyed by service URL
+   */
+  pendingFeedback: PropTypes.object,
+  /**
+   * Flag to determine if card outcomes are queued rather than sent right away
+   */
+  isFeedbackBatched: PropTypes.bool,
+  /**
+   * Function to batch card outcomes (or not)
+   */
+  setFeedbackBatching: PropTypes.func,
   /**
    * Flag to determine if the context view will be visible or not (via the slide out button)
    */
   isContextVisible: PropTypes.bool.isRequired,
+  /**
+   * Draft resources changed by the suggestions taken from cards, keyed by their relative reference
+   */
+  scratchpad: PropTypes.object,
+  /**
+   * Function to discard every change made to the scratchpad
+   */
+  clearScratchpad: PropTypes.func,
 };
 
 /**
@@ -60,6 +119,8 @@ export class ContextView extends Component {
     this.onSelectChange = this.onSelectChange.bind(this);
     this.createDropdownServices = this.createDropdownServices.bind(this);
     this.onContextToggle = this.onContextToggle.bind(this);
+    this.onSendPendingFeedback = this.onSendPendingFeedback.bind(this);
+    this.onResendRequest = this.onResendRequest.bind(this);
   }
 
   /**
@@ -78,6 +139,49 @@ export class ContextView extends Component {
     this.props.toggleContext();
   }
 
+  /**
+   * Send the card outcomes queued for the CDS service in context in a single feedback request
+   */
+  onSendPendingFeedback() {
+    sendPendingFeedback(this.props.selectedService || this.props.initialService);
+  }
+
+  /**
+   * Resend a request edited in the request composer, and display the resulting exchange, stored in the history next to
+   * the exchange the request was loaded from
+   * @param {*} url - CDS service endpoint to send the request to
+   * @param {*} request - Request edited
+   * @param {*} original - Exchange (or history entry) the request was loaded from
+   */
+  onResendRequest(url, request, original) {
+    const originalEntry = this.findHistoryEntry(original);
+    return resendRequest(store.dispatch, store.getState(), url, request, {
+      exchangeRound: original.exchangeRound,
+      resentFrom: originalEntry ? originalEntry.id : null,
+    }).then((hookInstance) => {
+      const resentEntry = store.getState().serviceExchangeState.history
+        .find((entry) => entry.request.hookInstance === hookInstance);
+      if (resentEntry) {
+        this.props.selectHistoryEntry(resentEntry.id);
+      }
+    });
+  }
+
+  /**
+   * Find the history entry of an exchange: the latest exchange of a service is stored in the history as well, matched by
+   * the hookInstance of its request
+   * @param {*} exchange - Exchange, or history entry
+   */
+  findHistoryEntry(exchange) {
+    if (!exchange || exchange.id) {
+      return exchange;
+    }
+    const hookInstance = exchange.request && exchange.request.hookInstance;
+    return hookInstance
+      ? (this.props.history || []).find((entry) => entry.request && entry.request.hookInstance === hookInstance)
+      : undefined;
+  }
+
   /**
    * Create an array of key-value pair objects that React Select component understands
    * given the CDS Services allowed to be selected for this hook
@@ -100,6 +204,14 @@ export class ContextView extends Component {
       serviceExchange = this.props.exchanges[serviceInContext];
     }
 
+    // A past exchange selected from the history takes precedence over the latest exchange of the selected service
+    const historyEntry = (this.props.history || [])
+      .find((entry) => entry.id === this.props.selectedHistoryEntry);
+    if (historyEntry) {
+      serviceExchange = historyEntry;
+    }
+    const panelSuffix = historyEntry ? ` (History #${historyEntry.id})` : '';
+
     let contextToggledClass = '';
     if (this.props.isContextVisible) {
       contextToggledClass = styles['context-open'];
@@ -117,17 +229,86 @@ export class ContextView extends Component {
               onChange={this.onSelectChange}
             />
           </Field>
+          {serviceExchange && serviceExchange.timings ? (
+            <div className={cx(styles.timings, { [styles.slow]: isSlowExchange(serviceExchange.timings) })}>
+              {`Timings${panelSuffix}: ${describeTimings(serviceExchange.timings)}`}
+              {isSlowExchange(serviceExchange.timings) ? ` - over the ${LATENCY_BUDGET} ms budget` : ''}
+            </div>
+          ) : null}
+          <ServiceErrorPanel
+            panelHeader={` Service Error${panelSuffix}`}
+            error={serviceExchange ? serviceExchange.error : null}
+            isExpanded
+          />
           <ExchangePanel
-            panelHeader=" Request"
+            panelHeader={` Request${panelSuffix}`}
             panelText={serviceExchange ? serviceExchange.request : 'No request made to CDS Service'}
             isExpanded={false}
           />
+          <RequestComposer
+            panelHeader={` Edit and Resend Request${panelSuffix}`}
+            request={serviceExchange ? serviceExchange.request : null}
+            serviceUrl={historyEntry ? historyEntry.url : serviceInContext}
+            serviceUrls={Object.keys(this.props.allServices || {})}
+            onResend={(url, request) => this.onResendRequest(url, request, serviceExchange)}
+            isExpanded={false}
+          />
+          <ExportPanel
+            panelHeader={` Export${panelSuffix}`}
+            exchange={this.findHistoryEntry(serviceExchange)}
+            entries={this.props.history}
+            isExpanded={false}
+          />
+          <PrefetchPanel
+            panelHeader={` Prefetch${panelSuffix}`}
+            prefetchLog={serviceExchange ? serviceExchange.prefetchLog : null}
+            prefetchMode={serviceExchange ? serviceExchange.prefetchMode : null}
+            isExpanded={false}
+          />
           <ExchangePanel
-            panelHeader=" Response"
+            panelHeader={` Response${panelSuffix}`}
             panelText={serviceExchange ? serviceExchange.response : 'No response made to CDS Service'}
             isExpanded
           />
+          <ValidationIssues
+            panelHeader={` Response Validation${panelSuffix}`}
+            issues={serviceExchange ? serviceExchange.validationIssues : null}
+            isExpanded={false}
+          />
+          <AuthFaultPanel
+            panelHeader=" Auth Faults"
+            exchanges={this.props.exchanges}
+            discoveryAuthFaults={this.props.discoveryAuthFaults}
+            isExpanded={false}
+          />
+          <FeedbackPanel
+            panelHeader=" Feedback"
+            entries={(this.props.feedbackLog || []).filter((entry) => entry.url === serviceInContext)}
+            pendingFeedback={(this.props.pendingFeedback || {})[serviceInContext]}
+            isBatched={this.props.isFeedbackBatched}
+            onToggleBatching={this.props.setFeedbackBatching}
+            onSendPending={this.onSendPendingFeedback}
+            isExpanded={false}
+          />
+          <ExchangeHistory
+            entries={this.props.history}
+            services={this.props.allServices}
+            selectedEntry={this.props.selectedHistoryEntry}
+            onSelectEntry={this.props.selectHistoryEntry}
+            isExpanded={false}
+          />
+          <ExchangeDiff
+            entries={this.props.history}
+            services={this.props.allServices}
+            isExpanded={false}
+          />
           <hr />
+          <ScratchpadPanel
+            panelHeader=" Scratchpad"
+            entries={this.props.scratchpad}
+            onClear={this.props.clearScratchpad}
+            isExpanded={false}
+          />
           <MessagePanel
             panelHeader=" Messages"
             isExpanded
@@ -143,7 +324,7 @@ export class ContextView extends Component {
 
 ContextView.propTypes = propTypes;
 
-const mapStateToProps = (store) => {
+const mapStateToProps = (state) => {
   function getFirstServiceForHook(services) {
     const serviceKeys = Object.keys(services);
     if (serviceKeys.length) {
@@ -153,11 +334,19 @@ const mapStateToProps = (store) => {
   }
 
   return {
-    isContextVisible: store.hookState.isContextVisible,
-    services: getServicesByHook(store.hookState.currentHook, store.cdsServicesState.configuredServices),
-    selectedService: store.serviceExchangeState.selectedService,
-    initialService: getFirstServiceForHook(getServicesByHook(store.hookState.currentHook, store.cdsServicesState.configuredServices)),
-    exchanges: store.serviceExchangeState.exchanges,
+    isContextVisible: state.hookState.isContextVisible,
+    services: getServicesByHook(state.hookState.currentHook, state.cdsServicesState.configuredServices),
+    selectedService: state.serviceExchangeState.selectedService,
+    initialService: getFirstServiceForHook(getServicesByHook(state.hookState.currentHook, state.cdsServicesState.configuredServices)),
+    exchanges: state.serviceExchangeState.exchanges,
+    allServices: state.cdsServicesState.configuredServices,
+    history: state.serviceExchangeState.history,
+    discoveryAuthFaults: state.cdsServicesState.discoveryAuthFaults,
+    selectedHistoryEntry: state.serviceExchangeState.selectedHistoryEntry,
+    feedbackLog: state.serviceExchangeState.feedbackLog,
+    pendingFeedback: state.serviceExchangeState.pendingFeedback,
+    isFeedbackBatched: state.serviceExchangeState.isFeedbackBatched,
+    scratchpad: state.scratchpadState.entries,
   };
 };
 
@@ -165,9 +354,18 @@ const mapDispatchToProps = (dispatch) => ({
   selectService: (service) => {
     dispatch(selectService(service));
   },
+  selectHistoryEntry: (id) => {
+    dispatch(selectHistoryEntry(id));
+  },
+  setFeedbackBatching: (isBatched) => {
+    dispatch(setFeedbackBatching(isBatched));
+  },
   toggleContext: () => {
     dispatch(setContextVisibility());
   },
+  clearScratchpad: () => {
+    dispatch(clearScratchpad());
+  },
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(ContextView);
@@ -0,0 +1,179 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import cx from 'classnames';
+import CodeMirror from '@uiw/react-codemirror';
+import Button from 'terra-button';
+
+import CardList from '../CardList/card-list';
+import PatientBanner from '../PatientBanner/patient-banner';
+import styles from './custom-hook.css';
+import cdsExecution from '../../middleware/cds-execution';
+import * as types from '../../actions/action-types';
+import { setHook } from '../../actions/hook-actions';
+import { storeCustomHookName, storeCustomHookContext, triggerCustomHook } from '../../actions/custom-hook-actions';
+
+const propTypes = {
+  /**
+   * Name of the hook typed in, which services are invoked on
+   */
+  hookName: PropTypes.string.isRequired,
+  /**
+   * The name of the hook in context
+   */
+  currentHook: PropTypes.string.isRequired,
+  /**
+   * JSON string of the hook context authored by the user
+   */
+  contextJson: PropTypes.string.isRequired,
+  /**
+   * Flag to determine if the CDS Developer Panel is displayed or not
+   */
+  isContextVisible: PropTypes.bool.isRequired,
+  /**
+   * Function to store the name of the hook typed in
+   */
+  storeHookName: PropTypes.func.isRequired,
+  /**
+   * Function to store the authored context JSON
+   */
+  storeContext: PropTypes.func.isRequired,
+  /**
+   * Function to set the hook in context and invoke the services listening on it
+   */
+  invokeServices: PropTypes.func.isRequired,
+};
+
+/**
+ * Parse the context JSON authored by the user
+ * @param {*} contextJson - JSON string of the hook context
+ * @returns {*} - Object with the parsed context, or the reason the context is not valid
+ */
+export function parseCustomContext(contextJson) {
+  let context;
+  try {
+    context = JSON.parse(contextJson);
+  } catch (e) {
+    return { error: 'Check your JSON syntax' };
+  }
+  if (!context || typeof context !== 'object' || Array.isArray(context)) {
+    return { error: 'The context must be a JSON object' };
+  }
+  return { context };
+}
+
+export const customHookTriggerHandler = {
+  needExplicitTrigger: types.TRIGGER_CUSTOM_HOOK,
+  onSystemActions: () => { },
+  onMessage: () => { },
+  generateContext: (state) => parseCustomContext(state.customHookState.contextJson).context || {},
+};
+
+cdsExecution.registerTriggerHandler('custom-hook/custom-hook', customHookTriggerHandler);
+
+/**
+ * Left-hand side on the mock-EHR view for hooks the Sandbox has no dedicated view for (i.e. draft or vendor-specific hooks).
+ * The user types in the hook name and authors the context, and the services advertising that hook are invoked with the
+ * context (alongside the patientId and userId of the Sandbox) once the Invoke Services button is clicked.
+ */
+export class CustomHook extends Component {
+  constructor(props) {
+    super(props);
+
+    this.onHookNameChange = this.onHookNameChange.bind(this);
+    this.onContextChange = this.onContextChange.bind(this);
+    this.invokeServices = this.invokeServices.bind(this);
+  }
+
+  onHookNameChange(e) {
+    this.props.storeHookName(e.target.value.trim());
+  }
+
+  onContextChange(contextJson) {
+    this.props.storeContext(contextJson);
+  }
+
+  invokeServices() {
+    this.props.invokeServices(this.props.hookName, this.props.hookName !== this.props.currentHook);
+  }
+
+  render() {
+    const options = {
+      lineNumbers: true,
+      mode: {
+        name: 'javascript',
+        json: true,
+      },
+      tabSize: 2,
+    };
+    const { error } = parseCustomContext(this.props.contextJson);
+    const isHalfView = this.props.isContextVisible ? styles['half-view'] : '';
+
+    return (
+      <div className={cx(styles['custom-hook'], isHalfView)}>
+        <h1 className={styles['view-title']}>Custom Hook</h1>
+        <PatientBanner />
+        <label htmlFor="custom-hook-name" className={styles['hook-name']}>
+          <strong>Hook: </strong>
+          <input
+            id="custom-hook-name"
+            type="text"
+            value={this.props.hookName}
+            onChange={this.onHookNameChange}
+          />
+        </label>
+        <p className={styles.hint}>
+          Context (the patientId and userId of the Sandbox are added unless specified here)
+        </p>
+        <div className={styles['context-editor']}>
+          <CodeMirror
+            value={this.props.contextJson}
+            onChange={this.onContextChange}
+            options={options}
+          />
+        </div>
+        {error ? <p className={styles.error}>{error}</p> : null}
+        <Button
+          text="Invoke Services"
+          variant="emphasis"
+          isDisabled={!!error || !this.props.hookName}
+          onClick={this.invokeServices}
+        />
+        <br />
+        <br />
+        <CardList
+          takeSuggestion={() => { }}
+        />
+      </div>
+    );
+  }
+}
+
+CustomHook.propTypes = propTypes;
+
+const mapStateToProps = (state) => ({
+  hookName: state.customHookState.hookName,
+  contextJson: state.customHookState.contextJson,
+  currentHook: state.hookState.currentHook,
+  isContextVisible: state.hookState.isContextVisible,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  storeHookName: (hookName) => {
+    dispatch(storeCustomHookName(hookName));
+  },
+  storeContext: (contextJson) => {
+    dispatch(storeCustomHookContext(contextJson));
+  },
+  invokeServices: (hookName, isNewHook) => {
+    // Point the custom hook trigger point to the hook typed in before invoking the services listening on it
+    if (isNewHook) {
+      dispatch(setHook(hookName, 'custom-hook'));
+    }
+    dispatch(triggerCustomHook());
+  },
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(CustomHook);
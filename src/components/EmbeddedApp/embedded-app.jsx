@@ -0,0 +1,102 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'terra-button';
+import IconClose from 'terra-icon/lib/icon/IconClose';
+
+import styles from './embedded-app.css';
+import { launchSmartApp, closeSmartApp } from '../../actions/hook-actions';
+
+const propTypes = {
+  /**
+   * App loaded in the panel, with the trigger point and link it was launched from, the URL to load and the identifier
+   * of its registered window (once registered)
+   */
+  embeddedApp: PropTypes.object,
+  /**
+   * Function to register the window of a SMART app, so that the Sandbox replies to its messages
+   */
+  registerApp: PropTypes.func.isRequired,
+  /**
+   * Function to close the app, given the identifier of its registered window
+   */
+  closeApp: PropTypes.func.isRequired,
+};
+
+/**
+ * Side panel embedding the app launched from a card link in an iframe, when the Sandbox launches apps inline rather
+ * than in a new tab. SMART apps are registered with the window of the iframe, so that SMART Web Messaging works the
+ * same as for apps in a new tab, and the panel closes when the app sends a ui.done message.
+ */
+export class EmbeddedApp extends Component {
+  constructor(props) {
+    super(props);
+
+    this.setFrame = this.setFrame.bind(this);
+    this.registerApp = this.registerApp.bind(this);
+  }
+
+  componentDidMount() {
+    this.registerApp();
+  }
+
+  componentDidUpdate() {
+    this.registerApp();
+  }
+
+  setFrame(frame) {
+    this.frame = frame;
+  }
+
+  /**
+   * Register a SMART app not registered yet with the window of the iframe it is loaded in
+   */
+  registerApp() {
+    const app = this.props.embeddedApp;
+    if (app && app.link.type === 'smart' && app.triggerPoint && app.windowId === undefined && this.frame) {
+      this.props.registerApp(app.triggerPoint, app.link, this.frame.contentWindow);
+    }
+  }
+
+  render() {
+    const app = this.props.embeddedApp;
+    if (!app) {
+      return null;
+    }
+
+    return (
+      <div className={styles.panel}>
+        <div className={styles.header}>
+          <span className={styles.title}>{app.link.label}</span>
+          <Button
+            text="Close App"
+            isIconOnly
+            icon={<IconClose />}
+            variant="utility"
+            onClick={() => this.props.closeApp(app.windowId)}
+          />
+        </div>
+        <iframe className={styles.frame} title={app.link.label || app.url} src={app.url} ref={this.setFrame} />
+      </div>
+    );
+  }
+}
+
+EmbeddedApp.propTypes = propTypes;
+
+const mapStateToProps = (store) => ({
+  embeddedApp: store.hookState.embeddedApp,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  registerApp: (triggerPoint, link, sourceWindow) => {
+    dispatch(launchSmartApp(triggerPoint, link, sourceWindow, true));
+  },
+  closeApp: (windowId) => {
+    dispatch(closeSmartApp(windowId));
+  },
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(EmbeddedApp);
@@ -0,0 +1,114 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import cx from 'classnames';
+import Button from 'terra-button';
+
+import CardList from '../CardList/card-list';
+import PatientBanner from '../PatientBanner/patient-banner';
+import styles from './encounter-view.css';
+import cdsExecution from '../../middleware/cds-execution';
+import * as types from '../../actions/action-types';
+import { startEncounter, dischargePatient } from '../../actions/encounter-actions';
+
+const propTypes = {
+  /**
+   * The name of the hook in context (encounter-start or encounter-discharge)
+   */
+  hook: PropTypes.string.isRequired,
+  /**
+   * Identifier of the Encounter resource in context
+   */
+  encounterId: PropTypes.string.isRequired,
+  /**
+   * Status of the encounter in context (in-progress or finished)
+   */
+  status: PropTypes.string.isRequired,
+  /**
+   * Flag to determine if the CDS Developer Panel is displayed or not
+   */
+  isContextVisible: PropTypes.bool.isRequired,
+  /**
+   * Function to start a new encounter for the patient in context
+   */
+  startEncounter: PropTypes.func.isRequired,
+  /**
+   * Function to discharge the patient from the encounter in context
+   */
+  dischargePatient: PropTypes.func.isRequired,
+};
+
+export const encounterStartTriggerHandler = {
+  needExplicitTrigger: false,
+  onSystemActions: () => { },
+  onMessage: () => { },
+  generateContext: (state) => ({
+    encounterId: state.encounterState.encounterId,
+  }),
+};
+
+export const encounterDischargeTriggerHandler = {
+  ...encounterStartTriggerHandler,
+  needExplicitTrigger: types.TRIGGER_ENCOUNTER_DISCHARGE,
+};
+
+cdsExecution.registerTriggerHandler('encounter/encounter-start', encounterStartTriggerHandler);
+cdsExecution.registerTriggerHandler('encounter/encounter-discharge', encounterDischargeTriggerHandler);
+
+/**
+ * Left-hand side on the mock-EHR view for the encounter-start and encounter-discharge hooks. Services on encounter-start
+ * are invoked when the view opens and whenever a new encounter is started, and services on encounter-discharge
+ * are invoked when the patient is discharged.
+ */
+export function EncounterView(props) {
+  const isDischarge = props.hook === 'encounter-discharge';
+  const isHalfView = props.isContextVisible ? styles['half-view'] : '';
+
+  return (
+    <div className={cx(styles['encounter-view'], isHalfView)}>
+      <h1 className={styles['view-title']}>{isDischarge ? 'Encounter Discharge' : 'Encounter Start'}</h1>
+      <PatientBanner />
+      <div className={styles['encounter-data-text']}>
+        <p>
+          <strong>Encounter: </strong>
+          {' '}
+          {props.encounterId}
+          {' '}
+          <strong>Status: </strong>
+          {' '}
+          {props.status}
+        </p>
+      </div>
+      {isDischarge ? (
+        <Button text="Discharge Patient" variant="emphasis" onClick={props.dischargePatient} />
+      ) : (
+        <Button text="Start New Encounter" variant="emphasis" onClick={props.startEncounter} />
+      )}
+      <br />
+      <br />
+      <CardList
+        takeSuggestion={() => { }}
+      />
+    </div>
+  );
+}
+
+EncounterView.propTypes = propTypes;
+
+const mapStateToProps = (state) => ({
+  hook: state.hookState.currentHook,
+  isContextVisible: state.hookState.isContextVisible,
+  encounterId: state.encounterState.encounterId,
+  status: state.encounterState.status,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  startEncounter: () => {
+    dispatch(startEncounter());
+  },
+  dischargePatient: () => {
+    dispatch(dischargePatient());
+  },
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(EncounterView);
@@ -0,0 +1,178 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './exchange-diff.css';
+import { diffExchanges } from '../../reducers/helpers/exchange-diff';
+
+const propTypes = {
+  /**
+   * Flag to determine if the diff panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Time-ordered list of stored exchanges (oldest first) to pick the two compared exchanges from
+   */
+  entries: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Hash of CDS services configured in the Sandbox, used to label each exchange by service ID
+   */
+  services: PropTypes.object,
+};
+
+/**
+ * Component comparing the requests or responses of two CDS service exchanges from the history side by side.
+ * Only the paths that were added, removed or changed between exchange A and exchange B are listed.
+ */
+class ExchangeDiff extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+      /**
+       * History entry identifiers of the compared exchanges (the two latest exchanges if not picked yet)
+       */
+      entryA: null,
+      entryB: null,
+      /**
+       * Part of the exchanges to compare, either 'request' or 'response'
+       */
+      part: 'request',
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Get the history entry compared on one side, defaulting to the second latest (A) and latest (B) exchange
+   * @param {*} side - Either 'entryA' or 'entryB'
+   */
+  getEntry(side) {
+    const entries = this.props.entries || [];
+    const id = this.state[side];
+    if (id !== null) {
+      return entries.find((entry) => entry.id === id);
+    }
+    return entries[entries.length - (side === 'entryA' ? 2 : 1)];
+  }
+
+  /**
+   * Toggles the body display of the diff panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  /**
+   * Build a select field to pick the history entry compared on one side
+   * @param {*} side - Either 'entryA' or 'entryB'
+   * @param {*} label - Label of the select field
+   */
+  renderEntryPicker(side, label) {
+    const selected = this.getEntry(side);
+    return (
+      <label className={styles.picker} htmlFor={`diff-${side}`}>
+        {label}
+        <select
+          id={`diff-${side}`}
+          value={selected ? selected.id : ''}
+          onChange={(event) => this.setState({ [side]: Number(event.target.value) })}
+        >
+          {(this.props.entries || []).slice().reverse().map((entry) => {
+            const service = (this.props.services || {})[entry.url];
+            return (
+              <option key={entry.id} value={entry.id}>
+                {`#${entry.id} - ${service && service.id ? service.id : entry.url}`}
+              </option>
+            );
+          })}
+        </select>
+      </label>
+    );
+  }
+
+  renderDifferences(differences) {
+    if (!differences.length) {
+      return <p>{`No differences between the ${this.state.part}s`}</p>;
+    }
+    const format = (value) => (value === undefined ? '' : JSON.stringify(value, null, 2));
+    return (
+      <table className={styles.differences}>
+        <thead>
+          <tr>
+            <th>Path</th>
+            <th>A</th>
+            <th>B</th>
+          </tr>
+        </thead>
+        <tbody>
+          {differences.map((difference) => (
+            <tr key={difference.path} className={cx(styles.difference, styles[difference.kind])}>
+              <td className={styles.path}>{difference.path}</td>
+              <td><pre>{format(difference.before)}</pre></td>
+              <td><pre>{format(difference.after)}</pre></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const entryA = this.getEntry('entryA');
+    const entryB = this.getEntry('entryB');
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {' Compare Exchanges'}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            {entryA && entryB ? (
+              <div>
+                <div className={styles.pickers}>
+                  {this.renderEntryPicker('entryA', 'Exchange A')}
+                  {this.renderEntryPicker('entryB', 'Exchange B')}
+                  <label className={styles.picker} htmlFor="diff-part">
+                    Compare
+                    <select
+                      id="diff-part"
+                      value={this.state.part}
+                      onChange={(event) => this.setState({ part: event.target.value })}
+                    >
+                      <option value="request">Requests</option>
+                      <option value="response">Responses</option>
+                    </select>
+                  </label>
+                </div>
+                {this.renderDifferences(diffExchanges(entryA, entryB, this.state.part))}
+              </div>
+            ) : <p>At least two exchanges are needed to compare</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+ExchangeDiff.propTypes = propTypes;
+
+export default ExchangeDiff;
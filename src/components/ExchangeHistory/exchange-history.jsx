@@ -0,0 +1,200 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+import uniq from 'lodash/uniq';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Toggle from 'terra-toggle/lib/Toggle';
+import Button from 'terra-button';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './exchange-history.css';
+import { isSlowExchange, describeTimings } from '../../reducers/helpers/service-settings';
+
+const ALL = 'all';
+
+const propTypes = {
+  /**
+   * Flag to determine if the history panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Time-ordered list of stored exchanges (oldest first)
+   */
+  entries: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Hash of CDS services configured in the Sandbox, used to label each exchange by service ID
+   */
+  services: PropTypes.object,
+  /**
+   * Identifier of the history entry currently displayed in the CDS Developer Panel
+   */
+  selectedEntry: PropTypes.number,
+  /**
+   * Callback function to display a history entry (or null for the latest exchange) in the CDS Developer Panel
+   */
+  onSelectEntry: PropTypes.func.isRequired,
+};
+
+/**
+ * Component listing every CDS service exchange stored in the Sandbox, newest first. The list may be filtered
+ * by service, screen and trigger point, and any entry may be selected to display its request/response.
+ */
+class ExchangeHistory extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+      /**
+       * Filters applied to the list of history entries
+       */
+      filters: {
+        url: ALL,
+        screen: ALL,
+        triggerPoint: ALL,
+      },
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+    this.changeFilter = this.changeFilter.bind(this);
+    this.getFilteredEntries = this.getFilteredEntries.bind(this);
+  }
+
+  /**
+   * Get the history entries that match every filter applied, newest first
+   */
+  getFilteredEntries() {
+    const { filters } = this.state;
+    return (this.props.entries || [])
+      .filter((entry) => Object.keys(filters)
+        .every((key) => filters[key] === ALL || entry[key] === filters[key]))
+      .reverse();
+  }
+
+  /**
+   * Label an exchange by the ID of the service it was made with (or its URL if the service is no longer configured)
+   * @param {*} url - CDS service endpoint URL of the exchange
+   */
+  getServiceLabel(url) {
+    const service = (this.props.services || {})[url];
+    return service && service.id ? service.id : url;
+  }
+
+  /**
+   * Toggles the body display of the history panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  changeFilter(key, value) {
+    this.setState({ filters: { ...this.state.filters, [key]: value } });
+  }
+
+  /**
+   * Build a select field to filter the history entries by one of their properties
+   * @param {*} key - Property of the history entries to filter by
+   * @param {*} label - Label of the select field
+   * @param {*} display - Function returning the option text for a property value
+   */
+  renderFilter(key, label, display = (value) => value) {
+    const values = uniq((this.props.entries || []).map((entry) => entry[key]).filter((value) => value));
+    return (
+      <label className={styles.filter} htmlFor={`history-filter-${key}`}>
+        {label}
+        <select
+          id={`history-filter-${key}`}
+          value={this.state.filters[key]}
+          onChange={(event) => this.changeFilter(key, event.target.value)}
+        >
+          <option key={ALL} value={ALL}>All</option>
+          {values.map((value) => (
+            <option key={value} value={value}>{display(value)}</option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const entries = this.getFilteredEntries();
+
+    const rows = entries.map((entry) => {
+      const isSelected = entry.id === this.props.selectedEntry;
+      const time = entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString() : '';
+      return (
+        <li key={entry.id} className={cx(styles.entry, { [styles.selected]: isSelected })}>
+          <button
+            className={styles['entry-button']}
+            onClick={() => this.props.onSelectEntry(isSelected ? null : entry.id)}
+          >
+            <span className={styles['entry-id']}>{`#${entry.id}`}</span>
+            <span>{time}</span>
+            <span>{`round ${entry.exchangeRound}`}</span>
+            <span>{entry.triggerPoint || entry.screen || 'manual'}</span>
+            <span className={styles['entry-service']}>{this.getServiceLabel(entry.url)}</span>
+            <span>{entry.responseStatus || (entry.timedOut ? 'timed out' : 'no status')}</span>
+            {entry.timings ? (
+              <span
+                className={cx({ [styles.slow]: isSlowExchange(entry.timings) })}
+                title={describeTimings(entry.timings)}
+              >
+                {`${entry.timings.total} ms`}
+              </span>
+            ) : null}
+            {entry.resentFrom ? (
+              <span className={styles.resent} title="Request edited and resent from the request composer">
+                {`resent from #${entry.resentFrom}`}
+              </span>
+            ) : null}
+            {entry.stale ? (
+              <span className={styles.stale} title={`Superseded by exchange round ${entry.stale.supersededBy}`}>stale</span>
+            ) : null}
+          </button>
+        </li>
+      );
+    });
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {` History (${(this.props.entries || []).length})`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            <div className={styles.filters}>
+              {this.renderFilter('url', 'Service', (url) => this.getServiceLabel(url))}
+              {this.renderFilter('screen', 'Screen')}
+              {this.renderFilter('triggerPoint', 'Trigger Point')}
+            </div>
+            {this.props.selectedEntry ? (
+              <Button
+                text="Show Latest Exchange"
+                variant="neutral"
+                onClick={() => this.props.onSelectEntry(null)}
+              />
+            ) : null}
+            {rows.length ? <ul className={styles.entries}>{rows}</ul> : <p>No exchanges recorded</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+ExchangeHistory.propTypes = propTypes;
+
+export default ExchangeHistory;
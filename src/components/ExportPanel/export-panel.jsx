@@ -0,0 +1,147 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Button from 'terra-button';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './export-panel.css';
+import {
+  isExchangeSent, getCurlCommand, getCurlScript, getHar, getPostmanCollection,
+} from '../../reducers/helpers/exchange-export';
+
+const propTypes = {
+  /**
+   * Flag to determine if the export panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the export panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * History entry of the exchange displayed
+   */
+  exchange: PropTypes.object,
+  /**
+   * Time-ordered list of every service exchange stored (oldest first), exported as the session
+   */
+  entries: PropTypes.arrayOf(PropTypes.object),
+};
+
+/**
+ * Download a file generated in the browser
+ * @param {*} filename - Name of the file
+ * @param {*} content - Content of the file
+ * @param {*} type - MIME type of the file
+ */
+export function downloadFile(filename, content, type) {
+  const url = window.URL.createObjectURL(new window.Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Component exporting the exchange displayed, or every exchange of the session, to reproduce the calls outside the
+ * browser: as cURL commands with the signed JWT, as a HAR file including the prefetch queries made to the FHIR server,
+ * or as a Postman (or Insomnia) collection
+ */
+class ExportPanel extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Download exchanges in a format
+   * @param {*} format - Format to export the exchanges as (curl, har or postman)
+   * @param {*} entries - History entries of the exchanges
+   * @param {*} name - Name of the export (the file name, without extension, and the name of a Postman collection)
+   */
+  exportExchanges(format, entries, name) {
+    if (format === 'curl') {
+      downloadFile(`${name}.sh`, getCurlScript(entries), 'text/x-sh');
+    } else if (format === 'har') {
+      downloadFile(`${name}.har`, JSON.stringify(getHar(entries), null, 2), 'application/json');
+    } else {
+      downloadFile(`${name}.postman_collection.json`, JSON.stringify(getPostmanCollection(entries, name), null, 2), 'application/json');
+    }
+  }
+
+  /**
+   * Toggles the body display of the export panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  /**
+   * Build the buttons exporting exchanges in each format
+   * @param {*} entries - History entries of the exchanges
+   * @param {*} name - Name of the export
+   */
+  renderExportButtons(entries, name) {
+    return (
+      <div className={styles.buttons}>
+        <Button text="cURL" isCompact onClick={() => this.exportExchanges('curl', entries, name)} />
+        <Button text="HAR" isCompact onClick={() => this.exportExchanges('har', entries, name)} />
+        <Button text="Postman Collection" isCompact onClick={() => this.exportExchanges('postman', entries, name)} />
+      </div>
+    );
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const { exchange } = this.props;
+    const sessionEntries = (this.props.entries || []).filter(isExchangeSent);
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {this.props.panelHeader}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            <h2 className={styles.title}>Exchange displayed</h2>
+            {isExchangeSent(exchange) ? (
+              <div>
+                <pre className={styles.curl}>{getCurlCommand(exchange)}</pre>
+                {this.renderExportButtons([exchange], `cds-hooks-exchange-${exchange.id}`)}
+              </div>
+            ) : <p>No request sent to export: select a service that was called, or an exchange of the history</p>}
+            <h2 className={styles.title}>{`Session (${sessionEntries.length} exchanges)`}</h2>
+            {sessionEntries.length
+              ? this.renderExportButtons(sessionEntries, 'cds-hooks-session')
+              : <p>No exchanges recorded</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+ExportPanel.propTypes = propTypes;
+
+export default ExportPanel;
@@ -0,0 +1,159 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Button from 'terra-button';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './feedback-panel.css';
+
+const propTypes = {
+  /**
+   * Flag to determine if the feedback panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the feedback panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * Feedback requests sent to the CDS service in context (oldest first), with their payload, status, response and error
+   */
+  entries: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Card outcomes queued for the CDS service in context, not sent yet
+   */
+  pendingFeedback: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Flag to determine if card outcomes are queued to be sent in a single feedback request, rather than sent right away
+   */
+  isBatched: PropTypes.bool,
+  /**
+   * Function to batch card outcomes (or not)
+   */
+  onToggleBatching: PropTypes.func,
+  /**
+   * Function to send the queued card outcomes in a single feedback request
+   */
+  onSendPending: PropTypes.func,
+};
+
+/**
+ * Describe the outcome of a card in a feedback request (i.e. the suggestions accepted, or the override reason)
+ * @param {*} cardFeedback - Outcome of a card, as sent to the feedback endpoint
+ */
+function describeOutcome(cardFeedback) {
+  if (cardFeedback.outcome === 'accepted') {
+    const suggestions = (cardFeedback.acceptedSuggestions || []).map((suggestion) => suggestion.id);
+    return `accepted${suggestions.length ? ` (suggestion ${suggestions.join(', ')})` : ''}`;
+  }
+  const { reason, userComment } = cardFeedback.overrideReason || {};
+  const details = [reason ? `reason ${reason.code}` : '', userComment ? `comment "${userComment}"` : ''].filter((detail) => detail);
+  return `${cardFeedback.outcome}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Component listing the feedback requests sent to the CDS service in context, with the outcome of each card, the
+ * payload and the status (or error) of the request. Card outcomes may be batched in a single feedback request instead
+ */
+class FeedbackPanel extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+    this.onToggleBatching = this.onToggleBatching.bind(this);
+  }
+
+  /**
+   * Batches card outcomes (or not) when the checkbox is toggled
+   */
+  onToggleBatching(e) {
+    this.props.onToggleBatching(e.target.checked);
+  }
+
+  /**
+   * Toggles the body display of the feedback panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const entries = this.props.entries || [];
+    const pendingFeedback = this.props.pendingFeedback || [];
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {`${this.props.panelHeader} (${entries.length})`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            <label className={styles.batching} htmlFor="feedback-batching">
+              <input
+                id="feedback-batching"
+                type="checkbox"
+                checked={!!this.props.isBatched}
+                onChange={this.onToggleBatching}
+              />
+              {' Batch card outcomes into one feedback request'}
+            </label>
+            {this.props.isBatched || pendingFeedback.length ? (
+              <div className={styles.batching}>
+                <span>{`${pendingFeedback.length} card outcome(s) pending`}</span>
+                <span className={styles.pending}>
+                  <Button
+                    text="Send Feedback"
+                    isCompact
+                    isDisabled={!pendingFeedback.length}
+                    onClick={this.props.onSendPending}
+                  />
+                </span>
+              </div>
+            ) : null}
+            {entries.length ? entries.slice().reverse().map((entry) => (
+              <div key={entry.id} className={cx(styles.entry, entry.error ? styles.failed : styles.ok)}>
+                <div className={styles.summary}>
+                  {`#${entry.id} ${entry.timestamp} - ${entry.status ? `HTTP ${entry.status}` : 'No response'}`}
+                  {entry.historyEntry ? ` - Exchange #${entry.historyEntry}` : ''}
+                </div>
+                {entry.error ? <div className={styles.error}>{entry.error}</div> : null}
+                <ul className={styles.outcomes}>
+                  {entry.feedback.map((cardFeedback) => (
+                    <li key={`${cardFeedback.card}-${cardFeedback.outcomeTimestamp}`}>
+                      <span className={styles.card}>{cardFeedback.card}</span>
+                      {`: ${describeOutcome(cardFeedback)}`}
+                    </li>
+                  ))}
+                </ul>
+                <pre className={styles.payload}>{JSON.stringify({ feedback: entry.feedback }, null, 2)}</pre>
+              </div>
+            )) : <p>No feedback sent to this CDS service</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+FeedbackPanel.propTypes = propTypes;
+
+export default FeedbackPanel;
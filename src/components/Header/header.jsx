@@ -18,12 +18,13 @@ import ConfigureServices from '../ConfigureServices/configure-services';
 import ServicesEntry from '../ServicesEntry/services-entry';
 import PatientEntry from '../PatientEntry/patient-entry';
 import FhirServerEntry from '../FhirServerEntry/fhir-server-entry';
+import JwtSettings from '../JwtSettings/jwt-settings';
 
 import retrievePatient from '../../retrieve-data-helpers/patient-retrieval';
 import retrieveDiscoveryServices from '../../retrieve-data-helpers/discovery-services-retrieval';
 import retrieveFhirMetadata from '../../retrieve-data-helpers/fhir-metadata-retrieval';
 import callServices from '../../retrieve-data-helpers/service-exchange';
-import { setHook } from '../../actions/hook-actions';
+import { setHook, setAppLaunchMode } from '../../actions/hook-actions';
 import { toggleDemoView } from '../../actions/card-demo-actions';
 import { resetServices } from '../../actions/cds-services-actions';
 import cdsHooksLogo from '../../assets/cds-hooks-logo.png';
@@ -44,6 +45,10 @@ const propTypes = {
    * The name of the hook in context
    */
   hook: PropTypes.string.isRequired,
+  /**
+   * The name of the hook typed in on the Custom Hook view
+   */
+  customHookName: PropTypes.string.isRequired,
   /**
    * Function to set a hook in the store (i.e. 'patient-view' to 'order-select')
    */
@@ -64,6 +69,14 @@ const propTypes = {
    * Function to toggle the state of the Card Demo view or mock-EHR view
    */
   toggleCardDemoView: PropTypes.func.isRequired,
+  /**
+   * How SMART apps are launched from card links: in a new tab ('new-tab') or in the embedded app panel ('embedded')
+   */
+  appLaunchMode: PropTypes.string,
+  /**
+   * Function to set how SMART apps are launched from card links
+   */
+  setAppLaunchMode: PropTypes.func,
 };
 
 /**
@@ -96,6 +109,10 @@ export class Header extends Component {
        * Flag to determine if the Configure Services modal is open
        */
       isConfigureServicesOpen: false,
+      /**
+       * Flag to determine if the Configure JWT Signing modal is open
+       */
+      isJwtSettingsOpen: false,
     };
 
     this.switchHook = this.switchHook.bind(this);
@@ -113,6 +130,9 @@ export class Header extends Component {
     this.closeChangeFhirServer = this.closeChangeFhirServer.bind(this);
     this.openConfigureServices = this.openConfigureServices.bind(this);
     this.closeConfigureServices = this.closeConfigureServices.bind(this);
+    this.openJwtSettings = this.openJwtSettings.bind(this);
+    this.closeJwtSettings = this.closeJwtSettings.bind(this);
+    this.toggleAppLaunchMode = this.toggleAppLaunchMode.bind(this);
 
     this.resetConfiguration = this.resetConfiguration.bind(this);
   }
@@ -154,7 +174,10 @@ export class Header extends Component {
       this.props.dispatch({ type: 'EXPLICIT_HOOK_TRIGGER' });
 
       // TODO cut this logic out and use generic handers as for pama
-      if (services && Object.keys(services).length) {
+      // The encounter, order dispatch and custom hook screens only invoke their services through their trigger handlers,
+      // which generate the context these hooks require (i.e. the encounterId)
+      const isHandledByTriggers = ['encounter-start', 'encounter-discharge', 'order-dispatch', 'custom-hook'].includes(screen);
+      if (!isHandledByTriggers && services && Object.keys(services).length) {
         forIn(services, (val, key) => {
           // If the tab is clicked again, make sure the Sandbox is qualified to call out to EHR's based
           // on current context (i.e. for the Rx View, ensure a medication has been prescribed before
@@ -204,6 +227,13 @@ export class Header extends Component {
 
   closeConfigureServices() { this.setState({ isConfigureServicesOpen: false }); }
 
+  openJwtSettings() {
+    this.setState({ isJwtSettingsOpen: true });
+    if (this.state.settingsOpen) { this.closeSettingsMenu(); }
+  }
+
+  closeJwtSettings() { this.setState({ isJwtSettingsOpen: false }); }
+
   openAddServices() {
     this.setState({ isAddServicesOpen: true });
     if (this.state.settingsOpen) {
@@ -251,6 +281,14 @@ export class Header extends Component {
 
   closeChangeFhirServer() { this.setState({ isChangeFhirServerOpen: false }); }
 
+  /**
+   * Switch between launching SMART apps from card links in a new tab and in the embedded app panel
+   */
+  toggleAppLaunchMode() {
+    this.props.setAppLaunchMode(this.props.appLaunchMode === 'embedded' ? 'new-tab' : 'embedded');
+    this.closeSettingsMenu();
+  }
+
   render() {
     // Title and Logo
     const logo = (
@@ -264,6 +302,7 @@ export class Header extends Component {
     let menuItems = [
       <Menu.Item className={styles['add-services']} text="Add CDS Services" key="add-services" onClick={this.openAddServices} />,
       <Menu.Item className={styles['configure-services']} text="Configure CDS Services" key="configure-services" onClick={this.openConfigureServices} />,
+      <Menu.Item className={styles['configure-jwt']} text="Configure JWT Signing" key="configure-jwt" onClick={this.openJwtSettings} />,
       <Menu.Divider className={styles['divider-1']} key="Divider1" />,
       <Menu.Item className={styles['change-patient']} text="Change Patient" key="change-patient" onClick={this.openChangePatient} />,
     ];
@@ -272,6 +311,15 @@ export class Header extends Component {
     }
     menuItems = menuItems.concat([
       <Menu.Divider className={styles['divider-2']} key="Divider2" />,
+      <Menu.Item
+        className={styles['embed-apps']}
+        text="Embed SMART Apps"
+        key="embed-apps"
+        isToggleable
+        isToggled={this.props.appLaunchMode === 'embedded'}
+        onClick={this.toggleAppLaunchMode}
+      />,
+      <Menu.Divider className={styles['divider-3']} key="Divider3" />,
       <Menu.Item className={styles['reset-configuration']} text="Reset Configuration" key="reset-configuration" onClick={this.resetConfiguration} />,
     ]);
 
@@ -295,6 +343,10 @@ export class Header extends Component {
           <button className={this.getNavClasses('rx-view')} onClick={() => this.switchHook('order-select', 'rx-view')}>Rx View</button>
           <button className={this.getNavClasses('rx-sign')} onClick={() => this.switchHook('order-sign', 'rx-sign')}>Rx Sign</button>
           <button className={this.getNavClasses('pama')} onClick={() => this.switchHook('order-select', 'pama')}>PAMA Imaging</button>
+          <button className={this.getNavClasses('encounter-start')} onClick={() => this.switchHook('encounter-start')}>Encounter Start</button>
+          <button className={this.getNavClasses('encounter-discharge')} onClick={() => this.switchHook('encounter-discharge')}>Encounter Discharge</button>
+          <button className={this.getNavClasses('order-dispatch')} onClick={() => this.switchHook('order-dispatch')}>Order Dispatch</button>
+          <button className={this.getNavClasses('custom-hook')} onClick={() => this.switchHook(this.props.customHookName, 'custom-hook')}>Custom Hook</button>
         </div>
       </div>
     );
@@ -342,6 +394,12 @@ export class Header extends Component {
             closePrompt={this.closeConfigureServices}
           />
         ) : null}
+        {this.state.isJwtSettingsOpen ? (
+          <JwtSettings
+            isOpen={this.state.isJwtSettingsOpen}
+            closePrompt={this.closeJwtSettings}
+          />
+        ) : null}
         {this.state.isChangePatientOpen ? (
           <PatientEntry
             isOpen={this.state.isChangePatientOpen}
@@ -366,9 +424,11 @@ Header.propTypes = propTypes;
 const mapStateToProps = (appStore) => ({
   hook: appStore.hookState.currentHook,
   screen: appStore.hookState.currentScreen,
+  customHookName: appStore.customHookState.hookName,
   patientId: appStore.patientState.currentPatient.id,
   isCardDemoView: appStore.cardDemoState.isCardDemoView,
   isSecuredSandbox: appStore.fhirServerState.accessToken,
+  appLaunchMode: appStore.hookState.appLaunchMode,
 });
 
 const mapDispatchToProps = (dispatch) => ({
@@ -381,6 +441,9 @@ const mapDispatchToProps = (dispatch) => ({
   resetServices: () => {
     dispatch(resetServices());
   },
+  setAppLaunchMode: (mode) => {
+    dispatch(setAppLaunchMode(mode));
+  },
   dispatch,
 });
 
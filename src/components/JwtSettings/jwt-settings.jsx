@@ -0,0 +1,309 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+
+import Modal from 'terra-modal';
+import Button from 'terra-button';
+import Dialog from 'terra-dialog';
+import Spacer from 'terra-spacer';
+import Text from 'terra-text';
+
+import styles from './jwt-settings.css';
+import {
+  DEFAULT_JWT_SETTINGS, SIGNING_ALGORITHMS, generateKeyPair, importPrivateKey,
+} from '../../retrieve-data-helpers/jwt-generator';
+import registerPublicKey, { getLocalJwksUrl } from '../../retrieve-data-helpers/jwks-registration';
+import { updateJwtSettings, resetJwtSettings } from '../../actions/jwt-settings-actions';
+
+const uuid = require('uuid/v4');
+
+const propTypes = {
+  /**
+   * Settings the Sandbox signs JWTs with (issuer, algorithm, kid, jku and key pair)
+   */
+  settings: PropTypes.object.isRequired,
+  /**
+   * Flag to determine if the modal is open or not
+   */
+  isOpen: PropTypes.bool,
+  /**
+   * Callback function to close the modal once the settings are saved, or when the user cancels out of the modal
+   */
+  closePrompt: PropTypes.func,
+  /**
+   * Function to store the signing settings
+   */
+  updateJwtSettings: PropTypes.func.isRequired,
+  /**
+   * Function to go back to signing JWTs with the issuer and key pair of the Sandbox
+   */
+  resetJwtSettings: PropTypes.func.isRequired,
+};
+
+/**
+ * Modal to configure how the Sandbox signs the JWTs sent to CDS services (on discovery, service calls and feedback):
+ * the issuer, the algorithm (ES384 or RS384), the key pair (the key pair of the Sandbox, a generated key pair or an
+ * imported private key) and the kid and jku in the JWT header. The public key of a generated or imported key pair is
+ * registered in the JWKS served by the Sandbox, which is the default jku for such key pairs.
+ */
+export class JwtSettings extends Component {
+  constructor(props) {
+    super(props);
+
+    const {
+      issuer, algorithm, kid, jku, privateKey, publicJwk,
+    } = props.settings;
+    this.state = {
+      /**
+       * Flag to determine if the component is open or closed
+       */
+      isOpen: Boolean(props.isOpen),
+      /**
+       * Signing settings being edited, only stored once the user saves them
+       */
+      issuer,
+      algorithm,
+      kid,
+      jku: jku || '',
+      privateKey,
+      publicJwk,
+      /**
+       * PEM encoded private key pasted in by the user to import
+       */
+      keyInput: '',
+      /**
+       * Message to display in an error field on the modal
+       */
+      errorMessage: '',
+    };
+
+    this.handleCloseModal = this.handleCloseModal.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleAlgorithmChange = this.handleAlgorithmChange.bind(this);
+    this.handleGenerateKeyPair = this.handleGenerateKeyPair.bind(this);
+    this.handleImportKey = this.handleImportKey.bind(this);
+    this.handleUseSandboxKey = this.handleUseSandboxKey.bind(this);
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+  }
+
+  static getDerivedStateFromProps(nextProps, prevState) {
+    if (nextProps.isOpen !== prevState.isOpen) {
+      return ({ isOpen: nextProps.isOpen });
+    }
+    return null;
+  }
+
+  handleCloseModal() {
+    this.setState({ isOpen: false, errorMessage: '' });
+    if (this.props.closePrompt) { this.props.closePrompt(); }
+  }
+
+  handleChange(e) {
+    this.setState({ [e.target.name]: e.target.value });
+  }
+
+  /**
+   * A key pair only signs with the algorithm it was generated or imported for, so changing the algorithm drops it
+   */
+  handleAlgorithmChange(e) {
+    this.setState({
+      algorithm: e.target.value,
+      privateKey: null,
+      publicJwk: null,
+      errorMessage: '',
+    });
+  }
+
+  handleGenerateKeyPair() {
+    this.useKeyPair(generateKeyPair(this.state.algorithm));
+  }
+
+  handleImportKey() {
+    try {
+      this.useKeyPair(importPrivateKey(this.state.keyInput, this.state.algorithm));
+      this.setState({ keyInput: '' });
+    } catch (err) {
+      this.setState({ errorMessage: err.message });
+    }
+  }
+
+  handleUseSandboxKey() {
+    this.setState({
+      algorithm: DEFAULT_JWT_SETTINGS.algorithm,
+      kid: DEFAULT_JWT_SETTINGS.kid,
+      jku: DEFAULT_JWT_SETTINGS.jku,
+      privateKey: null,
+      publicJwk: null,
+      errorMessage: '',
+    });
+  }
+
+  /**
+   * Store the signing settings and register the public key of a configured key pair in the JWKS of the Sandbox,
+   * closing the modal once done. Errors in the settings or from the registration are displayed on the modal
+   */
+  async handleSubmit() {
+    const settings = {
+      issuer: this.state.issuer.trim(),
+      algorithm: this.state.algorithm,
+      kid: this.state.kid.trim(),
+      jku: this.state.jku.trim(),
+      privateKey: this.state.privateKey,
+      publicJwk: this.state.publicJwk,
+    };
+    if (!settings.issuer || !settings.kid) {
+      this.setState({ errorMessage: 'Enter the issuer and the kid of the JWTs' });
+      return;
+    }
+    if (!settings.privateKey && settings.algorithm !== DEFAULT_JWT_SETTINGS.algorithm) {
+      this.setState({
+        errorMessage: `The key pair of the Sandbox is an ${DEFAULT_JWT_SETTINGS.algorithm} key pair: generate or import a key pair for ${settings.algorithm}`,
+      });
+      return;
+    }
+    this.props.updateJwtSettings(settings);
+    try {
+      await registerPublicKey(settings);
+      this.handleCloseModal();
+    } catch (err) {
+      this.setState({
+        errorMessage: 'The settings are saved, but the public key could not be registered in the JWKS of the Sandbox. See console for details.',
+      });
+      console.error('Could not register the public key in the JWKS of the Sandbox', err);
+    }
+  }
+
+  handleReset() {
+    this.props.resetJwtSettings();
+    this.handleCloseModal();
+  }
+
+  /**
+   * Sign with a generated or imported key pair. The kid and jku of the Sandbox key pair would point services to the
+   * wrong key, so they are switched to a new kid and to the JWKS served by the Sandbox
+   * @param {*} keyPair - Object with the private key (PEM) and public key (JWK)
+   */
+  useKeyPair(keyPair) {
+    this.setState((prevState) => ({
+      ...keyPair,
+      kid: prevState.kid === DEFAULT_JWT_SETTINGS.kid ? uuid() : prevState.kid,
+      jku: prevState.jku === DEFAULT_JWT_SETTINGS.jku ? getLocalJwksUrl() : prevState.jku,
+      errorMessage: '',
+    }));
+  }
+
+  render() {
+    const headerContainer = (
+      <Text weight={700} fontSize={20}>Configure JWT Signing</Text>
+    );
+
+    const footerContainer = (
+      <div className={styles['right-align']}>
+        <div className={styles['left-aligned-text']}>
+          <Button
+            text="Reset to default signing settings"
+            variant="de-emphasis"
+            onClick={this.handleReset}
+          />
+        </div>
+        <Button text="Save" variant="emphasis" onClick={this.handleSubmit} />
+        <Spacer marginLeft="small" isInlineBlock>
+          <Button text="Cancel" onClick={this.handleCloseModal} />
+        </Spacer>
+      </div>
+    );
+
+    const keyPairDescription = this.state.privateKey ? (
+      <div>
+        <p>
+          {`Signing with a configured ${this.state.algorithm} key pair. Public key, registered in the JWKS of the Sandbox at ${getLocalJwksUrl()} on save:`}
+        </p>
+        <pre className={styles['public-jwk']}>{JSON.stringify(this.state.publicJwk, null, 2)}</pre>
+        <Button text="Use the Sandbox key pair" variant="de-emphasis" onClick={this.handleUseSandboxKey} />
+      </div>
+    ) : (
+      <p>{`Signing with the key pair of the Sandbox (${DEFAULT_JWT_SETTINGS.algorithm}), published at ${DEFAULT_JWT_SETTINGS.jku}.`}</p>
+    );
+
+    return (
+      <div>
+        <Modal
+          ariaLabel="JWT Signing"
+          isOpen={this.state.isOpen}
+          closeOnEsc
+          closeOnOutsideClick
+          onRequestClose={this.handleCloseModal}
+          classNameModal={styles['fixed-size']}
+        >
+          <Dialog
+            header={headerContainer}
+            footer={footerContainer}
+            onClose={this.handleCloseModal}
+          >
+            <div className={styles.settings}>
+              <label htmlFor="jwt-issuer" className={styles.field}>
+                <strong>Issuer (iss)</strong>
+                <input id="jwt-issuer" name="issuer" type="text" value={this.state.issuer} onChange={this.handleChange} />
+              </label>
+              <label htmlFor="jwt-algorithm" className={styles.field}>
+                <strong>Algorithm (alg)</strong>
+                <select id="jwt-algorithm" name="algorithm" value={this.state.algorithm} onChange={this.handleAlgorithmChange}>
+                  {Object.keys(SIGNING_ALGORITHMS).map((algorithm) => (
+                    <option key={algorithm} value={algorithm}>{algorithm}</option>
+                  ))}
+                </select>
+              </label>
+              <label htmlFor="jwt-kid" className={styles.field}>
+                <strong>Key ID (kid)</strong>
+                <input id="jwt-kid" name="kid" type="text" value={this.state.kid} onChange={this.handleChange} />
+              </label>
+              <label htmlFor="jwt-jku" className={styles.field}>
+                <strong>JWKS URL (jku, optional)</strong>
+                <input id="jwt-jku" name="jku" type="text" value={this.state.jku} onChange={this.handleChange} />
+              </label>
+              <h2 className={styles['section-title']}>Key Pair</h2>
+              <p className={styles.warning}>
+                The private key of a generated or imported key pair is saved in plain text in the local storage of this
+                browser, to sign JWTs with after a reload. Only use key pairs dedicated to testing with the Sandbox.
+              </p>
+              {keyPairDescription}
+              <Button text={`Generate ${this.state.algorithm} Key Pair`} onClick={this.handleGenerateKeyPair} />
+              <label htmlFor="jwt-private-key" className={styles.field}>
+                <strong>Or import a PEM encoded private key</strong>
+                <textarea
+                  id="jwt-private-key"
+                  name="keyInput"
+                  rows={6}
+                  value={this.state.keyInput}
+                  onChange={this.handleChange}
+                />
+              </label>
+              <Button text="Import Private Key" isDisabled={!this.state.keyInput.trim()} onClick={this.handleImportKey} />
+              {this.state.errorMessage ? <p className={styles.error}>{this.state.errorMessage}</p> : null}
+            </div>
+          </Dialog>
+        </Modal>
+      </div>
+    );
+  }
+}
+
+JwtSettings.propTypes = propTypes;
+
+const mapStateToProps = (store) => ({
+  settings: store.jwtSettingsState,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  updateJwtSettings: (settings) => {
+    dispatch(updateJwtSettings(settings));
+  },
+  resetJwtSettings: () => {
+    dispatch(resetJwtSettings());
+  },
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(JwtSettings);
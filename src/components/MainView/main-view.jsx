@@ -8,6 +8,7 @@ import smartLaunchPromise from '../../retrieve-data-helpers/smart-launch';
 import retrieveFhirMetadata from '../../retrieve-data-helpers/fhir-metadata-retrieval';
 import retrievePatient from '../../retrieve-data-helpers/patient-retrieval';
 import retrieveDiscoveryServices from '../../retrieve-data-helpers/discovery-services-retrieval';
+import registerPublicKey from '../../retrieve-data-helpers/jwks-registration';
 
 import styles from './main-view.css';
 import Header from '../Header/header';
@@ -15,12 +16,27 @@ import PatientView from '../PatientView/patient-view';
 import RxView from '../RxView/rx-view';
 import RxSign from '../RxSign/rx-sign';
 import Pama from '../Pama/pama';
+import EncounterView from '../EncounterView/encounter-view';
+import OrderDispatch from '../OrderDispatch/order-dispatch';
+import CustomHook from '../CustomHook/custom-hook';
 import ContextView from '../ContextView/context-view';
+import EmbeddedApp from '../EmbeddedApp/embedded-app';
 import FhirServerEntry from '../FhirServerEntry/fhir-server-entry';
 import PatientEntry from '../PatientEntry/patient-entry';
 import CardDemo from '../CardDemo/card-demo';
 import { setLoadingStatus } from '../../actions/ui-actions';
 import { setHook } from '../../actions/hook-actions';
+import { setEncounter } from '../../actions/encounter-actions';
+
+// Hooks that may be set from the hook URL query parameter, and the screen each opens on when no screen is specified
+const hookScreens = {
+  'patient-view': 'patient-view',
+  'order-select': 'rx-view',
+  'order-sign': 'rx-sign',
+  'encounter-start': 'encounter-start',
+  'encounter-discharge': 'encounter-discharge',
+  'order-dispatch': 'order-dispatch',
+};
 
 const propTypes = {
   /**
@@ -44,6 +60,20 @@ const propTypes = {
    * Function to call when setting the isLoadingData store property, which determines displaying a loading spinner or not
    */
   setLoadingStatus: PropTypes.func.isRequired,
+  /**
+   * Function to call when setting the encounter in context from the encounterId URL query parameter
+   */
+  setEncounter: PropTypes.func.isRequired,
+  /**
+   * Settings the Sandbox signs JWTs with, whose public key (if a key pair is configured) is registered in the JWKS of the
+   * Sandbox on startup
+   */
+  jwtSettings: PropTypes.shape({
+    kid: PropTypes.string,
+    algorithm: PropTypes.string,
+    privateKey: PropTypes.string,
+    publicJwk: PropTypes.shape({}),
+  }),
 };
 
 /**
@@ -103,7 +133,8 @@ export class MainView extends Component {
    *   1. Initiate SMART App launch (if applicable, so the user may use a secured FHIR server)
    *   2. Retrieve FHIR server in context (from URL param, local storage, or default configured)
    *   3. Retrieve Patient in context (from URL param, local storage, or default configured)
-   *   4. Retrieve CDS Services in context (from URL param, local storage, or default configured)
+   *   4. Register the public key of a configured JWT signing key pair in the JWKS of the Sandbox (if applicable)
+   *   5. Retrieve CDS Services in context (from URL param, local storage, or default configured)
    *   Finally, load the application UI
    *
    *   ERROR scenarios: If any errors occur, display an input box for the user to specify FHIR server or
@@ -112,17 +143,22 @@ export class MainView extends Component {
   async componentDidMount() {
     // Set the loading spinner face-up
     this.props.setLoadingStatus(true);
-    const validHooks = ['patient-view', 'order-select', 'order-sign'];
     let parsedHook = this.getQueryParam('hook');
     const parsedScreen = this.getQueryParam('screen');
-    if (validHooks.indexOf(parsedHook) < 0) {
+    // Any hook may be set on the Custom Hook view
+    if (!hookScreens[parsedHook] && !(parsedHook && parsedScreen === 'custom-hook')) {
       parsedHook = null;
     }
     // Set the hook in context
     this.props.setHook(
       parsedHook || localStorage.getItem('PERSISTED_hook') || 'patient-view',
-      parsedScreen || localStorage.getItem('PERSISTED_screen') || 'patient-view',
+      parsedScreen || hookScreens[parsedHook] || localStorage.getItem('PERSISTED_screen') || 'patient-view',
     );
+    // Set the encounter in context for the encounter hooks, if specified
+    const parsedEncounter = this.getQueryParam('encounterId');
+    if (parsedEncounter) {
+      this.props.setEncounter(parsedEncounter);
+    }
 
     // Execute the SMART app launch sequence to grab a FHIR access token and SMART context (if applicable)
     await smartLaunchPromise().catch(async () => {
@@ -155,6 +191,13 @@ export class MainView extends Component {
     if (this.state.patientPrompt) {
       this.setState({ patientPrompt: false });
     }
+    // Publish the configured signing key before services receive JWTs signed with it
+    if (this.props.jwtSettings) {
+      await registerPublicKey(this.props.jwtSettings).catch((err) => {
+        console.error('Could not register the public key of the JWT signing settings in the JWKS of the Sandbox', err);
+      });
+    }
+
     // Grab any potential CDS services from the URL at the query param: serviceDiscoveryURL
     const parsedDiscoveryEndpoints = this.getQueryParam('serviceDiscoveryURL');
     if (parsedDiscoveryEndpoints) {
@@ -218,12 +261,17 @@ export class MainView extends Component {
       'rx-view': <RxView />,
       'rx-sign': <RxSign />,
       pama: <Pama />,
+      'encounter-start': <EncounterView />,
+      'encounter-discharge': <EncounterView />,
+      'order-dispatch': <OrderDispatch />,
+      'custom-hook': <CustomHook />,
     }[this.props.screen];
 
     const container = !this.props.isCardDemoView ? (
       <div className={styles.container}>
         {hookView}
         <ContextView />
+        <EmbeddedApp />
       </div>
     ) : (
       <div className={styles.container}>
@@ -266,6 +314,7 @@ const mapStateToProps = (store) => ({
   screen: store.hookState.currentScreen,
   isLoadingData: store.hookState.isLoadingData,
   isCardDemoView: store.cardDemoState.isCardDemoView,
+  jwtSettings: store.jwtSettingsState,
 });
 
 const mapDispatchToProps = (dispatch) => ({
@@ -275,6 +324,9 @@ const mapDispatchToProps = (dispatch) => ({
   setHook: (...args) => {
     dispatch(setHook(...args));
   },
+  setEncounter: (encounterId) => {
+    dispatch(setEncounter(encounterId));
+  },
 });
 
 export default connect(
@@ -10,8 +10,6 @@ import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
 
 import styles from './message-panel.css';
 
-const uuid = require('uuid/v4');
-
 const propTypes = {
   /**
    * Flag to determine if the message panel is collapsed or expanded
@@ -25,7 +23,8 @@ const propTypes = {
 };
 
 /**
- * Component representing a Message panel
+ * Component representing a Message panel, listing the SMART Web Messages received from apps. Messages are replied to by
+ * the SMART Web Messaging host of the Sandbox (see middleware/smart-web-messaging)
  */
 class MessagePanel extends Component {
   constructor(props) {
@@ -37,7 +36,6 @@ class MessagePanel extends Component {
     });
 
     this.addMessage = this.addMessage.bind(this);
-    this.replyMessage = this.replyMessage.bind(this);
     this.toggleExpansion = this.toggleExpansion.bind(this);
   }
 
@@ -49,32 +47,6 @@ class MessagePanel extends Component {
     window.removeEventListener('message', this.addMessage);
   }
 
-  replyMessage(event) {
-    let payloadStructure;
-
-    const messageTarget = event.data.messageType.split('.');
-    if (messageTarget[0] === 'scratchpad') {
-      payloadStructure = {
-        status: 200,
-        location: 'https://resource-location/',
-        outcome: 'Success',
-      };
-    } else if (messageTarget[0] === 'ui') {
-      payloadStructure = {
-        success: true,
-        details: 'Success',
-      };
-    }
-
-    const msgStructure = {
-      messageId: uuid(),
-      responseToMessageId: event.data.messageId,
-      payload: payloadStructure,
-    };
-
-    event.source.postMessage(msgStructure, event.origin);
-  }
-
   isActionableMessage(event) {
     // Ignore the event, if it doesn't meet our expectations.
     if (!event.data) { return false; }
@@ -91,7 +63,7 @@ class MessagePanel extends Component {
     }
 
     const messageTarget = event.data.messageType.split('.');
-    if (!['scratchpad', 'ui'].includes(messageTarget[0])) {
+    if (!['scratchpad', 'ui', 'status'].includes(messageTarget[0])) {
       console.warn(`Unknown message type '${messageTarget[0]}.`);
       return false;
     }
@@ -104,7 +76,6 @@ class MessagePanel extends Component {
       const message = JSON.stringify(event.data, null, 2);
       // TODO(issue#129): convert this to a stack so newer messages are on top.
       this.setState({ messages: [...this.state.messages, message] });
-      this.replyMessage(event);
     }
   }
 
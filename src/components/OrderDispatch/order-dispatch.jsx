@@ -0,0 +1,138 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import cx from 'classnames';
+import Button from 'terra-button';
+
+import CardList from '../CardList/card-list';
+import PatientBanner from '../PatientBanner/patient-banner';
+import styles from './order-dispatch.css';
+import cdsExecution from '../../middleware/cds-execution';
+import * as types from '../../actions/action-types';
+import { selectPerformer, dispatchOrders } from '../../actions/order-dispatch-actions';
+
+/**
+ * Mock performers the orders in context may be dispatched to
+ */
+export const PERFORMERS = [
+  { reference: 'Organization/example-lab', display: 'Example Reference Laboratory' },
+  { reference: 'Organization/example-imaging', display: 'Example Imaging Center' },
+  { reference: 'Practitioner/example-practitioner', display: 'Example Practitioner' },
+];
+
+const propTypes = {
+  /**
+   * References of the orders being dispatched (i.e. ServiceRequest/example-dispatch-id)
+   */
+  dispatchedOrders: PropTypes.arrayOf(PropTypes.string).isRequired,
+  /**
+   * Reference of the performer the orders are dispatched to
+   */
+  performer: PropTypes.string.isRequired,
+  /**
+   * Flag to determine if the orders have been dispatched to the selected performer
+   */
+  isDispatched: PropTypes.bool.isRequired,
+  /**
+   * Flag to determine if the CDS Developer Panel is displayed or not
+   */
+  isContextVisible: PropTypes.bool.isRequired,
+  /**
+   * Function to select the performer the orders are dispatched to
+   */
+  selectPerformer: PropTypes.func.isRequired,
+  /**
+   * Function to dispatch the orders to the selected performer
+   */
+  dispatchOrders: PropTypes.func.isRequired,
+};
+
+export const orderDispatchTriggerHandler = {
+  needExplicitTrigger: types.TRIGGER_ORDER_DISPATCH,
+  onSystemActions: () => { },
+  onMessage: () => { },
+  generateContext: (state) => {
+    const { dispatchedOrders, performer } = state.orderDispatchState;
+    return {
+      dispatchedOrders,
+      performer,
+      fulfillmentTasks: dispatchedOrders.map((order, index) => ({
+        resourceType: 'Task',
+        id: `example-task-${index + 1}`,
+        status: 'requested',
+        intent: 'order',
+        focus: { reference: order },
+        for: { reference: `Patient/${state.patientState.currentPatient.id}` },
+        owner: { reference: performer },
+      })),
+    };
+  },
+};
+
+cdsExecution.registerTriggerHandler('order-dispatch/order-dispatch', orderDispatchTriggerHandler);
+
+/**
+ * Left-hand side on the mock-EHR view for the order-dispatch hook, where the orders in context are dispatched
+ * to a performer (i.e. a laboratory), which invokes the services on the order-dispatch hook
+ */
+export function OrderDispatch(props) {
+  const isHalfView = props.isContextVisible ? styles['half-view'] : '';
+
+  return (
+    <div className={cx(styles['order-dispatch'], isHalfView)}>
+      <h1 className={styles['view-title']}>Order Dispatch</h1>
+      <PatientBanner />
+      <div className={styles['dispatch-data-text']}>
+        <p>
+          <strong>Orders: </strong>
+          {' '}
+          {props.dispatchedOrders.join(', ')}
+        </p>
+      </div>
+      <label htmlFor="dispatch-performer" className={styles.performer}>
+        <strong>Performer: </strong>
+        <select
+          id="dispatch-performer"
+          value={props.performer}
+          onChange={(e) => props.selectPerformer(e.target.value)}
+        >
+          {PERFORMERS.map((performer) => (
+            <option key={performer.reference} value={performer.reference}>
+              {`${performer.display} (${performer.reference})`}
+            </option>
+          ))}
+        </select>
+      </label>
+      <Button
+        text={props.isDispatched ? 'Dispatch Order Again' : 'Dispatch Order'}
+        variant="emphasis"
+        onClick={props.dispatchOrders}
+      />
+      <br />
+      <br />
+      <CardList
+        takeSuggestion={() => { }}
+      />
+    </div>
+  );
+}
+
+OrderDispatch.propTypes = propTypes;
+
+const mapStateToProps = (state) => ({
+  isContextVisible: state.hookState.isContextVisible,
+  dispatchedOrders: state.orderDispatchState.dispatchedOrders,
+  performer: state.orderDispatchState.performer,
+  isDispatched: state.orderDispatchState.isDispatched,
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  selectPerformer: (performer) => {
+    dispatch(selectPerformer(performer));
+  },
+  dispatchOrders: () => {
+    dispatch(dispatchOrders());
+  },
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(OrderDispatch);
@@ -13,6 +13,7 @@ import PatientBanner from '../PatientBanner/patient-banner';
 import styles from './pama.css';
 import cdsExecution from '../../middleware/cds-execution';
 import * as types from '../../actions/action-types';
+import { PAMA_DRAFT_REFERENCE } from '../../reducers/pama-reducers';
 
 import allProcedures from '../../assets/pama-procedure-codes.json';
 import allReasons from '../../assets/pama-reason-codes.json';
@@ -111,14 +112,14 @@ export const pamaTriggerHandler = {
     }
   },
   generateContext: (state) => ({
-    selections: ['ServiceRequest/example-request-id'],
+    selections: [PAMA_DRAFT_REFERENCE],
     draftOrders: {
       resourceType: 'Bundle',
       entry: [
         {
           resource: {
             resourceType: 'ServiceRequest',
-            id: 'example-request-id',
+            id: PAMA_DRAFT_REFERENCE.split('/')[1],
             status: 'draft',
             intent: 'plan',
             code: {
@@ -247,6 +248,7 @@ export class Pama extends Component {
         <br />
         <CardList
           takeSuggestion={this.props.takeSuggestion}
+          formDraftReferences={[PAMA_DRAFT_REFERENCE]}
           onAppLaunch={this.props.launchApp}
         />
       </div>
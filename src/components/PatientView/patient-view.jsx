@@ -8,6 +8,7 @@ import cx from 'classnames';
 import CardList from '../CardList/card-list';
 import styles from './patient-view.css';
 import cdsExecution from '../../middleware/cds-execution';
+import { applySystemActions } from '../../actions/scratchpad-actions';
 
 const propTypes = {
   /**
@@ -22,7 +23,9 @@ const propTypes = {
 
 cdsExecution.registerTriggerHandler('face-sheet/patient-view', {
   needExplicitTrigger: false,
-  onSystemActions: () => { },
+  onSystemActions: (systemActions, state, dispatch, serviceUrl) => {
+    dispatch(applySystemActions(systemActions, serviceUrl));
+  },
   onMessage: () => { },
   generateContext: () => ({ }), // no special context
 });
@@ -0,0 +1,136 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './prefetch-panel.css';
+import { PREFETCH_MODES } from '../../reducers/helpers/service-settings';
+
+const propTypes = {
+  /**
+   * Flag to determine if the prefetch panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the prefetch panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * Prefetch queries made for an exchange, with the resolved URL, HTTP method, status, duration, result count and error
+   */
+  prefetchLog: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Prefetch mode the exchange was made with (i.e. full, none, partial or null)
+   */
+  prefetchMode: PropTypes.string,
+};
+
+/**
+ * Component listing every prefetch query made for a CDS service exchange, so that a prefetch key missing from
+ * the request (a failed query or an unresolved template) can be told apart from an empty search result
+ */
+class PrefetchPanel extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Toggles the body display of the prefetch panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  renderQuery(query) {
+    let outcome = 'ok';
+    if (query.error) {
+      outcome = query.attempts.length ? 'failed' : 'skipped';
+    } else if (!query.resultCount) {
+      outcome = 'empty';
+    }
+    // Earlier attempts of the query, i.e. a POST _search the Sandbox fell back from to a GET
+    const fallbacks = query.attempts.slice(0, -1).map((attempt) => (
+      `${attempt.method} ${attempt.url} failed (${attempt.status || 'no status'}): ${attempt.error}`
+    ));
+
+    return [
+      <tr key={query.key} className={cx(styles.query, styles[outcome])}>
+        <td className={styles.key}>{query.key}</td>
+        <td>{query.method || '-'}</td>
+        <td>{query.status || '-'}</td>
+        <td>{query.duration === null ? '-' : `${query.duration} ms`}</td>
+        <td>{query.resultCount === null ? '-' : query.resultCount}</td>
+        <td className={styles.url}>{query.url || query.template}</td>
+      </tr>,
+      fallbacks.length || query.error ? (
+        <tr key={`${query.key}-notes`} className={styles.notes}>
+          <td colSpan={6}>
+            {fallbacks.map((fallback) => <div key={fallback}>{fallback}</div>)}
+            {query.error ? <div className={styles.error}>{query.error}</div> : null}
+          </td>
+        </tr>
+      ) : null,
+    ];
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const prefetchLog = this.props.prefetchLog || [];
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {`${this.props.panelHeader} (${prefetchLog.length})`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            {this.props.prefetchMode ? (
+              <p className={styles.mode}>{`Prefetch mode: ${PREFETCH_MODES[this.props.prefetchMode]}`}</p>
+            ) : null}
+            {prefetchLog.length ? (
+              <table className={styles.queries}>
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Method</th>
+                    <th>Status</th>
+                    <th>Time</th>
+                    <th>Results</th>
+                    <th>URL</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {prefetchLog.map((query) => this.renderQuery(query))}
+                </tbody>
+              </table>
+            ) : <p>No prefetch queries made</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+PrefetchPanel.propTypes = propTypes;
+
+export default PrefetchPanel;
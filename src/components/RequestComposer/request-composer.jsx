@@ -0,0 +1,190 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Button from 'terra-button';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './request-composer.css';
+
+const propTypes = {
+  /**
+   * Flag to determine if the request composer is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the request composer header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * Request of the exchange displayed, loaded in the editor
+   */
+  request: PropTypes.object,
+  /**
+   * CDS service the request was sent to, the default URL to resend it to
+   */
+  serviceUrl: PropTypes.string,
+  /**
+   * URLs of the configured CDS services, suggested as URLs to resend the request to
+   */
+  serviceUrls: PropTypes.arrayOf(PropTypes.string),
+  /**
+   * Function to resend the edited request, given the URL to send it to and the request
+   */
+  onResend: PropTypes.func,
+};
+
+/**
+ * Get the editor content and URL to load for a request
+ * @param {*} request - Request of the exchange displayed
+ * @param {*} serviceUrl - CDS service the request was sent to
+ */
+function loadRequest(request, serviceUrl) {
+  return {
+    source: request,
+    text: request ? JSON.stringify(request, null, 2) : '',
+    url: serviceUrl || '',
+    errorMessage: '',
+  };
+}
+
+/**
+ * Component to edit the request of the exchange displayed (i.e. its context, prefetch or hook) as JSON, and resend it
+ * to the same or another CDS service URL. The editor is reloaded whenever another exchange is displayed
+ */
+class RequestComposer extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+      isSending: false,
+      ...loadRequest(props.request, props.serviceUrl),
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+    this.handleResend = this.handleResend.bind(this);
+  }
+
+  static getDerivedStateFromProps(nextProps, prevState) {
+    if (nextProps.request !== prevState.source) {
+      return loadRequest(nextProps.request, nextProps.serviceUrl);
+    }
+    return null;
+  }
+
+  handleChange(e) {
+    this.setState({ [e.target.name]: e.target.value, errorMessage: '' });
+  }
+
+  /**
+   * Discard the edits, going back to the request of the exchange displayed
+   */
+  handleReset() {
+    this.setState(loadRequest(this.props.request, this.props.serviceUrl));
+  }
+
+  /**
+   * Resend the edited request, once it parses as a JSON object, to the URL entered. A resend that fails is reported
+   * under the editor
+   */
+  handleResend() {
+    let request;
+    try {
+      request = JSON.parse(this.state.text);
+    } catch (e) {
+      this.setState({ errorMessage: `The request is not valid JSON: ${e.message}` });
+      return null;
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      this.setState({ errorMessage: 'The request must be a JSON object' });
+      return null;
+    }
+    if (!this.state.url.trim()) {
+      this.setState({ errorMessage: 'Enter the URL of the CDS service to send the request to' });
+      return null;
+    }
+    this.setState({ isSending: true, errorMessage: '' });
+    return new Promise((resolve) => {
+      resolve(this.props.onResend(this.state.url.trim(), request));
+    }).then(() => this.setState({ isSending: false }))
+      .catch((err) => this.setState({ isSending: false, errorMessage: `The request could not be resent: ${err.message}` }));
+  }
+
+  /**
+   * Toggles the body display of the request composer
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {this.props.panelHeader}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            {this.props.request ? (
+              <div>
+                <label htmlFor="composer-url" className={styles.field}>
+                  <strong>CDS Service URL</strong>
+                  <input
+                    id="composer-url"
+                    name="url"
+                    type="text"
+                    list="composer-services"
+                    value={this.state.url}
+                    onChange={this.handleChange}
+                  />
+                  <datalist id="composer-services">
+                    {(this.props.serviceUrls || []).map((url) => <option key={url} value={url}>{url}</option>)}
+                  </datalist>
+                </label>
+                <label htmlFor="composer-request" className={styles.field}>
+                  <strong>Request</strong>
+                  <textarea
+                    id="composer-request"
+                    name="text"
+                    rows={16}
+                    value={this.state.text}
+                    onChange={this.handleChange}
+                  />
+                </label>
+                {this.state.errorMessage ? <p className={styles.error}>{this.state.errorMessage}</p> : null}
+                <Button
+                  text={this.state.isSending ? 'Sending...' : 'Resend'}
+                  variant="emphasis"
+                  isDisabled={this.state.isSending}
+                  onClick={this.handleResend}
+                />
+                <Button text="Reset" variant="neutral" onClick={this.handleReset} />
+              </div>
+            ) : <p>No request to edit: select a service that was called, or an exchange of the history</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+RequestComposer.propTypes = propTypes;
+
+export default RequestComposer;
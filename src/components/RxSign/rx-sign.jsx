@@ -21,7 +21,7 @@ import cdsExecution from '../../middleware/cds-execution';
 import CardList from '../CardList/card-list';
 import PatientBanner from '../PatientBanner/patient-banner';
 import styles from './rx-sign.css';
-import { createFhirResource } from '../../reducers/medication-reducers';
+import { createFhirResource, DRAFT_MEDICATION_REFERENCES } from '../../reducers/medication-reducers';
 
 import {
   storeUserMedInput, storeUserChosenMedication,
@@ -30,10 +30,13 @@ import {
 } from '../../actions/medication-sign-actions';
 
 import * as types from '../../actions/action-types';
+import { applySystemActions } from '../../actions/scratchpad-actions';
 
 cdsExecution.registerTriggerHandler('rx-sign/order-sign', {
   needExplicitTrigger: types.ORDER_SIGN_BUTTON_PRESS,
-  onSystemActions: () => { },
+  onSystemActions: (systemActions, state, dispatch, serviceUrl) => {
+    dispatch(applySystemActions(systemActions, serviceUrl));
+  },
   onMessage: () => { },
   generateContext: (state) => {
     const { fhirVersion } = state.fhirServerState;
@@ -397,7 +400,7 @@ export class RxSign extends Component {
             </Field>
           </div>
         </form>
-        <CardList takeSuggestion={this.props.takeSuggestion} />
+        <CardList takeSuggestion={this.props.takeSuggestion} formDraftReferences={DRAFT_MEDICATION_REFERENCES} />
       </div>
     );
   }
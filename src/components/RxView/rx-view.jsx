@@ -13,6 +13,8 @@ import Text from 'terra-text';
 import Input, { InputField } from 'terra-form-input';
 import DatePicker from 'terra-date-picker';
 import List, { Item } from 'terra-list';
+import Button from 'terra-button';
+import IconTrash from 'terra-icon/lib/icon/IconTrash';
 
 import debounce from 'debounce';
 
@@ -21,8 +23,9 @@ import CardList from '../CardList/card-list';
 import PatientBanner from '../PatientBanner/patient-banner';
 import CommunicationMessage from '../CommunicationMessage/communication-message';
 import styles from './rx-view.css';
-import { createFhirResource } from '../../reducers/medication-reducers';
+import { createFhirResource, DRAFT_MEDICATION_REFERENCES } from '../../reducers/medication-reducers';
 import { createFhirCommunicationResource } from '../../reducers/communication-reducers';
+import { createBasketResource } from '../../reducers/order-basket-reducers';
 
 import {
   storeUserMedInput, storeUserChosenMedication,
@@ -31,10 +34,27 @@ import {
   takeSuggestion,
 } from '../../actions/medication-select-actions';
 import { storeCommunicationMessage } from '../../actions/communication-actions';
+import {
+  addMedicationToBasket, addServiceToBasket,
+  removeFromBasket, toggleBasketSelection,
+} from '../../actions/order-basket-actions';
+import { applySystemActions } from '../../actions/scratchpad-actions';
 
-cdsExecution.registerTriggerHandler('rx-view/order-select', {
+/**
+ * Common lab tests that may be added to the order basket as service requests
+ */
+export const SERVICE_ORDERS = [
+  { system: 'http://loinc.org', code: '51990-0', display: 'Basic metabolic panel - Blood' },
+  { system: 'http://loinc.org', code: '57698-3', display: 'Lipid panel with direct LDL - Serum or Plasma' },
+  { system: 'http://loinc.org', code: '58410-2', display: 'CBC panel - Blood by Automated count' },
+  { system: 'http://loinc.org', code: '24323-8', display: 'Comprehensive metabolic panel - Serum or Plasma' },
+];
+
+export const rxViewTriggerHandler = {
   needExplicitTrigger: false,
-  onSystemActions: () => { },
+  onSystemActions: (systemActions, state, dispatch, serviceUrl) => {
+    dispatch(applySystemActions(systemActions, serviceUrl));
+  },
   onMessage: () => { },
   generateContext: (state) => {
     const { fhirVersion } = state.fhirServerState;
@@ -50,18 +70,35 @@ cdsExecution.registerTriggerHandler('rx-view/order-select', {
     );
     const selection = `${resource.resourceType}/${resource.id}`;
 
+    // Every order of the basket is a draft order, but only the checked ones are part of the selections
+    const basketEntries = state.orderBasketState.orders.map((order) => ({
+      order,
+      resource: createBasketResource(
+        order,
+        fhirVersion,
+        state.patientState.currentPatient.id,
+        state.patientState.currentPatient.conditionsResources,
+      ),
+    }));
+    const basketSelections = basketEntries
+      .filter(({ order }) => order.isSelected)
+      .map((entry) => `${entry.resource.resourceType}/${entry.resource.id}`);
+
     return {
-      selections: [selection],
+      selections: [selection, ...basketSelections],
       draftOrders: {
         resourceType: 'Bundle',
         entry: [
           { resource },
           { resource: communicationResource },
+          ...basketEntries.map((entry) => ({ resource: entry.resource })),
         ],
       },
     };
   },
-});
+};
+
+cdsExecution.registerTriggerHandler('rx-view/order-select', rxViewTriggerHandler);
 
 const propTypes = {
   /**
@@ -128,6 +165,34 @@ const propTypes = {
    * Dispatch function to store the communication message (5s debounced)
    */
   setCommunicationMessage: PropTypes.func.isRequired,
+  /**
+   * Orders of the order basket, drafted alongside the order on the form
+   */
+  basket: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Function to add the prescription on the form to the order basket
+   */
+  addMedicationToBasket: PropTypes.func,
+  /**
+   * Function to add a service (i.e. a lab test) to the order basket
+   */
+  addServiceToBasket: PropTypes.func,
+  /**
+   * Function to remove an order from the order basket
+   */
+  removeFromBasket: PropTypes.func,
+  /**
+   * Function to select or unselect an order of the order basket
+   */
+  toggleBasketSelection: PropTypes.func,
+};
+
+const defaultProps = {
+  basket: [],
+  addMedicationToBasket: () => {},
+  addServiceToBasket: () => {},
+  removeFromBasket: () => {},
+  toggleBasketSelection: () => {},
 };
 
 /**
@@ -188,6 +253,8 @@ export class RxView extends Component {
     this.toggleEnabledDate = this.toggleEnabledDate.bind(this);
     this.onCommunicationChange = this.onCommunicationChange.bind(this);
     this.flushDebouncedComm = this.flushDebouncedComm.bind(this);
+    this.addPrescriptionToBasket = this.addPrescriptionToBasket.bind(this);
+    this.addServiceToBasket = this.addServiceToBasket.bind(this);
 
     // 5s debounced submit for communication message
     this.debouncedSubmitComm = debounce((message) => {
@@ -291,6 +358,23 @@ export class RxView extends Component {
     }
   }
 
+  addPrescriptionToBasket() {
+    this.props.addMedicationToBasket({
+      decisions: { prescribable: this.props.prescription },
+      medListPhase: 'done',
+      medicationInstructions: this.props.medicationInstructions,
+      prescriptionDates: this.props.prescriptionDates,
+      selectedConditionCode: this.props.selectedConditionCode,
+    });
+  }
+
+  addServiceToBasket(event) {
+    const coding = SERVICE_ORDERS.find((service) => service.code === event.target.value);
+    if (coding) {
+      this.props.addServiceToBasket(coding);
+    }
+  }
+
   componentWillUnmount() {
     this.flushDebouncedComm();
   }
@@ -403,17 +487,59 @@ export class RxView extends Component {
             </Field>
           </div>
         </form>
+        <div className={styles['order-basket']}>
+          <h2 className={styles['basket-title']}>Order Basket</h2>
+          <Button
+            text="Add to Basket"
+            isDisabled={!this.props.prescription}
+            onClick={this.addPrescriptionToBasket}
+          />
+          <select
+            className={styles['service-select']}
+            name="service-order"
+            value=""
+            onChange={this.addServiceToBasket}
+          >
+            <option value="">Add a lab order...</option>
+            {SERVICE_ORDERS.map((service) => (
+              <option key={service.code} value={service.code}>{service.display}</option>
+            ))}
+          </select>
+          {this.props.basket.length ? (
+            <ul className={styles['basket-orders']}>
+              {this.props.basket.map((order) => (
+                <li key={order.id}>
+                  <input
+                    type="checkbox"
+                    id={`select-${order.id}`}
+                    checked={order.isSelected}
+                    onChange={() => this.props.toggleBasketSelection(order.id)}
+                  />
+                  <label htmlFor={`select-${order.id}`}>{order.label}</label>
+                  <Button
+                    text="Remove"
+                    onClick={() => this.props.removeFromBasket(order.id)}
+                    isIconOnly
+                    icon={<IconTrash />}
+                    variant="action"
+                  />
+                </li>
+              ))}
+            </ul>
+          ) : <Text isItalic fontSize={14}>No other orders in the basket</Text>}
+        </div>
         <CommunicationMessage
           value={this.state.communicationMessage}
           onChange={this.onCommunicationChange}
         />
-        <CardList takeSuggestion={this.props.takeSuggestion} />
+        <CardList takeSuggestion={this.props.takeSuggestion} formDraftReferences={DRAFT_MEDICATION_REFERENCES} />
       </div>
     );
   }
 }
 
 RxView.propTypes = propTypes;
+RxView.defaultProps = defaultProps;
 
 const mapStateToProps = (state) => ({
   isContextVisible: state.hookState.isContextVisible,
@@ -424,6 +550,7 @@ const mapStateToProps = (state) => ({
   prescriptionDates: state.medicationState.prescriptionDates,
   selectedConditionCode: state.medicationState.selectedConditionCode,
   communicationMessage: state.communicationState.message,
+  basket: state.orderBasketState.orders,
 });
 
 const mapDispatchToProps = (dispatch) => (
@@ -452,6 +579,18 @@ const mapDispatchToProps = (dispatch) => (
     setCommunicationMessage: (message) => {
       dispatch(storeCommunicationMessage(message));
     },
+    addMedicationToBasket: (medicationOrder) => {
+      dispatch(addMedicationToBasket(medicationOrder));
+    },
+    addServiceToBasket: (coding) => {
+      dispatch(addServiceToBasket(coding));
+    },
+    removeFromBasket: (id) => {
+      dispatch(removeFromBasket(id));
+    },
+    toggleBasketSelection: (id) => {
+      dispatch(toggleBasketSelection(id));
+    },
   }
 );
 
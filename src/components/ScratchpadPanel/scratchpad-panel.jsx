@@ -0,0 +1,120 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Button from 'terra-button';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './scratchpad-panel.css';
+
+const propTypes = {
+  /**
+   * Flag to determine if the scratchpad panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the scratchpad panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * Draft resources changed by suggestions, system actions and SMART apps, keyed by their relative reference, with the
+   * change made, the resulting resource and the origin of the change
+   */
+  entries: PropTypes.object,
+  /**
+   * Function to discard every change made to the scratchpad
+   */
+  onClear: PropTypes.func.isRequired,
+};
+
+const ORIGINS = {
+  suggestion: 'Suggestion taken',
+  'system-action': 'Automatically applied (system action)',
+  'smart-app': 'Written by SMART app',
+};
+
+/**
+ * Get a description of the origin of a scratchpad change: a suggestion taken by the user, a system action the Sandbox
+ * applied automatically, or a scratchpad message of a SMART app
+ * @param {*} entry - Scratchpad entry
+ */
+const describeOrigin = (entry) => {
+  const origin = ORIGINS[entry.origin];
+  return entry.sourceUrl ? `${origin} from ${entry.sourceUrl}` : origin;
+};
+
+/**
+ * Component displaying the scratchpad of draft FHIR resources, as changed by the suggestions taken from cards,
+ * the system actions of CDS service responses and the scratchpad messages of SMART apps. These drafts take the place of the draft orders generated by the screen in the next hook invocations
+ */
+class ScratchpadPanel extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Toggles the body display of the scratchpad panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const references = Object.keys(this.props.entries || {});
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {`${this.props.panelHeader} (${references.length})`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            {references.length ? (
+              <div>
+                {references.map((reference) => {
+                  const entry = this.props.entries[reference];
+                  return (
+                    <div key={reference} className={cx(styles.entry, styles[entry.change])}>
+                      <div className={styles.reference}>{`${entry.change}: ${reference}`}</div>
+                      <div className={cx(styles.origin, { [styles.automatic]: entry.origin === 'system-action' })}>
+                        {describeOrigin(entry)}
+                      </div>
+                      {entry.resource ? (
+                        <pre className={styles.resource}>{JSON.stringify(entry.resource, null, 2)}</pre>
+                      ) : null}
+                    </div>
+                  );
+                })}
+                <Button text="Clear Scratchpad" onClick={this.props.onClear} />
+              </div>
+            ) : <p>No change made to the draft resources</p>}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+ScratchpadPanel.propTypes = propTypes;
+
+export default ScratchpadPanel;
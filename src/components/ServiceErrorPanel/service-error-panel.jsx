@@ -0,0 +1,105 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './service-error-panel.css';
+
+const propTypes = {
+  /**
+   * Flag to determine if the service error panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Text to display in the service error panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+  /**
+   * Error record of the exchange displayed (type, title, message, HTTP status and response body excerpt), if it failed
+   */
+  error: PropTypes.object,
+};
+
+/**
+ * Component detailing why the exchange displayed failed (i.e. an HTTP error status, a network or CORS error, a timeout
+ * or invalid JSON), with an excerpt of the response body. Nothing is rendered for exchanges that did not fail
+ */
+class ServiceErrorPanel extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Toggles the body display of the service error panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  render() {
+    const { error } = this.props;
+    if (!error) {
+      return null;
+    }
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {`${this.props.panelHeader}: ${error.title}`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            <table className={styles.fields}>
+              <tbody>
+                <tr>
+                  <th>Type</th>
+                  <td>{error.type}</td>
+                </tr>
+                <tr>
+                  <th>HTTP status</th>
+                  <td>{error.status || 'No status'}</td>
+                </tr>
+                <tr>
+                  <th>Message</th>
+                  <td>{error.message}</td>
+                </tr>
+                <tr>
+                  <th>Body</th>
+                  <td>
+                    {error.bodyExcerpt
+                      ? <pre className={styles.body}>{error.bodyExcerpt}</pre>
+                      : 'No response body'}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+ServiceErrorPanel.propTypes = propTypes;
+
+export default ServiceErrorPanel;
@@ -0,0 +1,100 @@
+/* eslint-disable react/forbid-prop-types */
+
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+
+import Card from 'terra-card';
+import Heading from 'terra-heading';
+import Toggle from 'terra-toggle/lib/Toggle';
+import IconChevronRight from 'terra-icon/lib/icon/IconChevronRight';
+import IconChevronDown from 'terra-icon/lib/icon/IconChevronDown';
+
+import styles from './validation-issues.css';
+
+const propTypes = {
+  /**
+   * Flag to determine if the validation panel is collapsed or expanded
+   */
+  isExpanded: PropTypes.bool.isRequired,
+  /**
+   * Issues found validating a CDS service response against the CDS Hooks specification (null if not validated)
+   */
+  issues: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Text to display in the validation panel header
+   */
+  panelHeader: PropTypes.string.isRequired,
+};
+
+/**
+ * Component listing the violations of the CDS Hooks specification found in a CDS service response
+ */
+class ValidationIssues extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = ({
+      isExpanded: this.props.isExpanded,
+    });
+
+    this.toggleExpansion = this.toggleExpansion.bind(this);
+  }
+
+  /**
+   * Toggles the body display of the validation panel
+   */
+  toggleExpansion() {
+    this.setState({ isExpanded: !this.state.isExpanded });
+  }
+
+  renderIssues() {
+    const { issues } = this.props;
+    if (!issues) {
+      return <p>No JSON response to validate</p>;
+    }
+    if (!issues.length) {
+      return <p>No issues found</p>;
+    }
+    return (
+      <ul className={styles.issues}>
+        {issues.map((item, ind) => (
+          <li key={`${item.path}-${ind}`} className={cx(styles.issue, styles[item.severity])}>
+            <span className={styles.severity}>{item.severity}</span>
+            <span className={styles.path}>{item.path}</span>
+            <span>{item.message}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  render() {
+    const iconToggle = this.state.isExpanded ? <IconChevronDown /> : <IconChevronRight />;
+    const count = this.props.issues ? ` (${this.props.issues.length})` : '';
+
+    return (
+      <Card>
+        <Heading
+          className={styles['header-toggle']}
+          level={1}
+          size="medium"
+          weight={700}
+          onClick={this.toggleExpansion}
+        >
+          {iconToggle}
+          {`${this.props.panelHeader}${count}`}
+        </Heading>
+        <Toggle isOpen={this.state.isExpanded} isAnimated>
+          <Card.Body>
+            {this.renderIssues()}
+          </Card.Body>
+        </Toggle>
+      </Card>
+    );
+  }
+}
+
+ValidationIssues.propTypes = propTypes;
+
+export default ValidationIssues;
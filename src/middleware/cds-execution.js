@@ -4,6 +4,9 @@ import deepEqual from 'fast-deep-equal';
 import * as types from '../actions/action-types';
 import callServices from '../retrieve-data-helpers/service-exchange';
 import { createExchangeRound } from '../actions/service-exchange-actions';
+import { closeSmartApp } from '../actions/hook-actions';
+import { applyScratchpad, getDraftResources } from '../reducers/scratchpad-reducers';
+import { handleWebMessage, isReplyableMessage, hasValidHandle } from './smart-web-messaging';
 
 // Maintain an increasing trigger count, for each time we do a round
 // of CDS service invocations ("exchanges"). If we call 3 services
@@ -21,8 +24,10 @@ const incrementExchangeRound = () => {
 // which include the following:
 // * generateContext: a function to generate the `context` for a hook invocation
 // * onSystemActions: a function to handle systemActions from a CDS response
-//      (e.g., extracting data or updating an order entry screen)
-// * onWebMessage: a function to handle Web messages
+//      (e.g., extracting data or updating an order entry screen), given the
+//      URL of the CDS service that returned them
+// * onMessage: a function to handle Web messages, on top of the replies of the
+//      SMART Web Messaging host
 const triggerHandlers = {};
 const registerTriggerHandler = (triggerPoint, handler) => {
   triggerHandlers[triggerPoint] = handler;
@@ -32,19 +37,25 @@ const registerTriggerHandler = (triggerPoint, handler) => {
 };
 
 const windowsRegistered = {};
+let nextWindowId = 0;
 const getRegisteredWindow = (id) => windowsRegistered[id];
-const registerWindow = (triggerPoint, origin, sourceWindow) => {
-  const windowId = Object.entries(windowsRegistered).length;
+const unregisterWindow = (id) => {
+  delete windowsRegistered[id];
+};
+const registerWindow = (triggerPoint, origin, sourceWindow, messagingHandle, appUrl) => {
+  // Identifiers are never reused, as windows may be unregistered while others remain
+  const windowId = nextWindowId;
+  nextWindowId += 1;
   windowsRegistered[windowId] = {
     origin,
     triggerPoint,
     sourceWindow,
+    messagingHandle,
+    appUrl,
   };
   return {
     windowId,
-    unregister: () => {
-      delete windowsRegistered[windowId];
-    },
+    unregister: () => unregisterWindow(windowId),
   };
 };
 
@@ -60,6 +71,10 @@ const externalHookContext = (state) => [
 
 const anyChange = (a, b) => !deepEqual(a, b);
 
+// The context of every trigger point reads its draft resources through the scratchpad,
+// so that suggestions taken from cards round-trip into the next invocation
+const generateContext = (handler, state) => applyScratchpad(handler.generateContext(state), state.scratchpadState);
+
 // Given an action and a trigger point determine whether this trigger point
 // nees a new CDS invocation based on one of the following criteria
 // * External triggers are global page context: server, patient, etc
@@ -68,8 +83,8 @@ const anyChange = (a, b) => !deepEqual(a, b);
 const shouldCallCds = ({
   action, pre, post, handler,
 }) => {
-  const contextPre = handler.generateContext(pre);
-  const contextPost = handler.generateContext(post);
+  const contextPre = generateContext(handler, pre);
+  const contextPost = generateContext(handler, post);
   const externalTrigger = anyChange(
     externalHookContext(pre),
     externalHookContext(post),
@@ -119,51 +134,77 @@ const evaluateCdsTriggers = (action, next, pre, post) => {
   }).forEach(({ triggerPoint, hook, handler }) => {
     const exchangeRound = incrementExchangeRound();
     next(createExchangeRound(exchangeRound, currentScreen, triggerPoint));
-    const context = handler.generateContext(post);
+    const context = generateContext(handler, post);
 
     activeServicesFor(hook, post.cdsServicesState.configuredServices).forEach(([serviceUrl]) => callServices(next, post, serviceUrl, explode(context), exchangeRound));
   });
 };
 
 const onSystemActions = (action, next, pre, post) => {
-  if (action.type === types.STORE_SERVICE_EXCHANGE) {
+  // Stale exchanges (superseded by a later call to the service) and resent requests are not stored as the exchange of
+  // the service, so the system actions of the exchange stored for it (if any) are not applied again
+  const exchangeDetails = action.details || {};
+  if (action.type === types.STORE_SERVICE_EXCHANGE && !exchangeDetails.stale && exchangeDetails.resentFrom === undefined) {
     const { currentScreen } = post.hookState;
     const exchange = post.serviceExchangeState.exchanges[action.url];
-    if (exchange.responseStatus === 200) {
+    if (exchange && exchange.responseStatus === 200) {
       Object.entries(post.hookState.screens[currentScreen].triggerPoints)
         .filter(([, details]) => details.lastExchangeRound === action.exchangeRound)
         .forEach(([triggerPoint]) => {
           const handler = triggerHandlers[triggerPoint];
-          const systemActions = _.get(exchange, [
-            'response',
-            'extension',
-            'systemActions',
-          ]);
+          // System actions are a top-level field of the response, but were first returned as an extension
+          const systemActions = _.get(exchange, ['response', 'systemActions'])
+            || _.get(exchange, ['response', 'extension', 'systemActions']);
           if (systemActions && handler && handler.onSystemActions) {
-            handler.onSystemActions(systemActions, post, next);
+            handler.onSystemActions(systemActions, post, next, action.url);
           }
         });
     }
   }
 };
 
-/* eslint-disable no-unused-vars */
+// Messages of the apps launched from cards are replied to by the SMART Web Messaging host,
+// against the draft resources of the trigger point each app was launched from. Messages
+// carrying the messaging handle of the app are then passed on to the trigger point handler.
 const webMessageMiddleware = (store) => (next) => {
   window.addEventListener('message', ({ data, origin, source }) => {
-    Object.entries(windowsRegistered)
-      .filter(([windowId, w]) => w.sourceWindow === source && w.origin === origin)
-      .map(([windowId, w]) => w.triggerPoint)
-      .map((triggerPoint) => triggerHandlers[triggerPoint])
-      .forEach((handler) => handler.onMessage({
-        data,
-        origin,
-        source,
-        dispatch: next,
-      }));
+    Object.keys(windowsRegistered)
+      .map((windowId) => ({ ...windowsRegistered[windowId], windowId: Number(windowId) }))
+      .filter((w) => w.sourceWindow === source && w.origin === origin)
+      .forEach((w) => {
+        const handler = triggerHandlers[w.triggerPoint];
+        const reply = handleWebMessage(data, {
+          messagingHandle: w.messagingHandle,
+          appUrl: w.appUrl,
+          getDrafts: () => {
+            const state = store.getState();
+            return handler ? getDraftResources(handler.generateContext(state), state.scratchpadState) : [];
+          },
+          dispatch: store.dispatch,
+          // Apps in a new tab close their window, embedded apps are closed by closing the app panel
+          closeApp: () => {
+            const { embeddedApp } = store.getState().hookState;
+            store.dispatch(closeSmartApp(w.windowId));
+            if (!embeddedApp || embeddedApp.windowId !== w.windowId) {
+              source.close();
+            }
+          },
+        });
+        if (reply && source) {
+          source.postMessage(reply, origin);
+        }
+        if (handler && isReplyableMessage(data) && hasValidHandle(data, w.messagingHandle)) {
+          handler.onMessage({
+            data,
+            origin,
+            source,
+            dispatch: next,
+          });
+        }
+      });
   });
   return next;
 };
-/* eslint-enable no-unused-vars */
 
 // wrapper to expose the redux middleware signature from a function
 // that expects to receive: action, dispatch fn, previous state, current state
@@ -182,6 +223,7 @@ export default {
   webMessageMiddleware,
   registerTriggerHandler,
   registerWindow,
+  unregisterWindow,
   getRegisteredWindow,
   debug: {
     triggerHandlers,
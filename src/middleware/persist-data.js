@@ -33,3 +33,13 @@ export const persistHook = (store) => (next) => (action) => {
   }
   return next(action);
 };
+
+export const persistJwtSettings = (store) => (next) => (action) => {
+  const result = next(action);
+  if (action.type === 'UPDATE_JWT_SETTINGS') {
+    localStorage.setItem('PERSISTED_jwtSettings', JSON.stringify(store.getState().jwtSettingsState));
+  } else if (action.type === 'RESET_JWT_SETTINGS') {
+    localStorage.removeItem('PERSISTED_jwtSettings');
+  }
+  return result;
+};
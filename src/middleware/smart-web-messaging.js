@@ -0,0 +1,142 @@
+/**
+ * Host side of SMART Web Messaging (https://hl7.org/fhir/uv/smart-web-messaging/) for the SMART apps launched from
+ * cards. Each launched app is given a messaging handle with its launch context, which every message it sends must carry.
+ * The Sandbox supports the following message types:
+ *
+ * - `status.handshake` - Confirms the app can talk to the Sandbox
+ * - `scratchpad.create`, `scratchpad.update`, `scratchpad.delete`, `scratchpad.read` - Reads and writes the draft
+ *   resources of the screen the app was launched from, through the scratchpad
+ * - `ui.done` - Closes the app
+ * - `ui.launchActivity` - Switches to the screen of an activity (i.e. `order-review` switches to Rx View)
+ *
+ * Every reply is correlated to the message through `responseToMessageId`. Messages that cannot be handled are
+ * replied to with an error payload (`errorMessage` and `errorType`).
+ */
+import { applyAppActions } from '../actions/scratchpad-actions';
+import { setHook } from '../actions/hook-actions';
+
+const uuid = require('uuid/v4');
+
+/**
+ * Activities an app may launch, with the hook and screen of the Sandbox each activity switches to
+ */
+export const ACTIVITIES = {
+  'patient-review': { hook: 'patient-view', screen: 'patient-view' },
+  'order-review': { hook: 'order-select', screen: 'rx-view' },
+  'order-sign-review': { hook: 'order-sign', screen: 'rx-sign' },
+  'encounter-review': { hook: 'encounter-start', screen: 'encounter-start' },
+};
+
+const errorPayload = (errorType, errorMessage) => ({ errorMessage, errorType });
+
+const getReference = (resource) => `${resource.resourceType}/${resource.id}`;
+
+const findDraft = (drafts, reference) => drafts.find((resource) => getReference(resource) === reference);
+
+const isResource = (resource) => !!resource && typeof resource === 'object' && typeof resource.resourceType === 'string';
+
+function createResource(payload, host) {
+  if (!isResource(payload.resource)) {
+    return errorPayload('invalid-payload', 'A FHIR resource is required to create a draft resource');
+  }
+  const action = applyAppActions([{ type: 'create', resource: payload.resource }], host.appUrl);
+  host.dispatch(action);
+  return { status: '201 Created', location: getReference(action.actions[0].resource) };
+}
+
+function updateResource(payload, host) {
+  if (!isResource(payload.resource) || !payload.resource.id) {
+    return errorPayload('invalid-payload', 'A FHIR resource with an id is required to update a draft resource');
+  }
+  const location = getReference(payload.resource);
+  if (!findDraft(host.getDrafts(), location)) {
+    return errorPayload('not-found', `No draft resource ${location} to update`);
+  }
+  host.dispatch(applyAppActions([{ type: 'update', resource: payload.resource }], host.appUrl));
+  return { status: '200 OK', location };
+}
+
+function deleteResource(payload, host) {
+  if (typeof payload.location !== 'string') {
+    return errorPayload('invalid-payload', 'The location of the draft resource to delete is required');
+  }
+  if (!findDraft(host.getDrafts(), payload.location)) {
+    return errorPayload('not-found', `No draft resource ${payload.location} to delete`);
+  }
+  host.dispatch(applyAppActions([{ type: 'delete', resourceId: payload.location }], host.appUrl));
+  return { status: '200 OK' };
+}
+
+function readResources(payload, host) {
+  const drafts = host.getDrafts();
+  if (!payload.location) {
+    return { scratchpad: drafts };
+  }
+  const resource = findDraft(drafts, payload.location);
+  return resource ? { resource } : errorPayload('not-found', `No draft resource ${payload.location}`);
+}
+
+function launchActivity(payload, host) {
+  const activity = ACTIVITIES[payload.activityType];
+  if (!activity) {
+    return { success: false, details: `Activity "${payload.activityType}" is not supported by the Sandbox` };
+  }
+  host.dispatch(setHook(activity.hook, activity.screen));
+  return { success: true, details: `Switched to the ${activity.screen} screen` };
+}
+
+const MESSAGE_HANDLERS = {
+  'status.handshake': () => ({}),
+  'scratchpad.create': createResource,
+  'scratchpad.update': updateResource,
+  'scratchpad.delete': deleteResource,
+  'scratchpad.read': readResources,
+  'ui.done': (payload, host) => {
+    host.closeApp();
+    return { success: true, details: 'App closed' };
+  },
+  'ui.launchActivity': launchActivity,
+};
+
+/**
+ * Check if a message can be replied to: only messages with an identifier and a type can be correlated
+ * @param {*} data - Message sent by an app
+ */
+export function isReplyableMessage(data) {
+  return !!data && typeof data === 'object' && typeof data.messageId === 'string' && typeof data.messageType === 'string';
+}
+
+/**
+ * Check if a message carries the messaging handle given to the app it comes from
+ * @param {*} data - Message sent by an app
+ * @param {*} messagingHandle - Messaging handle given to the app in its launch context
+ */
+export function hasValidHandle(data, messagingHandle) {
+  return !!messagingHandle && data.messagingHandle === messagingHandle;
+}
+
+/**
+ * Handle a message sent by a SMART app, and build the reply to send back
+ * @param {*} data - Message sent by the app
+ * @param {*} host - Messaging handle (messagingHandle) and launch URL (appUrl) of the app, with functions to get the draft
+ * resources of its screen (getDrafts), dispatch an action (dispatch) and close the app (closeApp)
+ * @returns {*} - Reply to the message, or null if the message cannot be correlated to a reply
+ */
+export function handleWebMessage(data, host) {
+  if (!isReplyableMessage(data)) {
+    return null;
+  }
+  let payload;
+  if (!hasValidHandle(data, host.messagingHandle)) {
+    payload = errorPayload('invalid-handle', 'The messaging handle does not match the one given to the app');
+  } else if (!MESSAGE_HANDLERS[data.messageType]) {
+    payload = errorPayload('unsupported-message-type', `Message type "${data.messageType}" is not supported by the Sandbox`);
+  } else {
+    payload = MESSAGE_HANDLERS[data.messageType](data.payload || {}, host);
+  }
+  return {
+    messageId: uuid(),
+    responseToMessageId: data.messageId,
+    payload,
+  };
+}
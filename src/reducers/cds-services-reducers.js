@@ -22,6 +22,18 @@ const initialState = {
   configuredServiceUrls: getPersistedServices(),
   defaultUrl: 'https://sandbox-services.cds-hooks.org/cds-services',
   testServicesUrl: null,
+  /**
+   * Lint findings of each service definition found at a discovery endpoint, keyed by the CDS service URL
+   */
+  serviceLintFindings: {},
+  /**
+   * Settings the Sandbox uses to invoke each service (i.e. the prefetch mode), keyed by the CDS service URL
+   */
+  serviceSettings: {},
+  /**
+   * Status each discovery endpoint responded with to the last request sent with an auth fault, keyed by the discovery URL
+   */
+  discoveryAuthFaults: {},
 };
 
 const cdsServicesReducers = (state = initialState, action) => {
@@ -38,12 +50,16 @@ const cdsServicesReducers = (state = initialState, action) => {
       case types.DISCOVER_CDS_SERVICES_SUCCESS: {
         if (action.services) {
           const incomingServices = {};
+          const incomingLintFindings = {};
 
           // For each service returned by the discovery endpoint, check if it is already configured (or not changed),
           // and if not, store the service definitions by the specific CDS Service URL in the
           // configuredServices property of the reducer state
-          action.services.forEach((service) => {
+          action.services.forEach((service, index) => {
             const serviceUrl = `${action.discoveryUrl}/${service.id}`;
+            if (action.lintFindings && action.lintFindings[index]) {
+              incomingLintFindings[serviceUrl] = action.lintFindings[index];
+            }
             const serviceEndpoint = state.configuredServices[serviceUrl];
             if (!serviceEndpoint || !isEqual(serviceEndpoint, service)) {
               const serviceCopy = { ...service };
@@ -53,6 +69,9 @@ const cdsServicesReducers = (state = initialState, action) => {
           });
 
           const newServicesKeys = Object.keys(incomingServices);
+          const serviceLintFindings = Object.keys(incomingLintFindings).length
+            ? { ...state.serviceLintFindings, ...incomingLintFindings }
+            : state.serviceLintFindings;
 
           if (newServicesKeys.length) {
             const newServices = { ...state.configuredServices };
@@ -79,8 +98,13 @@ const cdsServicesReducers = (state = initialState, action) => {
               testServicesUrl: null,
               configuredServices: newServices,
               configuredServiceUrls: newConfiguredServiceUrls,
+              serviceLintFindings,
             };
           }
+          // Services already configured may still have been re-linted (i.e. with a newer version of the Sandbox)
+          if (!isEqual(serviceLintFindings, state.serviceLintFindings)) {
+            return { ...state, serviceLintFindings };
+          }
         }
         break;
       }
@@ -93,6 +117,9 @@ const cdsServicesReducers = (state = initialState, action) => {
           configuredServices: {},
           configuredServiceUrls: [],
           testServicesUrl: '',
+          serviceLintFindings: {},
+          serviceSettings: {},
+          discoveryAuthFaults: {},
         };
       }
 
@@ -111,11 +138,52 @@ const cdsServicesReducers = (state = initialState, action) => {
         if (state.configuredServices[action.service]) {
           const servicesCopy = JSON.parse(JSON.stringify(state.configuredServices));
           delete servicesCopy[action.service];
-          return { ...state, configuredServices: servicesCopy };
+          const lintFindingsCopy = { ...state.serviceLintFindings };
+          delete lintFindingsCopy[action.service];
+          const settingsCopy = { ...state.serviceSettings };
+          delete settingsCopy[action.service];
+          return {
+            ...state,
+            configuredServices: servicesCopy,
+            serviceLintFindings: lintFindingsCopy,
+            serviceSettings: settingsCopy,
+          };
+        }
+        return state;
+      }
+
+      // When configuring services on the Sandbox, update the settings used to invoke a specified CDS service
+      case types.UPDATE_SERVICE_SETTINGS: {
+        if (state.configuredServices[action.service]) {
+          return {
+            ...state,
+            serviceSettings: {
+              ...state.serviceSettings,
+              [action.service]: {
+                ...(state.serviceSettings || {})[action.service],
+                ...action.settings,
+              },
+            },
+          };
         }
         return state;
       }
 
+      // Store the status a discovery endpoint responded with to a request sent with an auth fault
+      case types.STORE_DISCOVERY_AUTH_FAULT: {
+        const result = { authFault: action.authFault, status: action.status };
+        if (action.isNotIntroduced) {
+          result.isNotIntroduced = true;
+        }
+        return {
+          ...state,
+          discoveryAuthFaults: {
+            ...state.discoveryAuthFaults,
+            [action.discoveryUrl]: result,
+          },
+        };
+      }
+
       default: {
         return state;
       }
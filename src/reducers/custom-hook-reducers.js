@@ -0,0 +1,36 @@
+import * as types from '../actions/action-types';
+
+const initialState = {
+  hookName: 'custom-hook',
+  contextJson: JSON.stringify({ encounterId: 'example-encounter-id' }, null, 2),
+};
+
+const customHookReducers = (state = initialState, action) => {
+  if (action.type) {
+    switch (action.type) {
+      // Store the name of the hook typed in on the Custom Hook view
+      case types.STORE_CUSTOM_HOOK_NAME: {
+        return { ...state, hookName: action.hookName };
+      }
+
+      // Store the context JSON authored on the Custom Hook view
+      case types.STORE_CUSTOM_HOOK_CONTEXT: {
+        return { ...state, contextJson: action.contextJson };
+      }
+
+      // Keep the hook name in sync with the hook in context when opening the Custom Hook view (i.e. from a persisted hook)
+      case types.SET_HOOK: {
+        if (action.screen === 'custom-hook' && action.hook) {
+          return { ...state, hookName: action.hook };
+        }
+        return state;
+      }
+
+      default:
+        return state;
+    }
+  }
+  return state;
+};
+
+export default customHookReducers;
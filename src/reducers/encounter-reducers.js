@@ -0,0 +1,33 @@
+import * as types from '../actions/action-types';
+
+const initialState = {
+  encounterId: 'example-encounter-id',
+  status: 'in-progress',
+};
+
+const encounterReducers = (state = initialState, action) => {
+  if (action.type) {
+    switch (action.type) {
+      // Set the encounter in context, i.e. from the encounterId URL query parameter
+      case types.SET_ENCOUNTER: {
+        return { ...state, encounterId: action.encounterId, status: 'in-progress' };
+      }
+
+      // Start a new encounter for the patient in context
+      case types.START_ENCOUNTER: {
+        return { ...state, encounterId: action.encounterId, status: 'in-progress' };
+      }
+
+      // Discharge the patient from the encounter in context
+      case types.TRIGGER_ENCOUNTER_DISCHARGE: {
+        return { ...state, status: 'finished' };
+      }
+
+      default:
+        return state;
+    }
+  }
+  return state;
+};
+
+export default encounterReducers;
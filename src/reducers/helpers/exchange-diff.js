@@ -0,0 +1,69 @@
+import isPlainObject from 'lodash/isPlainObject';
+import isEqual from 'lodash/isEqual';
+
+/**
+ * Properties of a request or response that are compared between two exchanges
+ */
+export const COMPARED_PROPERTIES = {
+  request: ['context', 'prefetch', 'fhirAuthorization'],
+  response: ['cards', 'systemActions'],
+};
+
+// Fields regenerated on every exchange (hookInstance) or card (uuid), which would otherwise always show as changed
+const VOLATILE_FIELDS = ['hookInstance', 'uuid'];
+
+function formatPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function collectDifferences(before, after, path, differences) {
+  if (isEqual(before, after)) {
+    return;
+  }
+  if (before === undefined) {
+    differences.push({ path, kind: 'added', after });
+    return;
+  }
+  if (after === undefined) {
+    differences.push({ path, kind: 'removed', before });
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i += 1) {
+      collectDifferences(before[i], after[i], formatPath(path, i), differences);
+    }
+    return;
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = Object.keys(before)
+      .concat(Object.keys(after).filter((key) => !Object.prototype.hasOwnProperty.call(before, key)))
+      .filter((key) => !VOLATILE_FIELDS.includes(key));
+    keys.forEach((key) => collectDifferences(before[key], after[key], formatPath(path, key), differences));
+    return;
+  }
+  differences.push({
+    path, kind: 'changed', before, after,
+  });
+}
+
+/**
+ * Structurally compare the requests (context, prefetch, fhirAuthorization) or responses (cards, systemActions)
+ * of two service exchanges. Volatile fields (hookInstance, card and suggestion uuid) are ignored.
+ * Returns a list of differences, each with the path of the property and whether it was added, removed or changed
+ * @param {*} exchangeA - Exchange (or history entry) to compare from
+ * @param {*} exchangeB - Exchange (or history entry) to compare to
+ * @param {*} part - Part of the exchanges to compare, either 'request' or 'response'
+ */
+export function diffExchanges(exchangeA, exchangeB, part = 'request') {
+  const differences = [];
+  const before = (exchangeA && exchangeA[part]) || {};
+  const after = (exchangeB && exchangeB[part]) || {};
+  COMPARED_PROPERTIES[part].forEach((property) => {
+    collectDifferences(before[property], after[property], property, differences);
+  });
+  return differences;
+}
@@ -0,0 +1,197 @@
+import packageInfo from '../../../package.json';
+
+// Schema of the Postman collections exported (which Insomnia imports as well)
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+/**
+ * Check whether the request of an exchange was sent (a call superseded while prefetching is not), as only exchanges
+ * sent are exported
+ * @param {*} entry - History entry of the exchange
+ */
+export function isExchangeSent(entry) {
+  return !!(entry && entry.requestHeaders);
+}
+
+/**
+ * Get the headers the request of an exchange was sent with: the headers recorded (i.e. with the signed JWT), and the
+ * content type Axios sets for a JSON body
+ * @param {*} entry - History entry of the exchange
+ */
+function getRequestHeaders(entry) {
+  return { ...entry.requestHeaders, 'Content-Type': 'application/json' };
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {*} value - Value to quote
+ */
+function quoteShell(value) {
+  return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Get a cURL command replaying the request of an exchange, with the headers (and signed JWT) it was sent with. The JWT
+ * expires shortly after the exchange, so a replayed request may be rejected for it
+ * @param {*} entry - History entry of the exchange
+ * @returns {string} - cURL command
+ */
+export function getCurlCommand(entry) {
+  const headers = getRequestHeaders(entry);
+  return [
+    `curl -X POST ${quoteShell(entry.url)}`,
+    ...Object.keys(headers).map((name) => `  -H ${quoteShell(`${name}: ${headers[name]}`)}`),
+    `  --data-raw ${quoteShell(JSON.stringify(entry.request))}`,
+  ].join(' \\\n');
+}
+
+/**
+ * Get a shell script replaying the requests of several exchanges with cURL, in order
+ * @param {*} entries - History entries of the exchanges
+ * @returns {string} - Shell script
+ */
+export function getCurlScript(entries) {
+  const commands = entries.filter(isExchangeSent)
+    .map((entry) => `# Exchange #${entry.id} (${entry.timestamp})\n${getCurlCommand(entry)}`);
+  return `${['#!/bin/sh', ...commands].join('\n\n')}\n`;
+}
+
+/**
+ * Create a HAR entry for a request made in an exchange
+ * @param {*} call - Start time (in ms), duration, method, URL, headers, body (and its MIME type), status and response
+ * body of the request, and a comment
+ */
+function createHarEntry({
+  started, duration, method, url, headers, body, mimeType, status, response, comment,
+}) {
+  let queryString = [];
+  try {
+    queryString = Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    // The query string of a URL that does not parse is left out
+  }
+  let text = '';
+  if (response !== undefined && response !== null) {
+    text = typeof response === 'string' ? response : JSON.stringify(response);
+  }
+  return {
+    startedDateTime: new Date(started).toISOString(),
+    time: duration || 0,
+    request: {
+      method,
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: Object.keys(headers).map((name) => ({ name, value: headers[name] })),
+      queryString,
+      ...(body ? { postData: { mimeType, text: body } } : {}),
+      headersSize: -1,
+      bodySize: body ? body.length : 0,
+    },
+    response: {
+      status: status || 0,
+      statusText: '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: [],
+      content: { size: text.length, mimeType: 'application/json', text },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: duration || 0, receive: 0 },
+    comment,
+  };
+}
+
+/**
+ * Get the HAR entries of an exchange: every prefetch query made to the FHIR server (from the prefetch log, with the
+ * prefetched data as the response of the query that got it), then the call to the CDS service. Start times are derived
+ * from the time the exchange was stored and its timings
+ * @param {*} entry - History entry of the exchange
+ */
+function getHarEntries(entry) {
+  const timings = entry.timings || {};
+  const started = (entry.timestamp ? new Date(entry.timestamp).getTime() : Date.now()) - (timings.total || 0);
+  const prefetch = entry.request.prefetch || {};
+
+  const prefetchEntries = (entry.prefetchLog || []).flatMap((query) => {
+    let offset = 0;
+    return query.attempts.map((attempt, index) => {
+      const isResult = index === query.attempts.length - 1 && !attempt.error;
+      const harEntry = createHarEntry({
+        started: started + offset,
+        duration: attempt.duration,
+        method: attempt.method,
+        url: attempt.url,
+        headers: attempt.body
+          ? { 'Content-Type': 'application/x-www-form-urlencoded' } : { Accept: 'application/json+fhir' },
+        body: attempt.body,
+        mimeType: 'application/x-www-form-urlencoded',
+        status: attempt.status,
+        response: isResult ? prefetch[query.key] : null,
+        comment: `Prefetch "${query.key}" of exchange #${entry.id}${attempt.error ? `: ${attempt.error}` : ''}`,
+      });
+      offset += attempt.duration || 0;
+      return harEntry;
+    });
+  });
+
+  // The response stored for a call that failed is a message of the Sandbox: the body the service responded with (if
+  // any) is in the error record of the exchange
+  const isAnswered = !!entry.responseStatus;
+  const serviceEntry = createHarEntry({
+    started: started + (timings.prefetch || 0),
+    duration: timings.request,
+    method: 'POST',
+    url: entry.url,
+    headers: getRequestHeaders(entry),
+    body: JSON.stringify(entry.request),
+    mimeType: 'application/json',
+    status: isAnswered ? entry.responseStatus : entry.error && entry.error.status,
+    response: isAnswered ? entry.response : entry.error && entry.error.bodyExcerpt,
+    comment: `CDS Service call of exchange #${entry.id}${entry.error ? `: ${entry.error.title}` : ''}`,
+  });
+
+  return [...prefetchEntries, serviceEntry];
+}
+
+/**
+ * Get a HAR (HTTP Archive 1.2) log of several exchanges, including the prefetch queries made to the FHIR server
+ * @param {*} entries - History entries of the exchanges
+ * @returns {*} - HAR log
+ */
+export function getHar(entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'CDS Hooks Sandbox', version: packageInfo.version },
+      entries: entries.filter(isExchangeSent).flatMap(getHarEntries),
+    },
+  };
+}
+
+/**
+ * Get a Postman collection (v2.1, which Insomnia imports as well) of the requests of several exchanges, with the
+ * headers (and signed JWT) they were sent with
+ * @param {*} entries - History entries of the exchanges
+ * @param {*} name - Name of the collection
+ * @returns {*} - Postman collection
+ */
+export function getPostmanCollection(entries, name) {
+  return {
+    info: { name, schema: POSTMAN_SCHEMA },
+    item: entries.filter(isExchangeSent).map((entry) => {
+      const headers = getRequestHeaders(entry);
+      return {
+        name: `#${entry.id} ${entry.request.hook} - ${entry.url}`,
+        request: {
+          method: 'POST',
+          header: Object.keys(headers).map((key) => ({ key, value: headers[key] })),
+          body: { mode: 'raw', raw: JSON.stringify(entry.request, null, 2), options: { raw: { language: 'json' } } },
+          url: entry.url,
+        },
+      };
+    }),
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Template engine for CDS service prefetch templates. Resolves prefetch tokens against the context of the hook being
+ * invoked and the user in context, following the prefetch token rules of the CDS Hooks specification:
+ *
+ * - `{{context.*}}` - Simple FHIRPath expressions into the hook context (i.e. `{{context.patientId}}` or
+ *   `{{context.draftOrders.MedicationRequest.id}}`)
+ * - `{{userPractitionerId}}`, `{{userPractitionerRoleId}}`, `{{userPatientId}}`, `{{userRelatedPersonId}}` - ID of the
+ *   user in context, if the user is of the matching resource type
+ * - `{{user}}` - Reference of the user in context (i.e. `Practitioner/123`), kept for older service definitions
+ * - `{{today()}}`, `{{now()}}` - Current date and date-time
+ *
+ * Tokens that resolve to several values (i.e. the IDs of several draft orders) are joined by commas.
+ */
+
+const TOKEN_PATTERN = /{{([^{}]*)}}/g;
+
+const USER_TOKENS = {
+  userPractitionerId: 'Practitioner',
+  userPractitionerRoleId: 'PractitionerRole',
+  userPatientId: 'Patient',
+  userRelatedPersonId: 'RelatedPerson',
+};
+
+const FUNCTION_TOKENS = {
+  'today()': () => new Date().toISOString().slice(0, 10),
+  'now()': () => new Date().toISOString(),
+};
+
+// FHIRPath functions supported on collections, applied with no argument (ofType takes a type name)
+const COLLECTION_FUNCTIONS = {
+  first: (items) => items.slice(0, 1),
+  last: (items) => items.slice(-1),
+  count: (items) => [items.length],
+  distinct: (items) => items.filter((item, index) => items.indexOf(item) === index),
+};
+
+const SEGMENT_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?:\(([A-Za-z_]*)\))?$/;
+
+/**
+ * Split a FHIRPath expression into its dot-separated segments
+ * @param {*} expression - FHIRPath expression (i.e. context.draftOrders.ofType(MedicationRequest).id)
+ */
+function parseExpression(expression) {
+  const segments = expression.split('.').map((segment) => segment.trim());
+  return segments.every((segment) => SEGMENT_PATTERN.test(segment)) ? segments : null;
+}
+
+const isResource = (item) => !!item && typeof item === 'object' && typeof item.resourceType === 'string';
+
+const isTypeName = (name) => /^[A-Z]/.test(name);
+
+// Resources of a collection, looking through Bundles into the resources of their entries
+const flattenResources = (items) => items.flatMap((item) => {
+  if (isResource(item) && item.resourceType === 'Bundle') {
+    return (item.entry || []).map((entry) => entry && entry.resource).filter(isResource);
+  }
+  return isResource(item) ? [item] : [];
+});
+
+const ofType = (items, type) => flattenResources(items).filter((item) => item.resourceType === type);
+
+/**
+ * Evaluate one segment of a FHIRPath expression on a collection of items
+ * @param {*} items - Collection the segment is evaluated on
+ * @param {*} segment - Segment of the expression (a property name, a resource type or a function call)
+ */
+function evaluateSegment(items, segment) {
+  const [, name, argument] = SEGMENT_PATTERN.exec(segment);
+  if (segment.includes('(')) {
+    if (name === 'ofType') {
+      return ofType(items, argument);
+    }
+    return COLLECTION_FUNCTIONS[name](items);
+  }
+  // A resource type name filters the collection on that type (i.e. draftOrders.MedicationRequest)
+  if (isTypeName(name)) {
+    return ofType(items, name);
+  }
+  return items.flatMap((item) => {
+    if (!item || typeof item !== 'object' || item[name] === undefined || item[name] === null) {
+      return [];
+    }
+    return Array.isArray(item[name]) ? item[name] : [item[name]];
+  });
+}
+
+/**
+ * Check if the Sandbox is able to resolve a prefetch token (without evaluating it)
+ * @param {*} token - Prefetch token, without the surrounding braces (i.e. context.patientId)
+ */
+export function isSupportedPrefetchToken(token) {
+  if (token === 'user' || USER_TOKENS[token] || FUNCTION_TOKENS[token]) {
+    return true;
+  }
+  const segments = parseExpression(token);
+  if (!segments || segments[0] !== 'context' || segments.length < 2) {
+    return false;
+  }
+  return segments.slice(1).every((segment) => {
+    const [, name, argument] = SEGMENT_PATTERN.exec(segment);
+    if (!segment.includes('(')) {
+      return true;
+    }
+    return name === 'ofType' ? isTypeName(argument) : !!COLLECTION_FUNCTIONS[name] && !argument;
+  });
+}
+
+/**
+ * Evaluate a prefetch token to its values
+ * @param {*} token - Prefetch token, without the surrounding braces
+ * @param {*} templateContext - Object with the hook context (context) and user in context (user)
+ * @returns {*} - Object with the resolved values, or the reason the token could not be resolved
+ */
+function evaluateToken(token, templateContext) {
+  if (!isSupportedPrefetchToken(token)) {
+    return { reason: 'Unsupported prefetch token' };
+  }
+  const { context, user } = templateContext;
+  if (FUNCTION_TOKENS[token]) {
+    return { values: [FUNCTION_TOKENS[token]()] };
+  }
+  if (token === 'user') {
+    return user ? { values: [user] } : { reason: 'No user in context' };
+  }
+  if (USER_TOKENS[token]) {
+    const [type, id] = (user || '').split('/');
+    if (type !== USER_TOKENS[token] || !id) {
+      return { reason: `The user in context is not a ${USER_TOKENS[token]}` };
+    }
+    return { values: [id] };
+  }
+
+  const values = parseExpression(token).slice(1)
+    .reduce((items, segment) => evaluateSegment(items, segment), [context]);
+  if (!values.length) {
+    return { reason: 'Expression resolves to no value in the hook context' };
+  }
+  if (values.some((value) => value === null || typeof value === 'object')) {
+    return { reason: 'Expression does not resolve to a primitive value' };
+  }
+  return { values };
+}
+
+/**
+ * Fill out the tokens of a single prefetch template
+ * @param {*} template - Prefetch template (i.e. Patient/{{context.patientId}})
+ * @param {*} templateContext - Object with the hook context (context) and user in context (user)
+ * @returns {*} - Object with the filled out template (url) and any token that could not be resolved (unresolved)
+ */
+export function resolvePrefetchTemplate(template, templateContext) {
+  const unresolved = [];
+  const url = template.replace(TOKEN_PATTERN, (match, expression) => {
+    const token = expression.trim();
+    const result = evaluateToken(token, templateContext);
+    if (result.reason) {
+      unresolved.push({ token, reason: result.reason });
+      return match;
+    }
+    return result.values.join(',');
+  });
+  return { url, unresolved };
+}
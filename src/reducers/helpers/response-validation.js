@@ -0,0 +1,178 @@
+const INDICATORS = ['info', 'warning', 'critical'];
+const SELECTION_BEHAVIORS = ['at-most-one', 'any'];
+const ACTION_TYPES = ['create', 'update', 'delete'];
+const LINK_TYPES = ['absolute', 'smart'];
+
+// The CDS Hooks specification asks card summaries to be kept under 140 characters
+export const MAX_SUMMARY_LENGTH = 140;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function joinPath(path, field) {
+  return path ? `${path}.${field}` : field;
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Create a validation issue
+ * @param {*} severity - Either 'error' (the response violates the specification) or 'warning'
+ * @param {*} path - Path of the offending property in the response (i.e. cards[0].indicator)
+ * @param {*} message - Human-readable description of the issue
+ */
+function issue(severity, path, message) {
+  return { severity, path, message };
+}
+
+function validateRequiredString(object, field, path, issues) {
+  if (!isNonEmptyString(object[field])) {
+    issues.push(issue('error', joinPath(path, field), `Missing required "${field}" field`));
+  }
+}
+
+function validateArray(object, field, path, issues, validateItem) {
+  if (object[field] === undefined) {
+    return;
+  }
+  if (!Array.isArray(object[field])) {
+    issues.push(issue('error', joinPath(path, field), `"${field}" must be an array`));
+    return;
+  }
+  object[field].forEach((item, index) => validateItem(item, `${joinPath(path, field)}[${index}]`, issues));
+}
+
+function validateCoding(coding, path, issues) {
+  if (!isObject(coding)) {
+    issues.push(issue('error', path, 'Coding must be an object'));
+    return;
+  }
+  validateRequiredString(coding, 'code', path, issues);
+  if (coding.system !== undefined && !isNonEmptyString(coding.system)) {
+    issues.push(issue('error', `${path}.system`, '"system" must be a string'));
+  }
+}
+
+function validateSource(source, path, issues) {
+  if (!isObject(source)) {
+    issues.push(issue('error', path, 'Missing required "source" field'));
+    return;
+  }
+  validateRequiredString(source, 'label', path, issues);
+  if (source.topic !== undefined) {
+    validateCoding(source.topic, `${path}.topic`, issues);
+  }
+}
+
+/**
+ * Validate a suggestion action or system action
+ */
+function validateAction(action, path, issues) {
+  if (!isObject(action)) {
+    issues.push(issue('error', path, 'Action must be an object'));
+    return;
+  }
+  if (!ACTION_TYPES.includes(action.type)) {
+    issues.push(issue('error', `${path}.type`, action.type === undefined
+      ? 'Missing required "type" field'
+      : `"type" must be one of ${ACTION_TYPES.join(', ')} (found "${action.type}")`));
+  }
+  validateRequiredString(action, 'description', path, issues);
+  if ((action.type === 'create' || action.type === 'update') && !isObject(action.resource)) {
+    issues.push(issue('error', `${path}.resource`, `A FHIR resource is required for "${action.type}" actions`));
+  }
+  if (action.type === 'delete' && !isNonEmptyString(action.resourceId) && !action.resource) {
+    issues.push(issue('error', `${path}.resourceId`, 'A resource reference is required for "delete" actions'));
+  }
+}
+
+function validateSuggestion(suggestion, path, issues) {
+  if (!isObject(suggestion)) {
+    issues.push(issue('error', path, 'Suggestion must be an object'));
+    return;
+  }
+  validateRequiredString(suggestion, 'label', path, issues);
+  if (suggestion.isRecommended !== undefined && typeof suggestion.isRecommended !== 'boolean') {
+    issues.push(issue('error', `${path}.isRecommended`, '"isRecommended" must be a boolean'));
+  }
+  validateArray(suggestion, 'actions', path, issues, validateAction);
+}
+
+function validateLink(link, path, issues) {
+  if (!isObject(link)) {
+    issues.push(issue('error', path, 'Link must be an object'));
+    return;
+  }
+  validateRequiredString(link, 'label', path, issues);
+  validateRequiredString(link, 'url', path, issues);
+  if (!LINK_TYPES.includes(link.type)) {
+    issues.push(issue('error', `${path}.type`, link.type === undefined
+      ? 'Missing required "type" field'
+      : `"type" must be one of ${LINK_TYPES.join(', ')} (found "${link.type}")`));
+  }
+  if (link.appContext !== undefined && link.type !== 'smart') {
+    issues.push(issue('warning', `${path}.appContext`, '"appContext" is only used by links of type "smart"'));
+  }
+}
+
+function validateCard(card, path, issues) {
+  if (!isObject(card)) {
+    issues.push(issue('error', path, 'Card must be an object'));
+    return;
+  }
+  validateRequiredString(card, 'summary', path, issues);
+  if (isNonEmptyString(card.summary) && card.summary.length >= MAX_SUMMARY_LENGTH) {
+    issues.push(issue('warning', `${path}.summary`, `"summary" should be shorter than ${MAX_SUMMARY_LENGTH} characters`));
+  }
+  if (!INDICATORS.includes(card.indicator)) {
+    issues.push(issue('error', `${path}.indicator`, card.indicator === undefined
+      ? 'Missing required "indicator" field'
+      : `"indicator" must be one of ${INDICATORS.join(', ')} (found "${card.indicator}")`));
+  }
+  validateSource(card.source, `${path}.source`, issues);
+  validateArray(card, 'suggestions', path, issues, validateSuggestion);
+  if (card.selectionBehavior !== undefined && !SELECTION_BEHAVIORS.includes(card.selectionBehavior)) {
+    const allowed = SELECTION_BEHAVIORS.join(', ');
+    issues.push(issue('error', `${path}.selectionBehavior`, `"selectionBehavior" must be one of ${allowed} (found "${card.selectionBehavior}")`));
+  } else if (card.selectionBehavior === undefined && Array.isArray(card.suggestions) && card.suggestions.length) {
+    issues.push(issue('error', `${path}.selectionBehavior`, '"selectionBehavior" is required when a card has suggestions'));
+  }
+  validateArray(card, 'overrideReasons', path, issues, validateCoding);
+  validateArray(card, 'links', path, issues, validateLink);
+}
+
+/**
+ * Validate a CDS service response against the card, suggestion, action, link, source and system action
+ * rules of the CDS Hooks specification. Returns a list of issues, each with a severity ('error' or 'warning'),
+ * the path of the offending property and a message. Returns null if the response is not a JSON object.
+ * @param {*} response - Response returned by a CDS service
+ */
+export function validateResponse(response) {
+  if (!isObject(response)) {
+    return null;
+  }
+  const issues = [];
+  if (!Array.isArray(response.cards)) {
+    issues.push(issue('error', 'cards', response.cards === undefined
+      ? 'Missing required "cards" field'
+      : '"cards" must be an array'));
+  } else {
+    response.cards.forEach((card, index) => validateCard(card, `cards[${index}]`, issues));
+  }
+  validateArray(response, 'systemActions', '', issues, validateAction);
+  return issues;
+}
+
+/**
+ * Get the validation issues of a single card from the issues of its whole response
+ * @param {*} issues - Validation issues of a CDS service response
+ * @param {*} cardIndex - Index of the card in the cards array of the response
+ */
+export function getCardIssues(issues, cardIndex) {
+  const prefix = `cards[${cardIndex}]`;
+  return (issues || []).filter((item) => item.path === prefix
+    || item.path.startsWith(`${prefix}.`));
+}
@@ -0,0 +1,104 @@
+import { isSupportedPrefetchToken } from './prefetch-template';
+
+/**
+ * Hooks published in the CDS Hooks specification and hook library
+ */
+export const KNOWN_HOOKS = [
+  'patient-view',
+  'order-select',
+  'order-sign',
+  'appointment-book',
+  'encounter-start',
+  'encounter-discharge',
+  'order-dispatch',
+];
+
+const TOKEN_PATTERN = /{{([^{}]*)}}/g;
+
+function finding(severity, path, message) {
+  return { severity, path, message };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Lint a single prefetch template, checking the template syntax and the tokens it references
+ * @param {*} key - Prefetch key of the template
+ * @param {*} template - Prefetch template (i.e. Patient/{{context.patientId}})
+ */
+function lintPrefetchTemplate(key, template) {
+  const path = `prefetch.${key}`;
+  if (!isNonEmptyString(template)) {
+    return [finding('error', path, 'Prefetch template must be a non-empty string')];
+  }
+  // Once every well-formed token is removed, any brace pair left over is malformed (i.e. "{{context.patientId}" or "{{ {{")
+  const leftover = template.replace(TOKEN_PATTERN, '');
+  if (leftover.includes('{{') || leftover.includes('}}')) {
+    return [finding('error', path, `Malformed prefetch template "${template}"`)];
+  }
+
+  const findings = [];
+  (template.match(TOKEN_PATTERN) || []).forEach((match) => {
+    const token = match.slice(2, -2).trim();
+    if (!token) {
+      findings.push(finding('error', path, `Empty prefetch token in "${template}"`));
+    } else if (!isSupportedPrefetchToken(token)) {
+      findings.push(finding('warning', path, `Prefetch token "${token}" is not supported by the Sandbox and will not be filled out`));
+    }
+  });
+  return findings;
+}
+
+/**
+ * Lint a single service definition returned by a discovery endpoint
+ * @param {*} service - CDS service definition
+ */
+function lintServiceDefinition(service) {
+  if (!service || typeof service !== 'object' || Array.isArray(service)) {
+    return [finding('error', '', 'Service definition must be an object')];
+  }
+  const findings = [];
+  ['id', 'hook', 'description'].forEach((field) => {
+    if (!isNonEmptyString(service[field])) {
+      findings.push(finding('error', field, `Missing required "${field}" field`));
+    }
+  });
+  if (isNonEmptyString(service.hook) && !KNOWN_HOOKS.includes(service.hook)) {
+    findings.push(finding('warning', 'hook', `Unknown hook "${service.hook}"`));
+  }
+  if (service.prefetch !== undefined) {
+    if (!service.prefetch || typeof service.prefetch !== 'object' || Array.isArray(service.prefetch)) {
+      findings.push(finding('error', 'prefetch', '"prefetch" must be an object of prefetch keys and templates'));
+    } else {
+      Object.keys(service.prefetch).forEach((key) => {
+        findings.push(...lintPrefetchTemplate(key, service.prefetch[key]));
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Lint the service definitions of a discovery document: required id/hook/description, unknown hooks,
+ * malformed prefetch templates, unsupported prefetch tokens and duplicate service IDs.
+ * Returns a list of findings for each service definition, in the same order as the services passed in.
+ * Each finding has a severity ('error' or 'warning'), the path of the offending property and a message.
+ * @param {*} services - Service definitions returned by a discovery endpoint
+ */
+export function lintServiceDefinitions(services) {
+  const idCounts = {};
+  services.forEach((service) => {
+    if (service && isNonEmptyString(service.id)) {
+      idCounts[service.id] = (idCounts[service.id] || 0) + 1;
+    }
+  });
+  return services.map((service) => {
+    const findings = lintServiceDefinition(service);
+    if (service && idCounts[service.id] > 1) {
+      findings.push(finding('error', 'id', `Duplicate service ID "${service.id}" in the discovery document`));
+    }
+    return findings;
+  });
+}
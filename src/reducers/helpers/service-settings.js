@@ -0,0 +1,131 @@
+import uniq from 'lodash/uniq';
+
+/**
+ * Prefetch modes the Sandbox may use when invoking a CDS service
+ */
+export const PREFETCH_MODES = {
+  full: 'Send all prefetch',
+  none: 'Send no prefetch',
+  partial: 'Send chosen prefetch keys',
+  null: 'Send null prefetch values',
+};
+
+/**
+ * Faults the Sandbox may introduce in the authorization of its requests to a CDS service, to check that the service
+ * rejects them (see generateJWT)
+ */
+export const AUTH_FAULTS = {
+  none: 'Send a valid JWT',
+  'expired-exp': 'Expired exp',
+  'wrong-aud': 'Wrong aud',
+  'unknown-kid': 'Unknown kid',
+  'bad-signature': 'Bad signature',
+  'missing-authorization': 'No Authorization header',
+  'replayed-jti': 'Replayed jti',
+};
+
+/**
+ * What the Sandbox sends a CDS service as fhirAuthorization, for the service to query the FHIR server with
+ */
+export const FHIR_AUTHORIZATION_MODES = {
+  sandbox: 'Send the access token of the Sandbox',
+  none: 'Send no fhirAuthorization',
+  scoped: 'Mint a token scoped to the prefetch resource types',
+};
+
+/**
+ * Settings used for a CDS service that has not been configured otherwise. An empty fhirAuthorization subject or patient
+ * falls back to the client ID of the Sandbox and to the patient in context. The timeout is in milliseconds (0 for none)
+ */
+export const DEFAULT_SERVICE_SETTINGS = {
+  prefetchMode: 'full',
+  prefetchKeys: [],
+  authFault: 'none',
+  fhirAuthorizationMode: 'sandbox',
+  fhirAuthorizationSubject: '',
+  fhirAuthorizationPatient: '',
+  timeout: 10000,
+};
+
+/**
+ * Time (in milliseconds) an EHR typically gives CDS services to return cards, from the hook invocation to the cards
+ * being displayed. Exchanges taking longer are flagged as slow
+ */
+export const LATENCY_BUDGET = 500;
+
+/**
+ * Get the settings the Sandbox uses to invoke a CDS service, falling back to the default settings
+ * @param {*} state - Redux store state
+ * @param {*} url - CDS service endpoint URL
+ */
+export function getServiceSettings(state, url) {
+  const serviceSettings = state.cdsServicesState.serviceSettings || {};
+  return { ...DEFAULT_SERVICE_SETTINGS, ...serviceSettings[url] };
+}
+
+/**
+ * Derive the SMART scopes a CDS service needs from its prefetch templates: read access to the resource type of each
+ * template, in the compartment of the patient (i.e. "Observation?patient={{context.patientId}}" needs patient/Observation.read)
+ * @param {*} prefetch - Prefetch templates of the service definition
+ * @returns {string} - Space separated scopes, in the order of the prefetch templates
+ */
+export function getPrefetchScopes(prefetch) {
+  const resourceTypes = Object.keys(prefetch || {})
+    .map((key) => String(prefetch[key]).split(/[/?]/)[0])
+    .filter((resourceType) => /^[A-Z][A-Za-z]+$/.test(resourceType));
+  return uniq(resourceTypes).map((resourceType) => `patient/${resourceType}.read`).join(' ');
+}
+
+/**
+ * Get the discovery endpoint a CDS service was discovered at, from the service endpoint URL
+ * @param {*} serviceUrl - CDS service endpoint URL
+ * @param {*} serviceId - ID of the service in its service definition
+ */
+export function getDiscoveryUrl(serviceUrl, serviceId) {
+  return serviceUrl.slice(0, -(`/${serviceId}`.length));
+}
+
+/**
+ * Tell whether a service rejected a request sent with an auth fault, as it should with a 401 or 403 status
+ * @param {*} result - Object with the auth fault of the request (authFault), the status of the response (status) and
+ * whether the fault could not be introduced, the request being sent with a valid JWT (isNotIntroduced)
+ * @returns {*} - Object with the outcome (rejected, accepted, no-status or not-introduced) and a message describing it
+ */
+export function describeAuthFaultResult(result) {
+  const fault = AUTH_FAULTS[result.authFault];
+  if (result.isNotIntroduced) {
+    return {
+      outcome: 'not-introduced',
+      message: `${fault}: not introduced, as no valid JWT was sent before. A valid JWT was sent, whose jti the next request replays`,
+    };
+  }
+  if (result.status === 401 || result.status === 403) {
+    return { outcome: 'rejected', message: `${fault}: rejected with ${result.status}, as expected` };
+  }
+  if (!result.status) {
+    return {
+      outcome: 'no-status',
+      message: `${fault}: no response status (i.e. a network or CORS error), expected 401 or 403`,
+    };
+  }
+  return { outcome: 'accepted', message: `${fault}: responded with ${result.status}, expected 401 or 403` };
+}
+
+/**
+ * Tell whether an exchange took longer than the latency budget, from the hook invocation to its response being handled
+ * @param {*} timings - Timings of the exchange (prefetch, request, responseHandling and total, in milliseconds), if any
+ */
+export function isSlowExchange(timings) {
+  return !!timings && timings.total > LATENCY_BUDGET;
+}
+
+/**
+ * Describe the timings of an exchange, i.e. "812 ms (prefetch 300 ms, request 500 ms, response handling 12 ms)"
+ * @param {*} timings - Timings of the exchange (prefetch, request, responseHandling and total, in milliseconds)
+ */
+export function describeTimings(timings) {
+  const steps = [['prefetch', timings.prefetch], ['request', timings.request], ['response handling', timings.responseHandling]]
+    .filter(([, duration]) => duration !== null && duration !== undefined)
+    .map(([step, duration]) => `${step} ${duration} ms`);
+  return `${timings.total} ms (${steps.join(', ')})`;
+}
@@ -1,4 +1,5 @@
 import pickBy from 'lodash/pickBy';
+import { getCardIssues } from './response-validation';
 
 /**
  * Get an Object of service IDs and their definitions back that correlate to the hook passed in
@@ -13,28 +14,69 @@ export function getServicesByHook(hook, services) {
 }
 
 /**
- * Create one cards array that holds all card responses from the passed in service URLs
+ * Get the UUID of the error card of a failed service exchange, unique to its request so that the card of a later
+ * failure is displayed even if an earlier one was dismissed
+ * @param {*} exchange - Service exchange that failed
+ */
+export function getErrorCardUUID(exchange) {
+  return `service-error-${exchange.request.hookInstance}`;
+}
+
+/**
+ * Create one cards array that holds all card responses from the passed in service URLs, and an error card for each
+ * service that failed to return a usable response (see the error record of its exchange)
  * @param {*} serviceUrls - Services to retrieve valid cards from
  */
 export function getCardsFromServices(state, serviceUrls) {
   const totalCards = { cards: [] };
-  const { exchanges, hiddenCards } = state.serviceExchangeState;
+  const { exchanges, hiddenCards, takenSuggestions } = state.serviceExchangeState;
+  const configuredServices = (state.cdsServicesState && state.cdsServicesState.configuredServices) || {};
   serviceUrls.forEach((url) => {
     // Check if there is a service exchange (request and response) for this service ID url
     if (exchanges[url]) {
-      const { response } = exchanges[url];
-      const hiddenUUIDs = hiddenCards[url];
+      const {
+        response, validationIssues, timings, error,
+      } = exchanges[url];
+      const hiddenUUIDs = hiddenCards[url] || [];
+
+      // Face up the failure of the service, unless its error card was dismissed
+      const errorUUID = error && getErrorCardUUID(exchanges[url]);
+      if (error && !hiddenUUIDs.includes(errorUUID)) {
+        const service = configuredServices[url] || {};
+        totalCards.cards.push({
+          uuid: errorUUID,
+          indicator: 'error',
+          summary: `${service.id || url} failed: ${error.title}`,
+          serviceUrl: url,
+          serviceError: error,
+        });
+      }
 
       // Check if the service response for cards is valid and has at least one card
       if (response && Object.keys(response) && response.cards && response.cards.length) {
-        response.cards.forEach((card) => {
+        response.cards.forEach((card, index) => {
           // Skip adding if the card has been dismissed
           if (card.uuid && hiddenUUIDs.includes(card.uuid)) {
             return;
           }
           // Adding a serviceUrl property to each card to distinguish which card maps to which
           // CDS Service (for feedback endpoint)
-          totalCards.cards.push({ ...card, serviceUrl: url });
+          const totalCard = { ...card, serviceUrl: url };
+          // Flag the card with any violation of the CDS Hooks specification found in its response
+          const cardIssues = getCardIssues(validationIssues, index);
+          if (cardIssues.length) {
+            totalCard.validationIssues = cardIssues;
+          }
+          // Attach the timings of the exchange, to flag cards of services exceeding the latency budget
+          if (timings) {
+            totalCard.timings = timings;
+          }
+          // Flag the suggestions already taken from the card (by index), to honor its selectionBehavior
+          const takenIndexes = card.uuid && ((takenSuggestions || {})[url] || {})[card.uuid];
+          if (takenIndexes && takenIndexes.length) {
+            totalCard.takenSuggestions = takenIndexes;
+          }
+          totalCards.cards.push(totalCard);
         });
       }
     }
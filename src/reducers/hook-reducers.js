@@ -9,6 +9,15 @@ const initialState = {
   isContextVisible: true,
   triggerCount: 0,
   apps: [],
+  /**
+   * How SMART apps are launched from card links: in a new tab ('new-tab') or in the embedded app panel ('embedded')
+   */
+  appLaunchMode: 'new-tab',
+  /**
+   * App loaded in the embedded app panel, if any: the trigger point and link it was launched from, the URL loaded, and
+   * the identifier of its registered window once the panel has registered it
+   */
+  embeddedApp: null,
   screens: {
     'patient-view': {
       triggerPoints: {
@@ -46,6 +55,39 @@ const initialState = {
         },
       },
     },
+    'encounter-start': {
+      triggerPoints: {
+        'encounter/encounter-start': {
+          hook: 'encounter-start',
+          lastExchangeRound: 0,
+        },
+      },
+    },
+    'encounter-discharge': {
+      triggerPoints: {
+        'encounter/encounter-discharge': {
+          hook: 'encounter-discharge',
+          lastExchangeRound: 0,
+        },
+      },
+    },
+    'order-dispatch': {
+      triggerPoints: {
+        'order-dispatch/order-dispatch': {
+          hook: 'order-dispatch',
+          lastExchangeRound: 0,
+        },
+      },
+    },
+    // The hook of the custom hook trigger point follows the hook in context (see SET_HOOK)
+    'custom-hook': {
+      triggerPoints: {
+        'custom-hook/custom-hook': {
+          hook: 'custom-hook',
+          lastExchangeRound: 0,
+        },
+      },
+    },
   },
 };
 
@@ -62,9 +104,12 @@ const hookReducers = (state = initialState, action) => {
           action.triggerPoint,
           url.origin,
           action.sourceWindow,
+          action.link.messagingHandle,
+          action.link.url,
         );
         return {
           ...state,
+          embeddedApp: action.isEmbedded && state.embeddedApp ? { ...state.embeddedApp, windowId } : state.embeddedApp,
           apps: [
             ...state.apps,
             {
@@ -77,6 +122,39 @@ const hookReducers = (state = initialState, action) => {
         };
       }
 
+      case types.SET_APP_LAUNCH_MODE: {
+        return { ...state, appLaunchMode: action.mode };
+      }
+
+      // Only one app is embedded at a time: the app already in the panel is closed for the new one
+      case types.OPEN_EMBEDDED_APP: {
+        const previousApp = state.embeddedApp;
+        if (previousApp && previousApp.windowId !== undefined) {
+          cdsExecution.unregisterWindow(previousApp.windowId);
+        }
+        return {
+          ...state,
+          apps: previousApp ? state.apps.filter((app) => app.windowId !== previousApp.windowId) : state.apps,
+          embeddedApp: {
+            triggerPoint: action.triggerPoint,
+            link: action.link,
+            url: action.url,
+          },
+        };
+      }
+
+      case types.CLOSE_SMART_APP: {
+        if (action.windowId !== undefined) {
+          cdsExecution.unregisterWindow(action.windowId);
+        }
+        const { embeddedApp } = state;
+        return {
+          ...state,
+          apps: state.apps.filter((app) => app.windowId !== action.windowId),
+          embeddedApp: embeddedApp && embeddedApp.windowId === action.windowId ? null : embeddedApp,
+        };
+      }
+
       case types.EXPLICIT_HOOK_TRIGGER: {
         return { ...state, triggerCount: state.triggerCount + 1 };
       }
@@ -100,11 +178,16 @@ const hookReducers = (state = initialState, action) => {
         const currentHook = action.hook || state.currentHook;
         const currentScreen = action.screen || currentHook;
 
-        return {
-          ...state,
-          currentHook,
-          currentScreen,
-        };
+        return produce(state, (draftState) => {
+          /* eslint-disable no-param-reassign */
+          draftState.currentHook = currentHook;
+          draftState.currentScreen = currentScreen;
+          // Services on the Custom Hook view are invoked on whichever hook was typed in
+          if (currentScreen === 'custom-hook') {
+            draftState.screens['custom-hook'].triggerPoints['custom-hook/custom-hook'].hook = currentHook;
+          }
+          /* eslint-enable no-param-reassign */
+        });
       }
 
       default:
@@ -8,6 +8,12 @@ import hookReducers from './hook-reducers';
 import serviceExchangeReducers from './service-exchange-reducers';
 import cardDemoReducers from './card-demo-reducers';
 import pamaReducers from './pama-reducers';
+import encounterReducers from './encounter-reducers';
+import orderDispatchReducers from './order-dispatch-reducers';
+import customHookReducers from './custom-hook-reducers';
+import orderBasketReducers from './order-basket-reducers';
+import scratchpadReducers from './scratchpad-reducers';
+import jwtSettingsReducers from './jwt-settings-reducers';
 import { medicationReducers } from './medication-reducers';
 import { communicationReducers } from './communication-reducers';
 
@@ -21,6 +27,12 @@ const reducers = combineReducers({
   medicationState: medicationReducers,
   communicationState: communicationReducers,
   pama: pamaReducers,
+  encounterState: encounterReducers,
+  orderDispatchState: orderDispatchReducers,
+  customHookState: customHookReducers,
+  orderBasketState: orderBasketReducers,
+  scratchpadState: scratchpadReducers,
+  jwtSettingsState: jwtSettingsReducers,
 });
 
 export default reducers;
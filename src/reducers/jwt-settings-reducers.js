@@ -0,0 +1,37 @@
+import * as types from '../actions/action-types';
+import { DEFAULT_JWT_SETTINGS } from '../retrieve-data-helpers/jwt-generator';
+
+/**
+ * Read the signing settings persisted by the user, if any (see the persistJwtSettings middleware)
+ */
+function getPersistedSettings() {
+  try {
+    return JSON.parse(localStorage.getItem('PERSISTED_jwtSettings')) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+export const getInitialState = () => ({ ...DEFAULT_JWT_SETTINGS, ...getPersistedSettings() });
+
+const jwtSettingsReducers = (state = getInitialState(), action) => {
+  if (action.type) {
+    switch (action.type) {
+      // Store the issuer, algorithm, kid, jku and key pair to sign JWTs with
+      case types.UPDATE_JWT_SETTINGS: {
+        return { ...state, ...action.settings };
+      }
+
+      // Sign JWTs with the issuer and key pair of the Sandbox again
+      case types.RESET_JWT_SETTINGS: {
+        return { ...DEFAULT_JWT_SETTINGS };
+      }
+
+      default:
+        return state;
+    }
+  }
+  return state;
+};
+
+export default jwtSettingsReducers;
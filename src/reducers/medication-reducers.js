@@ -22,13 +22,20 @@ const getQueryParam = (param) => {
   return parsedParams[param];
 };
 
+// Identifiers of the draft MedicationRequest (STU3 and higher) and MedicationOrder (DSTU2) built from the form
+const DRAFT_REQUEST_ID = 'request-123';
+const DRAFT_ORDER_ID = 'order-123';
+
+// References of the draft order built from the form, whatever the FHIR version
+export const DRAFT_MEDICATION_REFERENCES = [`MedicationRequest/${DRAFT_REQUEST_ID}`, `MedicationOrder/${DRAFT_ORDER_ID}`];
+
 // Construct the FHIR resource for MedicationRequest/Order from a chosen condition and/or medication
 export const createFhirResource = (fhirVersion, patientId, state, patientConditions) => {
   const isSTU3OrHigher = compareVersions(fhirVersion, '3.0.1') >= 0;
 
   const resource = {
     resourceType: isSTU3OrHigher ? 'MedicationRequest' : 'MedicationOrder',
-    id: isSTU3OrHigher ? 'request-123' : 'order-123',
+    id: isSTU3OrHigher ? DRAFT_REQUEST_ID : DRAFT_ORDER_ID,
     status: 'draft',
   };
 
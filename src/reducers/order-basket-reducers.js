@@ -0,0 +1,103 @@
+import moment from 'moment';
+import compareVersions from 'compare-versions';
+import * as types from '../actions/action-types';
+import { createFhirResource } from './medication-reducers';
+
+/**
+ * Construct the FHIR resource of an order in the basket: a MedicationRequest (MedicationOrder before STU3) for a prescribed
+ * medication, or a ServiceRequest (ProcedureRequest before R4) for a service
+ * @param {*} order - Order from the basket
+ * @param {*} fhirVersion - Version of the FHIR server in context
+ * @param {*} patientId - Identifier of the Patient in context
+ * @param {*} patientConditions - Condition resources of the Patient in context
+ */
+export const createBasketResource = (order, fhirVersion, patientId, patientConditions) => {
+  if (order.kind === 'medication') {
+    return {
+      ...createFhirResource(fhirVersion, patientId, order.medicationOrder, patientConditions),
+      id: order.id,
+    };
+  }
+  const isR4OrHigher = compareVersions(fhirVersion, '4.0.0') >= 0;
+  return {
+    resourceType: isR4OrHigher ? 'ServiceRequest' : 'ProcedureRequest',
+    id: order.id,
+    status: 'draft',
+    intent: 'order',
+    code: {
+      coding: [order.coding],
+      text: order.coding.display,
+    },
+    subject: {
+      reference: `Patient/${patientId}`,
+    },
+    authoredOn: moment().format('YYYY-MM-DD'),
+  };
+};
+
+const initialState = {
+  /**
+   * Orders drafted alongside the order on the Rx View form. Each order has an identifier, a kind (medication or service),
+   * a label, a flag to determine if it is part of the hook selections, and the details to build its FHIR resource from
+   */
+  orders: [],
+  /**
+   * Number used to identify the next order added to the basket
+   */
+  nextOrderNumber: 1,
+};
+
+const orderBasketReducers = (state = initialState, action) => {
+  if (action.type) {
+    switch (action.type) {
+      // Add the medication prescribed on the Rx View form to the basket
+      case types.ADD_MEDICATION_TO_BASKET: {
+        return {
+          ...state,
+          orders: state.orders.concat({
+            id: `basket-request-${state.nextOrderNumber}`,
+            kind: 'medication',
+            label: action.medicationOrder.decisions.prescribable.name,
+            isSelected: true,
+            medicationOrder: action.medicationOrder,
+          }),
+          nextOrderNumber: state.nextOrderNumber + 1,
+        };
+      }
+
+      // Add a service (i.e. a lab test) to the basket
+      case types.ADD_SERVICE_TO_BASKET: {
+        return {
+          ...state,
+          orders: state.orders.concat({
+            id: `basket-service-${state.nextOrderNumber}`,
+            kind: 'service',
+            label: action.coding.display,
+            isSelected: true,
+            coding: action.coding,
+          }),
+          nextOrderNumber: state.nextOrderNumber + 1,
+        };
+      }
+
+      case types.REMOVE_FROM_BASKET: {
+        return { ...state, orders: state.orders.filter((order) => order.id !== action.id) };
+      }
+
+      case types.TOGGLE_BASKET_SELECTION: {
+        return {
+          ...state,
+          orders: state.orders.map((order) => (
+            order.id === action.id ? { ...order, isSelected: !order.isSelected } : order
+          )),
+        };
+      }
+
+      default:
+        return state;
+    }
+  }
+  return state;
+};
+
+export default orderBasketReducers;
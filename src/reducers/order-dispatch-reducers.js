@@ -0,0 +1,29 @@
+import * as types from '../actions/action-types';
+
+const initialState = {
+  dispatchedOrders: ['ServiceRequest/example-dispatch-id'],
+  performer: 'Organization/example-lab',
+  isDispatched: false,
+};
+
+const orderDispatchReducers = (state = initialState, action) => {
+  if (action.type) {
+    switch (action.type) {
+      // Select the performer the orders in context are dispatched to
+      case types.SELECT_DISPATCH_PERFORMER: {
+        return { ...state, performer: action.performer, isDispatched: false };
+      }
+
+      // Dispatch the orders in context to the selected performer
+      case types.TRIGGER_ORDER_DISPATCH: {
+        return { ...state, isDispatched: true };
+      }
+
+      default:
+        return state;
+    }
+  }
+  return state;
+};
+
+export default orderDispatchReducers;
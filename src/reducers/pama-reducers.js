@@ -1,5 +1,8 @@
 import * as types from '../actions/action-types';
 
+// Reference of the draft imaging order built from the form
+export const PAMA_DRAFT_REFERENCE = 'ServiceRequest/example-request-id';
+
 const initialState = {
   serviceRequest: {
     studyCoding: {},
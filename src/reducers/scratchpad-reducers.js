@@ -0,0 +1,157 @@
+import * as types from '../actions/action-types';
+import { DRAFT_MEDICATION_REFERENCES } from './medication-reducers';
+import { PAMA_DRAFT_REFERENCE } from './pama-reducers';
+
+// Edits of the forms of the screens, by the draft orders each edit rebuilds. Once the form edits a draft order, the
+// changes made to it on the scratchpad are dropped, so that the next invocations get the draft as edited rather than as
+// last changed by a suggestion, system action or app (i.e. a draft deleted by a suggestion is back once edited)
+const FORM_EDITS = {
+  [types.STORE_USER_MED_INPUT]: DRAFT_MEDICATION_REFERENCES,
+  [types.STORE_USER_CHOSEN_MEDICATION]: DRAFT_MEDICATION_REFERENCES,
+  [types.STORE_USER_CONDITION]: DRAFT_MEDICATION_REFERENCES,
+  [types.STORE_MED_DOSAGE_AMOUNT]: DRAFT_MEDICATION_REFERENCES,
+  [types.STORE_DISPENSE_REQUEST]: DRAFT_MEDICATION_REFERENCES,
+  [types.STORE_DATE]: DRAFT_MEDICATION_REFERENCES,
+  [types.TOGGLE_DATE]: DRAFT_MEDICATION_REFERENCES,
+  [types.UPDATE_STUDY]: [PAMA_DRAFT_REFERENCE],
+  [types.REMOVE_STUDY]: [PAMA_DRAFT_REFERENCE],
+  [types.ADD_REASON]: [PAMA_DRAFT_REFERENCE],
+  [types.REMOVE_REASON]: [PAMA_DRAFT_REFERENCE],
+};
+
+/**
+ * Get the relative reference (i.e. MedicationRequest/123) of the resource a suggestion action applies to.
+ * Delete actions reference the resource with resourceId, or with the resource itself (older versions of the specification)
+ * @param {*} action - Suggestion action
+ */
+export const getActionReference = (action) => {
+  if (action.type === 'delete' && typeof action.resourceId === 'string') {
+    return action.resourceId;
+  }
+  if (action.resource && action.resource.resourceType && action.resource.id) {
+    return `${action.resource.resourceType}/${action.resource.id}`;
+  }
+  return null;
+};
+
+const getResourceReference = (resource) => (resource ? `${resource.resourceType}/${resource.id}` : null);
+
+/**
+ * Overlay the draft resources of the scratchpad onto the context generated by a screen: draft orders updated by a
+ * suggestion are replaced, deleted ones are removed from the draft orders and selections, and created ones are added to both
+ * @param {*} context - Hook context generated by a screen
+ * @param {*} scratchpadState - State of the scratchpad
+ */
+export const applyScratchpad = (context, scratchpadState) => {
+  const entries = (scratchpadState && scratchpadState.entries) || {};
+  if (!Object.keys(entries).length || !context || !context.draftOrders
+    || context.draftOrders.resourceType !== 'Bundle') {
+    return context;
+  }
+  const isDeleted = (reference) => !!entries[reference] && entries[reference].change === 'delete';
+
+  const draftEntries = (context.draftOrders.entry || [])
+    .filter((entry) => !isDeleted(getResourceReference(entry.resource)))
+    .map((entry) => {
+      const scratchpadEntry = entries[getResourceReference(entry.resource)];
+      return scratchpadEntry ? { ...entry, resource: scratchpadEntry.resource } : entry;
+    });
+  const draftReferences = draftEntries.map((entry) => getResourceReference(entry.resource));
+  const created = Object.keys(entries)
+    .filter((reference) => entries[reference].change === 'create' && !draftReferences.includes(reference));
+
+  const newContext = {
+    ...context,
+    draftOrders: {
+      ...context.draftOrders,
+      entry: draftEntries.concat(created.map((reference) => ({ resource: entries[reference].resource }))),
+    },
+  };
+  if (Array.isArray(context.selections)) {
+    newContext.selections = context.selections.filter((reference) => !isDeleted(reference)).concat(created);
+  }
+  return newContext;
+};
+
+/**
+ * Get every draft resource of a screen as read through the scratchpad: the draft orders of the context generated by the
+ * screen, and the other resources created or updated on the scratchpad
+ * @param {*} context - Hook context generated by a screen
+ * @param {*} scratchpadState - State of the scratchpad
+ */
+export const getDraftResources = (context, scratchpadState) => {
+  const entries = (scratchpadState && scratchpadState.entries) || {};
+  const newContext = applyScratchpad(context, scratchpadState);
+  const drafts = ((newContext && newContext.draftOrders && newContext.draftOrders.entry) || [])
+    .map((entry) => entry.resource)
+    .filter((resource) => !!resource);
+  const draftReferences = drafts.map(getResourceReference);
+  return drafts.concat(Object.keys(entries)
+    .filter((reference) => entries[reference].resource && !draftReferences.includes(reference))
+    .map((reference) => entries[reference].resource));
+};
+
+const initialState = {
+  /**
+   * Draft FHIR resources changed by suggestions, system actions and SMART apps, keyed by their relative reference. Each
+   * entry has the change made to the resource (create, update or delete), the resulting resource (none for a deleted
+   * resource), the origin of the change (suggestion, system-action or smart-app) and the URL of the service or app behind it
+   */
+  entries: {},
+};
+
+const scratchpadReducers = (state = initialState, action) => {
+  if (action.type) {
+    switch (action.type) {
+      // Apply create, update and delete actions (of a suggestion, system actions or an app) to the draft resources, by resource type and id
+      case types.APPLY_SCRATCHPAD_ACTIONS: {
+        const entries = { ...state.entries };
+        const { origin, sourceUrl } = action;
+        action.actions.forEach((suggestionAction) => {
+          const reference = getActionReference(suggestionAction);
+          // An action without a resource type and id has no draft to apply to
+          if (!reference) {
+            return;
+          }
+          const previous = entries[reference];
+          if (suggestionAction.type === 'delete') {
+            // A resource created on the scratchpad never left it, so there is nothing left to delete
+            if (previous && previous.change === 'create') {
+              delete entries[reference];
+            } else {
+              entries[reference] = {
+                change: 'delete', resource: null, origin, sourceUrl,
+              };
+            }
+          } else if (suggestionAction.type === 'create' || suggestionAction.type === 'update') {
+            const change = previous && previous.change === 'create' ? 'create' : suggestionAction.type;
+            entries[reference] = {
+              change, resource: suggestionAction.resource, origin, sourceUrl,
+            };
+          }
+        });
+        return { ...state, entries };
+      }
+
+      // Draft resources belong to the patient in context
+      case types.GET_PATIENT_SUCCESS:
+      case types.CLEAR_SCRATCHPAD: {
+        return { ...state, entries: {} };
+      }
+
+      default: {
+        // The form of a screen edits its draft orders
+        const edited = (FORM_EDITS[action.type] || []).filter((reference) => state.entries[reference]);
+        if (!edited.length) {
+          return state;
+        }
+        const entries = { ...state.entries };
+        edited.forEach((reference) => delete entries[reference]);
+        return { ...state, entries };
+      }
+    }
+  }
+  return state;
+};
+
+export default scratchpadReducers;
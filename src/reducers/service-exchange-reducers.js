@@ -1,10 +1,103 @@
+import pickBy from 'lodash/pickBy';
 import * as types from '../actions/action-types';
+import { validateResponse } from './helpers/response-validation';
+
+// Oldest history entries are dropped beyond this count to keep the store from growing unbounded
+export const MAX_HISTORY_ENTRIES = 200;
 
 const initialState = {
   selectedService: '',
   exchanges: {},
   launchLinks: {},
+  /**
+   * SMART Web Messaging handles given to the SMART apps in their launch context, keyed by their launch URL
+   */
+  messagingHandles: {},
   hiddenCards: {},
+  /**
+   * Index of the suggestions taken from each card of the latest exchange, keyed by the CDS service URL and the card UUID
+   */
+  takenSuggestions: {},
+  /**
+   * Time-ordered list of every exchange stored, oldest first
+   */
+  history: [],
+  /**
+   * Screen and trigger point that started each exchange round, keyed by the exchange round
+   */
+  exchangeRounds: {},
+  /**
+   * Identifier of the history entry displayed in the CDS Developer Panel (null for the latest exchange)
+   */
+  selectedHistoryEntry: null,
+  /**
+   * Every feedback request sent to the CDS services, oldest first, with the history entry of the exchange its cards came from
+   */
+  feedbackLog: [],
+  /**
+   * Card outcomes waiting to be sent to each CDS service in a batch, keyed by the CDS service URL
+   */
+  pendingFeedback: {},
+  /**
+   * Flag to determine if card outcomes are queued to be sent in batches, rather than sent right away
+   */
+  isFeedbackBatched: false,
+};
+
+// Build a history entry for an exchange, tagged with the screen and trigger point of its exchange round
+const createHistoryEntry = (state, action, validationIssues) => {
+  const history = state.history || [];
+  const round = (state.exchangeRounds || {})[action.exchangeRound] || {};
+  return {
+    id: history.length ? history[history.length - 1].id + 1 : 1,
+    url: action.url,
+    exchangeRound: action.exchangeRound,
+    screen: round.screen || null,
+    triggerPoint: round.triggerPoint || null,
+    timestamp: action.timestamp,
+    request: action.request,
+    response: action.response,
+    responseStatus: action.responseStatus,
+    validationIssues,
+    ...action.details,
+  };
+};
+
+// Add the time taken to handle the response of an exchange to its timings, if the exchange is the one of the request
+const addResponseHandlingTime = (exchange, action) => {
+  if (!exchange || !exchange.timings || !exchange.request || exchange.request.hookInstance !== action.hookInstance) {
+    return exchange;
+  }
+  return {
+    ...exchange,
+    timings: {
+      ...exchange.timings,
+      responseHandling: action.duration,
+      total: exchange.timings.prefetch + exchange.timings.request + action.duration,
+    },
+  };
+};
+
+// Once old entries are dropped from the history, drop the exchange rounds no history entry or latest exchange was stored
+// for, except the rounds started since the latest of them (whose exchanges may still be in flight)
+const trimExchangeRounds = (state) => {
+  const referenced = new Set([...state.history, ...Object.values(state.exchanges)].map((exchange) => exchange.exchangeRound));
+  const latest = Math.max(...referenced);
+  return {
+    ...state,
+    exchangeRounds: pickBy(state.exchangeRounds, (round, id) => referenced.has(Number(id)) || Number(id) > latest),
+  };
+};
+
+// Find the history entry of the latest exchange of a service that returned the cards of a feedback request
+const findFeedbackExchange = (state, action) => {
+  const cardUUIDs = action.feedback.map((cardFeedback) => cardFeedback.card);
+  const entries = (state.history || []).filter((entry) => entry.url === action.url).reverse();
+  const entry = entries.find((historyEntry) => {
+    const cards = (historyEntry.response && historyEntry.response.cards) || [];
+    return cards.some((card) => cardUUIDs.includes(card.uuid));
+  }) || entries[0];
+  return entry ? entry.id : null;
 };
 
 const serviceExchangeReducers = (state = initialState, action) => {
@@ -13,8 +106,20 @@ const serviceExchangeReducers = (state = initialState, action) => {
       // Successful call to CDS Service, store the data request and response in-app
       case types.STORE_SERVICE_EXCHANGE: {
         if (action.url && action.request && action.response) {
-          return {
+          // Check the response against the CDS Hooks specification (null if the service returned no JSON object)
+          const validationIssues = validateResponse(action.response);
+          const entries = [...(state.history || []), createHistoryEntry(state, action, validationIssues)];
+          const history = entries.slice(-MAX_HISTORY_ENTRIES);
+          const trimRounds = (newState) => (history.length < entries.length ? trimExchangeRounds(newState) : newState);
+          // A stale exchange (superseded by a later call to the service) is only kept in the history, so that it never
+          // replaces the exchange of the later call. So is a resent request (resentFrom is null if the exchange resent is
+          // not in the history), which leaves the cards of the latest exchange of the service as they are
+          if (action.details && (action.details.stale || action.details.resentFrom !== undefined)) {
+            return trimRounds({ ...state, history });
+          }
+          return trimRounds({
             ...state,
+            history,
             exchanges: {
               ...state.exchanges,
               [action.url]: {
@@ -22,17 +127,94 @@ const serviceExchangeReducers = (state = initialState, action) => {
                 response: action.response,
                 responseStatus: action.responseStatus,
                 exchangeRound: action.exchangeRound,
+                validationIssues,
+                ...action.details,
               },
             },
             hiddenCards: {
               ...state.hiddenCards,
               [action.url]: [],
             },
-          };
+            takenSuggestions: {
+              ...state.takenSuggestions,
+              [action.url]: {},
+            },
+          });
         }
         break;
       }
 
+      // Complete the timings of an exchange with the time its response took to handle
+      case types.STORE_RESPONSE_HANDLING_TIME: {
+        const exchange = state.exchanges[action.url];
+        return {
+          ...state,
+          exchanges: exchange ? {
+            ...state.exchanges,
+            [action.url]: addResponseHandlingTime(exchange, action),
+          } : state.exchanges,
+          history: (state.history || []).map((entry) => addResponseHandlingTime(entry, action)),
+        };
+      }
+
+      // Remember which screen and trigger point started an exchange round, to tag its exchanges in the history
+      case types.CREATE_EXCHANGE_ROUND: {
+        return {
+          ...state,
+          exchangeRounds: {
+            ...state.exchangeRounds,
+            [action.id]: {
+              screen: action.screen,
+              triggerPoint: action.triggerPoint,
+            },
+          },
+        };
+      }
+
+      // Select a past exchange from the history to display in the CDS developer panel
+      case types.SELECT_HISTORY_ENTRY: {
+        return { ...state, selectedHistoryEntry: action.id || null };
+      }
+
+      // Queue the outcome of a card to send in a batch to the service the card came from
+      case types.QUEUE_FEEDBACK: {
+        return {
+          ...state,
+          pendingFeedback: {
+            ...state.pendingFeedback,
+            [action.url]: [...((state.pendingFeedback || {})[action.url] || []), action.cardFeedback],
+          },
+        };
+      }
+
+      case types.CLEAR_PENDING_FEEDBACK: {
+        const pendingFeedback = { ...state.pendingFeedback };
+        delete pendingFeedback[action.url];
+        return { ...state, pendingFeedback };
+      }
+
+      // Record a feedback request sent to a service alongside the exchange its cards came from
+      case types.STORE_FEEDBACK: {
+        const feedbackLog = state.feedbackLog || [];
+        return {
+          ...state,
+          feedbackLog: [...feedbackLog, {
+            id: feedbackLog.length ? feedbackLog[feedbackLog.length - 1].id + 1 : 1,
+            url: action.url,
+            historyEntry: findFeedbackExchange(state, action),
+            timestamp: action.timestamp,
+            feedback: action.feedback,
+            status: action.status,
+            response: action.response,
+            error: action.error,
+          }].slice(-MAX_HISTORY_ENTRIES),
+        };
+      }
+
+      case types.SET_FEEDBACK_BATCHING: {
+        return { ...state, isFeedbackBatched: action.isBatched };
+      }
+
       case types.STORE_LAUNCH_LINK: {
         return {
           ...state,
@@ -43,6 +225,10 @@ const serviceExchangeReducers = (state = initialState, action) => {
               [action.appContext || 'default']: action.remappedUrl,
             },
           },
+          messagingHandles: action.remappedUrl && action.messagingHandle ? {
+            ...state.messagingHandles,
+            [action.remappedUrl]: action.messagingHandle,
+          } : state.messagingHandles,
         };
       }
 
@@ -68,6 +254,21 @@ const serviceExchangeReducers = (state = initialState, action) => {
         };
       }
 
+      // Remember the suggestions taken from a card, to honor its selectionBehavior
+      case types.TAKE_CARD_SUGGESTION: {
+        const serviceSuggestions = (state.takenSuggestions || {})[action.serviceUrl] || {};
+        return {
+          ...state,
+          takenSuggestions: {
+            ...state.takenSuggestions,
+            [action.serviceUrl]: {
+              ...serviceSuggestions,
+              [action.cardUUID]: [...(serviceSuggestions[action.cardUUID] || []), action.suggestionIndex],
+            },
+          },
+        };
+      }
+
       // Remove any CDS Service exchanges from the store
       case types.RESET_SERVICES: {
         return {
@@ -75,6 +276,12 @@ const serviceExchangeReducers = (state = initialState, action) => {
           selectedService: '',
           exchanges: {},
           hiddenCards: {},
+          takenSuggestions: {},
+          history: [],
+          exchangeRounds: {},
+          selectedHistoryEntry: null,
+          feedbackLog: [],
+          pendingFeedback: {},
         };
       }
 
@@ -84,25 +291,36 @@ const serviceExchangeReducers = (state = initialState, action) => {
       }
 
       // Delete any CDS service exchanges if a service is deleted from the Configure CDS Services modal
+      // (including a service with only stale or resent exchanges, which are stored in the history only)
       case types.DELETE_SERVICE: {
-        if (state.exchanges[action.service]) {
-          const exchangesCopy = JSON.parse(JSON.stringify(state.exchanges));
-          delete exchangesCopy[action.service];
+        const exchangesCopy = JSON.parse(JSON.stringify(state.exchanges));
+        delete exchangesCopy[action.service];
 
-          const hiddenCardsCopy = JSON.parse(JSON.stringify(state.hiddenCards));
-          delete hiddenCardsCopy[action.service];
-          return {
-            ...state,
-            exchanges: exchangesCopy,
-            selectedService: state.selectedService === action.service ? '' : state.selectedService,
-            hiddenCards: hiddenCardsCopy,
-          };
-        }
-        break;
+        const hiddenCardsCopy = JSON.parse(JSON.stringify(state.hiddenCards));
+        delete hiddenCardsCopy[action.service];
+
+        const takenSuggestions = { ...state.takenSuggestions };
+        delete takenSuggestions[action.service];
+
+        const history = (state.history || []).filter((entry) => entry.url !== action.service);
+        const isSelectedEntryKept = history.some((entry) => entry.id === state.selectedHistoryEntry);
+        const pendingFeedback = { ...state.pendingFeedback };
+        delete pendingFeedback[action.service];
+        return {
+          ...state,
+          exchanges: exchangesCopy,
+          history,
+          feedbackLog: (state.feedbackLog || []).filter((entry) => entry.url !== action.service),
+          pendingFeedback,
+          selectedHistoryEntry: isSelectedEntryKept ? state.selectedHistoryEntry : null,
+          selectedService: state.selectedService === action.service ? '' : state.selectedService,
+          hiddenCards: hiddenCardsCopy,
+          takenSuggestions,
+        };
       }
       // Clear the selected service to display request/response for when the view changes
       case types.SET_HOOK: {
-        return { ...state, selectedService: '' };
+        return { ...state, selectedService: '', selectedHistoryEntry: null };
       }
 
       default: {
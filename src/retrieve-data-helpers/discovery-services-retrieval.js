@@ -1,24 +1,68 @@
 import axios from 'axios';
 import store from '../store/store';
-import generateJWT from './jwt-generator';
+import generateJWT, { hasSignedJwtFor } from './jwt-generator';
 import {
   signalSuccessServicesRetrieval,
   signalFailureServicesRetrieval,
   signalRetrievingServices,
+  storeDiscoveryAuthFault,
 } from '../actions/cds-services-actions';
+import { lintServiceDefinitions } from '../reducers/helpers/service-linting';
+
+/**
+ * Send a request with an auth fault to a discovery endpoint, and store the status the endpoint responded with. The
+ * services the endpoint may still return are not stored, as the request only tests that the endpoint rejects it. A jti
+ * can only be replayed to an endpoint a JWT was sent to: until then, the request is sent with a valid JWT instead. The
+ * JWT is signed within the promise, which rejects (storing no status) if it cannot be signed.
+ *
+ * @param discoveryUrl - Discovery endpoint to send the request to
+ * @param authFault - Auth fault to introduce in the request (see AUTH_FAULTS in the service settings)
+ * @returns {Promise} - Promise resolving to the auth fault and the status of the response (null if there was none), and
+ * whether the fault was not introduced
+ */
+function testDiscoveryAuthFault(discoveryUrl, authFault) {
+  const isFaultIntroduced = authFault !== 'replayed-jti' || hasSignedJwtFor(discoveryUrl);
+  const storeStatus = (status) => {
+    store.dispatch(storeDiscoveryAuthFault(discoveryUrl, authFault, status, !isFaultIntroduced));
+    return isFaultIntroduced ? { authFault, status } : { authFault, status, isNotIntroduced: true };
+  };
+
+  return new Promise((resolve) => {
+    const headers = { Accept: 'application/json' };
+    if (authFault !== 'missing-authorization') {
+      const jwtFault = isFaultIntroduced ? authFault : 'none';
+      headers.Authorization = `Bearer ${generateJWT(discoveryUrl, store.getState().jwtSettingsState, jwtFault)}`;
+    }
+    resolve(headers);
+  }).then((headers) => axios({
+    method: 'get',
+    url: discoveryUrl,
+    headers,
+  }).then((result) => storeStatus(result.status), (err) => {
+    console.error(`Could not send a request with the ${authFault} auth fault to the discovery endpoint`, err);
+    return storeStatus(err.response ? err.response.status : null);
+  }));
+}
 
 /**
  * Retrieve CDS Services from a discovery endpoint and dispatch a successful or failed connection to services.
  *
+ * Given an auth fault other than none, only test that the discovery endpoint rejects a request with the fault instead
+ * (see testDiscoveryAuthFault).
+ *
  * @param testUrl - Discovery endpoint to grab the CDS Services from
+ * @param authFault - Auth fault to introduce in the request, if any
  * @returns {Promise} - Promise to resolve elsewhere
  */
-function retrieveDiscoveryServices(testUrl) {
+function retrieveDiscoveryServices(testUrl, authFault = 'none') {
+  if (authFault !== 'none') {
+    return testDiscoveryAuthFault(testUrl || store.getState().cdsServicesState.defaultUrl, authFault);
+  }
   return new Promise((resolve, reject) => {
     const discoveryUrl = testUrl || store.getState().cdsServicesState.defaultUrl;
     store.dispatch(signalRetrievingServices(discoveryUrl));
 
-    const signedPrivateJWT = generateJWT(discoveryUrl);
+    const signedPrivateJWT = generateJWT(discoveryUrl, store.getState().jwtSettingsState);
 
     axios({
       method: 'get',
@@ -29,7 +73,8 @@ function retrieveDiscoveryServices(testUrl) {
       },
     }).then((result) => {
       if (result.data && result.data.services && result.data.services.length) {
-        store.dispatch(signalSuccessServicesRetrieval(result.data.services, discoveryUrl));
+        const { services } = result.data;
+        store.dispatch(signalSuccessServicesRetrieval(services, discoveryUrl, lintServiceDefinitions(services)));
         return resolve();
       }
       return reject();
@@ -0,0 +1,70 @@
+import axios from 'axios';
+import store from '../store/store';
+import generateJWT from './jwt-generator';
+import { queueFeedback, clearPendingFeedback, storeFeedback } from '../actions/service-exchange-actions';
+
+/**
+ * POST card outcomes to the feedback endpoint of a CDS service, in a single feedback request, and record the request
+ * with its status, response and error (if any) alongside the exchange the cards came from. The JWT is signed within the
+ * promise, so that a request it cannot be signed for (i.e. with an invalid configured private key) is recorded as failed
+ * rather than thrown at the card the outcome is sent for.
+ *
+ * @param serviceUrl - CDS service endpoint URL the cards came from
+ * @param feedback - Array of card outcomes (i.e. accepted suggestions or override reason)
+ * @returns {Promise} - Promise resolving once the request is recorded, whether it failed or not
+ */
+export function sendFeedback(serviceUrl, feedback) {
+  const feedbackEndpoint = `${serviceUrl}/feedback`;
+
+  return new Promise((resolve) => {
+    resolve(generateJWT(feedbackEndpoint, store.getState().jwtSettingsState));
+  }).catch((err) => {
+    throw new Error(`The Sandbox could not sign the JWT of the feedback request: ${err.message}`);
+  }).then((signedPrivateJWT) => axios({
+    method: 'POST',
+    url: feedbackEndpoint,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${signedPrivateJWT}`,
+    },
+    data: { feedback },
+  })).then((result) => {
+    store.dispatch(storeFeedback(serviceUrl, feedback, result.status, result.data));
+  }, (err) => {
+    console.error(`Could not POST feedback to CDS Service ${serviceUrl}`, err);
+    const { status = null, data = null } = err.response || {};
+    store.dispatch(storeFeedback(serviceUrl, feedback, status, data, err.message));
+  });
+}
+
+/**
+ * Send the card outcomes queued for a CDS service in a single feedback request
+ *
+ * @param serviceUrl - CDS service endpoint URL
+ * @returns {Promise} - Promise resolving once the request is recorded (right away if no outcome is queued)
+ */
+export function sendPendingFeedback(serviceUrl) {
+  const feedback = store.getState().serviceExchangeState.pendingFeedback[serviceUrl] || [];
+  if (!feedback.length) {
+    return Promise.resolve();
+  }
+  store.dispatch(clearPendingFeedback(serviceUrl));
+  return sendFeedback(serviceUrl, feedback);
+}
+
+/**
+ * Send the outcome of a card to the CDS service it came from, or queue it if card outcomes are batched
+ *
+ * @param serviceUrl - CDS service endpoint URL the card came from
+ * @param cardFeedback - Outcome of the card
+ * @returns {Promise} - Promise resolving once the request is recorded, or right away if the outcome is queued
+ */
+function submitCardFeedback(serviceUrl, cardFeedback) {
+  if (store.getState().serviceExchangeState.isFeedbackBatched) {
+    store.dispatch(queueFeedback(serviceUrl, cardFeedback));
+    return Promise.resolve();
+  }
+  return sendFeedback(serviceUrl, [cardFeedback]);
+}
+
+export default submitCardFeedback;
@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { productionClientId, allScopes } from '../config/fhir-config';
+import { getPrefetchScopes } from '../reducers/helpers/service-settings';
+import { getMockSmartServerUrl } from './launch-context-retrieval';
+
+/**
+ * Get the fhirAuthorization to send a CDS service, and the FHIR server it is valid against, depending on the
+ * fhirAuthorization mode configured for the service:
+ * - sandbox: The access token of the Sandbox, if it has one (i.e. against a secured FHIR server)
+ * - none: No fhirAuthorization
+ * - scoped: A token minted by the mock SMART authorization server of the Sandbox (see scripts/express/mock-smart-server.js),
+ *   only allowing reads of the resource types of the prefetch templates of the service, in the compartment of the patient.
+ *   The token is only valid against the SMART-enabled base URL of the mock server, which is sent as the fhirServer
+ *
+ * The subject defaults to the client ID of the Sandbox, and the patient of a minted token to the patient in context.
+ * @param {*} state - Redux store state
+ * @param {*} serviceDefinition - Definition of the CDS service, with its prefetch templates
+ * @param {*} settings - Settings of the service (fhirAuthorizationMode, fhirAuthorizationSubject and fhirAuthorizationPatient)
+ * @returns {Promise} - Promise resolving to an object with the fhirServer and fhirAuthorization (if any) to send
+ */
+function retrieveFhirAuthorization(state, serviceDefinition, settings) {
+  const fhirServer = state.fhirServerState.currentFhirServer;
+  const { accessToken } = state.fhirServerState;
+  const subject = settings.fhirAuthorizationSubject || productionClientId;
+  const patient = settings.fhirAuthorizationPatient;
+
+  if (settings.fhirAuthorizationMode === 'scoped') {
+    const mockServerUrl = getMockSmartServerUrl(fhirServer);
+    return axios({
+      method: 'post',
+      url: `${mockServerUrl}/_services/smart/Token`,
+      headers: {
+        Accept: 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken.access_token}` } : {}),
+      },
+      data: {
+        scope: getPrefetchScopes(serviceDefinition.prefetch),
+        subject,
+        patient: patient || state.patientState.currentPatient.id,
+      },
+    }).then((result) => ({ fhirServer: mockServerUrl, fhirAuthorization: result.data }));
+  }
+
+  if (settings.fhirAuthorizationMode === 'none' || !accessToken) {
+    return Promise.resolve({ fhirServer });
+  }
+  const fhirAuthorization = {
+    access_token: accessToken.access_token,
+    token_type: 'Bearer',
+    expires_in: accessToken.expires_in,
+    scope: allScopes,
+    subject,
+  };
+  if (patient) {
+    fhirAuthorization.patient = patient;
+  }
+  return Promise.resolve({ fhirServer, fhirAuthorization });
+}
+
+export default retrieveFhirAuthorization;
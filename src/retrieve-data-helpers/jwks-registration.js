@@ -0,0 +1,36 @@
+import axios from 'axios';
+
+/**
+ * Get the URL of the JWKS served by the Sandbox itself (see scripts/express/jwks-server.js), the default jku of JWTs
+ * signed with a key pair configured in the Sandbox
+ */
+export function getLocalJwksUrl() {
+  return `${window.location.origin}/.well-known/jwks.json`;
+}
+
+/**
+ * Register the public key of the configured signing settings in the JWKS served by the Sandbox, so that services can
+ * verify JWTs signed with a generated or imported key pair. The JWKS only keeps keys in memory, hence the key is
+ * registered again on every startup of the Sandbox.
+ * @param {*} settings - Signing settings (see jwtSettingsState), with the public key (publicJwk) of a configured key pair
+ * @returns {Promise} - Promise resolving to the JWK registered, or to null if the Sandbox signs with its own key pair
+ */
+function registerPublicKey(settings) {
+  if (!settings.privateKey || !settings.publicJwk) {
+    return Promise.resolve(null);
+  }
+  const jwk = {
+    ...settings.publicJwk,
+    kid: settings.kid,
+    alg: settings.algorithm,
+    use: 'sig',
+  };
+  return axios({
+    method: 'post',
+    url: `${window.location.origin}/jwks/keys`,
+    data: jwk,
+    headers: { 'Content-Type': 'application/json' },
+  }).then(() => jwk);
+}
+
+export default registerPublicKey;
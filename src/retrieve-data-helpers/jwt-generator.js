@@ -4,29 +4,155 @@ const JWT = require('jsrsasign');
 const uuid = require('uuid/v4');
 
 /**
- * Generates a JWT for a CDS service call, given the audience (the URL endpoint). The JWT is signed using a private key stored on the repository.
+ * Signing settings of the Sandbox out of the box: the key pair stored on the repository, published at the JWKS of
+ * sandbox.cds-hooks.org
+ */
+export const DEFAULT_JWT_SETTINGS = {
+  issuer: 'https://sandbox.cds-hooks.org',
+  algorithm: 'ES384',
+  kid: '44823f3d-0b01-4a6c-a80e-b9d3e8a7226f',
+  jku: 'https://sandbox.cds-hooks.org/.well-known/jwks.json',
+  privateKey: null,
+  publicJwk: null,
+};
+
+/**
+ * Algorithms the Sandbox signs JWTs with, and the type of key (JWK kty and crv) each of them requires
+ */
+export const SIGNING_ALGORITHMS = {
+  ES384: { kty: 'EC', crv: 'P-384' },
+  RS384: { kty: 'RSA' },
+};
+
+// Members of a JWK that are safe to publish, per key type
+const PUBLIC_JWK_MEMBERS = {
+  EC: ['kty', 'crv', 'x', 'y'],
+  RSA: ['kty', 'n', 'e'],
+};
+
+/**
+ * Derive the public JWK of a key, leaving out every private member (i.e. d, p, q)
+ * @param {*} key - jsrsasign key object (private or public)
+ */
+function toPublicJwk(key) {
+  const jwk = JWT.KEYUTIL.getJWKFromKey(key);
+  return PUBLIC_JWK_MEMBERS[jwk.kty].reduce((publicJwk, member) => ({ ...publicJwk, [member]: jwk[member] }), {});
+}
+
+/**
+ * Generate a key pair to sign JWTs with the given algorithm (a P-384 EC key for ES384, a 2048-bit RSA key for RS384)
+ * @param {*} algorithm - Signing algorithm (ES384 or RS384)
+ * @returns {*} - Object with the private key (PKCS#8 PEM) and the public key (JWK)
+ */
+export function generateKeyPair(algorithm) {
+  if (!SIGNING_ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+  }
+  const keyPair = algorithm === 'ES384'
+    ? JWT.KEYUTIL.generateKeypair('EC', 'secp384r1')
+    : JWT.KEYUTIL.generateKeypair('RSA', 2048);
+  return {
+    privateKey: JWT.KEYUTIL.getPEM(keyPair.prvKeyObj, 'PKCS8PRV'),
+    publicJwk: toPublicJwk(keyPair.pubKeyObj),
+  };
+}
+
+/**
+ * Import a private key to sign JWTs with, checking that it is a private key of the type the algorithm requires
+ * @param {*} pem - Private key, PEM encoded (PKCS#1, SEC1 or PKCS#8)
+ * @param {*} algorithm - Signing algorithm (ES384 or RS384)
+ * @returns {*} - Object with the private key (PEM) and the public key derived from it (JWK)
+ */
+export function importPrivateKey(pem, algorithm) {
+  const expected = SIGNING_ALGORITHMS[algorithm];
+  if (!expected) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+  }
+  let key;
+  try {
+    key = JWT.KEYUTIL.getKey(pem.trim());
+  } catch (err) {
+    throw new Error('The key is not a valid PEM encoded key');
+  }
+  if (!key.isPrivate) {
+    throw new Error('The key is a public key: import the private key to sign JWTs with');
+  }
+  const publicJwk = toPublicJwk(key);
+  if (publicJwk.kty !== expected.kty || (expected.crv && publicJwk.crv !== expected.crv)) {
+    throw new Error(`${algorithm} requires ${expected.crv ? `a ${expected.crv} ` : 'an '}${expected.kty} key`);
+  }
+  return { privateKey: pem.trim(), publicJwk };
+}
+
+// Audience of JWTs sent with the wrong-aud auth fault
+const WRONG_AUDIENCE = 'https://sandbox.cds-hooks.org/wrong-audience';
+
+// jti of the last valid JWT (signed with no auth fault) for each audience, replayed by the replayed-jti auth fault, so
+// that the jti replayed is one the audience accepted rather than one of a JWT it rejected
+const lastJtis = {};
+
+/**
+ * Tell whether a valid JWT was signed for an audience, i.e. whether the replayed-jti auth fault has a jti to replay to it
+ * @param {*} audience - URL endpoint acting as the audience
+ */
+export function hasSignedJwtFor(audience) {
+  return !!lastJtis[audience];
+}
+
+/**
+ * Corrupt the signature of a JWT (changing its first bits), so that it no longer matches the header and payload
+ * @param {*} jwt - Signed JWT, in compact serialization
+ */
+function corruptSignature(jwt) {
+  const [header, payload, signature] = jwt.split('.');
+  return `${header}.${payload}.${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+}
+
+/**
+ * Generates a JWT for a CDS service call, given the audience (the URL endpoint). Unless configured otherwise, the JWT is
+ * signed using a private key stored on the repository.
  *
  * Note: In production environments, the JWT should be signed on a secured server for best practice. The private key is exposed on the repository
  * as it is an open source client-side project and tool.
+ *
+ * An auth fault makes the JWT one a CDS service must reject (see AUTH_FAULTS in the service settings):
+ * - expired-exp: The JWT expired 5 minutes ago
+ * - wrong-aud: The audience is not the URL endpoint
+ * - unknown-kid: The kid is not the kid of the signing key
+ * - bad-signature: The signature does not match the header and payload
+ * - replayed-jti: The jti is the jti of the last valid JWT signed for the audience. A JWT signed for an audience no
+ *   valid JWT was signed for yet has a new jti, so callers check hasSignedJwtFor first
  * @param {*} audience - URL endpoint acting as the audience
+ * @param {*} settings - Signing settings (issuer, algorithm, kid, jku and private key), see jwtSettingsState
+ * @param {*} authFault - Auth fault to introduce in the JWT, if any
  */
-function generateJWT(audience) {
+function generateJWT(audience, settings = DEFAULT_JWT_SETTINGS, authFault = 'none') {
+  const now = Math.round(Date.now() / 1000);
+  const issuedAt = authFault === 'expired-exp' ? now - 600 : now;
+  const replayedJti = authFault === 'replayed-jti' ? lastJtis[audience] : null;
+  const jti = replayedJti || uuid();
+
   const jwtPayload = JSON.stringify({
-    iss: 'https://sandbox.cds-hooks.org',
-    aud: audience,
-    exp: Math.round((Date.now() / 1000) + 300),
-    iat: Math.round((Date.now() / 1000)),
-    jti: uuid(),
+    iss: settings.issuer,
+    aud: authFault === 'wrong-aud' ? WRONG_AUDIENCE : audience,
+    exp: issuedAt + 300,
+    iat: issuedAt,
+    jti,
   });
 
   const jwtHeader = JSON.stringify({
-    alg: 'ES384',
+    alg: settings.algorithm,
     typ: 'JWT',
-    kid: '44823f3d-0b01-4a6c-a80e-b9d3e8a7226f',
-    jku: 'https://sandbox.cds-hooks.org/.well-known/jwks.json',
+    kid: authFault === 'unknown-kid' ? uuid() : settings.kid,
+    // The jku is optional, for services that look the key up by kid in a JWKS they already trust
+    ...(settings.jku ? { jku: settings.jku } : {}),
   });
 
-  return JWT.jws.JWS.sign(null, jwtHeader, jwtPayload, privKey);
+  const jwt = JWT.jws.JWS.sign(null, jwtHeader, jwtPayload, settings.privateKey || privKey);
+  if (authFault === 'none') {
+    lastJtis[audience] = jti;
+  }
+  return authFault === 'bad-signature' ? corruptSignature(jwt) : jwt;
 }
 
 export default generateJWT;
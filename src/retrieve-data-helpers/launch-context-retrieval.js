@@ -1,18 +1,34 @@
 /* eslint no-param-reassign: 0 */
 import axios from 'axios';
 
+const uuid = require('uuid/v4');
+
+/**
+ * Get the SMART-enabled base URL the mock SMART authorization server of the Sandbox (see scripts/express/mock-smart-server.js)
+ * provides for an open FHIR server, with the URL of the FHIR server base64url encoded in its path
+ * @param {*} fhirBaseUrl - The base URL of the open FHIR server
+ */
+export function getMockSmartServerUrl(fhirBaseUrl) {
+  const encodedUrl = window.btoa(fhirBaseUrl).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${window.location.origin}/mock-smart/${encodedUrl}/fhir`;
+}
+
 /**
  * Retrieves a SMART launch context from an endpoint to append as a "launch" query parameter to a SMART app launch URL (see SMART docs for more about launch context).
  * This applies mainly if a SMART app link on a card is to be launched. The link needs a "launch" query param with some opaque value from the SMART server entity.
  * This function generates the launch context (for HSPC Sandboxes only) for a SMART application by pinging a specific endpoint on the FHIR base URL and returns
- * a Promise to resolve the newly modified link.
+ * a Promise to resolve the newly modified link. Against an open FHIR server (no access token), the launch context comes from the mock SMART
+ * authorization server of the Sandbox instead, which becomes the `iss` of the app. The launch context also carries the SMART Web Messaging handle
+ * the app must send with its messages, which is kept on the link (messagingHandle).
  * @param {*} link - The SMART app launch URL
  * @param {*} accessToken - The access token provided to the CDS Hooks Sandbox by the FHIR server
  * @param {*} patientId - The identifier of the patient in context
  * @param {*} fhirBaseUrl - The base URL of the FHIR server in context
+ * @param {*} user - Reference of the user in context (i.e. Practitioner/123)
  */
-function retrieveLaunchContext(originalLink, accessToken, patientId, fhirBaseUrl) {
-  const link = { ...originalLink, remappedUrl: originalLink.url };
+function retrieveLaunchContext(originalLink, accessToken, patientId, fhirBaseUrl, user) {
+  const link = { ...originalLink, remappedUrl: originalLink.url, messagingHandle: uuid() };
+  const launchBaseUrl = accessToken ? fhirBaseUrl : getMockSmartServerUrl(fhirBaseUrl);
 
   return new Promise((resolve, reject) => {
     const headers = {
@@ -25,8 +41,14 @@ function retrieveLaunchContext(originalLink, accessToken, patientId, fhirBaseUrl
     const launchParameters = {
       patient: patientId,
       smart_messaging_origin: window.origin,
+      smart_web_messaging_origin: window.origin,
+      smart_web_messaging_handle: link.messagingHandle,
     };
 
+    if (user) {
+      launchParameters.user = user;
+    }
+
     if (link.appContext) {
       launchParameters.appContext = link.appContext;
     }
@@ -34,7 +56,7 @@ function retrieveLaunchContext(originalLink, accessToken, patientId, fhirBaseUrl
     // May change when the launch context creation endpoint becomes a standard endpoint for all EHR providers
     axios({
       method: 'post',
-      url: `${fhirBaseUrl}/_services/smart/Launch`,
+      url: `${launchBaseUrl}/_services/smart/Launch`,
       headers,
       data: {
         launchUrl: link.url,
@@ -48,7 +70,7 @@ function retrieveLaunchContext(originalLink, accessToken, patientId, fhirBaseUrl
           link.remappedUrl += '&';
         }
         link.remappedUrl += `launch=${result.data.launch_id}`;
-        link.remappedUrl += `&iss=${fhirBaseUrl}`;
+        link.remappedUrl += `&iss=${launchBaseUrl}`;
         return resolve(link);
       }
       console.error('FHIR server endpoint did not return a launch_id to launch the SMART app. See network calls to the Launch endpoint for more details');
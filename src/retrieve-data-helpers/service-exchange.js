@@ -1,21 +1,173 @@
 import axios from 'axios';
 import queryString from 'query-string';
+import pick from 'lodash/pick';
+import mapValues from 'lodash/mapValues';
 import retrieveLaunchContext from './launch-context-retrieval';
 import {
   storeExchange,
   storeLaunchContext,
+  storeResponseHandlingTime,
 } from '../actions/service-exchange-actions';
-import { productionClientId, allScopes } from '../config/fhir-config';
-import generateJWT from './jwt-generator';
+import generateJWT, { hasSignedJwtFor } from './jwt-generator';
+import retrieveFhirAuthorization from './fhir-authorization';
+import { resolvePrefetchTemplate } from '../reducers/helpers/prefetch-template';
+import { getServiceSettings } from '../reducers/helpers/service-settings';
 
 const uuidv4 = require('uuid/v4');
 
+// Latest call made to each CDS service, keyed by the CDS service URL. A call is superseded by the next call made to the
+// same service (i.e. in a newer exchange round): its request is cancelled, and its outcome is recorded as stale
+const latestCalls = {};
+
+/**
+ * Register a call to a CDS service as its latest call, superseding (and cancelling) the previous call if still in flight
+ * @param url - CDS Service endpoint called
+ * @param exchangeRound - Number of the exchange round of the call
+ * @returns {*} - The call, with the cancel token of its request and the exchange round it is superseded by (if any)
+ */
+function registerCall(url, exchangeRound) {
+  const previousCall = latestCalls[url];
+  if (previousCall && previousCall.supersededBy === null) {
+    previousCall.supersededBy = exchangeRound;
+    previousCall.source.cancel(`Superseded by exchange round ${exchangeRound}`);
+  }
+  const call = { source: axios.CancelToken.source(), supersededBy: null };
+  latestCalls[url] = call;
+  return call;
+}
+
+// Responses stored for calls that did not get a usable response (see the error record of the exchange for details)
+const NO_RESPONSE_MESSAGE = 'No response returned. Check developer tools for more details.';
+const FAILED_CALL_MESSAGE = 'Could not get a response from the CDS Service. See developer tools for more details';
+
+// Longest excerpt of a response body kept in the error record of a failed call
+const BODY_EXCERPT_LENGTH = 500;
+
+/**
+ * Excerpt a response body for the error record of a failed call, truncating long bodies
+ * @param data - Response body (a string, or parsed JSON)
+ * @returns {*} - The excerpt, or null if there is no body
+ */
+function excerptBody(data) {
+  if (data === undefined || data === null || data === '') {
+    return null;
+  }
+  const body = typeof data === 'string' ? data : JSON.stringify(data);
+  return body.length > BODY_EXCERPT_LENGTH ? `${body.slice(0, BODY_EXCERPT_LENGTH)}…` : body;
+}
+
+// Code of the errors of requests the Sandbox could not sign a JWT for
+const SIGNING_ERROR_CODE = 'ESIGNING';
+
+/**
+ * Get the headers of a request to a CDS service, with a JWT signed for the service (none with the missing-authorization
+ * auth fault)
+ * @param url - CDS Service endpoint, the audience of the JWT
+ * @param jwtSettings - Signing settings (see jwtSettingsState)
+ * @param authFault - Auth fault to introduce in the request, if any
+ * @returns {*} - Headers of the request
+ * @throws {Error} - Signing error (see describeCallError) if the JWT cannot be signed, i.e. with a configured private key
+ * that is no longer valid
+ */
+function signRequestHeaders(url, jwtSettings, authFault = 'none') {
+  try {
+    return {
+      Accept: 'application/json',
+      ...(authFault === 'missing-authorization' ? {} : {
+        Authorization: `Bearer ${generateJWT(url, jwtSettings, authFault)}`,
+      }),
+    };
+  } catch (err) {
+    const error = new Error(`The Sandbox could not sign the JWT of the request: ${err.message}`);
+    error.code = SIGNING_ERROR_CODE;
+    throw error;
+  }
+}
+
+/**
+ * Describe why a call to a CDS service failed to get a response, as a structured error record:
+ * - signing: The Sandbox could not sign the JWT of the request, so the request was not sent
+ * - timeout: The service did not respond within the timeout configured for it
+ * - http: The service responded with an error status, and possibly a body
+ * - network: The service could not be reached, or the browser blocked its response (i.e. missing CORS headers)
+ * @param err - Error the request was rejected with
+ * @param timeout - Timeout configured for the service (in ms)
+ * @returns {*} - Error record with its type, title, message, HTTP status and response body excerpt
+ */
+function describeCallError(err, timeout) {
+  if (err.code === SIGNING_ERROR_CODE) {
+    return {
+      type: 'signing',
+      title: 'JWT signing error',
+      message: err.message,
+      status: null,
+      bodyExcerpt: null,
+    };
+  }
+  if (err.code === 'ECONNABORTED') {
+    return {
+      type: 'timeout',
+      title: 'Timeout',
+      message: `The CDS Service did not respond within the ${timeout} ms timeout`,
+      status: null,
+      bodyExcerpt: null,
+    };
+  }
+  if (err.response) {
+    return {
+      type: 'http',
+      title: `HTTP ${err.response.status}`,
+      message: err.message,
+      status: err.response.status,
+      bodyExcerpt: excerptBody(err.response.data),
+    };
+  }
+  return {
+    type: 'network',
+    title: 'Network or CORS error',
+    message: `${err.message}: the CDS Service could not be reached, or its response was blocked by the browser `
+      + '(i.e. it did not allow the Sandbox origin with CORS headers)',
+    status: null,
+    bodyExcerpt: null,
+  };
+}
+
+/**
+ * Describe why a response of a CDS service cannot be used, if it cannot, as a structured error record:
+ * - invalid-json: The body is not JSON (Axios leaves bodies it cannot parse as strings)
+ * - empty-response: There is no body, or an empty object
+ * @param result - Response of the service
+ * @returns {*} - Error record with its type, title, message, HTTP status and response body excerpt, or null
+ */
+function describeResponseError(result) {
+  if (typeof result.data === 'string' && result.data.trim()) {
+    return {
+      type: 'invalid-json',
+      title: 'Invalid JSON',
+      message: 'The CDS Service responded with a body that is not valid JSON',
+      status: result.status,
+      bodyExcerpt: excerptBody(result.data),
+    };
+  }
+  if (!result.data || !Object.keys(result.data).length) {
+    return {
+      type: 'empty-response',
+      title: 'Empty response',
+      message: 'The CDS Service responded without a body (or with an empty object)',
+      status: result.status,
+      bodyExcerpt: null,
+    };
+  }
+  return null;
+}
+
 const remapSmartLinks = ({
   dispatch,
   cardResponse,
   fhirAccessToken,
   patientId,
   fhirServerUrl,
+  user,
 }) => {
   ((cardResponse && cardResponse.cards) || [])
     .flatMap((card) => card.links || [])
@@ -25,6 +177,7 @@ const remapSmartLinks = ({
       fhirAccessToken,
       patientId,
       fhirServerUrl,
+      user,
     ).catch((e) => e).then((newLink) => dispatch(storeLaunchContext(newLink))));
 };
 
@@ -48,39 +201,88 @@ function encodeUriParameters(template) {
 }
 
 /**
- * Replace prefetch templates in the query parameters with the Patient ID and/or User ID in context
+ * Fill out the prefetch templates of a CDS Service definition against the hook context and user in context.
+ * Prefetch keys with a token that cannot be resolved are left out, and recorded in the prefetch log instead
  * @param prefetch - Prefetch key/value pair from a CDS Service definition
- * @returns {*} - New prefetch key/value pair Object with prefetch template filled out
+ * @param templateContext - Object with the hook context (context) and user in context (user)
+ * @returns {*} - New prefetch key/value pair Object with prefetch templates filled out, and the log of keys left out
  */
-function completePrefetchTemplate(state, prefetch) {
-  const patient = state.patientState.currentPatient.id;
-  const user = state.patientState.currentUser || state.patientState.defaultUser;
-  const prefetchRequests = { ...prefetch };
-  Object.keys(prefetchRequests).forEach((prefetchKey) => {
-    let prefetchTemplate = prefetchRequests[prefetchKey];
-    prefetchTemplate = prefetchTemplate.replace(
-      /{{\s*context\.patientId\s*}}/g,
-      patient,
-    );
-    prefetchTemplate = prefetchTemplate.replace(/{{\s*user\s*}}/g, user);
-    prefetchTemplate = prefetchTemplate.replace(/{{\s*context\.userId\s*}}/g, user);
-    prefetchRequests[prefetchKey] = encodeUriParameters(prefetchTemplate);
+function completePrefetchTemplate(prefetch, templateContext) {
+  const prefetchRequests = {};
+  const prefetchLog = {};
+  Object.keys(prefetch).forEach((prefetchKey) => {
+    const { url, unresolved } = resolvePrefetchTemplate(prefetch[prefetchKey], templateContext);
+    if (unresolved.length) {
+      prefetchLog[prefetchKey] = {
+        key: prefetchKey,
+        template: prefetch[prefetchKey],
+        url: null,
+        method: null,
+        status: null,
+        duration: null,
+        resultCount: null,
+        error: unresolved.map(({ token, reason }) => `Could not resolve "{{${token}}}": ${reason}`).join('; '),
+        attempts: [],
+      };
+    } else {
+      prefetchRequests[prefetchKey] = encodeUriParameters(url);
+    }
   });
-  return prefetchRequests;
+  return { prefetchRequests, prefetchLog };
+}
+
+/**
+ * Count the resources returned by a prefetch query (the entries of a search Bundle, or a single resource)
+ * @param data - Data returned by the FHIR server
+ */
+function countPrefetchResults(data) {
+  if (!data || typeof data !== 'object' || !Object.keys(data).length) {
+    return 0;
+  }
+  if (data.resourceType === 'Bundle') {
+    return (data.entry || []).length;
+  }
+  return 1;
 }
 
 /**
- * Fetch data from FHIR server for each prefetch request and return a Promise with the data resolved eventually
+ * Make a single prefetch query to the FHIR server, timing it and catching any failure
+ * @param config - Axios request configuration of the query
+ * @returns {Promise} - Promise resolving to the method, URL, status, duration and data (or error) of the query
+ */
+async function runPrefetchQuery(config) {
+  const started = Date.now();
+  const attempt = { method: config.method, url: config.url };
+  // The body of a POST _search holds the search parameters
+  if (config.data) {
+    attempt.body = config.data;
+  }
+  try {
+    const result = await axios(config);
+    return {
+      ...attempt, status: result.status, duration: Date.now() - started, data: result.data,
+    };
+  } catch (err) {
+    return {
+      ...attempt,
+      status: err.response ? err.response.status : null,
+      duration: Date.now() - started,
+      error: err.message,
+    };
+  }
+}
+
+/**
+ * Fetch data from FHIR server for each prefetch request and return a Promise with the data resolved eventually.
+ * Every query is recorded in a prefetch log with its resolved URL, HTTP method, status, duration, result count and error
  * @param baseUrl - FHIR server base URL to prefetch data from
- * @param prefetch - Prefetch templates from a CDS Service definition filled out
- * @returns {Promise} - Promise object to eventually fetch data
+ * @param prefetchRequests - Prefetch templates from a CDS Service definition filled out
+ * @param prefetch - Prefetch templates from the CDS Service definition, as recorded in the prefetch log
+ * @returns {Promise} - Promise object to eventually fetch data, and the prefetch log by prefetch key
  */
-async function prefetchDataPromises(state, baseUrl, prefetch) {
+async function prefetchDataPromises(state, baseUrl, prefetchRequests, prefetch = {}) {
   const resultingPrefetch = {};
-  const prefetchRequests = {
-    ...completePrefetchTemplate(state, prefetch),
-  };
-
+  const prefetchLog = {};
   const prefetchKeys = Object.keys(prefetchRequests);
   const headers = { Accept: 'application/json+fhir' };
   const { accessToken } = state.fhirServerState;
@@ -93,59 +295,65 @@ async function prefetchDataPromises(state, baseUrl, prefetch) {
     const prefetchValue = prefetchRequests[key];
     const resource = prefetchValue.split('?')[0];
     const params = new URLSearchParams(prefetchValue.split('?')[1]);
-    let usePost = true;
+    const attempts = [];
 
-    try {
-      if (usePost) {
-        const result = await axios({
-          method: 'POST',
-          headers: { 'content-type': 'application/x-www-form-urlencoded' },
-          data: params.toString(),
-          url: `${baseUrl}/${resource}/_search`,
-        });
-        if (result.data && Object.keys(result.data).length) {
-          resultingPrefetch[key] = result.data;
-        }
-      }
-    } catch (err) {
-      usePost = false;
-      console.log(
-        `Unable to prefetch data using POST for ${baseUrl}/${prefetchValue}`,
-        err,
-      );
-    }
-
-    if (!usePost) {
-      try {
-        const result = await axios({
-          method: 'GET',
-          url: `${baseUrl}/${prefetchValue}`,
-          headers,
-        });
-        if (result.data && Object.keys(result.data).length) {
-          resultingPrefetch[key] = result.data;
-        }
-      } catch (err) {
-        console.log(`Unable to prefetch data for ${baseUrl}/${prefetchValue}`, err);
+    let result = await runPrefetchQuery({
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      data: params.toString(),
+      url: `${baseUrl}/${resource}/_search`,
+    });
+    attempts.push(result);
+
+    if (result.error) {
+      console.log(`Unable to prefetch data using POST for ${baseUrl}/${prefetchValue}`, result.error);
+      result = await runPrefetchQuery({
+        method: 'GET',
+        url: `${baseUrl}/${prefetchValue}`,
+        headers,
+      });
+      attempts.push(result);
+      if (result.error) {
+        console.log(`Unable to prefetch data for ${baseUrl}/${prefetchValue}`, result.error);
       }
     }
+
+    if (!result.error && result.data && Object.keys(result.data).length) {
+      resultingPrefetch[key] = result.data;
+    }
+    prefetchLog[key] = {
+      key,
+      template: prefetch[key] || prefetchValue,
+      url: result.url,
+      method: result.method,
+      status: result.status,
+      duration: attempts.reduce((total, attempt) => total + attempt.duration, 0),
+      resultCount: result.error ? null : countPrefetchResults(result.data),
+      error: result.error || null,
+      attempts: attempts.map(({ data, ...attempt }) => ({ error: null, ...attempt })),
+    };
   });
 
   // Wait for all promises to complete
   await Promise.all(promises);
 
-  return resultingPrefetch;
+  return { resultingPrefetch, prefetchLog };
 }
 
 /**
  * Create a request payload to send to a specified CDS Service endpoint. Data filled out will be based
  * on the current state of config stored. Send the request to specified CDS Service and store the
  * request and response accordingly.
+ *
+ * A call superseded by a later call to the same service (i.e. of a newer exchange round) is cancelled, and its outcome is
+ * stored as a stale exchange, so that a late response never replaces the response of the later call.
  * @param url - CDS Service Endpoint to construct request payload for
  * @param context - Any context to relay to the CDS Service in the request via the context parameter
+ * @param exchangeRound - Number of the exchange round the call is made in
  * @returns {Promise} - Promise object to eventually return service response data
  */
 function callServices(dispatch, state, url, context, exchangeRound = 0) {
+  const started = Date.now();
   const hook = state.hookState.currentHook;
   const fhirServer = state.fhirServerState.currentFhirServer;
 
@@ -160,17 +368,6 @@ function callServices(dispatch, state, url, context, exchangeRound = 0) {
   }
 
   const hookInstance = uuidv4();
-  const accessTokenProperty = state.fhirServerState.accessToken;
-  let fhirAuthorization;
-  if (accessTokenProperty) {
-    fhirAuthorization = {
-      access_token: accessTokenProperty.access_token,
-      token_type: 'Bearer',
-      expires_in: accessTokenProperty.expires_in,
-      scope: allScopes,
-      subject: productionClientId,
-    };
-  }
   const request = {
     hookInstance,
     hook,
@@ -178,60 +375,158 @@ function callServices(dispatch, state, url, context, exchangeRound = 0) {
     context: activityContext,
   };
 
-  if (fhirAuthorization) {
-    request.fhirAuthorization = fhirAuthorization;
+  const serviceDefinition = state.cdsServicesState.configuredServices[url];
+  const settings = getServiceSettings(state, url);
+  const {
+    prefetchMode, prefetchKeys, authFault, timeout,
+  } = settings;
+  // Details of the exchange recorded alongside the request and response (i.e. the prefetch mode and queries made)
+  const details = { prefetchMode, prefetchLog: [] };
+  if (prefetchMode === 'partial') {
+    details.prefetchKeys = prefetchKeys;
+  }
+  // The status the service responds with to a request with an auth fault tells whether it rejected the request. A jti
+  // can only be replayed to a service a JWT was sent to: until then, the request is sent with a valid JWT instead
+  const isFaultIntroduced = authFault !== 'replayed-jti' || hasSignedJwtFor(url);
+  if (authFault !== 'none') {
+    details.authFault = { authFault, status: null };
+    if (!isFaultIntroduced) {
+      details.authFault.isNotIntroduced = true;
+    }
   }
 
-  const serviceDefinition = state.cdsServicesState.configuredServices[url];
+  const call = registerCall(url, exchangeRound);
+  const markIfStale = () => {
+    if (call.supersededBy !== null) {
+      details.stale = { supersededBy: call.supersededBy };
+    } else if (latestCalls[url] === call) {
+      delete latestCalls[url];
+    }
+  };
 
-  const sendRequest = () => axios({
-    method: 'post',
-    url,
-    data: request,
-    headers: {
-      Accept: 'application/json',
-      Authorization: `Bearer ${generateJWT(url)}`,
-    },
-  });
+  // Time taken to prefetch data (and mint a fhirAuthorization), then to get a response from the service
+  let prefetched = started;
+  const timings = { prefetch: null, request: null, responseHandling: null };
+
+  // Store the exchange with its timings, then the time it took to handle (i.e. store, validate and render) its response
+  const dispatchExchange = (response, responseStatus) => {
+    timings.request = Date.now() - prefetched;
+    details.timings = { ...timings, total: timings.prefetch + timings.request };
+    const handlingStarted = Date.now();
+    dispatch(storeExchange(url, request, response, responseStatus, exchangeRound, details));
+    dispatch(storeResponseHandlingTime(url, hookInstance, Date.now() - handlingStarted));
+  };
+
+  // The headers sent (i.e. with the signed JWT) are recorded, so that the exchange can be exported and replayed
+  const sendRequest = () => {
+    try {
+      details.requestHeaders = signRequestHeaders(url, state.jwtSettingsState, isFaultIntroduced ? authFault : 'none');
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return axios({
+      method: 'post',
+      url,
+      data: request,
+      timeout,
+      cancelToken: call.source.token,
+      headers: details.requestHeaders,
+    });
+  };
 
   const dispatchResult = (result) => {
+    markIfStale();
+    if (details.authFault) {
+      details.authFault.status = result.status;
+    }
+    const error = describeResponseError(result);
+    if (error) {
+      details.error = error;
+    }
     if (result.data && Object.keys(result.data).length) {
-      dispatch(storeExchange(url, request, result.data, result.status, exchangeRound));
+      dispatchExchange(result.data, result.status);
+      // The cards of a stale (or invalid) response are never displayed
+      if (details.stale || details.error) {
+        return;
+      }
       remapSmartLinks({
         dispatch,
         cardResponse: result.data,
         fhirAccessToken: state.fhirServerState.accessToken,
         patientId: state.patientState.currentPatient.id,
         fhirServerUrl: state.fhirServerState.currentFhirServer,
+        user: activityContext.userId,
       });
     } else {
-      dispatch(storeExchange(
-        url,
-        request,
-        'No response returned. Check developer tools for more details.',
-      ));
+      dispatchExchange(NO_RESPONSE_MESSAGE, undefined);
     }
   };
 
   const dispatchErrors = (err) => {
+    markIfStale();
+    if (axios.isCancel(err)) {
+      dispatchExchange(`Request cancelled: ${err.message}`, undefined);
+      return;
+    }
+    details.error = describeCallError(err, timeout);
+    // Axios aborts the request once the timeout configured for the service elapses
+    if (err.code === 'ECONNABORTED') {
+      details.timedOut = true;
+      dispatchExchange(details.error.message, undefined);
+      return;
+    }
     console.error(`Could not POST data to CDS Service ${url}`, err);
-    dispatch(storeExchange(
-      url,
-      request,
-      'Could not get a response from the CDS Service. '
-            + 'See developer tools for more details',
-    ));
+    if (details.authFault && err.response) {
+      details.authFault.status = err.response.status;
+    }
+    dispatchExchange(FAILED_CALL_MESSAGE, undefined);
   };
 
+  // Prefetch templates to fulfill, depending on the prefetch mode configured for the service:
+  // - full: every template of the service definition
+  // - partial: only the templates of the chosen prefetch keys
+  // - none: no template, so the service has to query the FHIR server itself
+  // - null: no template, but every prefetch key is sent with a null value
+  let prefetch = serviceDefinition.prefetch || {};
+  if (prefetchMode === 'partial') {
+    prefetch = pick(prefetch, prefetchKeys);
+  } else if (prefetchMode === 'none' || prefetchMode === 'null') {
+    prefetch = {};
+  }
+
   // Wait for prefetch to be fulfilled before making a request to the CDS service, if the service has prefetch expectations
-  const needPrefetch = serviceDefinition.prefetch
-        && Object.keys(serviceDefinition.prefetch).length > 0;
+  const needPrefetch = Object.keys(prefetch).length > 0;
 
-  const prefetchPromise = needPrefetch
-    ? prefetchDataPromises(state, fhirServer, serviceDefinition.prefetch)
-    : Promise.resolve({});
+  let prefetchPromise = Promise.resolve({});
+  if (prefetchMode === 'null' && serviceDefinition.prefetch) {
+    prefetchPromise = Promise.resolve(mapValues(serviceDefinition.prefetch, () => null));
+  } else if (needPrefetch) {
+    const completed = completePrefetchTemplate(prefetch, {
+      context: activityContext,
+      user: activityContext.userId,
+    });
+    prefetchPromise = prefetchDataPromises(state, fhirServer, completed.prefetchRequests, prefetch)
+      .then(({ resultingPrefetch, prefetchLog }) => {
+        // Record the prefetch keys in the order of the service definition, including keys left out
+        details.prefetchLog = Object.keys(prefetch)
+          .map((key) => completed.prefetchLog[key] || prefetchLog[key]);
+        return resultingPrefetch;
+      });
+  }
+
+  // A token minted for the service is only valid against the FHIR server base URL it was minted for
+  const authorizationPromise = retrieveFhirAuthorization(state, serviceDefinition, settings).catch((err) => {
+    console.error(`Could not mint a token to send CDS Service ${url} as fhirAuthorization`, err);
+    return { fhirServer };
+  });
 
-  return prefetchPromise.then((prefetchResults) => {
+  return Promise.all([prefetchPromise, authorizationPromise]).then(([prefetchResults, authorization]) => {
+    prefetched = Date.now();
+    timings.prefetch = prefetched - started;
+    request.fhirServer = authorization.fhirServer;
+    if (authorization.fhirAuthorization) {
+      request.fhirAuthorization = authorization.fhirAuthorization;
+    }
     if (prefetchResults && Object.keys(prefetchResults).length > 0) {
       request.prefetch = prefetchResults;
     }
@@ -241,4 +536,73 @@ function callServices(dispatch, state, url, context, exchangeRound = 0) {
   });
 }
 
+/**
+ * Resend a request (i.e. a stored request edited in the request composer of the developer panel) to a CDS service, as
+ * is: no prefetch is fulfilled and no fhirAuthorization is minted, so that the context, prefetch and hook edited are
+ * sent unchanged. The request gets a new hookInstance, as every call does, and is sent with the timeout configured for
+ * the service. The resulting exchange is stored in the exchange round of the original, flagged as resent from its
+ * history entry.
+ * @param url - CDS Service endpoint to send the request to (the service of the original, or another one)
+ * @param request - Request to send
+ * @param original - Exchange round of the original exchange, and ID of its history entry (resentFrom)
+ * @returns {Promise} - Promise resolving to the hookInstance of the resent request once the exchange is stored, whether
+ * the call failed or not
+ */
+export function resendRequest(dispatch, state, url, request, { exchangeRound = 0, resentFrom = null } = {}) {
+  const started = Date.now();
+  const resent = { ...request, hookInstance: uuidv4() };
+  const { timeout } = getServiceSettings(state, url);
+  const details = { resentFrom };
+
+  const dispatchExchange = (response, responseStatus) => {
+    const duration = Date.now() - started;
+    details.timings = {
+      prefetch: 0, request: duration, responseHandling: null, total: duration,
+    };
+    const handlingStarted = Date.now();
+    dispatch(storeExchange(url, resent, response, responseStatus, exchangeRound, details));
+    dispatch(storeResponseHandlingTime(url, resent.hookInstance, Date.now() - handlingStarted));
+  };
+
+  let sent;
+  try {
+    details.requestHeaders = signRequestHeaders(url, state.jwtSettingsState);
+    sent = axios({
+      method: 'post',
+      url,
+      data: resent,
+      timeout,
+      headers: details.requestHeaders,
+    });
+  } catch (err) {
+    sent = Promise.reject(err);
+  }
+
+  return sent.then((result) => {
+    const error = describeResponseError(result);
+    if (error) {
+      details.error = error;
+    }
+    if (result.data && Object.keys(result.data).length) {
+      dispatchExchange(result.data, result.status);
+      if (!details.error) {
+        remapSmartLinks({
+          dispatch,
+          cardResponse: result.data,
+          fhirAccessToken: state.fhirServerState.accessToken,
+          patientId: state.patientState.currentPatient.id,
+          fhirServerUrl: state.fhirServerState.currentFhirServer,
+          user: (resent.context || {}).userId,
+        });
+      }
+    } else {
+      dispatchExchange(NO_RESPONSE_MESSAGE, undefined);
+    }
+  }, (err) => {
+    console.error(`Could not POST the resent request to CDS Service ${url}`, err);
+    details.error = describeCallError(err, timeout);
+    dispatchExchange(err.code === 'ECONNABORTED' ? details.error.message : FAILED_CALL_MESSAGE, undefined);
+  }).then(() => resent.hookInstance);
+}
+
 export default callServices;
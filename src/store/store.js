@@ -4,7 +4,9 @@ import { applyMiddleware, createStore } from 'redux';
 import { createLogger } from 'redux-logger';
 import immutableStateWatcher from 'redux-immutable-state-invariant';
 import reducers from '../reducers/index';
-import { persistFhirServer, persistPatient, persistHook } from '../middleware/persist-data';
+import {
+  persistFhirServer, persistPatient, persistHook, persistJwtSettings,
+} from '../middleware/persist-data';
 import cds from '../middleware/cds-execution';
 
 const logger = createLogger({
@@ -19,6 +21,7 @@ const store = createStore(reducers, applyMiddleware(
   persistFhirServer,
   persistPatient,
   persistHook,
+  persistJwtSettings,
   cds.webMessageMiddleware,
   cds.middlewareFor(cds.evaluateCdsTriggers),
   cds.middlewareFor(cds.onSystemActions),
@@ -19,11 +19,25 @@ describe('CDS Services Actions', () => {
       type: types.DISCOVER_CDS_SERVICES_SUCCESS,
       services,
       discoveryUrl,
+      lintFindings: [],
     };
 
     expect(actions.signalSuccessServicesRetrieval(services, discoveryUrl)).toEqual(expectedAction);
   });
 
+  it('creates action to signal a successful connection to CDS Services with lint findings', () => {
+    const services = [{ hook: 'patient-view', id: 'example-service' }];
+    const discoveryUrl = 'http://discovery.com/cds-services';
+    const lintFindings = [[{ severity: 'error', path: 'description', message: 'Missing required "description" field' }]];
+
+    expect(actions.signalSuccessServicesRetrieval(services, discoveryUrl, lintFindings)).toEqual({
+      type: types.DISCOVER_CDS_SERVICES_SUCCESS,
+      services,
+      discoveryUrl,
+      lintFindings,
+    });
+  });
+
   it('creates action to signal a failed connection to CDS Services', () => {
     const expectedAction = {
       type: types.DISCOVER_CDS_SERVICES_FAILURE,
@@ -56,4 +70,29 @@ describe('CDS Services Actions', () => {
 
     expect(actions.deleteService(service)).toEqual(expectedAction);
   });
+
+  it('creates action to update the settings of a CDS Service', () => {
+    const service = 'https://example.com/cds-services/id-1';
+    const settings = { prefetchMode: 'none' };
+    const expectedAction = {
+      type: types.UPDATE_SERVICE_SETTINGS,
+      service,
+      settings,
+    };
+
+    expect(actions.updateServiceSettings(service, settings)).toEqual(expectedAction);
+  });
+
+  it('creates action to store the status a discovery endpoint responded with to an auth fault', () => {
+    const discoveryUrl = 'https://example.com/cds-services';
+    const expectedAction = {
+      type: types.STORE_DISCOVERY_AUTH_FAULT,
+      discoveryUrl,
+      authFault: 'unknown-kid',
+      status: 401,
+      isNotIntroduced: false,
+    };
+
+    expect(actions.storeDiscoveryAuthFault(discoveryUrl, 'unknown-kid', 401)).toEqual(expectedAction);
+  });
 });
@@ -0,0 +1,22 @@
+import * as types from '../../src/actions/action-types';
+import * as actions from '../../src/actions/custom-hook-actions';
+
+describe('Custom Hook Actions', () => {
+  it('creates action to store the custom hook name', () => {
+    expect(actions.storeCustomHookName('my-draft-hook')).toEqual({
+      type: types.STORE_CUSTOM_HOOK_NAME,
+      hookName: 'my-draft-hook',
+    });
+  });
+
+  it('creates action to store the custom hook context', () => {
+    expect(actions.storeCustomHookContext('{}')).toEqual({
+      type: types.STORE_CUSTOM_HOOK_CONTEXT,
+      contextJson: '{}',
+    });
+  });
+
+  it('creates action to invoke the services on the custom hook', () => {
+    expect(actions.triggerCustomHook()).toEqual({ type: types.TRIGGER_CUSTOM_HOOK });
+  });
+});
@@ -0,0 +1,32 @@
+import * as types from '../../src/actions/action-types';
+
+describe('Encounter Actions', () => {
+  let actions;
+
+  beforeEach(() => {
+    jest.mock('uuid/v4', () => jest.fn(() => 'new-encounter-id'));
+    actions = require('../../src/actions/encounter-actions');
+  });
+
+  afterEach(() => {
+    jest.resetModules();
+  });
+
+  it('creates action to set the encounter in context', () => {
+    expect(actions.setEncounter('encounter-123')).toEqual({
+      type: types.SET_ENCOUNTER,
+      encounterId: 'encounter-123',
+    });
+  });
+
+  it('creates action to start a new encounter', () => {
+    expect(actions.startEncounter()).toEqual({
+      type: types.START_ENCOUNTER,
+      encounterId: 'new-encounter-id',
+    });
+  });
+
+  it('creates action to discharge the patient', () => {
+    expect(actions.dischargePatient()).toEqual({ type: types.TRIGGER_ENCOUNTER_DISCHARGE });
+  });
+});
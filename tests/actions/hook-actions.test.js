@@ -11,4 +11,32 @@ describe('Hook Actions', () => {
 
     expect(actions.setHook(hook)).toEqual(expectedAction);
   });
+
+  it('creates action to register a SMART app launched from a card', () => {
+    const link = { url: 'http://example.com/launch', type: 'smart', messagingHandle: 'handle-1' };
+    const sourceWindow = {};
+    expect(actions.launchSmartApp('patient-view', link, sourceWindow)).toEqual({
+      type: types.LAUNCH_SMART_APP,
+      triggerPoint: 'patient-view',
+      link,
+      sourceWindow,
+      isEmbedded: false,
+    });
+    expect(actions.launchSmartApp('patient-view', link, sourceWindow, true).isEmbedded).toBe(true);
+  });
+
+  it('creates action to set how SMART apps are launched from card links', () => {
+    expect(actions.setAppLaunchMode('embedded')).toEqual({ type: types.SET_APP_LAUNCH_MODE, mode: 'embedded' });
+  });
+
+  it('creates actions to open an app in the embedded app panel and to close an app', () => {
+    const link = { url: 'http://example.com/launch', type: 'smart' };
+    expect(actions.openEmbeddedApp('face-sheet/patient-view', link, 'http://example.com/launch?launch=1')).toEqual({
+      type: types.OPEN_EMBEDDED_APP,
+      triggerPoint: 'face-sheet/patient-view',
+      link,
+      url: 'http://example.com/launch?launch=1',
+    });
+    expect(actions.closeSmartApp(2)).toEqual({ type: types.CLOSE_SMART_APP, windowId: 2 });
+  });
 });
@@ -0,0 +1,22 @@
+import * as types from '../../src/actions/action-types';
+import * as actions from '../../src/actions/jwt-settings-actions';
+
+describe('JWT Settings Actions', () => {
+  it('creates action to update the JWT signing settings', () => {
+    const settings = { issuer: 'https://ehr.example.com', kid: 'custom-kid' };
+    const expectedAction = {
+      type: types.UPDATE_JWT_SETTINGS,
+      settings,
+    };
+
+    expect(actions.updateJwtSettings(settings)).toEqual(expectedAction);
+  });
+
+  it('creates action to reset the JWT signing settings', () => {
+    const expectedAction = {
+      type: types.RESET_JWT_SETTINGS,
+    };
+
+    expect(actions.resetJwtSettings()).toEqual(expectedAction);
+  });
+});
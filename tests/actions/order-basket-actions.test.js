@@ -0,0 +1,25 @@
+import * as types from '../../src/actions/action-types';
+import * as actions from '../../src/actions/order-basket-actions';
+
+describe('Order Basket Actions', () => {
+  it('creates action to add a prescribed medication to the basket', () => {
+    const medicationOrder = { decisions: { prescribable: { name: 'med', id: '123' } }, medListPhase: 'done' };
+    expect(actions.addMedicationToBasket(medicationOrder)).toEqual({
+      type: types.ADD_MEDICATION_TO_BASKET,
+      medicationOrder,
+    });
+  });
+
+  it('creates action to add a service to the basket', () => {
+    const coding = { system: 'http://loinc.org', code: '58410-2', display: 'CBC' };
+    expect(actions.addServiceToBasket(coding)).toEqual({ type: types.ADD_SERVICE_TO_BASKET, coding });
+  });
+
+  it('creates actions to remove and select orders of the basket', () => {
+    expect(actions.removeFromBasket('basket-request-1')).toEqual({ type: types.REMOVE_FROM_BASKET, id: 'basket-request-1' });
+    expect(actions.toggleBasketSelection('basket-request-1')).toEqual({
+      type: types.TOGGLE_BASKET_SELECTION,
+      id: 'basket-request-1',
+    });
+  });
+});
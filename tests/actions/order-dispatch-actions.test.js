@@ -0,0 +1,15 @@
+import * as types from '../../src/actions/action-types';
+import * as actions from '../../src/actions/order-dispatch-actions';
+
+describe('Order Dispatch Actions', () => {
+  it('creates action to select the performer of the orders', () => {
+    expect(actions.selectPerformer('Organization/example-lab')).toEqual({
+      type: types.SELECT_DISPATCH_PERFORMER,
+      performer: 'Organization/example-lab',
+    });
+  });
+
+  it('creates action to dispatch the orders', () => {
+    expect(actions.dispatchOrders()).toEqual({ type: types.TRIGGER_ORDER_DISPATCH });
+  });
+});
@@ -0,0 +1,63 @@
+import * as types from '../../src/actions/action-types';
+import * as actions from '../../src/actions/scratchpad-actions';
+
+describe('Scratchpad Actions', () => {
+  it('creates action to apply the actions of a suggestion to the scratchpad', () => {
+    const suggestionActions = [
+      { type: 'update', description: 'Update', resource: { resourceType: 'ServiceRequest', id: '1' } },
+      { type: 'delete', description: 'Delete', resourceId: 'MedicationRequest/2' },
+    ];
+    expect(actions.applyScratchpadActions(suggestionActions, 'http://example.com/cds-services/1')).toEqual({
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: suggestionActions,
+      origin: 'suggestion',
+      sourceUrl: 'http://example.com/cds-services/1',
+    });
+    expect(actions.applyScratchpadActions(undefined)).toEqual({
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: [],
+      origin: 'suggestion',
+      sourceUrl: null,
+    });
+  });
+
+  it('creates action to apply system actions to the scratchpad automatically', () => {
+    const systemActions = [{ type: 'delete', description: 'Delete', resourceId: 'MedicationRequest/2' }];
+    expect(actions.applySystemActions(systemActions, 'http://example.com/cds-services/1')).toEqual({
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: systemActions,
+      origin: 'system-action',
+      sourceUrl: 'http://example.com/cds-services/1',
+    });
+  });
+
+  it('creates action to apply the scratchpad messages of a SMART app to the scratchpad', () => {
+    const appActions = [{ type: 'update', resource: { resourceType: 'ServiceRequest', id: '1' } }];
+    expect(actions.applyAppActions(appActions, 'http://example.com/app/launch')).toEqual({
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: appActions,
+      origin: 'smart-app',
+      sourceUrl: 'http://example.com/app/launch',
+    });
+  });
+
+  it('gives an id to resources created without one', () => {
+    const action = actions.applyScratchpadActions([
+      { type: 'create', description: 'Create', resource: { resourceType: 'MedicationRequest' } },
+    ]);
+    expect(action.actions[0].resource.resourceType).toEqual('MedicationRequest');
+    expect(action.actions[0].resource.id).toEqual(expect.any(String));
+  });
+
+  it('gives the same id to resources of the same content, created again', () => {
+    const create = (status) => actions.applyScratchpadActions([
+      { type: 'create', description: 'Create', resource: { resourceType: 'MedicationRequest', status } },
+    ]).actions[0].resource.id;
+    expect(create('draft')).toEqual(create('draft'));
+    expect(create('draft')).not.toEqual(create('active'));
+  });
+
+  it('creates action to clear the scratchpad', () => {
+    expect(actions.clearScratchpad()).toEqual({ type: types.CLEAR_SCRATCHPAD });
+  });
+});
@@ -18,6 +18,12 @@ describe('Service Exchange Actions', () => {
     expect(actions.storeExchange(url, request, response, responseStatus)).toMatchObject(expectedAction);
   });
 
+  it('creates action to store an exchange with the details recorded about it', () => {
+    const details = { prefetchLog: [] };
+    const action = actions.storeExchange('http://example.com/cds-services/id-1', 'request', 'response', 200, 2, details);
+    expect(action).toMatchObject({ exchangeRound: 2, details });
+  });
+
   it('creates action to set the CDS Service to display a request and response for', () => {
     const service = 'foo-service.com/cds-services/foo';
     const expectedAction = {
@@ -28,6 +34,15 @@ describe('Service Exchange Actions', () => {
     expect(actions.selectService(service)).toMatchObject(expectedAction);
   });
 
+  it('creates an action to store the time the response of an exchange took to handle', () => {
+    expect(actions.storeResponseHandlingTime('http://example.com/cds-services/id-1', 'hook-instance', 12)).toEqual({
+      type: types.STORE_RESPONSE_HANDLING_TIME,
+      url: 'http://example.com/cds-services/id-1',
+      hookInstance: 'hook-instance',
+      duration: 12,
+    });
+  });
+
   it('creates an action to dismiss a card', () => {
     const serviceUrl = 'http://example.com/cds-services/id-1';
     const cardUUID = '1';
@@ -40,4 +55,52 @@ describe('Service Exchange Actions', () => {
 
     expect(actions.dismissCard({serviceUrl, cardUUID})).toMatchObject(expectedAction);
   });
+
+  it('creates an action to remember a suggestion taken from a card', () => {
+    const serviceUrl = 'http://example.com/cds-services/id-1';
+    const expectedAction = {
+      type: types.TAKE_CARD_SUGGESTION,
+      serviceUrl,
+      cardUUID: '1',
+      suggestionIndex: 0,
+    };
+
+    expect(actions.takeCardSuggestion({ serviceUrl, cardUUID: '1', suggestionIndex: 0 })).toEqual(expectedAction);
+  });
+
+  it('creates an action to select a history entry to display', () => {
+    const expectedAction = {
+      type: types.SELECT_HISTORY_ENTRY,
+      id: 3,
+    };
+
+    expect(actions.selectHistoryEntry(3)).toEqual(expectedAction);
+  });
+
+  it('creates actions to queue card outcomes and clear them', () => {
+    const url = 'http://example.com/cds-services/id-1';
+    const cardFeedback = { card: 'card-1', outcome: 'accepted' };
+
+    expect(actions.queueFeedback(url, cardFeedback)).toEqual({ type: types.QUEUE_FEEDBACK, url, cardFeedback });
+    expect(actions.clearPendingFeedback(url)).toEqual({ type: types.CLEAR_PENDING_FEEDBACK, url });
+  });
+
+  it('creates an action to store a feedback request', () => {
+    const url = 'http://example.com/cds-services/id-1';
+    const feedback = [{ card: 'card-1', outcome: 'accepted' }];
+
+    expect(actions.storeFeedback(url, feedback, 200, '')).toMatchObject({
+      type: types.STORE_FEEDBACK,
+      url,
+      feedback,
+      status: 200,
+      response: '',
+      error: null,
+      timestamp: expect.any(String),
+    });
+  });
+
+  it('creates an action to batch card outcomes', () => {
+    expect(actions.setFeedbackBatching(true)).toEqual({ type: types.SET_FEEDBACK_BATCHING, isBatched: true });
+  });
 });
@@ -0,0 +1,60 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import AuthFaultPanel from '../../../src/components/AuthFaultPanel/auth-fault-panel';
+
+describe('AuthFaultPanel component', () => {
+  let wrapper;
+  let exchanges;
+  let discoveryAuthFaults;
+
+  beforeEach(() => {
+    exchanges = {
+      'http://example.com/cds-services/rejecting': {
+        request: 'some-request',
+        authFault: { authFault: 'expired-exp', status: 401 },
+      },
+      'http://example.com/cds-services/accepting': {
+        request: 'some-request',
+        authFault: { authFault: 'replayed-jti', status: 200 },
+      },
+      'http://example.com/cds-services/valid-jwt': {
+        request: 'some-request',
+      },
+    };
+    discoveryAuthFaults = {
+      'http://example.com/cds-services': { authFault: 'missing-authorization', status: null },
+    };
+    wrapper = shallow(<AuthFaultPanel panelHeader=" Auth Faults" exchanges={exchanges} discoveryAuthFaults={discoveryAuthFaults} isExpanded={true} />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('Heading').children().last().text()).toEqual(' Auth Faults (3)');
+  });
+
+  it('should report whether each service call sent with an auth fault was rejected', () => {
+    expect(wrapper.find('.rejected').find('.url').text()).toEqual('http://example.com/cds-services/rejecting');
+    expect(wrapper.find('.rejected').childAt(2).text()).toEqual('Expired exp: rejected with 401, as expected');
+    expect(wrapper.find('.accepted').childAt(2).text()).toEqual('Replayed jti: responded with 200, expected 401 or 403');
+  });
+
+  it('should report discovery endpoints tested with an auth fault', () => {
+    const result = wrapper.find('.no-status');
+    expect(result.childAt(0).text()).toEqual('Discovery');
+    expect(result.childAt(2).text())
+      .toEqual('No Authorization header: no response status (i.e. a network or CORS error), expected 401 or 403');
+  });
+
+  it('should display a message if no requests were sent with an auth fault', () => {
+    wrapper = shallow(<AuthFaultPanel panelHeader=" Auth Faults" exchanges={{}} isExpanded={true} />);
+    expect(wrapper.find('p').text()).toEqual('No requests sent with an auth fault');
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
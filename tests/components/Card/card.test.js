@@ -97,6 +97,18 @@ describe('Card component', () => {
     expect(windowSpy).toHaveBeenCalled();
   });
 
+  it('opens a link in the embedded app panel when apps are launched embedded', () => {
+    shallowedComponent.setProps({ appLaunchMode: 'embedded', messagingHandles: { 'http://remapped-link': 'handle-1' } });
+    shallowedComponent.find('.links-section').find('Button').simulate('click', { preventDefault() {} });
+    expect(windowSpy).not.toHaveBeenCalled();
+    const store = require('../../../src/store/store').default;
+    expect(store.getState().hookState.embeddedApp).toEqual({
+      triggerPoint: null,
+      link: { type: 'smart', url: smartLink, messagingHandle: 'handle-1' },
+      url: 'http://remapped-link',
+    });
+  });
+
   it('prevents default action if a event source link is clicked', () => {
     let eventWatch = jest.fn();
     shallowedComponent.find('.card-source').first().find('a').simulate('click', { preventDefault() { return eventWatch(); }});
@@ -121,6 +133,46 @@ describe('Card component', () => {
     expect(takeSuggestion).toHaveBeenCalledWith(suggestion);
   });
 
+  it('applies the actions of a suggestion taken to the scratchpad', () => {
+    suggestion.actions = [{
+      type: 'update',
+      description: 'Update the order',
+      resource: { resourceType: 'ServiceRequest', id: 'example-request-id', status: 'draft' },
+    }];
+    setup(storeState);
+    shallowedComponent.find('.suggestions-section').find('Button').at(0).simulate('click', { preventDefault() {} });
+    const store = require('../../../src/store/store').default;
+    expect(store.getState().scratchpadState.entries).toEqual({
+      'ServiceRequest/example-request-id': {
+        change: 'update',
+        resource: suggestion.actions[0].resource,
+        origin: 'suggestion',
+        sourceUrl: serviceUrl,
+      },
+    });
+  });
+
+  it('applies each action of a suggestion once, through the form for its draft orders', () => {
+    const formAction = {
+      type: 'update',
+      description: 'Update the order',
+      resource: { resourceType: 'MedicationRequest', id: 'request-123', status: 'draft' },
+    };
+    const otherAction = {
+      type: 'create',
+      description: 'Add a lab order',
+      resource: { resourceType: 'ServiceRequest', id: 'lab-1', status: 'draft' },
+    };
+    suggestion.actions = [formAction, otherAction];
+    setup(storeState);
+    shallowedComponent.setProps({ formDraftReferences: ['MedicationRequest/request-123'] });
+    const store = require('../../../src/store/store').default;
+    store.dispatch({ type: 'CLEAR_SCRATCHPAD' });
+    shallowedComponent.find('.suggestions-section').find('Button').at(0).simulate('click', { preventDefault() {} });
+    expect(takeSuggestion).toHaveBeenCalledWith({ ...suggestion, actions: [formAction] });
+    expect(Object.keys(store.getState().scratchpadState.entries)).toEqual(['ServiceRequest/lab-1']);
+  });
+
   it('does not take a suggestion if it is does not have a label', () => {
     shallowedComponent.find('.suggestions-section').find('Button').at(1).simulate('click', { preventDefault() {} });
     expect(takeSuggestion).not.toHaveBeenCalled();
@@ -1,8 +1,13 @@
 import React from 'react';
 import { shallow } from 'enzyme';
 
+import * as types from '../../../src/actions/action-types';
+import store from '../../../src/store/store';
+import submitCardFeedback from '../../../src/retrieve-data-helpers/feedback-sender';
 import { CardList } from '../../../src/components/CardList/card-list';
 
+jest.mock('../../../src/retrieve-data-helpers/feedback-sender', () => jest.fn());
+
 describe('Card List component', () => {
   let cardResponses;
 
@@ -23,4 +28,194 @@ describe('Card List component', () => {
     let component = shallow(<CardList cardResponses={cardResponses} />);
     expect(component).toBeDefined();
   });
+
+  it('displays a badge on cards with validation issues', () => {
+    cardResponses.cards[0].validationIssues = [
+      { severity: 'warning', path: 'cards[0].summary', message: 'Too long' },
+    ];
+    let component = shallow(<CardList cardResponses={cardResponses} />);
+    const badge = component.find('.validation-badge');
+    expect(badge.text()).toEqual('1 spec issue');
+    expect(badge.hasClass('validation-warning')).toBe(true);
+    expect(badge.prop('title')).toEqual('cards[0].summary: Too long');
+  });
+
+  it('displays a badge on cards of services over the latency budget', () => {
+    cardResponses.cards[0].timings = { prefetch: 200, request: 700, responseHandling: 12, total: 912 };
+    let component = shallow(<CardList cardResponses={cardResponses} />);
+    const badge = component.find('.latency-badge');
+    expect(badge.text()).toEqual('Slow: 912 ms');
+    expect(badge.prop('title'))
+      .toEqual('The service took 912 ms (prefetch 200 ms, request 700 ms, response handling 12 ms), over the 500 ms budget');
+
+    cardResponses.cards[0].timings = { prefetch: 0, request: 120, responseHandling: 12, total: 132 };
+    component = shallow(<CardList cardResponses={cardResponses} />);
+    expect(component.find('.latency-badge')).toHaveLength(0);
+  });
+
+  it('does not display a badge on valid cards', () => {
+    let component = shallow(<CardList cardResponses={cardResponses} />);
+    expect(component.find('.validation-badge')).toHaveLength(0);
+  });
+
+  describe('Suggestions', () => {
+    const serviceUrl = 'http://example.com/cds-services/id-1';
+    let takeSuggestion;
+
+    beforeEach(() => {
+      takeSuggestion = jest.fn();
+      jest.spyOn(store, 'dispatch').mockImplementation(() => {});
+      cardResponses = {
+        cards: [{
+          uuid: 'card-1',
+          serviceUrl,
+          selectionBehavior: 'at-most-one',
+          suggestions: [{ label: 'First', uuid: 'suggestion-1' }, { label: 'Second', uuid: 'suggestion-2' }],
+        }],
+      };
+    });
+
+    afterEach(() => {
+      store.dispatch.mockRestore();
+      submitCardFeedback.mockClear();
+    });
+
+    it('remembers the suggestion taken and sends it as feedback', () => {
+      const component = shallow(<CardList cardResponses={cardResponses} takeSuggestion={takeSuggestion} />);
+      component.find('Button[text="Second"]').simulate('click');
+      expect(takeSuggestion).toHaveBeenCalledWith(cardResponses.cards[0].suggestions[1]);
+      expect(store.dispatch).toHaveBeenCalledWith({
+        type: types.TAKE_CARD_SUGGESTION, serviceUrl, cardUUID: 'card-1', suggestionIndex: 1,
+      });
+      expect(submitCardFeedback).toHaveBeenCalledWith(serviceUrl, expect.objectContaining({
+        card: 'card-1', outcome: 'accepted', acceptedSuggestions: [{ id: 'suggestion-2' }],
+      }));
+    });
+
+    it('disables every suggestion of an at-most-one card once one is taken', () => {
+      let component = shallow(<CardList cardResponses={cardResponses} takeSuggestion={takeSuggestion} />);
+      expect(component.find('.selection-behavior').text()).toEqual('Take at most one suggestion');
+      expect(component.find('Button[text="First"]').prop('isDisabled')).toBe(false);
+
+      cardResponses.cards[0].takenSuggestions = [1];
+      component = shallow(<CardList cardResponses={cardResponses} takeSuggestion={takeSuggestion} />);
+      expect(component.find('Button[text="First"]').prop('isDisabled')).toBe(true);
+      expect(component.find('Button[text="Second"]').prop('title')).toEqual('Suggestion taken');
+    });
+
+    it('only disables the suggestions taken from an any card', () => {
+      cardResponses.cards[0].selectionBehavior = 'any';
+      cardResponses.cards[0].takenSuggestions = [1];
+      const component = shallow(<CardList cardResponses={cardResponses} takeSuggestion={takeSuggestion} />);
+      expect(component.find('.selection-behavior')).toHaveLength(0);
+      expect(component.find('Button[text="First"]').prop('isDisabled')).toBe(false);
+      expect(component.find('Button[text="Second"]').prop('isDisabled')).toBe(true);
+    });
+  });
+
+  describe('Override reasons', () => {
+    const serviceUrl = 'http://example.com/cds-services/id-1';
+
+    beforeEach(() => {
+      jest.spyOn(store, 'dispatch').mockImplementation(() => {});
+      cardResponses = {
+        cards: [{
+          uuid: 'card-1',
+          serviceUrl,
+          overrideReasons: [
+            { code: 'patient-refused', system: 'http://example.com/override-reasons', display: 'Patient refused' },
+            { code: 'not-relevant' },
+          ],
+        }],
+      };
+    });
+
+    afterEach(() => {
+      store.dispatch.mockRestore();
+      submitCardFeedback.mockClear();
+    });
+
+    it('lists the override reasons of the card', () => {
+      const component = shallow(<CardList cardResponses={cardResponses} />);
+      expect(component.find('option').map((option) => option.text()))
+        .toEqual(['No override reason', 'Patient refused', 'not-relevant']);
+    });
+
+    it('sends the override reason picked and the comment of the user as feedback', () => {
+      const component = shallow(<CardList cardResponses={cardResponses} />);
+      component.find('select').simulate('change', { target: { value: '0' } });
+      component.find('input').simulate('change', { target: { value: ' Discussed with the patient ' } });
+      component.find('Button[text="Dismiss"]').simulate('click');
+      expect(submitCardFeedback).toHaveBeenCalledWith(serviceUrl, expect.objectContaining({
+        card: 'card-1',
+        outcome: 'overridden',
+        overrideReason: {
+          reason: { code: 'patient-refused', system: 'http://example.com/override-reasons' },
+          userComment: 'Discussed with the patient',
+        },
+      }));
+      expect(store.dispatch).toHaveBeenCalledWith({ type: types.DISMISS_CARD, serviceUrl, cardUUID: 'card-1' });
+    });
+
+    it('sends a comment without a reason, on cards without override reasons', () => {
+      delete cardResponses.cards[0].overrideReasons;
+      const component = shallow(<CardList cardResponses={cardResponses} />);
+      expect(component.find('select')).toHaveLength(0);
+      component.find('input').simulate('change', { target: { value: 'Already ordered' } });
+      component.find('Button[text="Dismiss"]').simulate('click');
+      expect(submitCardFeedback.mock.calls[0][1].overrideReason).toEqual({ userComment: 'Already ordered' });
+    });
+
+    it('sends no override reason if none was picked or commented', () => {
+      const component = shallow(<CardList cardResponses={cardResponses} />);
+      component.find('Button[text="Dismiss"]').simulate('click');
+      expect(submitCardFeedback.mock.calls[0][1].overrideReason).toBeUndefined();
+    });
+  });
+
+  describe('Service errors', () => {
+    const serviceUrl = 'http://example.com/cds-services/id-1';
+
+    beforeEach(() => {
+      jest.spyOn(store, 'dispatch').mockImplementation(() => {});
+      cardResponses = {
+        cards: [{
+          uuid: 'service-error-hook-instance-1',
+          indicator: 'error',
+          summary: 'id-1 failed: HTTP 503',
+          serviceUrl,
+          serviceError: {
+            type: 'http',
+            title: 'HTTP 503',
+            message: 'Request failed with status code 503',
+            status: 503,
+            bodyExcerpt: '{"error":"Service Unavailable"}',
+          },
+        }],
+      };
+    });
+
+    afterEach(() => {
+      store.dispatch.mockRestore();
+      submitCardFeedback.mockClear();
+    });
+
+    it('displays the error of a failed exchange as a card', () => {
+      const component = shallow(<CardList cardResponses={cardResponses} />);
+      expect(component.find('Text').children().text()).toEqual('id-1 failed: HTTP 503');
+      expect(component.find('.error-message').text()).toEqual('Request failed with status code 503');
+      expect(component.find('.error-status').text()).toEqual('HTTP status: 503');
+      expect(component.find('.error-body').text()).toEqual('{"error":"Service Unavailable"}');
+      expect(component.find('.override-comment')).toHaveLength(0);
+    });
+
+    it('dismisses the error card without sending feedback', () => {
+      const component = shallow(<CardList cardResponses={cardResponses} />);
+      component.find('Button[text="Dismiss"]').simulate('click');
+      expect(store.dispatch).toHaveBeenCalledWith({
+        type: types.DISMISS_CARD, serviceUrl, cardUUID: 'service-error-hook-instance-1',
+      });
+      expect(submitCardFeedback).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -1,3 +1,5 @@
+jest.mock('../../../../src/retrieve-data-helpers/discovery-services-retrieval', () => jest.fn(() => Promise.resolve()));
+
 import React from 'react';
 import { mount, shallow } from 'enzyme';
 import { Provider } from 'react-redux';
@@ -6,6 +8,7 @@ import configureStore from 'redux-mock-store';
 import * as types from '../../../../src/actions/action-types';
 
 import ConnectedView, {ServiceDisplay} from '../../../../src/components/ConfigureServices/ServiceDisplay/service-display';
+import retrieveDiscoveryServices from '../../../../src/retrieve-data-helpers/discovery-services-retrieval';
 
 describe('ServiceDisplay component', () => {
   let storeState;
@@ -51,4 +54,145 @@ describe('ServiceDisplay component', () => {
       service: url,
     }]);
   });
+
+  it('lists the lint findings of the service definition', () => {
+    const lintFindings = [
+      { severity: 'error', path: 'description', message: 'Missing required "description" field' },
+      { severity: 'warning', path: 'hook', message: 'Unknown hook "foo"' },
+    ];
+    component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} lintFindings={lintFindings} />);
+    expect(component.find('.finding')).toHaveLength(2);
+    expect(component.find('.error').find('code').text()).toEqual('description');
+    expect(component.find('.warning').text()).toContain('Unknown hook "foo"');
+  });
+
+  it('does not list lint findings for a clean service definition', () => {
+    expect(pureComponent.find('.findings')).toHaveLength(0);
+  });
+
+  describe('prefetch settings', () => {
+    let updateSettings;
+
+    beforeEach(() => {
+      updateSettings = jest.fn();
+      urlDefinition.prefetch = { patient: 'Patient/{{context.patientId}}', conditions: 'Condition?patient={{context.patientId}}' };
+    });
+
+    it('does not show prefetch settings for a service without prefetch', () => {
+      delete urlDefinition.prefetch;
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} />);
+      expect(component.find('.prefetch-mode')).toHaveLength(0);
+    });
+
+    it('updates the prefetch mode of the service', () => {
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} updateSettings={updateSettings} />);
+      expect(component.find('.prefetch-mode').prop('value')).toEqual('full');
+      expect(component.find('.prefetch-key')).toHaveLength(0);
+      component.find('.prefetch-mode').simulate('change', { target: { value: 'none' } });
+      expect(updateSettings).toHaveBeenCalledWith(url, { prefetchMode: 'none' });
+    });
+
+    it('chooses the prefetch keys to send in the partial mode, in the order of the service definition', () => {
+      const settings = { prefetchMode: 'partial', prefetchKeys: ['conditions'] };
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} settings={settings} updateSettings={updateSettings} />);
+      expect(component.find('.prefetch-key')).toHaveLength(2);
+      expect(component.find('.prefetch-key').at(1).find('input').prop('checked')).toBe(true);
+      component.find('.prefetch-key').at(0).find('input').simulate('change');
+      expect(updateSettings).toHaveBeenCalledWith(url, { prefetchKeys: ['patient', 'conditions'] });
+    });
+
+    it('dispatches the settings update', () => {
+      pureComponent = shallow(<ConnectedView store={mockStore} serviceUrl={url} definition={urlDefinition} />)
+        .find('ServiceDisplay').shallow();
+      pureComponent.find('.prefetch-mode').simulate('change', { target: { value: 'null' } });
+      expect(mockStore.getActions()).toEqual([{
+        type: types.UPDATE_SERVICE_SETTINGS,
+        service: url,
+        settings: { prefetchMode: 'null' },
+      }]);
+    });
+  });
+
+  describe('auth fault settings', () => {
+    let updateSettings;
+
+    beforeEach(() => {
+      updateSettings = jest.fn();
+      url = 'http://example.com/cds-services/example-id';
+      urlDefinition.id = 'example-id';
+      retrieveDiscoveryServices.mockClear();
+    });
+
+    it('updates the auth fault of a service, with or without prefetch', () => {
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} updateSettings={updateSettings} />);
+      expect(component.find('.auth-fault').prop('value')).toEqual('none');
+      expect(component.find('Button[text="Test Discovery"]')).toHaveLength(0);
+      component.find('.auth-fault').simulate('change', { target: { value: 'expired-exp' } });
+      expect(updateSettings).toHaveBeenCalledWith(url, { authFault: 'expired-exp' });
+    });
+
+    it('tests the discovery endpoint of the service with the auth fault', () => {
+      const settings = { authFault: 'unknown-kid' };
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} settings={settings} />);
+      component.find('Button[text="Test Discovery"]').simulate('click');
+      expect(retrieveDiscoveryServices).toHaveBeenCalledWith('http://example.com/cds-services', 'unknown-kid');
+    });
+
+    it('reports whether the discovery endpoint rejected the auth fault', () => {
+      const settings = { authFault: 'unknown-kid' };
+      const discoveryAuthFault = { authFault: 'unknown-kid', status: 200 };
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} settings={settings} discoveryAuthFault={discoveryAuthFault} />);
+      expect(component.find('.auth-fault-result').hasClass('accepted')).toBe(true);
+      expect(component.find('.auth-fault-result').text()).toEqual('Discovery: Unknown kid: responded with 200, expected 401 or 403');
+    });
+  });
+
+  describe('fhirAuthorization settings', () => {
+    let updateSettings;
+
+    beforeEach(() => {
+      updateSettings = jest.fn();
+      urlDefinition.prefetch = { patient: 'Patient/{{context.patientId}}', conditions: 'Condition?patient={{context.patientId}}' };
+    });
+
+    it('updates the fhirAuthorization mode, subject and patient of the service', () => {
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} updateSettings={updateSettings} />);
+      expect(component.find('.fhir-authorization-mode').prop('value')).toEqual('sandbox');
+      expect(component.find('.scopes')).toHaveLength(0);
+      component.find('.fhir-authorization-mode').simulate('change', { target: { value: 'scoped' } });
+      component.find('.fhir-authorization-subject').simulate('change', { target: { value: 'client-1' } });
+      component.find('.fhir-authorization-patient').simulate('change', { target: { value: 'patient-2' } });
+      expect(updateSettings.mock.calls).toEqual([
+        [url, { fhirAuthorizationMode: 'scoped' }],
+        [url, { fhirAuthorizationSubject: 'client-1' }],
+        [url, { fhirAuthorizationPatient: 'patient-2' }],
+      ]);
+    });
+
+    it('lists the scopes of the token minted for the service', () => {
+      const settings = { fhirAuthorizationMode: 'scoped' };
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} settings={settings} />);
+      expect(component.find('.scopes').text()).toEqual('Scopes: patient/Patient.read patient/Condition.read');
+    });
+
+    it('does not ask for a subject and patient in the "none" mode', () => {
+      const settings = { fhirAuthorizationMode: 'none' };
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} settings={settings} />);
+      expect(component.find('.fhir-authorization-subject')).toHaveLength(0);
+    });
+  });
+
+  describe('Timeout setting', () => {
+    it('updates the timeout of the service, in milliseconds', () => {
+      const updateSettings = jest.fn();
+      component = shallow(<ServiceDisplay serviceUrl={url} definition={urlDefinition} updateSettings={updateSettings} />);
+      expect(component.find('.timeout').prop('value')).toEqual(10000);
+      component.find('.timeout').simulate('change', { target: { value: '2000' } });
+      component.find('.timeout').simulate('change', { target: { value: '' } });
+      expect(updateSettings.mock.calls).toEqual([
+        [url, { timeout: 2000 }],
+        [url, { timeout: 0 }],
+      ]);
+    });
+  });
 });
@@ -9,6 +9,10 @@ import * as types from '../../../src/actions/action-types';
 import ConnectedView, { ContextView } from '../../../src/components/ContextView/context-view';
 import { setContextVisiblity } from '../../../src/actions/ui-actions';
 import { selectService } from '../../../src/actions/service-exchange-actions';
+import store from '../../../src/store/store';
+import { resendRequest } from '../../../src/retrieve-data-helpers/service-exchange';
+
+jest.mock('../../../src/retrieve-data-helpers/service-exchange', () => ({ resendRequest: jest.fn() }));
 
 describe('ServiceContextView component', () => {
   let storeState;
@@ -50,6 +54,20 @@ describe('ServiceContextView component', () => {
             response: 'some-response'
           },
         },
+        history: [
+          {
+            id: 1,
+            url: patientServiceUrl,
+            request: 'old-request',
+            response: 'old-response',
+          },
+        ],
+        selectedHistoryEntry: null,
+      },
+      scratchpadState: {
+        entries: {
+          'MedicationRequest/request-123': { change: 'delete', resource: null },
+        },
       },
     };
     filteredServices = pickBy(storeState.cdsServicesState.configuredServices, (service) => {
@@ -73,12 +91,113 @@ describe('ServiceContextView component', () => {
     expect(pureComponent.prop('isContextVisible')).toEqual(storeState.hookState.isContextVisible);
     expect(pureComponent.prop('selectedService')).toEqual(storeState.serviceExchangeState.selectedService);
     expect(pureComponent.prop('exchanges')).toEqual(storeState.serviceExchangeState.exchanges);
+    expect(pureComponent.prop('history')).toEqual(storeState.serviceExchangeState.history);
+    expect(pureComponent.prop('allServices')).toEqual(storeState.cdsServicesState.configuredServices);
+    expect(pureComponent.prop('scratchpad')).toEqual(storeState.scratchpadState.entries);
   });
 
   it('renders relevant child components', () => {
     const shallowComponent = pureComponent.shallow();
     expect(shallowComponent.find('Field')).toHaveLength(1);
     expect(shallowComponent.find('ExchangePanel')).toHaveLength(2);
+    expect(shallowComponent.find('ExchangeHistory')).toHaveLength(1);
+    expect(shallowComponent.find('ExchangeDiff')).toHaveLength(1);
+  });
+
+  it('renders the prefetch log of the exchange displayed', () => {
+    const prefetchLog = [{ key: 'patient', url: 'http://fhir.example.com/Patient/1', attempts: [] }];
+    storeState.serviceExchangeState.exchanges[patientServiceUrl].prefetchLog = prefetchLog;
+    mockStore = mockStoreWrapper(storeState);
+    const shallowComponent = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow();
+    expect(shallowComponent.find('PrefetchPanel').prop('prefetchLog')).toEqual(prefetchLog);
+    expect(shallowComponent.find('PrefetchPanel').prop('panelHeader')).toEqual(' Prefetch');
+  });
+
+  it('displays the timings of the exchange, flagging exchanges over the latency budget', () => {
+    storeState.serviceExchangeState.exchanges[patientServiceUrl].timings = { prefetch: 300, request: 400, responseHandling: 12, total: 712 };
+    mockStore = mockStoreWrapper(storeState);
+    const timings = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow().find('.timings');
+    expect(timings.hasClass('slow')).toBe(true);
+    expect(timings.text())
+      .toEqual('Timings: 712 ms (prefetch 300 ms, request 400 ms, response handling 12 ms) - over the 500 ms budget');
+  });
+
+  it('details the error of the exchange displayed, if it failed', () => {
+    const error = { type: 'timeout', title: 'Timeout', message: 'The CDS Service did not respond within the 10000 ms timeout', status: null, bodyExcerpt: null };
+    const shallowComponent = pureComponent.shallow();
+    expect(shallowComponent.find('ServiceErrorPanel').prop('error')).toBeUndefined();
+    storeState.serviceExchangeState.exchanges[patientServiceUrl].error = error;
+    mockStore = mockStoreWrapper(storeState);
+    const errorPanel = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow().find('ServiceErrorPanel');
+    expect(errorPanel.prop('error')).toEqual(error);
+    expect(errorPanel.prop('panelHeader')).toEqual(' Service Error');
+  });
+
+  it('resends a request edited in the request composer, and displays the resulting exchange', () => {
+    const request = { hookInstance: 'hook-1', hook: 'patient-view' };
+    storeState.serviceExchangeState.exchanges[patientServiceUrl] = { request, response: 'some-response', exchangeRound: 2 };
+    storeState.serviceExchangeState.history.push({ id: 2, url: patientServiceUrl, request, exchangeRound: 2 });
+    mockStore = mockStoreWrapper(storeState);
+    const composer = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow().find('RequestComposer');
+    expect(composer.prop('request')).toEqual(request);
+    expect(composer.prop('serviceUrl')).toEqual(patientServiceUrl);
+    expect(composer.prop('serviceUrls')).toEqual([patientServiceUrl, medServiceUrl]);
+
+    const edited = { ...request, hook: 'order-select' };
+    resendRequest.mockReturnValue(Promise.resolve('hook-2'));
+    jest.spyOn(store, 'getState').mockReturnValue({
+      serviceExchangeState: { history: [{ id: 3, url: medServiceUrl, request: { ...edited, hookInstance: 'hook-2' } }] },
+    });
+    return composer.prop('onResend')(medServiceUrl, edited).then(() => {
+      expect(resendRequest).toHaveBeenCalledWith(store.dispatch, expect.any(Object), medServiceUrl, edited, {
+        exchangeRound: 2, resentFrom: 2,
+      });
+      expect(mockStore.getActions()).toEqual([{ type: types.SELECT_HISTORY_ENTRY, id: 3 }]);
+      store.getState.mockRestore();
+    });
+  });
+
+  it('exports the history entry of the exchange displayed, and the session', () => {
+    const request = { hookInstance: 'hook-1', hook: 'patient-view' };
+    storeState.serviceExchangeState.exchanges[patientServiceUrl] = { request, response: 'some-response' };
+    storeState.serviceExchangeState.history.push({ id: 2, url: patientServiceUrl, request });
+    mockStore = mockStoreWrapper(storeState);
+    const exportPanel = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow().find('ExportPanel');
+    expect(exportPanel.prop('exchange')).toEqual(storeState.serviceExchangeState.history[1]);
+    expect(exportPanel.prop('entries')).toEqual(storeState.serviceExchangeState.history);
+  });
+
+  it('reports the auth faults of the service calls and discovery endpoints', () => {
+    const discoveryAuthFaults = { 'http://example.com/cds-services': { authFault: 'wrong-aud', status: 401 } };
+    storeState.cdsServicesState.discoveryAuthFaults = discoveryAuthFaults;
+    mockStore = mockStoreWrapper(storeState);
+    const shallowComponent = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow();
+    expect(shallowComponent.find('AuthFaultPanel').prop('exchanges')).toEqual(storeState.serviceExchangeState.exchanges);
+    expect(shallowComponent.find('AuthFaultPanel').prop('discoveryAuthFaults')).toEqual(discoveryAuthFaults);
+  });
+
+  it('renders the feedback requests and pending card outcomes of the service in context', () => {
+    const feedbackEntry = { id: 1, url: patientServiceUrl, feedback: [{ card: 'card-1', outcome: 'overridden' }] };
+    storeState.serviceExchangeState.feedbackLog = [
+      feedbackEntry,
+      { id: 2, url: medServiceUrl, feedback: [{ card: 'card-2', outcome: 'overridden' }] },
+    ];
+    storeState.serviceExchangeState.pendingFeedback = { [patientServiceUrl]: [{ card: 'card-3', outcome: 'accepted' }] };
+    storeState.serviceExchangeState.isFeedbackBatched = true;
+    mockStore = mockStoreWrapper(storeState);
+    const feedbackPanel = shallow(<ConnectedView store={mockStore}/>).find('ContextView').shallow().find('FeedbackPanel');
+    expect(feedbackPanel.prop('entries')).toEqual([feedbackEntry]);
+    expect(feedbackPanel.prop('pendingFeedback')).toEqual([{ card: 'card-3', outcome: 'accepted' }]);
+    expect(feedbackPanel.prop('isBatched')).toEqual(true);
+    feedbackPanel.prop('onToggleBatching')(false);
+    expect(mockStore.getActions()).toEqual([{ type: types.SET_FEEDBACK_BATCHING, isBatched: false }]);
+  });
+
+  it('renders the scratchpad and clears it', () => {
+    const shallowComponent = pureComponent.shallow();
+    expect(shallowComponent.find('ScratchpadPanel').prop('entries')).toEqual(storeState.scratchpadState.entries);
+    shallowComponent.find('ScratchpadPanel').prop('onClear')();
+    expect(mockStore.getActions()).toEqual([{ type: types.CLEAR_SCRATCHPAD }]);
   });
 
   it('does not have styling to display the context view on the user viewport if context visiblity is false', () => {
@@ -132,6 +251,18 @@ describe('ServiceContextView component', () => {
       expect(requestPanel.prop('panelText')).toEqual('No request made to CDS Service');
       expect(responsePanel.prop('panelText')).toEqual('No response made to CDS Service');
     });
+
+    it('ensures the panel text contains the request/response of a selected history entry', () => {
+      storeState.serviceExchangeState.selectedHistoryEntry = 1;
+      mockStore = mockStoreWrapper(storeState);
+      let component = <ConnectedView store={mockStore}/>;
+      wrapper = mount(component);
+      const requestPanel = wrapper.find('ExchangePanel').first();
+      const responsePanel = wrapper.find('ExchangePanel').last();
+      expect(requestPanel.prop('panelText')).toEqual('old-request');
+      expect(responsePanel.prop('panelText')).toEqual('old-response');
+      expect(responsePanel.prop('panelHeader')).toEqual(' Response (History #1)');
+    });
   });
 
   describe('Dispatch Props', () => {
@@ -153,5 +284,11 @@ describe('ServiceContextView component', () => {
       const expectedAction = { type: types.SELECT_SERVICE_CONTEXT, service:  patientServiceUrl};
       expect(mockStore.getActions()).toEqual([expectedAction]);
     });
+
+    it('can dispatch an action via dispatch function passed in as a prop for selecting a history entry', () => {
+      pureComponent.find('ExchangeHistory').prop('onSelectEntry')(1);
+      const expectedAction = { type: types.SELECT_HISTORY_ENTRY, id: 1 };
+      expect(mockStore.getActions()).toEqual([expectedAction]);
+    });
   });
 });
\ No newline at end of file
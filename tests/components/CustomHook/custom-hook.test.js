@@ -0,0 +1,92 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+import configureStore from 'redux-mock-store';
+
+import * as types from '../../../src/actions/action-types';
+
+describe('CustomHook component', () => {
+  let storeState;
+  let wrapper;
+  let pureComponent;
+  let mockStore;
+  let mockStoreWrapper = configureStore([]);
+
+  let ConnectedView;
+  let CustomHook;
+  let mockSpy;
+
+  function setup(state) {
+    mockStore = mockStoreWrapper(state);
+    jest.setMock('../../../src/retrieve-data-helpers/service-exchange', mockSpy);
+    ConnectedView = require('../../../src/components/CustomHook/custom-hook').default;
+    CustomHook = require('../../../src/components/CustomHook/custom-hook')['CustomHook'];
+    wrapper = shallow(<ConnectedView store={mockStore} />);
+    pureComponent = wrapper.find(CustomHook);
+  }
+
+  beforeEach(() => {
+    storeState = {
+      hookState: { currentHook: 'custom-hook', currentScreen: 'custom-hook', isContextVisible: true },
+      patientState: { currentPatient: { id: 'test-patient' } },
+      customHookState: { hookName: 'my-draft-hook', contextJson: '{ "encounterId": "encounter-1" }' },
+    };
+    mockSpy = jest.fn();
+    setup(storeState);
+  });
+
+  afterEach(() => {
+    jest.resetModules();
+  });
+
+  it('matches props passed down from Redux decorator', () => {
+    expect(pureComponent.prop('hookName')).toEqual('my-draft-hook');
+    expect(pureComponent.prop('currentHook')).toEqual('custom-hook');
+    expect(pureComponent.prop('contextJson')).toEqual(storeState.customHookState.contextJson);
+  });
+
+  it('creates the hook context from the authored JSON', () => {
+    const { customHookTriggerHandler } = require('../../../src/components/CustomHook/custom-hook');
+    expect(customHookTriggerHandler.needExplicitTrigger).toEqual(types.TRIGGER_CUSTOM_HOOK);
+    expect(customHookTriggerHandler.generateContext(storeState)).toEqual({ encounterId: 'encounter-1' });
+    storeState.customHookState.contextJson = '{';
+    expect(customHookTriggerHandler.generateContext(storeState)).toEqual({});
+  });
+
+  it('validates the authored context', () => {
+    const { parseCustomContext } = require('../../../src/components/CustomHook/custom-hook');
+    expect(parseCustomContext('{"a": 1}')).toEqual({ context: { a: 1 } });
+    expect(parseCustomContext('{')).toEqual({ error: 'Check your JSON syntax' });
+    expect(parseCustomContext('[]')).toEqual({ error: 'The context must be a JSON object' });
+  });
+
+  it('stores the hook name and context as they are edited', () => {
+    const shallowedComponent = pureComponent.shallow();
+    shallowedComponent.find('input').simulate('change', { target: { value: ' other-hook ' } });
+    shallowedComponent.find('CodeMirror').simulate('change', '{}');
+    expect(mockStore.getActions()).toEqual([
+      { type: types.STORE_CUSTOM_HOOK_NAME, hookName: 'other-hook' },
+      { type: types.STORE_CUSTOM_HOOK_CONTEXT, contextJson: '{}' },
+    ]);
+  });
+
+  it('sets the hook typed in before invoking the services on it', () => {
+    pureComponent.shallow().find('Button').simulate('click');
+    expect(mockStore.getActions()).toEqual([
+      { type: types.SET_HOOK, hook: 'my-draft-hook', screen: 'custom-hook' },
+      { type: types.TRIGGER_CUSTOM_HOOK },
+    ]);
+  });
+
+  it('only invokes the services if the hook is already in context', () => {
+    setup({ ...storeState, hookState: { ...storeState.hookState, currentHook: 'my-draft-hook' } });
+    pureComponent.shallow().find('Button').simulate('click');
+    expect(mockStore.getActions()).toEqual([{ type: types.TRIGGER_CUSTOM_HOOK }]);
+  });
+
+  it('does not allow invoking the services with an invalid context', () => {
+    setup({ ...storeState, customHookState: { hookName: 'my-draft-hook', contextJson: '[]' } });
+    const shallowedComponent = pureComponent.shallow();
+    expect(shallowedComponent.find('.error').text()).toEqual('The context must be a JSON object');
+    expect(shallowedComponent.find('Button').prop('isDisabled')).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+import React from 'react';
+import { shallow, mount } from 'enzyme';
+import configureStore from 'redux-mock-store';
+
+import * as types from '../../../src/actions/action-types';
+import ConnectedView, { EmbeddedApp } from '../../../src/components/EmbeddedApp/embedded-app';
+
+describe('EmbeddedApp component', () => {
+  let embeddedApp;
+  let registerApp;
+  let closeApp;
+
+  beforeEach(() => {
+    embeddedApp = {
+      triggerPoint: 'face-sheet/patient-view',
+      link: { label: 'SMART App', url: 'http://example-smart.com/launch', type: 'smart', messagingHandle: 'handle-1' },
+      url: 'http://example-smart.com/launch?launch=123',
+    };
+    registerApp = jest.fn();
+    closeApp = jest.fn();
+  });
+
+  it('renders nothing without an embedded app', () => {
+    const wrapper = shallow(<EmbeddedApp embeddedApp={null} registerApp={registerApp} closeApp={closeApp} />);
+    expect(wrapper.type()).toBeNull();
+  });
+
+  it('loads the app in an iframe, and registers the SMART app with the window of the iframe', () => {
+    const wrapper = mount(<EmbeddedApp embeddedApp={embeddedApp} registerApp={registerApp} closeApp={closeApp} />);
+    const iframe = wrapper.find('iframe');
+    expect(iframe.prop('src')).toEqual('http://example-smart.com/launch?launch=123');
+    expect(wrapper.find('.title').text()).toEqual('SMART App');
+    expect(registerApp).toHaveBeenCalledWith('face-sheet/patient-view', embeddedApp.link, iframe.getDOMNode().contentWindow);
+
+    wrapper.setProps({ embeddedApp: { ...embeddedApp, windowId: 0 } });
+    expect(registerApp).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not register links other than SMART links', () => {
+    embeddedApp.link.type = 'absolute';
+    mount(<EmbeddedApp embeddedApp={embeddedApp} registerApp={registerApp} closeApp={closeApp} />);
+    expect(registerApp).not.toHaveBeenCalled();
+  });
+
+  it('closes the app with the window it was registered with', () => {
+    embeddedApp.windowId = 3;
+    const wrapper = shallow(<EmbeddedApp embeddedApp={embeddedApp} registerApp={registerApp} closeApp={closeApp} />);
+    wrapper.find('Button').simulate('click');
+    expect(closeApp).toHaveBeenCalledWith(3);
+  });
+
+  it('dispatches the registration and closing of embedded apps', () => {
+    const mockStore = configureStore([])({ hookState: { embeddedApp } });
+    const component = shallow(<ConnectedView store={mockStore} />).find('EmbeddedApp');
+    const sourceWindow = {};
+    component.prop('registerApp')('face-sheet/patient-view', embeddedApp.link, sourceWindow);
+    component.prop('closeApp')(0);
+    expect(mockStore.getActions()).toEqual([
+      {
+        type: types.LAUNCH_SMART_APP,
+        triggerPoint: 'face-sheet/patient-view',
+        link: embeddedApp.link,
+        sourceWindow,
+        isEmbedded: true,
+      },
+      { type: types.CLOSE_SMART_APP, windowId: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+import configureStore from 'redux-mock-store';
+
+import * as types from '../../../src/actions/action-types';
+
+describe('EncounterView component', () => {
+  let storeState;
+  let wrapper;
+  let pureComponent;
+  let mockStore;
+  let mockStoreWrapper = configureStore([]);
+
+  let ConnectedView;
+  let EncounterView;
+  let mockSpy;
+
+  function setup(state) {
+    mockStore = mockStoreWrapper(state);
+    jest.setMock('../../../src/retrieve-data-helpers/service-exchange', mockSpy);
+    jest.mock('uuid/v4', () => jest.fn(() => 'new-encounter-id'));
+    ConnectedView = require('../../../src/components/EncounterView/encounter-view').default;
+    EncounterView = require('../../../src/components/EncounterView/encounter-view')['EncounterView'];
+    wrapper = shallow(<ConnectedView store={mockStore} />);
+    pureComponent = wrapper.find(EncounterView);
+  }
+
+  beforeEach(() => {
+    storeState = {
+      hookState: { currentHook: 'encounter-start', isContextVisible: true },
+      patientState: { currentPatient: { id: 'test-patient' } },
+      encounterState: { encounterId: 'encounter-123', status: 'in-progress' },
+    };
+    mockSpy = jest.fn();
+    setup(storeState);
+  });
+
+  afterEach(() => {
+    jest.resetModules();
+  });
+
+  it('matches props passed down from Redux decorator', () => {
+    expect(pureComponent.prop('hook')).toEqual('encounter-start');
+    expect(pureComponent.prop('encounterId')).toEqual('encounter-123');
+    expect(pureComponent.prop('status')).toEqual('in-progress');
+  });
+
+  it('creates the hook context from the encounter in context', () => {
+    const { encounterStartTriggerHandler, encounterDischargeTriggerHandler } = require('../../../src/components/EncounterView/encounter-view');
+    expect(encounterStartTriggerHandler.generateContext(storeState)).toEqual({ encounterId: 'encounter-123' });
+    expect(encounterDischargeTriggerHandler.generateContext(storeState)).toEqual({ encounterId: 'encounter-123' });
+    expect(encounterStartTriggerHandler.needExplicitTrigger).toBe(false);
+    expect(encounterDischargeTriggerHandler.needExplicitTrigger).toEqual(types.TRIGGER_ENCOUNTER_DISCHARGE);
+  });
+
+  it('starts a new encounter on the encounter-start view', () => {
+    const shallowedComponent = pureComponent.shallow();
+    expect(shallowedComponent.find('h1').text()).toEqual('Encounter Start');
+    expect(shallowedComponent.text()).toContain('encounter-123');
+    shallowedComponent.find('Button').simulate('click');
+    expect(mockStore.getActions()).toEqual([{ type: types.START_ENCOUNTER, encounterId: 'new-encounter-id' }]);
+  });
+
+  it('discharges the patient on the encounter-discharge view', () => {
+    setup({ ...storeState, hookState: { currentHook: 'encounter-discharge', isContextVisible: true } });
+    const shallowedComponent = pureComponent.shallow();
+    expect(shallowedComponent.find('h1').text()).toEqual('Encounter Discharge');
+    shallowedComponent.find('Button').simulate('click');
+    expect(mockStore.getActions()).toEqual([{ type: types.TRIGGER_ENCOUNTER_DISCHARGE }]);
+  });
+
+  it('hides the view beyond the context toggle if context view status is set to false', () => {
+    setup({ ...storeState, hookState: { currentHook: 'encounter-start', isContextVisible: false } });
+    expect(pureComponent.shallow().find('.half-view')).toHaveLength(0);
+  });
+});
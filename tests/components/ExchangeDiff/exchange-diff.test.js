@@ -0,0 +1,74 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ExchangeDiff from '../../../src/components/ExchangeDiff/exchange-diff';
+
+describe('ExchangeDiff component', () => {
+  let wrapper;
+  let entries;
+  const serviceUrl = 'http://example.com/cds-services/patient';
+
+  beforeEach(() => {
+    entries = [
+      {
+        id: 1,
+        url: serviceUrl,
+        request: { hookInstance: '1', context: { patientId: 'patient-1' } },
+        response: { cards: [{ uuid: '1', summary: 'Summary' }] },
+      },
+      {
+        id: 2,
+        url: serviceUrl,
+        request: { hookInstance: '2', context: { patientId: 'patient-2' } },
+        response: { cards: [{ uuid: '2', summary: 'Summary' }] },
+      },
+      {
+        id: 3,
+        url: serviceUrl,
+        request: { hookInstance: '3', context: { patientId: 'patient-2' } },
+        response: { cards: [] },
+      },
+    ];
+    wrapper = shallow(<ExchangeDiff entries={entries}
+                                    services={{ [serviceUrl]: { id: 'patient' } }}
+                                    isExpanded={true} />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('select')).toHaveLength(3);
+  });
+
+  it('should compare the two latest exchanges by default', () => {
+    expect(wrapper.find('#diff-entryA').prop('value')).toEqual(2);
+    expect(wrapper.find('#diff-entryB').prop('value')).toEqual(3);
+    expect(wrapper.find('#diff-entryA').find('option').first().text()).toEqual('#3 - patient');
+    expect(wrapper.find('p').text()).toEqual('No differences between the requests');
+  });
+
+  it('should list the differences between the picked exchanges', () => {
+    wrapper.find('#diff-entryA').simulate('change', { target: { value: '1' } });
+    expect(wrapper.find('.difference')).toHaveLength(1);
+    expect(wrapper.find('.path').text()).toEqual('context.patientId');
+    expect(wrapper.find('.changed')).toHaveLength(1);
+  });
+
+  it('should compare responses when picked', () => {
+    wrapper.find('#diff-part').simulate('change', { target: { value: 'response' } });
+    expect(wrapper.find('.removed')).toHaveLength(1);
+    expect(wrapper.find('.path').text()).toEqual('cards[0]');
+  });
+
+  it('should display a message if fewer than two exchanges were recorded', () => {
+    wrapper = shallow(<ExchangeDiff entries={[entries[0]]} isExpanded={true} />);
+    expect(wrapper.find('select')).toHaveLength(0);
+    expect(wrapper.find('p').text()).toEqual('At least two exchanges are needed to compare');
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
@@ -0,0 +1,133 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ExchangeHistory from '../../../src/components/ExchangeHistory/exchange-history';
+
+describe('ExchangeHistory component', () => {
+  let wrapper;
+  let entries;
+  let services;
+  let onSelectEntry;
+  const patientServiceUrl = 'http://example.com/cds-services/patient';
+  const medServiceUrl = 'http://example.com/cds-services/med';
+
+  beforeEach(() => {
+    services = {
+      [patientServiceUrl]: { id: 'patient' },
+    };
+    entries = [
+      {
+        id: 1,
+        url: patientServiceUrl,
+        exchangeRound: 1,
+        screen: 'patient-view',
+        triggerPoint: 'face-sheet/patient-view',
+        responseStatus: 200,
+      },
+      {
+        id: 2,
+        url: medServiceUrl,
+        exchangeRound: 2,
+        screen: 'rx-view',
+        triggerPoint: 'rx-view/order-select',
+        responseStatus: 200,
+      },
+      {
+        id: 3,
+        url: medServiceUrl,
+        exchangeRound: 3,
+        screen: 'rx-view',
+        triggerPoint: 'rx-view/order-select',
+        responseStatus: 500,
+      },
+    ];
+    onSelectEntry = jest.fn();
+    wrapper = shallow(<ExchangeHistory entries={entries}
+                                       services={services}
+                                       onSelectEntry={onSelectEntry}
+                                       isExpanded={true} />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('select')).toHaveLength(3);
+  });
+
+  it('should list every entry, newest first', () => {
+    const ids = wrapper.find('.entry-id').map((node) => node.text());
+    expect(ids).toEqual(['#3', '#2', '#1']);
+  });
+
+  it('should label entries by service ID, falling back to the service URL', () => {
+    const labels = wrapper.find('.entry-service').map((node) => node.text());
+    expect(labels).toEqual([medServiceUrl, medServiceUrl, 'patient']);
+  });
+
+  it('should offer each distinct value of a property as a filter option', () => {
+    const screenOptions = wrapper.find('#history-filter-screen').find('option').map((node) => node.prop('value'));
+    expect(screenOptions).toEqual(['all', 'patient-view', 'rx-view']);
+  });
+
+  it('should filter entries when a filter option is chosen', () => {
+    wrapper.find('#history-filter-triggerPoint').simulate('change', { target: { value: 'face-sheet/patient-view' } });
+    expect(wrapper.find('.entry-id').map((node) => node.text())).toEqual(['#1']);
+  });
+
+  it('should filter entries by service, screen and trigger point', () => {
+    wrapper.setState({ filters: { url: medServiceUrl, screen: 'all', triggerPoint: 'all' } });
+    expect(wrapper.find('.entry-id').map((node) => node.text())).toEqual(['#3', '#2']);
+
+    wrapper.setState({ filters: { url: 'all', screen: 'patient-view', triggerPoint: 'all' } });
+    expect(wrapper.find('.entry-id').map((node) => node.text())).toEqual(['#1']);
+
+    wrapper.setState({ filters: { url: patientServiceUrl, screen: 'rx-view', triggerPoint: 'all' } });
+    expect(wrapper.find('.entry')).toHaveLength(0);
+  });
+
+  it('should display the duration of exchanges, flagging slow and timed out ones', () => {
+    entries[1].timings = { prefetch: 0, request: 120, responseHandling: 5, total: 125 };
+    entries[2].timings = { prefetch: 0, request: 2000, responseHandling: 5, total: 2005 };
+    entries[2].responseStatus = undefined;
+    entries[2].timedOut = true;
+    wrapper.setProps({ entries: [...entries] });
+    expect(wrapper.find('.slow').text()).toEqual('2005 ms');
+    expect(wrapper.find('.entry').first().text()).toContain('timed out');
+    expect(wrapper.find('.entry').at(1).text()).toContain('125 ms');
+  });
+
+  it('should flag stale exchanges, superseded by a later call to the service', () => {
+    entries[1].stale = { supersededBy: 3 };
+    wrapper.setProps({ entries: [...entries] });
+    expect(wrapper.find('.stale')).toHaveLength(1);
+    expect(wrapper.find('.stale').prop('title')).toEqual('Superseded by exchange round 3');
+  });
+
+  it('should flag exchanges resent from the request composer, with the entry they were resent from', () => {
+    entries[1].resentFrom = 1;
+    wrapper.setProps({ entries: [...entries] });
+    expect(wrapper.find('.resent').text()).toEqual('resent from #1');
+  });
+
+  it('should select an entry when clicked, and deselect it when clicked again', () => {
+    wrapper.find('.entry-button').at(2).simulate('click');
+    expect(onSelectEntry).toHaveBeenCalledWith(1);
+
+    wrapper.setProps({ selectedEntry: 1 });
+    wrapper.find('.entry-button').at(2).simulate('click');
+    expect(onSelectEntry).toHaveBeenLastCalledWith(null);
+  });
+
+  it('should display a message if no exchanges were recorded', () => {
+    wrapper = shallow(<ExchangeHistory onSelectEntry={onSelectEntry} isExpanded={true} />);
+    expect(wrapper.find('.entry')).toHaveLength(0);
+    expect(wrapper.find('p').text()).toEqual('No exchanges recorded');
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    expect(wrapper.state('isExpanded')).toEqual(true);
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
@@ -0,0 +1,78 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ExportPanel, { downloadFile } from '../../../src/components/ExportPanel/export-panel';
+
+describe('ExportPanel component', () => {
+  let wrapper;
+  let exchange;
+  let entries;
+  let downloads;
+
+  beforeEach(() => {
+    exchange = {
+      id: 2,
+      url: 'http://example.com/cds-services/id-1',
+      timestamp: '2020-01-01T00:00:00.000Z',
+      request: { hookInstance: 'hook-2', hook: 'patient-view', context: {} },
+      requestHeaders: { Accept: 'application/json', Authorization: 'Bearer signed-jwt' },
+      response: { cards: [] },
+      responseStatus: 200,
+    };
+    entries = [{ ...exchange, id: 1, requestHeaders: undefined }, exchange];
+    downloads = [];
+    window.URL.createObjectURL = jest.fn(() => 'blob:export');
+    window.URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+      downloads.push(this.download);
+    });
+    wrapper = shallow(<ExportPanel panelHeader=" Export" exchange={exchange} entries={entries} isExpanded={true} />);
+  });
+
+  afterEach(() => {
+    HTMLAnchorElement.prototype.click.mockRestore();
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+  });
+
+  it('should display the cURL command of the exchange displayed, and count the exchanges sent in the session', () => {
+    expect(wrapper.find('.curl').text()).toContain('-H \'Authorization: Bearer signed-jwt\'');
+    expect(wrapper.find('h2').last().text()).toEqual('Session (1 exchanges)');
+  });
+
+  it('should download the exchange displayed, and the session, in each format', () => {
+    wrapper.find('Button').forEach((button) => button.simulate('click'));
+    expect(downloads).toEqual([
+      'cds-hooks-exchange-2.sh',
+      'cds-hooks-exchange-2.har',
+      'cds-hooks-exchange-2.postman_collection.json',
+      'cds-hooks-session.sh',
+      'cds-hooks-session.har',
+      'cds-hooks-session.postman_collection.json',
+    ]);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+  });
+
+  it('should download a file generated in the browser', () => {
+    downloadFile('exchange.sh', 'curl', 'text/x-sh');
+    expect(window.URL.createObjectURL.mock.calls[0][0].type).toEqual('text/x-sh');
+    expect(downloads).toEqual(['exchange.sh']);
+  });
+
+  it('should display messages if there is nothing to export', () => {
+    wrapper = shallow(<ExportPanel panelHeader=" Export" isExpanded={true} />);
+    expect(wrapper.find('p').map((message) => message.text())).toEqual([
+      'No request sent to export: select a service that was called, or an exchange of the history',
+      'No exchanges recorded',
+    ]);
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
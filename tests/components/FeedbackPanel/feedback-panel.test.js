@@ -0,0 +1,93 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import FeedbackPanel from '../../../src/components/FeedbackPanel/feedback-panel';
+
+describe('FeedbackPanel component', () => {
+  let wrapper;
+  let entries;
+  let onToggleBatching;
+  let onSendPending;
+
+  beforeEach(() => {
+    entries = [
+      {
+        id: 1,
+        url: 'http://example.com/cds-services/id-1',
+        historyEntry: 2,
+        timestamp: '2020-01-01T00:00:00.000Z',
+        feedback: [{
+          card: 'card-1',
+          outcome: 'accepted',
+          acceptedSuggestions: [{ id: 'suggestion-1' }],
+          outcomeTimestamp: '2020-01-01T00:00:00.000Z',
+        }],
+        status: 200,
+        response: null,
+        error: null,
+      },
+      {
+        id: 2,
+        url: 'http://example.com/cds-services/id-1',
+        historyEntry: 2,
+        timestamp: '2020-01-01T00:01:00.000Z',
+        feedback: [{
+          card: 'card-2',
+          outcome: 'overridden',
+          overrideReason: { reason: { code: 'not-relevant' }, userComment: 'Seen by cardiology' },
+          outcomeTimestamp: '2020-01-01T00:01:00.000Z',
+        }],
+        status: 404,
+        response: null,
+        error: 'Request failed with status code 404',
+      },
+    ];
+    onToggleBatching = jest.fn();
+    onSendPending = jest.fn();
+    wrapper = shallow(<FeedbackPanel
+      panelHeader=" Feedback"
+      entries={entries}
+      pendingFeedback={[]}
+      onToggleBatching={onToggleBatching}
+      onSendPending={onSendPending}
+      isExpanded={true}
+    />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('Heading').children().last().text()).toEqual(' Feedback (2)');
+  });
+
+  it('should list the feedback requests, latest first, with their status and card outcomes', () => {
+    expect(wrapper.find('.entry').first().find('.summary').text())
+      .toEqual('#2 2020-01-01T00:01:00.000Z - HTTP 404 - Exchange #2');
+    expect(wrapper.find('.failed').find('.error').text()).toEqual('Request failed with status code 404');
+    expect(wrapper.find('.failed').find('li').text()).toEqual('card-2: overridden (reason not-relevant, comment "Seen by cardiology")');
+    expect(wrapper.find('.ok').find('li').text()).toEqual('card-1: accepted (suggestion suggestion-1)');
+    expect(JSON.parse(wrapper.find('.ok').find('pre').text())).toEqual({ feedback: entries[0].feedback });
+  });
+
+  it('should display a message if no feedback was sent', () => {
+    wrapper = shallow(<FeedbackPanel panelHeader=" Feedback" isExpanded={true} />);
+    expect(wrapper.find('p').text()).toEqual('No feedback sent to this CDS service');
+  });
+
+  it('should batch card outcomes and send the pending ones', () => {
+    wrapper.find('input').simulate('change', { target: { checked: true } });
+    expect(onToggleBatching).toHaveBeenCalledWith(true);
+    expect(wrapper.find('Button')).toHaveLength(0);
+
+    wrapper.setProps({ isBatched: true, pendingFeedback: [{ card: 'card-3', outcome: 'overridden' }] });
+    expect(wrapper.find('.batching').last().find('span').first().text()).toEqual('1 card outcome(s) pending');
+    wrapper.find('Button').simulate('click');
+    expect(onSendPending).toHaveBeenCalled();
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
@@ -43,6 +43,7 @@ describe('Header component', () => {
     mockMedService = 'http://example-med.com/cds-services/id-1';
     storeState = { 
       hookState: { currentHook: 'patient-view', currentScreen: 'patient-view' },
+      customHookState: { hookName: 'my-draft-hook' },
       patientState: { currentPatient: { id: 'patient-123' } },
       cardDemoState: {
         isCardDemoView: false,
@@ -118,6 +119,30 @@ describe('Header component', () => {
       shallowedComponent.childAt(0).dive().find('.active-link').simulate('click');
       expect(mockExchange).toHaveBeenCalledWith(expect.anything(), expect.anything(), mockMedService);
     });
+
+    it('does not call services directly on screens that invoke them through their trigger handlers', () => {
+      storeState.hookState.currentHook = 'encounter-start';
+      storeState.hookState.currentScreen = 'encounter-start';
+      storeState.cdsServicesState.configuredServices['http://example.com/cds-services/id-3'] = {
+        hook: 'encounter-start',
+        enabled: true,
+      };
+      setup(storeState);
+      shallowedComponent.childAt(0).dive().find('.active-link').simulate('click');
+      expect(mockExchange).not.toHaveBeenCalled();
+    });
+
+    it('switches to the custom hook view with the hook typed in on that view', () => {
+      setup(storeState);
+      shallowedComponent.childAt(0).dive().find('.nav-links').filterWhere((link) => link.text() === 'Custom Hook').simulate('click');
+      expect(mockStore.getActions()).toEqual([{ type: types.SET_HOOK, hook: 'my-draft-hook', screen: 'custom-hook' }]);
+    });
+
+    it('switches to the order dispatch view', () => {
+      setup(storeState);
+      shallowedComponent.childAt(0).dive().find('.nav-links').filterWhere((link) => link.text() === 'Order Dispatch').simulate('click');
+      expect(mockStore.getActions()).toEqual([{ type: types.SET_HOOK, hook: 'order-dispatch', screen: 'order-dispatch' }]);
+    });
   });
 
   it('should set open status for settings menu accordingly', async () => {
@@ -209,6 +234,29 @@ describe('Header component', () => {
     });
   });
 
+  describe('Configure JWT Signing', () => {
+    it('should open the modal to configure JWT signing if the Configure JWT Signing option is clicked', () => {
+      setup(storeState);
+      shallowedComponent.childAt(0).dive().find('.icon').first().simulate('click');
+      shallowedComponent.find('Menu').find('.configure-jwt').simulate('click');
+      expect(shallowedComponent.state('isJwtSettingsOpen')).toBeTruthy();
+      expect(shallowedComponent.state('settingsOpen')).toBeFalsy();
+      expect(shallowedComponent.find('Connect(JwtSettings)').length).toEqual(1);
+    });
+  });
+
+  describe('Embed SMART Apps', () => {
+    it('switches between launching SMART apps in a new tab and in the embedded app panel', () => {
+      storeState.hookState.appLaunchMode = 'new-tab';
+      setup(storeState);
+      shallowedComponent.childAt(0).dive().find('.icon').first().simulate('click');
+      expect(shallowedComponent.find('Menu').find('.embed-apps').prop('isToggled')).toBe(false);
+      shallowedComponent.find('Menu').find('.embed-apps').simulate('click');
+      expect(shallowedComponent.state('settingsOpen')).toBeFalsy();
+      expect(mockStore.getActions()).toEqual([{ type: types.SET_APP_LAUNCH_MODE, mode: 'embedded' }]);
+    });
+  });
+
   describe('Reset Configuration', () => {
     beforeEach(() => {
       setup(storeState);
@@ -9,6 +9,7 @@ import queryString from 'query-string';
 
 import { setLoadingStatus } from '../../../src/actions/ui-actions';
 import { setHook } from '../../../src/actions/hook-actions';
+import { setEncounter } from '../../../src/actions/encounter-actions';
 
 describe('MainView component', () => {
   let storeState;
@@ -22,6 +23,7 @@ describe('MainView component', () => {
   let mockPromiseFhirCall = jest.fn(() => 1);
   let mockPromisePatientCall = jest.fn(() => 1);
   let mockPromiseDiscoveryCall = jest.fn(() => 1);
+  let mockRegisterPublicKey = jest.fn(() => 1);
 
   function setup(state) {
     mockStore = mockStoreWrapper(state);
@@ -29,6 +31,7 @@ describe('MainView component', () => {
     jest.setMock('../../../src/retrieve-data-helpers/fhir-metadata-retrieval', mockPromiseFhirCall);
     jest.setMock('../../../src/retrieve-data-helpers/patient-retrieval', mockPromisePatientCall);
     jest.setMock('../../../src/retrieve-data-helpers/discovery-services-retrieval', mockPromiseDiscoveryCall);
+    jest.setMock('../../../src/retrieve-data-helpers/jwks-registration', mockRegisterPublicKey);
     ConnectedMainView = require('../../../src/components/MainView/main-view').default;
     wrapper = shallow(<ConnectedMainView store={mockStore} />);
     pureComponent = wrapper.find('MainView');
@@ -49,6 +52,7 @@ describe('MainView component', () => {
     mockPromiseFhirCall.mockReturnValue(Promise.resolve(1));
     mockPromisePatientCall.mockReturnValue(Promise.resolve(1));
     mockPromiseDiscoveryCall.mockReturnValue(Promise.resolve(1));
+    mockRegisterPublicKey.mockReturnValue(Promise.resolve(null));
   });
 
   afterEach(() => {
@@ -122,6 +126,16 @@ describe('MainView component', () => {
     expect(mockStore.getActions()[2]).toEqual(setLoadingStatus(false));
   });
 
+  it('registers the public key of the JWT signing settings before discovering services', async () => {
+    const jwtSettingsState = { kid: 'custom-kid', privateKey: 'private-key', publicJwk: { kty: 'EC' } };
+    mockRegisterPublicKey.mockReturnValue(Promise.reject(new Error('Network Error')));
+    console.error = jest.fn();
+    setup({ ...storeState, jwtSettingsState });
+    await pureComponent.shallow().instance().componentDidMount();
+    expect(mockRegisterPublicKey).toHaveBeenCalledWith(jwtSettingsState);
+    expect(mockPromiseDiscoveryCall).toHaveBeenCalled();
+  });
+
   describe('Persisted State Values', () => {
     it('calls a function to set the hook status on state on mount from a persisted value on localStorage', () => {
       localStorage.setItem('PERSISTED_hook', 'order-select');
@@ -170,6 +184,30 @@ describe('MainView component', () => {
       expect(mockStore.getActions()[1]).toEqual(setHook('order-select', 'rx-view'));
     });
 
+    it('opens the screen of an encounter hook in the URL param and sets the encounter in context', async () => {
+      jsdom.reconfigure({
+        url: 'http://example.com/?hook=encounter-discharge&encounterId=encounter-123',
+      });
+      setup(storeState);
+      const shallowedComponent = await pureComponent.shallow();
+      expect(mockStore.getActions()[1]).toEqual(setHook('encounter-discharge', 'encounter-discharge'));
+      expect(mockStore.getActions()[2]).toEqual(setEncounter('encounter-123'));
+    });
+
+    it('accepts any hook in the URL param for the custom hook screen', async () => {
+      jsdom.reconfigure({
+        url: 'http://example.com/?hook=my-draft-hook&screen=custom-hook',
+      });
+      setup(storeState);
+      const shallowedComponent = await pureComponent.shallow();
+      expect(mockStore.getActions()[1]).toEqual(setHook('my-draft-hook', 'custom-hook'));
+    });
+
+    it('renders the order dispatch view for the order-dispatch screen', () => {
+      setup(Object.assign({}, storeState, { hookState: { currentHook: 'order-dispatch', currentScreen: 'order-dispatch' } }));
+      expect(pureComponent.shallow().find('Connect(OrderDispatch)')).toHaveLength(1);
+    });
+
     it('calls the discovery endpoints of service discovery URLs in query parameters', async () => {
       jsdom.reconfigure({
         url: 'http://example.com/?serviceDiscoveryURL=https://service-1.com/cds-services,foo.com/cds-services',
@@ -54,7 +54,7 @@ describe('MessagePanel component', () => {
     expect(wrapper.find('.panel-text').find('pre')).toHaveLength(0);
   });
 
-  describe('when receiving and responding to messages,', () => {
+  describe('when receiving messages,', () => {
     let registeredEventListeners;
 
     beforeEach(() => {
@@ -99,52 +99,25 @@ describe('MessagePanel component', () => {
 
     it('should update state for each received message', () => {
       const messageData1 = { 'messageId': '123', 'messageType': 'scratchpad.update' };
-      const responseListener1 = jest.fn();
-
       const messageData2 = { 'messageId': '456', 'messageType': 'scratchpad.create' };
-      const responseListener2 = jest.fn();
-
-      sendMessage(messageData1, responseListener1);
-      sendMessage(messageData2, responseListener2);
+      const messageData3 = { 'messageId': '789', 'messageType': 'status.handshake' };
 
-      expect(wrapper.state('messages')).toEqual([JSON.stringify(messageData1, null, 2), JSON.stringify(messageData2, null, 2)]);
+      sendMessage(messageData1, jest.fn());
+      sendMessage(messageData2, jest.fn());
+      sendMessage(messageData3, jest.fn());
 
-      expect(responseListener1).toHaveBeenCalled();
-      expect(responseListener2).toHaveBeenCalled();
+      expect(wrapper.state('messages')).toEqual([
+        JSON.stringify(messageData1, null, 2),
+        JSON.stringify(messageData2, null, 2),
+        JSON.stringify(messageData3, null, 2),
+      ]);
     });
 
-    describe('when responding to specific message types,', () => {
-
-      let responseListener;
-      let responseMessage;
-
-      beforeEach(() => {
-        responseListener = jest.fn((message) => {
-          responseMessage = message;
-        });
-      });
-
-      it('should respond to scratchpad messages', () => {
-        const messageData = { 'messageId': '123', 'messageType': 'scratchpad.update' };
-
-        sendMessage(messageData, responseListener);
-
-        expect(responseListener).toHaveBeenCalled();
-        expect(responseMessage.messageId).toBeDefined();
-        expect(responseMessage.responseToMessageId).toEqual('123');
-        expect(responseMessage.payload).toEqual({ "status": 200, "location": "https://resource-location/", "outcome": "Success" });
-      });
-
-      it('should respond to ui messages', () => {
-        const messageData = { 'messageId': '456', 'messageType': 'ui.done' };
-
-        sendMessage(messageData, responseListener);
-
-        expect(responseListener).toHaveBeenCalled();
-        expect(responseMessage.messageId).toBeDefined();
-        expect(responseMessage.responseToMessageId).toEqual('456');
-        expect(responseMessage.payload).toEqual({ "success": true, "details": "Success" });
-      });
+    it('should leave replies to the SMART Web Messaging host', () => {
+      const responseListener = jest.fn();
+      sendMessage({ 'messageId': '123', 'messageType': 'scratchpad.update' }, responseListener);
+      sendMessage({ 'messageId': '456', 'messageType': 'ui.done' }, responseListener);
+      expect(responseListener).not.toHaveBeenCalled();
     });
 
     function sendMessage(data, responseListener) {
@@ -0,0 +1,78 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+import configureStore from 'redux-mock-store';
+
+import * as types from '../../../src/actions/action-types';
+
+describe('OrderDispatch component', () => {
+  let storeState;
+  let wrapper;
+  let pureComponent;
+  let mockStore;
+  let mockStoreWrapper = configureStore([]);
+
+  let ConnectedView;
+  let OrderDispatch;
+  let mockSpy;
+
+  function setup(state) {
+    mockStore = mockStoreWrapper(state);
+    jest.setMock('../../../src/retrieve-data-helpers/service-exchange', mockSpy);
+    ConnectedView = require('../../../src/components/OrderDispatch/order-dispatch').default;
+    OrderDispatch = require('../../../src/components/OrderDispatch/order-dispatch')['OrderDispatch'];
+    wrapper = shallow(<ConnectedView store={mockStore} />);
+    pureComponent = wrapper.find(OrderDispatch);
+  }
+
+  beforeEach(() => {
+    storeState = {
+      hookState: { currentHook: 'order-dispatch', isContextVisible: true },
+      patientState: { currentPatient: { id: 'test-patient' } },
+      orderDispatchState: {
+        dispatchedOrders: ['ServiceRequest/order-1'],
+        performer: 'Organization/example-lab',
+        isDispatched: false,
+      },
+    };
+    mockSpy = jest.fn();
+    setup(storeState);
+  });
+
+  afterEach(() => {
+    jest.resetModules();
+  });
+
+  it('matches props passed down from Redux decorator', () => {
+    expect(pureComponent.prop('dispatchedOrders')).toEqual(['ServiceRequest/order-1']);
+    expect(pureComponent.prop('performer')).toEqual('Organization/example-lab');
+    expect(pureComponent.prop('isDispatched')).toBe(false);
+  });
+
+  it('creates the hook context with the dispatched orders, the performer and their fulfillment tasks', () => {
+    const { orderDispatchTriggerHandler } = require('../../../src/components/OrderDispatch/order-dispatch');
+    expect(orderDispatchTriggerHandler.needExplicitTrigger).toEqual(types.TRIGGER_ORDER_DISPATCH);
+    expect(orderDispatchTriggerHandler.generateContext(storeState)).toEqual({
+      dispatchedOrders: ['ServiceRequest/order-1'],
+      performer: 'Organization/example-lab',
+      fulfillmentTasks: [{
+        resourceType: 'Task',
+        id: 'example-task-1',
+        status: 'requested',
+        intent: 'order',
+        focus: { reference: 'ServiceRequest/order-1' },
+        for: { reference: 'Patient/test-patient' },
+        owner: { reference: 'Organization/example-lab' },
+      }],
+    });
+  });
+
+  it('selects a performer and dispatches the orders', () => {
+    const shallowedComponent = pureComponent.shallow();
+    shallowedComponent.find('select').simulate('change', { target: { value: 'Organization/example-imaging' } });
+    shallowedComponent.find('Button').simulate('click');
+    expect(mockStore.getActions()).toEqual([
+      { type: types.SELECT_DISPATCH_PERFORMER, performer: 'Organization/example-imaging' },
+      { type: types.TRIGGER_ORDER_DISPATCH },
+    ]);
+  });
+});
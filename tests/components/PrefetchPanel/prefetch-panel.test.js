@@ -0,0 +1,88 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import PrefetchPanel from '../../../src/components/PrefetchPanel/prefetch-panel';
+
+describe('PrefetchPanel component', () => {
+  let wrapper;
+  let prefetchLog;
+
+  beforeEach(() => {
+    prefetchLog = [
+      {
+        key: 'patient',
+        template: 'Patient/{{context.patientId}}',
+        url: 'http://fhir.example.com/Patient/_search',
+        method: 'POST',
+        status: 200,
+        duration: 12,
+        resultCount: 1,
+        error: null,
+        attempts: [{ method: 'POST', url: 'http://fhir.example.com/Patient/_search', status: 200, duration: 12, error: null }],
+      },
+      {
+        key: 'conditions',
+        template: 'Condition?patient={{context.patientId}}',
+        url: 'http://fhir.example.com/Condition?patient=1',
+        method: 'GET',
+        status: 200,
+        duration: 30,
+        resultCount: 0,
+        error: null,
+        attempts: [
+          { method: 'POST', url: 'http://fhir.example.com/Condition/_search', status: 405, duration: 10, error: 'Request failed with status code 405' },
+          { method: 'GET', url: 'http://fhir.example.com/Condition?patient=1', status: 200, duration: 20, error: null },
+        ],
+      },
+      {
+        key: 'encounter',
+        template: 'Encounter/{{context.encounterId}}',
+        url: null,
+        method: null,
+        status: null,
+        duration: null,
+        resultCount: null,
+        error: 'Could not resolve "{{context.encounterId}}"',
+        attempts: [],
+      },
+    ];
+    wrapper = shallow(<PrefetchPanel panelHeader=" Prefetch" prefetchLog={prefetchLog} isExpanded={true} />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('Heading').children().last().text()).toEqual(' Prefetch (3)');
+  });
+
+  it('should list each prefetch query with its outcome', () => {
+    expect(wrapper.find('.query')).toHaveLength(3);
+    expect(wrapper.find('.ok').find('.key').text()).toEqual('patient');
+    expect(wrapper.find('.empty').find('.key').text()).toEqual('conditions');
+    expect(wrapper.find('.skipped').find('.url').text()).toEqual('Encounter/{{context.encounterId}}');
+  });
+
+  it('should describe fallbacks and errors below their query', () => {
+    const notes = wrapper.find('.notes');
+    expect(notes).toHaveLength(2);
+    expect(notes.at(0).text()).toEqual('POST http://fhir.example.com/Condition/_search failed (405): Request failed with status code 405');
+    expect(notes.at(1).find('.error').text()).toEqual('Could not resolve "{{context.encounterId}}"');
+  });
+
+  it('should display a message if no prefetch queries were made', () => {
+    wrapper = shallow(<PrefetchPanel panelHeader=" Prefetch" isExpanded={true} />);
+    expect(wrapper.find('p').text()).toEqual('No prefetch queries made');
+  });
+
+  it('should display the prefetch mode the exchange was made with', () => {
+    expect(wrapper.find('.mode')).toHaveLength(0);
+    wrapper = shallow(<PrefetchPanel panelHeader=" Prefetch" prefetchMode="null" isExpanded={true} />);
+    expect(wrapper.find('.mode').text()).toEqual('Prefetch mode: Send null prefetch values');
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
@@ -0,0 +1,87 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import RequestComposer from '../../../src/components/RequestComposer/request-composer';
+
+describe('RequestComposer component', () => {
+  let wrapper;
+  let request;
+  let onResend;
+  const serviceUrl = 'http://example.com/cds-services/id-1';
+
+  beforeEach(() => {
+    request = { hookInstance: 'hook-1', hook: 'patient-view', context: { patientId: 'patient-1' } };
+    onResend = jest.fn(() => Promise.resolve());
+    wrapper = shallow(<RequestComposer
+      panelHeader=" Edit and Resend Request"
+      request={request}
+      serviceUrl={serviceUrl}
+      serviceUrls={[serviceUrl, 'http://example.com/cds-services/id-2']}
+      onResend={onResend}
+      isExpanded={true}
+    />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('option')).toHaveLength(2);
+  });
+
+  it('should load the request and service URL of the exchange displayed', () => {
+    expect(JSON.parse(wrapper.find('textarea').prop('value'))).toEqual(request);
+    expect(wrapper.find('input').prop('value')).toEqual(serviceUrl);
+  });
+
+  it('should resend the edited request to the URL entered', () => {
+    const edited = { ...request, hook: 'order-select' };
+    wrapper.find('textarea').simulate('change', { target: { name: 'text', value: JSON.stringify(edited) } });
+    wrapper.find('input').simulate('change', { target: { name: 'url', value: 'http://example.com/cds-services/id-2' } });
+    return wrapper.find('Button[text="Resend"]').prop('onClick')().then(() => {
+      expect(onResend).toHaveBeenCalledWith('http://example.com/cds-services/id-2', edited);
+      expect(wrapper.state('isSending')).toEqual(false);
+    });
+  });
+
+  it('should report a resend that fails, and allow resending again', () => {
+    onResend.mockImplementation(() => Promise.reject(new Error('Invalid private key')));
+    return wrapper.find('Button[text="Resend"]').prop('onClick')().then(() => {
+      expect(wrapper.state('isSending')).toEqual(false);
+      expect(wrapper.find('.error').text()).toEqual('The request could not be resent: Invalid private key');
+      expect(wrapper.find('Button[text="Resend"]').prop('isDisabled')).toEqual(false);
+    });
+  });
+
+  it('should not resend a request that is not a valid JSON object', () => {
+    wrapper.find('textarea').simulate('change', { target: { name: 'text', value: '{ "hook": ' } });
+    wrapper.find('Button[text="Resend"]').simulate('click');
+    expect(wrapper.find('.error').text()).toMatch(/^The request is not valid JSON/);
+
+    wrapper.find('textarea').simulate('change', { target: { name: 'text', value: '[]' } });
+    wrapper.find('Button[text="Resend"]').simulate('click');
+    expect(wrapper.find('.error').text()).toEqual('The request must be a JSON object');
+    expect(onResend).not.toHaveBeenCalled();
+  });
+
+  it('should discard the edits on reset, and reload the editor when another exchange is displayed', () => {
+    wrapper.find('textarea').simulate('change', { target: { name: 'text', value: '{}' } });
+    wrapper.find('Button[text="Reset"]').simulate('click');
+    expect(JSON.parse(wrapper.find('textarea').prop('value'))).toEqual(request);
+
+    const otherRequest = { hookInstance: 'hook-2', hook: 'order-sign', context: {} };
+    wrapper.setProps({ request: otherRequest, serviceUrl: 'http://example.com/cds-services/id-2' });
+    expect(JSON.parse(wrapper.find('textarea').prop('value'))).toEqual(otherRequest);
+    expect(wrapper.find('input').prop('value')).toEqual('http://example.com/cds-services/id-2');
+  });
+
+  it('should display a message if there is no request to edit', () => {
+    wrapper = shallow(<RequestComposer panelHeader=" Edit and Resend Request" isExpanded={true} />);
+    expect(wrapper.find('p').text()).toEqual('No request to edit: select a service that was called, or an exchange of the history');
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
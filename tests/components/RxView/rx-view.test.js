@@ -26,6 +26,7 @@ describe('RxView component', () => {
 
   let chooseCondition, onMedicationChangeInput, chooseMedication,
   updateDosageInstructions, updateDate, toggleEnabledDate, updateFhirResource, medicationOrder;
+  let basket, addMedicationToBasket, addServiceToBasket, removeFromBasket, toggleBasketSelection;
 
   function setup(patient, medListPhase, prescription) {
     jest.setMock('../../../src/retrieve-data-helpers/service-exchange', mockSpy);
@@ -54,7 +55,9 @@ describe('RxView component', () => {
         chooseMedication={chooseMedication} chooseCondition={chooseCondition} updateDosageInstructions={updateDosageInstructions} 
         updateDate={updateDate} toggleEnabledDate={toggleEnabledDate} updateFhirResource={updateFhirResource}
         medicationOrder={medicationOrder} medicationInstructions={medicationInstructions} prescriptionDates={prescriptionDates}
-        selectedConditionCode={selectedConditionCode}  />;
+        selectedConditionCode={selectedConditionCode} basket={basket} addMedicationToBasket={addMedicationToBasket}
+        addServiceToBasket={addServiceToBasket} removeFromBasket={removeFromBasket}
+        toggleBasketSelection={toggleBasketSelection} />;
     renderedComponent = shallow(component, intlContexts.shallowContext);
   }
 
@@ -114,6 +117,11 @@ describe('RxView component', () => {
     updateDate = jest.fn();
     toggleEnabledDate = jest.fn();
     updateFhirResource = jest.fn(() => 1);
+    basket = [];
+    addMedicationToBasket = jest.fn();
+    addServiceToBasket = jest.fn();
+    removeFromBasket = jest.fn();
+    toggleBasketSelection = jest.fn();
   });
 
   afterEach(() => {
@@ -196,4 +204,74 @@ describe('RxView component', () => {
       value: '2018-06-01',
     });
   });
+
+  it('adds the prescription and lab orders to the order basket', () => {
+    setup(patient, medListPhase, prescription);
+    renderedComponent.find('[text="Add to Basket"]').simulate('click');
+    expect(addMedicationToBasket).toHaveBeenCalledWith({
+      decisions: { prescribable: prescription },
+      medListPhase: 'done',
+      medicationInstructions,
+      prescriptionDates,
+      selectedConditionCode,
+    });
+    renderedComponent.find('[name="service-order"]').simulate('change', { target: { value: '58410-2' } });
+    expect(addServiceToBasket).toHaveBeenCalledWith({
+      system: 'http://loinc.org',
+      code: '58410-2',
+      display: 'CBC panel - Blood by Automated count',
+    });
+  });
+
+  it('selects and removes orders of the order basket', () => {
+    basket = [{ id: 'basket-service-1', kind: 'service', label: 'CBC', isSelected: true }];
+    setup(patient, medListPhase, prescription);
+    const order = renderedComponent.find('.basket-orders').find('li');
+    expect(order.find('input').prop('checked')).toBe(true);
+    order.find('input').simulate('change');
+    expect(toggleBasketSelection).toHaveBeenCalledWith('basket-service-1');
+    order.find('[text="Remove"]').simulate('click');
+    expect(removeFromBasket).toHaveBeenCalledWith('basket-service-1');
+  });
+
+  it('applies system actions to the scratchpad automatically', () => {
+    const { rxViewTriggerHandler } = require('../../../src/components/RxView/rx-view');
+    const dispatch = jest.fn();
+    const systemActions = [{ type: 'delete', description: 'Delete', resourceId: 'MedicationRequest/request-123' }];
+    rxViewTriggerHandler.onSystemActions(systemActions, {}, dispatch, 'http://example.com/cds-services/id-1');
+    expect(dispatch).toHaveBeenCalledWith({
+      type: 'APPLY_SCRATCHPAD_ACTIONS',
+      actions: systemActions,
+      origin: 'system-action',
+      sourceUrl: 'http://example.com/cds-services/id-1',
+    });
+  });
+
+  it('puts the basket orders in the draft orders and the selected ones in the selections', () => {
+    const { rxViewTriggerHandler } = require('../../../src/components/RxView/rx-view');
+    const storeState = {
+      fhirServerState: { fhirVersion: '4.0.1' },
+      patientState: { currentPatient: patient },
+      medicationState: {
+        decisions: {},
+        medListPhase: 'begin',
+        prescriptionDates: { start: {}, end: {} },
+      },
+      communicationState: { message: '' },
+      orderBasketState: {
+        orders: [
+          { id: 'basket-service-1', kind: 'service', isSelected: true, coding: { code: '58410-2', display: 'CBC' } },
+          { id: 'basket-service-2', kind: 'service', isSelected: false, coding: { code: '51990-0', display: 'BMP' } },
+        ],
+      },
+    };
+    const context = rxViewTriggerHandler.generateContext(storeState);
+    expect(context.selections).toEqual(['MedicationRequest/request-123', 'ServiceRequest/basket-service-1']);
+    expect(context.draftOrders.entry.map(({ resource }) => `${resource.resourceType}/${resource.id}`)).toEqual([
+      'MedicationRequest/request-123',
+      `CommunicationRequest/${context.draftOrders.entry[1].resource.id}`,
+      'ServiceRequest/basket-service-1',
+      'ServiceRequest/basket-service-2',
+    ]);
+  });
 });
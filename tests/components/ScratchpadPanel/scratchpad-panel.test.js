@@ -0,0 +1,67 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ScratchpadPanel from '../../../src/components/ScratchpadPanel/scratchpad-panel';
+
+describe('ScratchpadPanel component', () => {
+  let wrapper;
+  let entries;
+  let onClear;
+
+  beforeEach(() => {
+    entries = {
+      'MedicationRequest/request-123': {
+        change: 'delete',
+        resource: null,
+        origin: 'system-action',
+        sourceUrl: 'http://example.com/cds-services/1',
+      },
+      'MedicationRequest/new-request': {
+        change: 'create',
+        resource: { resourceType: 'MedicationRequest', id: 'new-request' },
+        origin: 'suggestion',
+        sourceUrl: 'http://example.com/cds-services/1',
+      },
+    };
+    onClear = jest.fn();
+    wrapper = shallow(<ScratchpadPanel panelHeader="Scratchpad" entries={entries} onClear={onClear} isExpanded />);
+  });
+
+  it('displays the number of draft resources changed in the header', () => {
+    expect(wrapper.find('Heading').children().last().text()).toEqual('Scratchpad (2)');
+  });
+
+  it('lists each change with the resulting resource', () => {
+    expect(wrapper.find('.entry')).toHaveLength(2);
+    expect(wrapper.find('.reference').map((reference) => reference.text())).toEqual([
+      'delete: MedicationRequest/request-123',
+      'create: MedicationRequest/new-request',
+    ]);
+    expect(wrapper.find('.delete').find('.resource')).toHaveLength(0);
+    expect(JSON.parse(wrapper.find('.create').find('.resource').text())).toEqual(entries['MedicationRequest/new-request'].resource);
+  });
+
+  it('tells system actions applied automatically apart from suggestions taken', () => {
+    expect(wrapper.find('.origin').map((origin) => origin.text())).toEqual([
+      'Automatically applied (system action) from http://example.com/cds-services/1',
+      'Suggestion taken from http://example.com/cds-services/1',
+    ]);
+    expect(wrapper.find('.automatic')).toHaveLength(1);
+  });
+
+  it('clears the scratchpad', () => {
+    wrapper.find('Button').simulate('click');
+    expect(onClear).toHaveBeenCalled();
+  });
+
+  it('displays a message without changes', () => {
+    wrapper = shallow(<ScratchpadPanel panelHeader="Scratchpad" entries={{}} onClear={onClear} isExpanded />);
+    expect(wrapper.find('p').text()).toEqual('No change made to the draft resources');
+    expect(wrapper.find('Button')).toHaveLength(0);
+  });
+
+  it('toggles the panel', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ServiceErrorPanel from '../../../src/components/ServiceErrorPanel/service-error-panel';
+
+describe('ServiceErrorPanel component', () => {
+  let wrapper;
+  let error;
+
+  beforeEach(() => {
+    error = {
+      type: 'invalid-json',
+      title: 'Invalid JSON',
+      message: 'The CDS Service responded with a body that is not valid JSON',
+      status: 200,
+      bodyExcerpt: '<html>Service Unavailable</html>',
+    };
+    wrapper = shallow(<ServiceErrorPanel panelHeader=" Service Error" error={error} isExpanded={true} />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+    expect(wrapper.find('Heading').children().last().text()).toEqual(' Service Error: Invalid JSON');
+  });
+
+  it('should detail the error, with an excerpt of the response body', () => {
+    expect(wrapper.find('td').map((cell) => cell.text())).toEqual([
+      'invalid-json',
+      '200',
+      'The CDS Service responded with a body that is not valid JSON',
+      '<html>Service Unavailable</html>',
+    ]);
+  });
+
+  it('should display placeholders for errors without a status or body', () => {
+    wrapper.setProps({ error: { ...error, type: 'network', status: null, bodyExcerpt: null } });
+    expect(wrapper.find('td').at(1).text()).toEqual('No status');
+    expect(wrapper.find('td').last().text()).toEqual('No response body');
+  });
+
+  it('should render nothing for an exchange that did not fail', () => {
+    wrapper = shallow(<ServiceErrorPanel panelHeader=" Service Error" isExpanded={true} />);
+    expect(wrapper.type()).toBeNull();
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
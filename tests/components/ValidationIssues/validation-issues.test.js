@@ -0,0 +1,45 @@
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ValidationIssues from '../../../src/components/ValidationIssues/validation-issues';
+
+describe('ValidationIssues component', () => {
+  let wrapper;
+  let issues;
+
+  beforeEach(() => {
+    issues = [
+      { severity: 'error', path: 'cards[0].indicator', message: 'Missing required "indicator" field' },
+      { severity: 'warning', path: 'cards[1].summary', message: '"summary" should be shorter than 140 characters' },
+    ];
+    wrapper = shallow(<ValidationIssues panelHeader=" Response Validation" issues={issues} isExpanded={true} />);
+  });
+
+  it('should render relevant child components', () => {
+    expect(wrapper.find('Card')).toHaveLength(1);
+    expect(wrapper.find('Heading')).toHaveLength(1);
+    expect(wrapper.find('Toggle')).toHaveLength(1);
+  });
+
+  it('should list each issue with its severity, path and message', () => {
+    expect(wrapper.find('.issue')).toHaveLength(2);
+    expect(wrapper.find('.error').find('.path').text()).toEqual('cards[0].indicator');
+    expect(wrapper.find('.warning').find('.severity').text()).toEqual('warning');
+    expect(wrapper.find('Heading').children().last().text()).toEqual(' Response Validation (2)');
+  });
+
+  it('should display a message if no issues were found', () => {
+    wrapper = shallow(<ValidationIssues panelHeader=" Response Validation" issues={[]} isExpanded={true} />);
+    expect(wrapper.find('p').text()).toEqual('No issues found');
+  });
+
+  it('should display a message if the response was not validated', () => {
+    wrapper = shallow(<ValidationIssues panelHeader=" Response Validation" isExpanded={true} />);
+    expect(wrapper.find('p').text()).toEqual('No JSON response to validate');
+  });
+
+  it('should update state when the panel is expanded or collapsed', () => {
+    wrapper.find('Heading').simulate('click');
+    expect(wrapper.state('isExpanded')).toEqual(false);
+  });
+});
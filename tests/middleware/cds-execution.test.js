@@ -46,13 +46,17 @@ describe("CDS Execution Middleware", () => {
     } = cdsExecution.registerWindow(
       "example-trigger-point",
       "",  // jsdom makes the origin look empty
-      null // jsdom makes the source window look `null`
+      null, // jsdom makes the source window look `null`
+      "messaging-handle"
     );
 
     expect(cdsExecution.debug.windowsRegistered[windowId]).toBeTruthy();
 
-    iframe.contentWindow.parent.postMessage("sample-smart-message", "*");
-    await onMessagePromise;
+    // Messages without the messaging handle of the app are not passed on to the handler
+    const message = { messageId: "1", messageType: "status.handshake", messagingHandle: "messaging-handle" };
+    iframe.contentWindow.parent.postMessage({ ...message, messagingHandle: "other-handle" }, "*");
+    iframe.contentWindow.parent.postMessage(message, "*");
+    expect((await onMessagePromise).data).toEqual(message);
 
     const fakeServiceUrl = "http://example-service-url";
 
@@ -145,4 +149,141 @@ describe("CDS Execution Middleware", () => {
       "example-trigger-point"
     );
   });
+
+  it("Overlays the scratchpad onto the context of the trigger points", () => {
+    const fakeServiceUrl = "http://example-service-url";
+    const unregisterHandler = cdsExecution.registerTriggerHandler("scratchpad-trigger-point", {
+      generateContext: () => ({
+        selections: ["MedicationRequest/request-123"],
+        draftOrders: {
+          resourceType: "Bundle",
+          entry: [{ resource: { resourceType: "MedicationRequest", id: "request-123" } }]
+        }
+      })
+    });
+    const state = (entries) => ({
+      fhirServerState: {},
+      hookState: {
+        currentScreen: "example-screen",
+        screens: {
+          "example-screen": {
+            triggerPoints: {
+              "scratchpad-trigger-point": { hook: "order-select" }
+            }
+          }
+        }
+      },
+      cdsServicesState: {
+        configuredServices: {
+          [fakeServiceUrl]: { enabled: true, hook: "order-select" }
+        }
+      },
+      scratchpadState: { entries }
+    });
+    const created = { resourceType: "MedicationRequest", id: "new-request" };
+
+    callServices.mockClear();
+    cdsExecution.evaluateCdsTriggers(
+      { type: types.APPLY_SCRATCHPAD_ACTIONS },
+      jest.fn(),
+      state({}),
+      state({
+        "MedicationRequest/request-123": { change: "delete", resource: null },
+        "MedicationRequest/new-request": { change: "create", resource: created }
+      })
+    );
+
+    expect(callServices).toBeCalledWith(
+      expect.anything(),
+      expect.anything(),
+      fakeServiceUrl,
+      [
+        { key: "selections", value: ["MedicationRequest/new-request"] },
+        { key: "draftOrders", value: { resourceType: "Bundle", entry: [{ resource: created }] } }
+      ],
+      expect.anything()
+    );
+    unregisterHandler();
+  });
+
+  it("Forwards top-level system actions, or the ones of the extension, with the service URL", () => {
+    const fakeServiceUrl = "http://example-service-url";
+    const onSystemActions = jest.fn();
+    const unregisterHandler = cdsExecution.registerTriggerHandler("system-actions-trigger-point", {
+      onSystemActions,
+      generateContext: () => ({})
+    });
+    const state = (response) => ({
+      hookState: {
+        currentScreen: "example-screen",
+        screens: {
+          "example-screen": {
+            triggerPoints: {
+              "system-actions-trigger-point": { lastExchangeRound: 3 }
+            }
+          }
+        }
+      },
+      serviceExchangeState: {
+        exchanges: {
+          [fakeServiceUrl]: { responseStatus: 200, response }
+        }
+      }
+    });
+    const action = { type: types.STORE_SERVICE_EXCHANGE, url: fakeServiceUrl, exchangeRound: 3 };
+    const next = jest.fn();
+
+    const topLevelState = state({ cards: [], systemActions: ["top-level-action"], extension: { systemActions: ["old"] } });
+    cdsExecution.onSystemActions(action, next, {}, topLevelState);
+    expect(onSystemActions).toHaveBeenLastCalledWith(["top-level-action"], topLevelState, next, fakeServiceUrl);
+
+    const extensionState = state({ cards: [], extension: { systemActions: ["extension-action"] } });
+    cdsExecution.onSystemActions(action, next, {}, extensionState);
+    expect(onSystemActions).toHaveBeenLastCalledWith(["extension-action"], extensionState, next, fakeServiceUrl);
+
+    // The system actions of the exchange stored for the service are not applied again for a stale exchange
+    onSystemActions.mockClear();
+    cdsExecution.onSystemActions({ ...action, details: { stale: { supersededBy: 4 } } }, next, {}, topLevelState);
+    expect(onSystemActions).not.toHaveBeenCalled();
+
+    unregisterHandler();
+  });
+
+  it("Applies no system actions for a request resent to the same or to a new service URL", () => {
+    const fakeServiceUrl = "http://example-service-url";
+    const onSystemActions = jest.fn();
+    const unregisterHandler = cdsExecution.registerTriggerHandler("system-actions-trigger-point", {
+      onSystemActions,
+      generateContext: () => ({})
+    });
+    const state = {
+      hookState: {
+        currentScreen: "example-screen",
+        screens: {
+          "example-screen": {
+            triggerPoints: {
+              "system-actions-trigger-point": { lastExchangeRound: 3 }
+            }
+          }
+        }
+      },
+      serviceExchangeState: {
+        exchanges: {
+          [fakeServiceUrl]: { responseStatus: 200, response: { cards: [], systemActions: ["old-action"] } }
+        }
+      }
+    };
+    const action = { type: types.STORE_SERVICE_EXCHANGE, url: fakeServiceUrl, exchangeRound: 3, details: { resentFrom: 7 } };
+    const next = jest.fn();
+
+    cdsExecution.onSystemActions(action, next, {}, state);
+    cdsExecution.onSystemActions({ ...action, url: "http://new-service-url", details: { resentFrom: null } }, next, {}, state);
+    expect(onSystemActions).not.toHaveBeenCalled();
+
+    // A service with no exchange stored has no system actions to apply
+    expect(() => cdsExecution.onSystemActions({ ...action, url: "http://new-service-url", details: {} }, next, {}, state)).not.toThrow();
+    expect(onSystemActions).not.toHaveBeenCalled();
+
+    unregisterHandler();
+  });
 });
@@ -137,4 +137,31 @@ describe('Persist Data Middleware', () => {
       expect(next).toHaveBeenCalledWith(action);
     });
   });
+
+  describe('Persist JWT Settings', () => {
+    const jwtSettingsState = { issuer: 'https://ehr.example.com', kid: 'custom-kid' };
+    beforeEach(() => { setup(persist.persistJwtSettings, { jwtSettingsState }); });
+
+    it('persists the signing settings once they are updated', () => {
+      const { next, invoke } = createMock();
+      const action = {
+        type: 'UPDATE_JWT_SETTINGS',
+        settings: { kid: 'custom-kid' },
+      };
+
+      invoke(action);
+      expect(JSON.parse(localStorage.getItem('PERSISTED_jwtSettings'))).toEqual(jwtSettingsState);
+      expect(next).toHaveBeenCalledWith(action);
+    });
+
+    it('removes the persisted signing settings once they are reset', () => {
+      localStorage.setItem('PERSISTED_jwtSettings', JSON.stringify(jwtSettingsState));
+      const { next, invoke } = createMock();
+      const action = { type: 'RESET_JWT_SETTINGS' };
+
+      invoke(action);
+      expect(localStorage.getItem('PERSISTED_jwtSettings')).toEqual(null);
+      expect(next).toHaveBeenCalledWith(action);
+    });
+  });
 });
@@ -0,0 +1,114 @@
+import * as types from '../../src/actions/action-types';
+import { handleWebMessage, isReplyableMessage, hasValidHandle } from '../../src/middleware/smart-web-messaging';
+
+describe('SMART Web Messaging', () => {
+  let host;
+  let draft;
+
+  const message = (messageType, payload) => ({
+    messageId: 'message-1',
+    messagingHandle: 'handle-1',
+    messageType,
+    payload,
+  });
+
+  beforeEach(() => {
+    draft = { resourceType: 'MedicationRequest', id: 'request-123', status: 'draft' };
+    host = {
+      messagingHandle: 'handle-1',
+      appUrl: 'http://example.com/launch',
+      getDrafts: jest.fn(() => [draft]),
+      dispatch: jest.fn(),
+      closeApp: jest.fn(),
+    };
+  });
+
+  it('only replies to messages with an identifier and a type', () => {
+    expect(isReplyableMessage(message('status.handshake'))).toBe(true);
+    expect(isReplyableMessage('sample-smart-message')).toBe(false);
+    expect(isReplyableMessage({ messageType: 'status.handshake' })).toBe(false);
+    expect(handleWebMessage({ messageId: 'message-1' }, host)).toBeNull();
+  });
+
+  it('checks the messaging handle given to the app', () => {
+    expect(hasValidHandle(message('status.handshake'), 'handle-1')).toBe(true);
+    expect(hasValidHandle(message('status.handshake'), 'handle-2')).toBe(false);
+    expect(hasValidHandle({ messageId: 'message-1' }, undefined)).toBe(false);
+  });
+
+  it('correlates replies to the message with responseToMessageId', () => {
+    const reply = handleWebMessage(message('status.handshake'), host);
+    expect(reply.messageId).toEqual(expect.any(String));
+    expect(reply.messageId).not.toEqual('message-1');
+    expect(reply.responseToMessageId).toEqual('message-1');
+    expect(reply.payload).toEqual({});
+  });
+
+  it('replies with an error to messages with an invalid handle or an unsupported type', () => {
+    expect(handleWebMessage({ ...message('status.handshake'), messagingHandle: 'handle-2' }, host).payload).toEqual({
+      errorType: 'invalid-handle',
+      errorMessage: 'The messaging handle does not match the one given to the app',
+    });
+    expect(handleWebMessage(message('fhir.http'), host).payload).toEqual({
+      errorType: 'unsupported-message-type',
+      errorMessage: 'Message type "fhir.http" is not supported by the Sandbox',
+    });
+    expect(host.dispatch).not.toHaveBeenCalled();
+  });
+
+  it('creates draft resources on the scratchpad', () => {
+    const resource = { resourceType: 'ServiceRequest', id: 'service-1' };
+    expect(handleWebMessage(message('scratchpad.create', { resource }), host).payload).toEqual({
+      status: '201 Created',
+      location: 'ServiceRequest/service-1',
+    });
+    expect(host.dispatch).toHaveBeenCalledWith({
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: [{ type: 'create', resource }],
+      origin: 'smart-app',
+      sourceUrl: 'http://example.com/launch',
+    });
+    expect(handleWebMessage(message('scratchpad.create', {}), host).payload.errorType).toEqual('invalid-payload');
+  });
+
+  it('updates and deletes existing draft resources only', () => {
+    const updated = { ...draft, status: 'active' };
+    expect(handleWebMessage(message('scratchpad.update', { resource: updated }), host).payload).toEqual({
+      status: '200 OK',
+      location: 'MedicationRequest/request-123',
+    });
+    expect(handleWebMessage(message('scratchpad.delete', { location: 'MedicationRequest/request-123' }), host).payload)
+      .toEqual({ status: '200 OK' });
+    expect(host.dispatch).toHaveBeenCalledTimes(2);
+    expect(host.dispatch.mock.calls[1][0].actions).toEqual([{ type: 'delete', resourceId: 'MedicationRequest/request-123' }]);
+
+    const missing = { resourceType: 'MedicationRequest', id: 'request-456' };
+    expect(handleWebMessage(message('scratchpad.update', { resource: missing }), host).payload.errorType).toEqual('not-found');
+    expect(handleWebMessage(message('scratchpad.delete', { location: 'MedicationRequest/request-456' }), host).payload.errorType)
+      .toEqual('not-found');
+    expect(handleWebMessage(message('scratchpad.delete', {}), host).payload.errorType).toEqual('invalid-payload');
+    expect(host.dispatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('reads a single draft resource, or every draft resource', () => {
+    expect(handleWebMessage(message('scratchpad.read', { location: 'MedicationRequest/request-123' }), host).payload)
+      .toEqual({ resource: draft });
+    expect(handleWebMessage(message('scratchpad.read'), host).payload).toEqual({ scratchpad: [draft] });
+    expect(handleWebMessage(message('scratchpad.read', { location: 'Patient/1' }), host).payload.errorType).toEqual('not-found');
+  });
+
+  it('closes the app on ui.done', () => {
+    expect(handleWebMessage(message('ui.done'), host).payload).toEqual({ success: true, details: 'App closed' });
+    expect(host.closeApp).toHaveBeenCalled();
+  });
+
+  it('switches to the screen of the activity on ui.launchActivity', () => {
+    expect(handleWebMessage(message('ui.launchActivity', { activityType: 'order-review' }), host).payload)
+      .toEqual({ success: true, details: 'Switched to the rx-view screen' });
+    expect(host.dispatch).toHaveBeenCalledWith({ type: types.SET_HOOK, hook: 'order-select', screen: 'rx-view' });
+    expect(handleWebMessage(message('ui.launchActivity', { activityType: 'problem-review' }), host).payload).toEqual({
+      success: false,
+      details: 'Activity "problem-review" is not supported by the Sandbox',
+    });
+  });
+});
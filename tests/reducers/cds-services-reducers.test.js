@@ -26,6 +26,9 @@ describe('CDS Services Reducer', () => {
       configuredServiceUrls: [],
       defaultUrl: 'https://sandbox-services.cds-hooks.org/cds-services',
       testServicesUrl: null,
+      serviceLintFindings: {},
+      serviceSettings: {},
+      discoveryAuthFaults: {},
     };
   });
 
@@ -176,6 +179,43 @@ describe('CDS Services Reducer', () => {
     });
   });
 
+  describe('DISCOVER_CDS_SERVICES_SUCCESS lint findings', () => {
+    const exampleUrl = 'http://example.com/cds-services';
+    const service = {
+      enabled: true,
+      id: 'example-service',
+      url: `${exampleUrl}/example-service`
+    };
+    const findings = [{ severity: 'error', path: 'description', message: 'Missing required "description" field' }];
+
+    beforeEach(() => {
+      setup(storeState);
+    });
+
+    it('stores the lint findings of each service by its URL', () => {
+      const action = {
+        type: types.DISCOVER_CDS_SERVICES_SUCCESS,
+        services: [service],
+        discoveryUrl: exampleUrl,
+        lintFindings: [findings],
+      };
+      expect(reducer(state, action).serviceLintFindings).toEqual({ [service.url]: findings });
+    });
+
+    it('stores the lint findings of services that are already configured', () => {
+      state.configuredServices = { [service.url]: service };
+      const action = {
+        type: types.DISCOVER_CDS_SERVICES_SUCCESS,
+        services: [service],
+        discoveryUrl: exampleUrl,
+        lintFindings: [findings],
+      };
+      expect(reducer(state, action)).toEqual(Object.assign({}, state, {
+        serviceLintFindings: { [service.url]: findings },
+      }));
+    });
+  });
+
   describe('RESET_SERVICES', () => {
     beforeEach(() => {
       setup(storeState);
@@ -183,7 +223,11 @@ describe('CDS Services Reducer', () => {
 
     it('removes all configured services from the app', () => {
       state.configuredServices['http://example.com'] = { enabled: true };
+      state.serviceLintFindings['http://example.com'] = [];
+      state.discoveryAuthFaults['http://example.com'] = { authFault: 'expired-exp', status: 401 };
       const stateCopy = JSON.parse(JSON.stringify(state));
+      stateCopy.serviceLintFindings = {};
+      stateCopy.discoveryAuthFaults = {};
       stateCopy.configuredServices = {};
       stateCopy.configuredServiceUrls = [];
       stateCopy.testServicesUrl = '';
@@ -233,6 +277,8 @@ describe('CDS Services Reducer', () => {
     it('removes a CDS Service from app config if it exists', () => {
       const service = 'http://example.com';
       state.configuredServices[service] = { enabled: true };
+      state.serviceLintFindings[service] = [];
+      state.serviceSettings[service] = { prefetchMode: 'none' };
       const action = {
         type: types.DELETE_SERVICE,
         service,
@@ -240,6 +286,8 @@ describe('CDS Services Reducer', () => {
 
       const newState = Object.assign({}, state, {
         configuredServices: {},
+        serviceLintFindings: {},
+        serviceSettings: {},
       });
       expect(reducer(state, action)).toEqual(newState);
     });
@@ -254,6 +302,72 @@ describe('CDS Services Reducer', () => {
     });
   });
 
+  describe('UPDATE_SERVICE_SETTINGS', () => {
+    beforeEach(() => {
+      setup(storeState);
+    });
+
+    it('merges the settings into the current settings of a CDS Service', () => {
+      const service = 'http://example.com';
+      state.configuredServices[service] = { enabled: true };
+      state.serviceSettings[service] = { prefetchMode: 'partial', prefetchKeys: ['patient'] };
+      const action = {
+        type: types.UPDATE_SERVICE_SETTINGS,
+        service,
+        settings: { prefetchKeys: ['patient', 'conditions'] },
+      };
+
+      expect(reducer(state, action).serviceSettings).toEqual({
+        [service]: { prefetchMode: 'partial', prefetchKeys: ['patient', 'conditions'] },
+      });
+    });
+
+    it('does not change state if the CDS Service does not exist', () => {
+      const action = {
+        type: types.UPDATE_SERVICE_SETTINGS,
+        service: 'http://example.com',
+        settings: { prefetchMode: 'none' },
+      };
+      expect(reducer(state, action)).toEqual(state);
+    });
+  });
+
+  describe('STORE_DISCOVERY_AUTH_FAULT', () => {
+    beforeEach(() => {
+      setup(storeState);
+    });
+
+    it('stores the status a discovery endpoint responded with to a request with an auth fault', () => {
+      const discoveryUrl = 'http://example.com/cds-services';
+      state.discoveryAuthFaults[discoveryUrl] = { authFault: 'expired-exp', status: 401 };
+      const action = {
+        type: types.STORE_DISCOVERY_AUTH_FAULT,
+        discoveryUrl,
+        authFault: 'wrong-aud',
+        status: 200,
+      };
+
+      expect(reducer(state, action).discoveryAuthFaults).toEqual({
+        [discoveryUrl]: { authFault: 'wrong-aud', status: 200 },
+      });
+    });
+
+    it('stores whether the auth fault of the request to a discovery endpoint was not introduced', () => {
+      const discoveryUrl = 'http://example.com/cds-services';
+      const action = {
+        type: types.STORE_DISCOVERY_AUTH_FAULT,
+        discoveryUrl,
+        authFault: 'replayed-jti',
+        status: 200,
+        isNotIntroduced: true,
+      };
+
+      expect(reducer(state, action).discoveryAuthFaults[discoveryUrl]).toEqual({
+        authFault: 'replayed-jti', status: 200, isNotIntroduced: true,
+      });
+    });
+  });
+
   describe('Pass-through Actions', () => {
     beforeEach(() => {
       setup(storeState);
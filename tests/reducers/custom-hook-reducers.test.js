@@ -0,0 +1,38 @@
+import reducer from '../../src/reducers/custom-hook-reducers';
+import * as types from '../../src/actions/action-types';
+
+describe('Custom Hook Reducers', () => {
+  let state = {};
+
+  beforeEach(() => {
+    state = {
+      hookName: 'custom-hook',
+      contextJson: '{\n  "encounterId": "example-encounter-id"\n}',
+    };
+  });
+
+  it('returns the initial state without action', () => {
+    expect(reducer(undefined, {})).toEqual(state);
+  });
+
+  it('stores the hook name typed in', () => {
+    const action = { type: types.STORE_CUSTOM_HOOK_NAME, hookName: 'my-draft-hook' };
+    expect(reducer(state, action)).toEqual({ ...state, hookName: 'my-draft-hook' });
+  });
+
+  it('stores the authored context', () => {
+    const action = { type: types.STORE_CUSTOM_HOOK_CONTEXT, contextJson: '{}' };
+    expect(reducer(state, action)).toEqual({ ...state, contextJson: '{}' });
+  });
+
+  it('follows the hook set on the custom hook screen', () => {
+    expect(reducer(state, { type: types.SET_HOOK, hook: 'my-draft-hook', screen: 'custom-hook' }).hookName)
+      .toEqual('my-draft-hook');
+    expect(reducer(state, { type: types.SET_HOOK, hook: 'patient-view', screen: 'patient-view' })).toEqual(state);
+  });
+
+  it('should return state if an action should pass through this reducer without change to state', () => {
+    const action = { type: 'SOME_OTHER_ACTION' };
+    expect(reducer(state, action)).toEqual(state);
+  });
+});
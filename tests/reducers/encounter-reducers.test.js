@@ -0,0 +1,38 @@
+import reducer from '../../src/reducers/encounter-reducers';
+import * as types from '../../src/actions/action-types';
+
+describe('Encounter Reducers', () => {
+  let state = {};
+
+  beforeEach(() => {
+    state = {
+      encounterId: 'example-encounter-id',
+      status: 'in-progress',
+    };
+  });
+
+  it('returns the initial state without action', () => {
+    expect(reducer(undefined, {})).toEqual(state);
+  });
+
+  it('sets the encounter in context', () => {
+    state.status = 'finished';
+    const action = { type: types.SET_ENCOUNTER, encounterId: 'encounter-123' };
+    expect(reducer(state, action)).toEqual({ encounterId: 'encounter-123', status: 'in-progress' });
+  });
+
+  it('starts a new encounter', () => {
+    const action = { type: types.START_ENCOUNTER, encounterId: 'encounter-456' };
+    expect(reducer(state, action)).toEqual({ encounterId: 'encounter-456', status: 'in-progress' });
+  });
+
+  it('finishes the encounter when the patient is discharged', () => {
+    const action = { type: types.TRIGGER_ENCOUNTER_DISCHARGE };
+    expect(reducer(state, action)).toEqual({ ...state, status: 'finished' });
+  });
+
+  it('should return state if an action should pass through this reducer without change to state', () => {
+    const action = { type: 'SOME_OTHER_ACTION' };
+    expect(reducer(state, action)).toEqual(state);
+  });
+});
@@ -0,0 +1,77 @@
+import { diffExchanges } from '../../../src/reducers/helpers/exchange-diff';
+
+describe('Exchange Diff', () => {
+  let exchangeA;
+  let exchangeB;
+
+  beforeEach(() => {
+    exchangeA = {
+      request: {
+        hookInstance: 'instance-a',
+        hook: 'patient-view',
+        context: { patientId: 'patient-1', userId: 'Practitioner/1' },
+        prefetch: { patient: { resourceType: 'Patient', id: 'patient-1' } },
+      },
+      response: {
+        cards: [
+          {
+            uuid: 'card-a',
+            summary: 'Summary',
+            indicator: 'info',
+            suggestions: [{ uuid: 'suggestion-a', label: 'Label' }],
+          },
+        ],
+      },
+    };
+    exchangeB = JSON.parse(JSON.stringify(exchangeA));
+  });
+
+  it('returns no differences between identical exchanges', () => {
+    expect(diffExchanges(exchangeA, exchangeB, 'request')).toEqual([]);
+    expect(diffExchanges(exchangeA, exchangeB, 'response')).toEqual([]);
+  });
+
+  it('ignores volatile fields like hookInstance and card and suggestion uuids', () => {
+    exchangeB.request.hookInstance = 'instance-b';
+    exchangeB.response.cards[0].uuid = 'card-b';
+    exchangeB.response.cards[0].suggestions[0].uuid = 'suggestion-b';
+    expect(diffExchanges(exchangeA, exchangeB, 'request')).toEqual([]);
+    expect(diffExchanges(exchangeA, exchangeB, 'response')).toEqual([]);
+  });
+
+  it('reports changed, added and removed request paths', () => {
+    exchangeB.request.context.patientId = 'patient-2';
+    exchangeB.request.context.encounterId = 'encounter-1';
+    delete exchangeB.request.context.userId;
+    exchangeB.request.fhirAuthorization = { access_token: 'token' };
+    expect(diffExchanges(exchangeA, exchangeB, 'request')).toEqual([
+      { path: 'context.patientId', kind: 'changed', before: 'patient-1', after: 'patient-2' },
+      { path: 'context.userId', kind: 'removed', before: 'Practitioner/1' },
+      { path: 'context.encounterId', kind: 'added', after: 'encounter-1' },
+      { path: 'fhirAuthorization', kind: 'added', after: { access_token: 'token' } },
+    ]);
+  });
+
+  it('compares response cards and systemActions by index', () => {
+    exchangeB.response.cards[0].indicator = 'warning';
+    exchangeB.response.cards.push({ summary: 'Another' });
+    exchangeB.response.systemActions = [{ type: 'create' }];
+    expect(diffExchanges(exchangeA, exchangeB, 'response')).toEqual([
+      { path: 'cards[0].indicator', kind: 'changed', before: 'info', after: 'warning' },
+      { path: 'cards[1]', kind: 'added', after: { summary: 'Another' } },
+      { path: 'systemActions', kind: 'added', after: [{ type: 'create' }] },
+    ]);
+  });
+
+  it('only compares the properties relevant to the part compared', () => {
+    exchangeB.request.hook = 'order-select';
+    expect(diffExchanges(exchangeA, exchangeB, 'request')).toEqual([]);
+  });
+
+  it('handles exchanges missing a request or response', () => {
+    delete exchangeB.response;
+    expect(diffExchanges(exchangeA, exchangeB, 'response')).toEqual([
+      { path: 'cards', kind: 'removed', before: exchangeA.response.cards },
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+import {
+  isExchangeSent, getCurlCommand, getCurlScript, getHar, getPostmanCollection,
+} from '../../../src/reducers/helpers/exchange-export';
+
+describe('Exchange Export', () => {
+  const serviceUrl = 'http://example.com/cds-services/id-1';
+  const fhirServer = 'http://fhir.example.com';
+  let entry;
+
+  beforeEach(() => {
+    entry = {
+      id: 3,
+      url: serviceUrl,
+      timestamp: '2020-01-01T00:00:01.000Z',
+      request: {
+        hookInstance: 'hook-1',
+        hook: 'patient-view',
+        context: { patientId: 'patient-1', note: 'O\'Brien' },
+        prefetch: { patient: { resourceType: 'Patient', id: 'patient-1' } },
+      },
+      requestHeaders: { Accept: 'application/json', Authorization: 'Bearer signed-jwt' },
+      response: { cards: [] },
+      responseStatus: 200,
+      timings: {
+        prefetch: 300, request: 500, responseHandling: 10, total: 800,
+      },
+      prefetchLog: [{
+        key: 'patient',
+        attempts: [
+          {
+            method: 'POST', url: `${fhirServer}/Patient/_search`, body: '_id=patient-1', status: 405, duration: 100, error: 'Request failed with status code 405',
+          },
+          {
+            method: 'GET', url: `${fhirServer}/Patient?_id=patient-1`, status: 200, duration: 200, error: null,
+          },
+        ],
+      }],
+    };
+  });
+
+  it('only exports exchanges whose request was sent', () => {
+    expect(isExchangeSent(entry)).toBe(true);
+    expect(isExchangeSent({ ...entry, requestHeaders: undefined })).toBe(false);
+    expect(isExchangeSent(undefined)).toBe(false);
+  });
+
+  it('replays the request of an exchange with cURL, quoting it for the shell', () => {
+    expect(getCurlCommand(entry)).toEqual([
+      `curl -X POST '${serviceUrl}'`,
+      '  -H \'Accept: application/json\'',
+      '  -H \'Authorization: Bearer signed-jwt\'',
+      '  -H \'Content-Type: application/json\'',
+      `  --data-raw '${JSON.stringify(entry.request).replace('\'', '\'\\\'\'')}'`,
+    ].join(' \\\n'));
+  });
+
+  it('replays the requests of a session with a shell script', () => {
+    const script = getCurlScript([entry, { ...entry, id: 4, requestHeaders: undefined }]);
+    expect(script.startsWith('#!/bin/sh\n\n# Exchange #3 (2020-01-01T00:00:01.000Z)\ncurl -X POST')).toBe(true);
+    expect(script).not.toContain('# Exchange #4');
+  });
+
+  it('archives the prefetch queries and the service call of an exchange as HAR entries', () => {
+    const har = getHar([entry]);
+    expect(har.log.version).toEqual('1.2');
+    expect(har.log.creator.name).toEqual('CDS Hooks Sandbox');
+
+    const [post, get, call] = har.log.entries;
+    expect(post.startedDateTime).toEqual('2020-01-01T00:00:00.200Z');
+    expect(post.request.postData).toEqual({ mimeType: 'application/x-www-form-urlencoded', text: '_id=patient-1' });
+    expect(post.response.status).toEqual(405);
+    expect(post.response.content.text).toEqual('');
+    expect(post.comment).toEqual('Prefetch "patient" of exchange #3: Request failed with status code 405');
+
+    expect(get.startedDateTime).toEqual('2020-01-01T00:00:00.300Z');
+    expect(get.request.queryString).toEqual([{ name: '_id', value: 'patient-1' }]);
+    expect(JSON.parse(get.response.content.text)).toEqual(entry.request.prefetch.patient);
+
+    expect(call.startedDateTime).toEqual('2020-01-01T00:00:00.500Z');
+    expect(call.time).toEqual(500);
+    expect(call.request.headers).toContainEqual({ name: 'Authorization', value: 'Bearer signed-jwt' });
+    expect(JSON.parse(call.request.postData.text)).toEqual(entry.request);
+    expect(call.response.status).toEqual(200);
+    expect(JSON.parse(call.response.content.text)).toEqual({ cards: [] });
+  });
+
+  it('archives the body a failed service call responded with, from its error record', () => {
+    entry.response = 'Could not get a response from the CDS Service. See developer tools for more details';
+    entry.responseStatus = undefined;
+    entry.error = {
+      type: 'http', title: 'HTTP 500', message: 'Request failed with status code 500', status: 500, bodyExcerpt: '{"error":"Oops"}',
+    };
+    const call = getHar([entry]).log.entries[2];
+    expect(call.response.status).toEqual(500);
+    expect(call.response.content.text).toEqual('{"error":"Oops"}');
+    expect(call.comment).toEqual('CDS Service call of exchange #3: HTTP 500');
+  });
+
+  it('collects the requests of exchanges in a Postman collection', () => {
+    expect(getPostmanCollection([entry, { ...entry, requestHeaders: undefined }], 'cds-hooks-session')).toEqual({
+      info: { name: 'cds-hooks-session', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+      item: [{
+        name: `#3 patient-view - ${serviceUrl}`,
+        request: {
+          method: 'POST',
+          header: [
+            { key: 'Accept', value: 'application/json' },
+            { key: 'Authorization', value: 'Bearer signed-jwt' },
+            { key: 'Content-Type', value: 'application/json' },
+          ],
+          body: { mode: 'raw', raw: JSON.stringify(entry.request, null, 2), options: { raw: { language: 'json' } } },
+          url: serviceUrl,
+        },
+      }],
+    });
+  });
+});
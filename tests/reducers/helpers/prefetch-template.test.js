@@ -0,0 +1,125 @@
+import { resolvePrefetchTemplate, isSupportedPrefetchToken } from '../../../src/reducers/helpers/prefetch-template';
+
+describe('Prefetch Template', () => {
+  let templateContext;
+
+  beforeEach(() => {
+    templateContext = {
+      user: 'Practitioner/practitioner-1',
+      context: {
+        patientId: 'patient-1',
+        userId: 'Practitioner/practitioner-1',
+        encounterId: 'encounter-1',
+        selections: ['MedicationRequest/med-1'],
+        draftOrders: {
+          resourceType: 'Bundle',
+          entry: [
+            {
+              resource: {
+                resourceType: 'MedicationRequest',
+                id: 'med-1',
+                medicationCodeableConcept: { coding: [{ code: '123' }, { code: '456' }] },
+              },
+            },
+            { resource: { resourceType: 'ServiceRequest', id: 'service-1' } },
+            {
+              resource: {
+                resourceType: 'MedicationRequest',
+                id: 'med-2',
+                medicationCodeableConcept: { coding: [{ code: '123' }] },
+              },
+            },
+          ],
+        },
+      },
+    };
+  });
+
+  describe('resolvePrefetchTemplate', () => {
+    it('resolves simple context tokens, with or without whitespace', () => {
+      expect(resolvePrefetchTemplate('Patient/{{context.patientId}}', templateContext))
+        .toEqual({ url: 'Patient/patient-1', unresolved: [] });
+      expect(resolvePrefetchTemplate('Encounter/{{ context.encounterId }}', templateContext))
+        .toEqual({ url: 'Encounter/encounter-1', unresolved: [] });
+      expect(resolvePrefetchTemplate('{{context.userId}}', templateContext).url).toEqual('Practitioner/practitioner-1');
+    });
+
+    it('resolves tokens of the user in context', () => {
+      expect(resolvePrefetchTemplate('Practitioner/{{userPractitionerId}}', templateContext).url)
+        .toEqual('Practitioner/practitioner-1');
+      expect(resolvePrefetchTemplate('{{user}}', templateContext).url).toEqual('Practitioner/practitioner-1');
+    });
+
+    it('does not resolve user tokens of a different resource type than the user in context', () => {
+      expect(resolvePrefetchTemplate('PractitionerRole/{{userPractitionerRoleId}}', templateContext)).toEqual({
+        url: 'PractitionerRole/{{userPractitionerRoleId}}',
+        unresolved: [{ token: 'userPractitionerRoleId', reason: 'The user in context is not a PractitionerRole' }],
+      });
+      templateContext.user = 'Patient/patient-1';
+      expect(resolvePrefetchTemplate('{{userPatientId}}', templateContext).url).toEqual('patient-1');
+    });
+
+    it('resolves the date functions', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2020-03-04T05:06:07.000Z'));
+      expect(resolvePrefetchTemplate('Observation?date=ge{{today()}}', templateContext).url)
+        .toEqual('Observation?date=ge2020-03-04');
+      expect(resolvePrefetchTemplate('Observation?date=le{{now()}}', templateContext).url)
+        .toEqual('Observation?date=le2020-03-04T05:06:07.000Z');
+      jest.useRealTimers();
+    });
+
+    it('resolves FHIRPath expressions into Bundles, joining several values with commas', () => {
+      expect(resolvePrefetchTemplate('MedicationRequest?_id={{context.draftOrders.MedicationRequest.id}}', templateContext).url)
+        .toEqual('MedicationRequest?_id=med-1,med-2');
+      expect(resolvePrefetchTemplate('{{context.draftOrders.ofType(ServiceRequest).id}}', templateContext).url)
+        .toEqual('service-1');
+      expect(resolvePrefetchTemplate('{{context.draftOrders.entry.resource.id}}', templateContext).url)
+        .toEqual('med-1,service-1,med-2');
+    });
+
+    it('resolves FHIRPath collection functions', () => {
+      const codes = 'context.draftOrders.MedicationRequest.medicationCodeableConcept.coding.code';
+      expect(resolvePrefetchTemplate(`{{${codes}}}`, templateContext).url).toEqual('123,456,123');
+      expect(resolvePrefetchTemplate(`{{${codes}.distinct()}}`, templateContext).url).toEqual('123,456');
+      expect(resolvePrefetchTemplate(`{{${codes}.first()}}`, templateContext).url).toEqual('123');
+      expect(resolvePrefetchTemplate(`{{${codes}.last()}}`, templateContext).url).toEqual('123');
+      expect(resolvePrefetchTemplate(`{{${codes}.count()}}`, templateContext).url).toEqual('3');
+      expect(resolvePrefetchTemplate('{{context.selections.first()}}', templateContext).url).toEqual('MedicationRequest/med-1');
+    });
+
+    it('reports tokens that resolve to no value or to an object', () => {
+      expect(resolvePrefetchTemplate('Appointment/{{context.appointmentId}}', templateContext).unresolved).toEqual([
+        { token: 'context.appointmentId', reason: 'Expression resolves to no value in the hook context' },
+      ]);
+      expect(resolvePrefetchTemplate('{{context.draftOrders}}', templateContext).unresolved).toEqual([
+        { token: 'context.draftOrders', reason: 'Expression does not resolve to a primitive value' },
+      ]);
+    });
+
+    it('reports unsupported tokens and keeps them in the template', () => {
+      expect(resolvePrefetchTemplate('Patient/{{patientId}}?x={{context.patientId}}', templateContext)).toEqual({
+        url: 'Patient/{{patientId}}?x=patient-1',
+        unresolved: [{ token: 'patientId', reason: 'Unsupported prefetch token' }],
+      });
+    });
+  });
+
+  describe('isSupportedPrefetchToken', () => {
+    it('supports context expressions, user tokens and date functions', () => {
+      expect(isSupportedPrefetchToken('context.patientId')).toBe(true);
+      expect(isSupportedPrefetchToken('context.draftOrders.ofType(MedicationRequest).id')).toBe(true);
+      expect(isSupportedPrefetchToken('context.draftOrders.MedicationRequest.id.distinct()')).toBe(true);
+      expect(isSupportedPrefetchToken('userPractitionerRoleId')).toBe(true);
+      expect(isSupportedPrefetchToken('today()')).toBe(true);
+    });
+
+    it('does not support other tokens', () => {
+      expect(isSupportedPrefetchToken('context')).toBe(false);
+      expect(isSupportedPrefetchToken('patientId')).toBe(false);
+      expect(isSupportedPrefetchToken('context.draftOrders.where(status)')).toBe(false);
+      expect(isSupportedPrefetchToken('context.draftOrders.ofType(medicationRequest)')).toBe(false);
+      expect(isSupportedPrefetchToken('context.draftOrders[0]')).toBe(false);
+      expect(isSupportedPrefetchToken('yesterday()')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+import { validateResponse, getCardIssues } from '../../../src/reducers/helpers/response-validation';
+
+describe('Response Validation', () => {
+  let card;
+
+  beforeEach(() => {
+    card = {
+      uuid: 'card-1',
+      summary: 'Summary',
+      indicator: 'info',
+      source: { label: 'Source', topic: { code: 'topic', system: 'http://example.com' } },
+      selectionBehavior: 'at-most-one',
+      suggestions: [{
+        label: 'Suggestion',
+        isRecommended: true,
+        actions: [{ type: 'create', description: 'Create', resource: { resourceType: 'MedicationRequest' } }],
+      }],
+      overrideReasons: [{ code: 'reason', display: 'Reason' }],
+      links: [{ label: 'Link', url: 'https://example.com', type: 'smart', appContext: 'context' }],
+    };
+  });
+
+  it('returns no issues for a valid response', () => {
+    expect(validateResponse({ cards: [card] })).toEqual([]);
+    expect(validateResponse({
+      cards: [],
+      systemActions: [{ type: 'delete', description: 'Delete', resourceId: 'ServiceRequest/1' }],
+    })).toEqual([]);
+  });
+
+  it('does not validate responses that are not JSON objects', () => {
+    expect(validateResponse('No response returned')).toBeNull();
+    expect(validateResponse(undefined)).toBeNull();
+  });
+
+  it('requires a cards array', () => {
+    expect(validateResponse({})).toEqual([
+      { severity: 'error', path: 'cards', message: 'Missing required "cards" field' },
+    ]);
+    expect(validateResponse({ cards: {} })).toEqual([
+      { severity: 'error', path: 'cards', message: '"cards" must be an array' },
+    ]);
+  });
+
+  it('reports missing required card fields', () => {
+    expect(validateResponse({ cards: [{}] })).toEqual([
+      { severity: 'error', path: 'cards[0].summary', message: 'Missing required "summary" field' },
+      { severity: 'error', path: 'cards[0].indicator', message: 'Missing required "indicator" field' },
+      { severity: 'error', path: 'cards[0].source', message: 'Missing required "source" field' },
+    ]);
+  });
+
+  it('checks enum values of the card indicator and selectionBehavior', () => {
+    card.indicator = 'hard-stop';
+    card.selectionBehavior = 'all';
+    expect(validateResponse({ cards: [card] })).toEqual([
+      {
+        severity: 'error',
+        path: 'cards[0].indicator',
+        message: '"indicator" must be one of info, warning, critical (found "hard-stop")',
+      },
+      {
+        severity: 'error',
+        path: 'cards[0].selectionBehavior',
+        message: '"selectionBehavior" must be one of at-most-one, any (found "all")',
+      },
+    ]);
+  });
+
+  it('requires a selectionBehavior on cards with suggestions', () => {
+    delete card.selectionBehavior;
+    expect(validateResponse({ cards: [card] })).toEqual([{
+      severity: 'error',
+      path: 'cards[0].selectionBehavior',
+      message: '"selectionBehavior" is required when a card has suggestions',
+    }]);
+  });
+
+  it('warns about summaries longer than the specification allows', () => {
+    card.summary = 'a'.repeat(140);
+    expect(validateResponse({ cards: [card] })).toEqual([{
+      severity: 'warning',
+      path: 'cards[0].summary',
+      message: '"summary" should be shorter than 140 characters',
+    }]);
+  });
+
+  it('validates the source, suggestions, actions and override reasons of a card', () => {
+    card.source = { topic: {} };
+    card.suggestions = [{ isRecommended: 'yes', actions: [{ type: 'update' }, { type: 'remove', description: 'Remove' }] }];
+    card.overrideReasons = [{ display: 'No code' }];
+    expect(validateResponse({ cards: [card] })).toEqual([
+      { severity: 'error', path: 'cards[0].source.label', message: 'Missing required "label" field' },
+      { severity: 'error', path: 'cards[0].source.topic.code', message: 'Missing required "code" field' },
+      { severity: 'error', path: 'cards[0].suggestions[0].label', message: 'Missing required "label" field' },
+      { severity: 'error', path: 'cards[0].suggestions[0].isRecommended', message: '"isRecommended" must be a boolean' },
+      {
+        severity: 'error',
+        path: 'cards[0].suggestions[0].actions[0].description',
+        message: 'Missing required "description" field',
+      },
+      {
+        severity: 'error',
+        path: 'cards[0].suggestions[0].actions[0].resource',
+        message: 'A FHIR resource is required for "update" actions',
+      },
+      {
+        severity: 'error',
+        path: 'cards[0].suggestions[0].actions[1].type',
+        message: '"type" must be one of create, update, delete (found "remove")',
+      },
+      { severity: 'error', path: 'cards[0].overrideReasons[0].code', message: 'Missing required "code" field' },
+    ]);
+  });
+
+  it('validates the links of a card, including the link type', () => {
+    card.links = [{ url: 'https://example.com' }, { label: 'Link', url: 'https://example.com', type: 'absolute', appContext: 'x' }];
+    expect(validateResponse({ cards: [card] })).toEqual([
+      { severity: 'error', path: 'cards[0].links[0].label', message: 'Missing required "label" field' },
+      { severity: 'error', path: 'cards[0].links[0].type', message: 'Missing required "type" field' },
+      {
+        severity: 'warning',
+        path: 'cards[0].links[1].appContext',
+        message: '"appContext" is only used by links of type "smart"',
+      },
+    ]);
+  });
+
+  it('validates system actions', () => {
+    expect(validateResponse({ cards: [], systemActions: [{ type: 'delete', description: 'Delete' }] })).toEqual([{
+      severity: 'error',
+      path: 'systemActions[0].resourceId',
+      message: 'A resource reference is required for "delete" actions',
+    }]);
+  });
+
+  it('gets the issues of a single card', () => {
+    const issues = [
+      { path: 'cards[1]' },
+      { path: 'cards[1].summary' },
+      { path: 'cards[10].summary' },
+      { path: 'systemActions[0].type' },
+    ];
+    expect(getCardIssues(issues, 1)).toEqual([issues[0], issues[1]]);
+    expect(getCardIssues(undefined, 1)).toEqual([]);
+  });
+});
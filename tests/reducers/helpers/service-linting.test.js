@@ -0,0 +1,96 @@
+import { lintServiceDefinitions } from '../../../src/reducers/helpers/service-linting';
+
+describe('Service Linting', () => {
+  let service;
+
+  beforeEach(() => {
+    service = {
+      id: 'patient-greeting',
+      hook: 'patient-view',
+      description: 'Greets the patient',
+      prefetch: {
+        patient: 'Patient/{{context.patientId}}',
+        practitioner: '{{ context.userId }}',
+      },
+    };
+  });
+
+  it('returns no findings for a valid service definition', () => {
+    expect(lintServiceDefinitions([service])).toEqual([[]]);
+  });
+
+  it('reports missing required fields', () => {
+    expect(lintServiceDefinitions([{}])).toEqual([[
+      { severity: 'error', path: 'id', message: 'Missing required "id" field' },
+      { severity: 'error', path: 'hook', message: 'Missing required "hook" field' },
+      { severity: 'error', path: 'description', message: 'Missing required "description" field' },
+    ]]);
+  });
+
+  it('reports service definitions that are not objects', () => {
+    expect(lintServiceDefinitions(['foo'])).toEqual([[
+      { severity: 'error', path: '', message: 'Service definition must be an object' },
+    ]]);
+  });
+
+  it('warns about unknown hooks', () => {
+    service.hook = 'patient-open';
+    expect(lintServiceDefinitions([service])).toEqual([[
+      { severity: 'warning', path: 'hook', message: 'Unknown hook "patient-open"' },
+    ]]);
+  });
+
+  it('reports duplicate service IDs on every service sharing the ID', () => {
+    const duplicate = { ...service, hook: 'order-select' };
+    const duplicateFinding = {
+      severity: 'error',
+      path: 'id',
+      message: 'Duplicate service ID "patient-greeting" in the discovery document',
+    };
+    expect(lintServiceDefinitions([service, duplicate])).toEqual([[duplicateFinding], [duplicateFinding]]);
+  });
+
+  it('reports malformed prefetch templates', () => {
+    service.prefetch = {
+      unclosed: 'Patient/{{context.patientId}',
+      unopened: 'Patient/context.patientId}}',
+      empty: 'Patient/{{ }}',
+      notString: 5,
+    };
+    expect(lintServiceDefinitions([service])).toEqual([[
+      { severity: 'error', path: 'prefetch.unclosed', message: 'Malformed prefetch template "Patient/{{context.patientId}"' },
+      { severity: 'error', path: 'prefetch.unopened', message: 'Malformed prefetch template "Patient/context.patientId}}"' },
+      { severity: 'error', path: 'prefetch.empty', message: 'Empty prefetch token in "Patient/{{ }}"' },
+      { severity: 'error', path: 'prefetch.notString', message: 'Prefetch template must be a non-empty string' },
+    ]]);
+  });
+
+  it('reports a prefetch that is not an object', () => {
+    service.prefetch = ['Patient/{{context.patientId}}'];
+    expect(lintServiceDefinitions([service])).toEqual([[
+      { severity: 'error', path: 'prefetch', message: '"prefetch" must be an object of prefetch keys and templates' },
+    ]]);
+  });
+
+  it('warns about prefetch tokens the Sandbox does not support', () => {
+    service.prefetch = {
+      encounter: 'Encounter/{{context.encounterId}}',
+      orders: 'MedicationRequest?_id={{context.draftOrders.MedicationRequest.id}}',
+      practitioner: 'Practitioner/{{userPractitionerId}}',
+      user: 'Practitioner?_id={{userId}}',
+      where: 'Patient/{{context.patient.where(active)}}',
+    };
+    expect(lintServiceDefinitions([service])).toEqual([[
+      {
+        severity: 'warning',
+        path: 'prefetch.user',
+        message: 'Prefetch token "userId" is not supported by the Sandbox and will not be filled out',
+      },
+      {
+        severity: 'warning',
+        path: 'prefetch.where',
+        message: 'Prefetch token "context.patient.where(active)" is not supported by the Sandbox and will not be filled out',
+      },
+    ]]);
+  });
+});
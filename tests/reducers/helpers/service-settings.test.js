@@ -0,0 +1,66 @@
+import {
+  getServiceSettings, getDiscoveryUrl, describeAuthFaultResult, getPrefetchScopes, isSlowExchange, describeTimings,
+} from '../../../src/reducers/helpers/service-settings';
+
+describe('Service Settings', () => {
+  it('merges the settings of a service into the default settings', () => {
+    const url = 'http://example.com/cds-services/id-1';
+    const state = { cdsServicesState: { serviceSettings: { [url]: { authFault: 'wrong-aud' } } } };
+    expect(getServiceSettings(state, url)).toMatchObject({ prefetchMode: 'full', prefetchKeys: [], authFault: 'wrong-aud' });
+    expect(getServiceSettings(state, 'http://example.com/cds-services/id-2').authFault).toEqual('none');
+  });
+
+  it('derives read scopes from the resource types of the prefetch templates', () => {
+    expect(getPrefetchScopes({
+      patient: 'Patient/{{context.patientId}}',
+      conditions: 'Condition?patient={{context.patientId}}',
+      activeConditions: 'Condition?patient={{context.patientId}}&clinical-status=active',
+      unknown: '{{context.draftOrders}}',
+    })).toEqual('patient/Patient.read patient/Condition.read');
+    expect(getPrefetchScopes(undefined)).toEqual('');
+  });
+
+  it('gets the discovery endpoint of a service', () => {
+    expect(getDiscoveryUrl('http://example.com/cds-services/id-1', 'id-1')).toEqual('http://example.com/cds-services');
+  });
+
+  it('flags exchanges taking longer than the 500 ms latency budget', () => {
+    expect(isSlowExchange({ prefetch: 200, request: 300, responseHandling: 0, total: 500 })).toBe(false);
+    expect(isSlowExchange({ prefetch: 200, request: 300, responseHandling: 12, total: 512 })).toBe(true);
+    expect(isSlowExchange(undefined)).toBe(false);
+  });
+
+  it('describes the timings of an exchange, leaving out steps not timed yet', () => {
+    expect(describeTimings({ prefetch: 200, request: 300, responseHandling: 12, total: 512 }))
+      .toEqual('512 ms (prefetch 200 ms, request 300 ms, response handling 12 ms)');
+    expect(describeTimings({ prefetch: 200, request: 300, responseHandling: null, total: 500 }))
+      .toEqual('500 ms (prefetch 200 ms, request 300 ms)');
+  });
+
+  describe('describeAuthFaultResult', () => {
+    it('describes a request rejected with a 401 or 403', () => {
+      expect(describeAuthFaultResult({ authFault: 'unknown-kid', status: 403 })).toEqual({
+        outcome: 'rejected',
+        message: 'Unknown kid: rejected with 403, as expected',
+      });
+    });
+
+    it('describes a request the service responded to otherwise', () => {
+      expect(describeAuthFaultResult({ authFault: 'wrong-aud', status: 500 })).toEqual({
+        outcome: 'accepted',
+        message: 'Wrong aud: responded with 500, expected 401 or 403',
+      });
+    });
+
+    it('describes a request with no response status', () => {
+      expect(describeAuthFaultResult({ authFault: 'expired-exp', status: null }).outcome).toEqual('no-status');
+    });
+
+    it('describes a request sent with a valid JWT, as the fault could not be introduced', () => {
+      expect(describeAuthFaultResult({ authFault: 'replayed-jti', status: 200, isNotIntroduced: true })).toEqual({
+        outcome: 'not-introduced',
+        message: 'Replayed jti: not introduced, as no valid JWT was sent before. A valid JWT was sent, whose jti the next request replays',
+      });
+    });
+  });
+});
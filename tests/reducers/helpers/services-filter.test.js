@@ -123,6 +123,57 @@ describe('Services Filters', () => {
         ]
       })
     });
+
+    it('attaches the validation issues of a card, matched by its index in the response', () => {
+      const cardIssue = { severity: 'error', path: 'cards[0].indicator', message: 'Missing required "indicator" field' };
+      const state = JSON.parse(JSON.stringify(mockStore.getState()));
+      state.serviceExchangeState.exchanges[exampleServiceExchange].validationIssues = [
+        cardIssue,
+        { severity: 'error', path: 'cards[1].indicator', message: 'Missing required "indicator" field' },
+        { severity: 'error', path: 'systemActions[0].type', message: 'Missing required "type" field' },
+      ];
+      const { cards } = getCardsFromServices(state, [exampleServiceExchange]);
+      expect(cards).toHaveLength(1);
+      expect(cards[0].validationIssues).toEqual([cardIssue]);
+    });
+
+    it('attaches the timings of the exchange a card comes from', () => {
+      const timings = { prefetch: 200, request: 700, responseHandling: 12, total: 912 };
+      const state = JSON.parse(JSON.stringify(mockStore.getState()));
+      state.serviceExchangeState.exchanges[exampleServiceExchange].timings = timings;
+      const { cards } = getCardsFromServices(state, [completeServiceExchange, exampleServiceExchange]);
+      expect(cards[0].timings).toBeUndefined();
+      expect(cards[1].timings).toEqual(timings);
+    });
+
+    it('attaches the index of the suggestions taken from a card', () => {
+      const state = JSON.parse(JSON.stringify(mockStore.getState()));
+      state.serviceExchangeState.takenSuggestions = { [exampleServiceExchange]: { '2': [1] } };
+      const { cards } = getCardsFromServices(state, [completeServiceExchange, exampleServiceExchange]);
+      expect(cards[0].takenSuggestions).toBeUndefined();
+      expect(cards[1].takenSuggestions).toEqual([1]);
+    });
+
+    it('adds an error card for a failed exchange, unless it was dismissed', () => {
+      const error = { type: 'http', title: 'HTTP 500', message: 'Request failed with status code 500', status: 500, bodyExcerpt: null };
+      const state = JSON.parse(JSON.stringify(mockStore.getState()));
+      state.serviceExchangeState.exchanges[noResponseExchange] = {
+        request: { hookInstance: 'hook-instance-1' },
+        response: 'Could not get a response from the CDS Service. See developer tools for more details',
+        error,
+      };
+      state.cdsServicesState = { configuredServices: { [noResponseExchange]: { id: 'no-response' } } };
+      expect(getCardsFromServices(state, [noResponseExchange]).cards).toEqual([{
+        uuid: 'service-error-hook-instance-1',
+        indicator: 'error',
+        summary: 'no-response failed: HTTP 500',
+        serviceUrl: noResponseExchange,
+        serviceError: error,
+      }]);
+
+      state.serviceExchangeState.hiddenCards[noResponseExchange] = ['service-error-hook-instance-1'];
+      expect(getCardsFromServices(state, [noResponseExchange]).cards).toEqual([]);
+    });
   });
 
   describe('getConditionCodingFromCode', () => {
@@ -1,5 +1,6 @@
 import reducer from '../../src/reducers/hook-reducers';
 import * as types from '../../src/actions/action-types';
+import cdsExecution from '../../src/middleware/cds-execution';
 
 describe('Hook Reducer', () => {
   let state = {};
@@ -51,6 +52,68 @@ describe('Hook Reducer', () => {
     })
   });
 
+  describe('Embedded apps', () => {
+    let link;
+
+    beforeEach(() => {
+      link = { label: 'App', url: 'http://localhost:8080/launch', type: 'smart', messagingHandle: 'handle-1' };
+    });
+
+    it('sets how SMART apps are launched from card links', () => {
+      expect(reducer(undefined, {}).appLaunchMode).toEqual('new-tab');
+      expect(reducer(state, { type: types.SET_APP_LAUNCH_MODE, mode: 'embedded' }).appLaunchMode).toEqual('embedded');
+    });
+
+    it('opens an app in the panel, and records the window it is registered with', () => {
+      const opened = reducer(state, {
+        type: types.OPEN_EMBEDDED_APP,
+        triggerPoint: 'face-sheet/patient-view',
+        link,
+        url: 'http://localhost:8080/launch?launch=123',
+      });
+      expect(opened.embeddedApp).toEqual({
+        triggerPoint: 'face-sheet/patient-view',
+        link,
+        url: 'http://localhost:8080/launch?launch=123',
+      });
+
+      const launched = reducer(opened, {
+        type: types.LAUNCH_SMART_APP,
+        triggerPoint: 'face-sheet/patient-view',
+        link,
+        sourceWindow: {},
+        isEmbedded: true,
+      });
+      const { windowId } = launched.apps[0];
+      expect(launched.embeddedApp.windowId).toEqual(windowId);
+      expect(cdsExecution.debug.windowsRegistered[windowId].messagingHandle).toEqual('handle-1');
+    });
+
+    it('closes the app already embedded when another app is opened', () => {
+      const { windowId } = cdsExecution.registerWindow('face-sheet/patient-view', 'http://localhost:8080', {});
+      state.apps = [{ windowId }];
+      state.embeddedApp = { link, url: link.url, windowId };
+      const opened = reducer(state, { type: types.OPEN_EMBEDDED_APP, link, url: 'http://localhost:8080/other' });
+      expect(opened.apps).toEqual([]);
+      expect(opened.embeddedApp.url).toEqual('http://localhost:8080/other');
+      expect(cdsExecution.debug.windowsRegistered[windowId]).toBeUndefined();
+    });
+
+    it('unregisters closed apps, and closes the app panel if the app was embedded', () => {
+      const { windowId } = cdsExecution.registerWindow('face-sheet/patient-view', 'http://localhost:8080', {});
+      state.apps = [{ windowId }, { windowId: windowId + 1 }];
+      state.embeddedApp = { link, url: link.url, windowId };
+      const closed = reducer(state, { type: types.CLOSE_SMART_APP, windowId });
+      expect(closed.apps).toEqual([{ windowId: windowId + 1 }]);
+      expect(closed.embeddedApp).toBeNull();
+      expect(cdsExecution.debug.windowsRegistered[windowId]).toBeUndefined();
+
+      state.embeddedApp = { link, url: link.url };
+      expect(reducer(state, { type: types.CLOSE_SMART_APP, windowId: windowId + 1 }).embeddedApp).toEqual(state.embeddedApp);
+      expect(reducer(state, { type: types.CLOSE_SMART_APP }).embeddedApp).toBeNull();
+    });
+  });
+
   describe('SET_CONTEXT_VISIBILITY', () => {
     it('should handle the SET_CONTEXT_VISIBILITY action accordingly', () => {
       const action = {
@@ -74,6 +137,20 @@ describe('Hook Reducer', () => {
       expect(reducer(state, action)).toMatchObject(newState);
     });
 
+    it('points the custom hook trigger point to the hook set on the custom hook screen', () => {
+      const action = {
+        type: types.SET_HOOK,
+        hook: 'my-draft-hook',
+        screen: 'custom-hook',
+      };
+
+      const newState = reducer(undefined, action);
+      expect(newState.currentHook).toEqual('my-draft-hook');
+      expect(newState.screens['custom-hook'].triggerPoints['custom-hook/custom-hook'].hook).toEqual('my-draft-hook');
+      expect(reducer(newState, { type: types.SET_HOOK, hook: 'patient-view' }).screens['custom-hook'])
+        .toEqual(newState.screens['custom-hook']);
+    });
+
     it('should keep the current hook if the incoming hook is not valid', () => {
       const action = {
         type: types.SET_HOOK,
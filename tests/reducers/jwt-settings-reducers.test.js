@@ -0,0 +1,60 @@
+import * as types from '../../src/actions/action-types';
+
+describe('JWT Settings Reducers', () => {
+  let reducer;
+  let defaultSettings;
+  let state;
+
+  beforeEach(() => {
+    reducer = require('../../src/reducers/jwt-settings-reducers').default;
+    defaultSettings = {
+      issuer: 'https://sandbox.cds-hooks.org',
+      algorithm: 'ES384',
+      kid: '44823f3d-0b01-4a6c-a80e-b9d3e8a7226f',
+      jku: 'https://sandbox.cds-hooks.org/.well-known/jwks.json',
+      privateKey: null,
+      publicJwk: null,
+    };
+    state = { ...defaultSettings };
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    jest.resetModules();
+  });
+
+  it('returns the signing settings of the Sandbox without action', () => {
+    expect(reducer(undefined, {})).toEqual(defaultSettings);
+  });
+
+  it('returns the persisted signing settings without action', () => {
+    localStorage.setItem('PERSISTED_jwtSettings', JSON.stringify({ issuer: 'https://ehr.example.com' }));
+    expect(reducer(undefined, {})).toEqual({ ...defaultSettings, issuer: 'https://ehr.example.com' });
+  });
+
+  it('ignores persisted signing settings that are not JSON', () => {
+    localStorage.setItem('PERSISTED_jwtSettings', '{');
+    expect(reducer(undefined, {})).toEqual(defaultSettings);
+  });
+
+  it('updates the signing settings', () => {
+    const settings = {
+      algorithm: 'RS384',
+      kid: 'custom-kid',
+      privateKey: 'private-key',
+      publicJwk: { kty: 'RSA', n: 'n', e: 'AQAB' },
+    };
+    const action = { type: types.UPDATE_JWT_SETTINGS, settings };
+    expect(reducer(state, action)).toEqual({ ...state, ...settings });
+  });
+
+  it('resets the signing settings to those of the Sandbox', () => {
+    state = { ...state, issuer: 'https://ehr.example.com', privateKey: 'private-key' };
+    expect(reducer(state, { type: types.RESET_JWT_SETTINGS })).toEqual(defaultSettings);
+  });
+
+  it('should return state if an action should pass through this reducer without change to state', () => {
+    const action = { type: 'SOME_OTHER_ACTION' };
+    expect(reducer(state, action)).toEqual(state);
+  });
+});
@@ -0,0 +1,89 @@
+import moment from 'moment';
+import reducer, { createBasketResource } from '../../src/reducers/order-basket-reducers';
+import * as types from '../../src/actions/action-types';
+
+describe('Order Basket Reducers', () => {
+  let state = {};
+  let medicationOrder;
+  let coding;
+
+  beforeEach(() => {
+    state = {
+      orders: [],
+      nextOrderNumber: 1,
+    };
+    medicationOrder = {
+      decisions: { prescribable: { name: 'Aspirin 81 MG Oral Tablet', id: '243670' } },
+      medListPhase: 'done',
+      medicationInstructions: { number: 1, frequency: 'daily' },
+      prescriptionDates: { start: { enabled: true, value: undefined }, end: { enabled: true, value: undefined } },
+      selectedConditionCode: '',
+    };
+    coding = { system: 'http://loinc.org', code: '58410-2', display: 'CBC panel - Blood by Automated count' };
+  });
+
+  it('returns the initial state without action', () => {
+    expect(reducer(undefined, {})).toEqual(state);
+  });
+
+  it('adds medications and services to the basket as selected orders with their own identifiers', () => {
+    let newState = reducer(state, { type: types.ADD_MEDICATION_TO_BASKET, medicationOrder });
+    newState = reducer(newState, { type: types.ADD_SERVICE_TO_BASKET, coding });
+    expect(newState).toEqual({
+      orders: [
+        {
+          id: 'basket-request-1',
+          kind: 'medication',
+          label: 'Aspirin 81 MG Oral Tablet',
+          isSelected: true,
+          medicationOrder,
+        },
+        {
+          id: 'basket-service-2',
+          kind: 'service',
+          label: 'CBC panel - Blood by Automated count',
+          isSelected: true,
+          coding,
+        },
+      ],
+      nextOrderNumber: 3,
+    });
+  });
+
+  it('removes orders and toggles their selection', () => {
+    state.orders = [{ id: 'basket-service-1', isSelected: true }, { id: 'basket-service-2', isSelected: true }];
+    expect(reducer(state, { type: types.TOGGLE_BASKET_SELECTION, id: 'basket-service-2' }).orders)
+      .toEqual([{ id: 'basket-service-1', isSelected: true }, { id: 'basket-service-2', isSelected: false }]);
+    expect(reducer(state, { type: types.REMOVE_FROM_BASKET, id: 'basket-service-1' }).orders)
+      .toEqual([{ id: 'basket-service-2', isSelected: true }]);
+  });
+
+  it('should return state if an action should pass through this reducer without change to state', () => {
+    const action = { type: 'SOME_OTHER_ACTION' };
+    expect(reducer(state, action)).toEqual(state);
+  });
+
+  describe('createBasketResource', () => {
+    it('creates a draft medication request with the identifier of the order', () => {
+      const order = { id: 'basket-request-1', kind: 'medication', medicationOrder };
+      const resource = createBasketResource(order, '3.0.1', 'patient-1', []);
+      expect(resource.resourceType).toEqual('MedicationRequest');
+      expect(resource.id).toEqual('basket-request-1');
+      expect(resource.medicationCodeableConcept.coding[0].code).toEqual('243670');
+    });
+
+    it('creates a ServiceRequest for R4 servers and a ProcedureRequest for older servers', () => {
+      const order = { id: 'basket-service-1', kind: 'service', coding };
+      const expected = {
+        id: 'basket-service-1',
+        status: 'draft',
+        intent: 'order',
+        code: { coding: [coding], text: 'CBC panel - Blood by Automated count' },
+        subject: { reference: 'Patient/patient-1' },
+        authoredOn: moment().format('YYYY-MM-DD'),
+      };
+      expect(createBasketResource(order, '4.0.1', 'patient-1', [])).toEqual({ resourceType: 'ServiceRequest', ...expected });
+      expect(createBasketResource(order, '3.0.1', 'patient-1', [])).toEqual({ resourceType: 'ProcedureRequest', ...expected });
+    });
+  });
+});
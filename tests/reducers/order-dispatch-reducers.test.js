@@ -0,0 +1,34 @@
+import reducer from '../../src/reducers/order-dispatch-reducers';
+import * as types from '../../src/actions/action-types';
+
+describe('Order Dispatch Reducers', () => {
+  let state = {};
+
+  beforeEach(() => {
+    state = {
+      dispatchedOrders: ['ServiceRequest/example-dispatch-id'],
+      performer: 'Organization/example-lab',
+      isDispatched: false,
+    };
+  });
+
+  it('returns the initial state without action', () => {
+    expect(reducer(undefined, {})).toEqual(state);
+  });
+
+  it('selects the performer, which has not been dispatched to yet', () => {
+    state.isDispatched = true;
+    const action = { type: types.SELECT_DISPATCH_PERFORMER, performer: 'Organization/example-imaging' };
+    expect(reducer(state, action)).toEqual({ ...state, performer: 'Organization/example-imaging', isDispatched: false });
+  });
+
+  it('flags the orders as dispatched', () => {
+    const action = { type: types.TRIGGER_ORDER_DISPATCH };
+    expect(reducer(state, action)).toEqual({ ...state, isDispatched: true });
+  });
+
+  it('should return state if an action should pass through this reducer without change to state', () => {
+    const action = { type: 'SOME_OTHER_ACTION' };
+    expect(reducer(state, action)).toEqual(state);
+  });
+});
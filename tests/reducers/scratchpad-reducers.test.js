@@ -0,0 +1,201 @@
+import reducer, { applyScratchpad, getActionReference, getDraftResources } from '../../src/reducers/scratchpad-reducers';
+import { medicationReducers, createFhirResource } from '../../src/reducers/medication-reducers';
+import * as types from '../../src/actions/action-types';
+
+describe('Scratchpad Reducers', () => {
+  let state = {};
+  let medicationRequest;
+  let serviceRequest;
+
+  beforeEach(() => {
+    state = {
+      entries: {},
+    };
+    medicationRequest = { resourceType: 'MedicationRequest', id: 'request-123', status: 'draft' };
+    serviceRequest = { resourceType: 'ServiceRequest', id: 'service-1', status: 'draft' };
+  });
+
+  it('returns the initial state without action', () => {
+    expect(reducer(undefined, {})).toEqual(state);
+  });
+
+  it('applies create, update and delete actions by resource type and id', () => {
+    const action = {
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: [
+        { type: 'update', resource: medicationRequest },
+        { type: 'create', resource: serviceRequest },
+        { type: 'delete', resourceId: 'CommunicationRequest/comm-1' },
+      ],
+    };
+    expect(reducer(state, action)).toEqual({
+      entries: {
+        'MedicationRequest/request-123': { change: 'update', resource: medicationRequest },
+        'ServiceRequest/service-1': { change: 'create', resource: serviceRequest },
+        'CommunicationRequest/comm-1': { change: 'delete', resource: null },
+      },
+    });
+  });
+
+  it('keeps resources created on the scratchpad as created, and drops them when deleted', () => {
+    state.entries = { 'ServiceRequest/service-1': { change: 'create', resource: serviceRequest } };
+    const updated = { ...serviceRequest, status: 'active' };
+    const updateAction = { type: types.APPLY_SCRATCHPAD_ACTIONS, actions: [{ type: 'update', resource: updated }] };
+    expect(reducer(state, updateAction).entries).toEqual({
+      'ServiceRequest/service-1': { change: 'create', resource: updated },
+    });
+    const deleteAction = { type: types.APPLY_SCRATCHPAD_ACTIONS, actions: [{ type: 'delete', resource: serviceRequest }] };
+    expect(reducer(state, deleteAction).entries).toEqual({});
+  });
+
+  it('records the origin of each change, and the service or app behind it', () => {
+    const action = {
+      type: types.APPLY_SCRATCHPAD_ACTIONS,
+      actions: [{ type: 'update', resource: medicationRequest }],
+      origin: 'system-action',
+      sourceUrl: 'http://example.com/cds-services/1',
+    };
+    expect(reducer(state, action).entries).toEqual({
+      'MedicationRequest/request-123': {
+        change: 'update',
+        resource: medicationRequest,
+        origin: 'system-action',
+        sourceUrl: 'http://example.com/cds-services/1',
+      },
+    });
+  });
+
+  it('ignores actions without a resource to apply to', () => {
+    const action = { type: types.APPLY_SCRATCHPAD_ACTIONS, actions: [{ type: 'update', resource: { resourceType: 'Patient' } }] };
+    expect(reducer(state, action)).toEqual(state);
+  });
+
+  it('drops the changes made to the draft orders of a form once the form edits them', () => {
+    state.entries = {
+      'MedicationRequest/request-123': { change: 'update', resource: medicationRequest },
+      'ServiceRequest/example-request-id': { change: 'delete', resource: null },
+      'ServiceRequest/service-1': { change: 'create', resource: serviceRequest },
+    };
+    expect(Object.keys(reducer(state, { type: types.STORE_MED_DOSAGE_AMOUNT, amount: 2, frequency: 'bid' }).entries))
+      .toEqual(['ServiceRequest/example-request-id', 'ServiceRequest/service-1']);
+    expect(Object.keys(reducer(state, { type: types.ADD_REASON, coding: {} }).entries))
+      .toEqual(['MedicationRequest/request-123', 'ServiceRequest/service-1']);
+    const unchanged = { entries: { 'ServiceRequest/service-1': state.entries['ServiceRequest/service-1'] } };
+    expect(reducer(unchanged, { type: types.STORE_DATE, range: 'start', date: '2020-01-01' })).toBe(unchanged);
+  });
+
+  it('sends the Rx View draft as edited in the form after a suggestion changed it', () => {
+    const generateDraft = (storeState) => applyScratchpad({
+      selections: ['MedicationRequest/request-123'],
+      draftOrders: {
+        resourceType: 'Bundle',
+        entry: [{ resource: createFhirResource('4.0.1', 'patient-1', storeState.medicationState) }],
+      },
+    }, storeState.scratchpadState).draftOrders.entry.map((entry) => entry.resource);
+
+    // The reducers of the Rx View form and of the scratchpad, as the store combines them
+    const rootReducer = (storeState = {}, action) => ({
+      medicationState: medicationReducers(storeState.medicationState, action),
+      scratchpadState: reducer(storeState.scratchpadState, action),
+    });
+    let storeState = rootReducer(undefined, {});
+    const suggested = { ...createFhirResource('4.0.1', 'patient-1', storeState.medicationState), status: 'suggested' };
+    storeState = rootReducer(storeState, { type: types.APPLY_SCRATCHPAD_ACTIONS, actions: [{ type: 'update', resource: suggested }] });
+    expect(generateDraft(storeState)).toEqual([suggested]);
+
+    storeState = rootReducer(storeState, { type: types.TOGGLE_DATE, range: 'end' });
+    expect(generateDraft(storeState)).toEqual([createFhirResource('4.0.1', 'patient-1', storeState.medicationState)]);
+
+    // A draft deleted by a suggestion is back once the form edits it
+    storeState = rootReducer(storeState, { type: types.APPLY_SCRATCHPAD_ACTIONS, actions: [{ type: 'delete', resourceId: 'MedicationRequest/request-123' }] });
+    expect(generateDraft(storeState)).toEqual([]);
+    storeState = rootReducer(storeState, { type: types.TOGGLE_DATE, range: 'end' });
+    expect(generateDraft(storeState)).toEqual([createFhirResource('4.0.1', 'patient-1', storeState.medicationState)]);
+  });
+
+  it('clears the scratchpad, and when the patient in context changes', () => {
+    state.entries = { 'ServiceRequest/service-1': { change: 'create', resource: serviceRequest } };
+    expect(reducer(state, { type: types.CLEAR_SCRATCHPAD })).toEqual({ entries: {} });
+    expect(reducer(state, { type: types.GET_PATIENT_SUCCESS, patient: {} })).toEqual({ entries: {} });
+  });
+
+  it('should return state if an action should pass through this reducer without change to state', () => {
+    const action = { type: 'SOME_OTHER_ACTION' };
+    expect(reducer(state, action)).toEqual(state);
+  });
+
+  describe('getActionReference', () => {
+    it('gets the reference of the resource of an action', () => {
+      expect(getActionReference({ type: 'update', resource: medicationRequest })).toEqual('MedicationRequest/request-123');
+      expect(getActionReference({ type: 'delete', resourceId: 'ServiceRequest/1' })).toEqual('ServiceRequest/1');
+      expect(getActionReference({ type: 'create' })).toBeNull();
+    });
+  });
+
+  describe('applyScratchpad', () => {
+    let context;
+
+    beforeEach(() => {
+      context = {
+        patientId: 'patient-1',
+        selections: ['MedicationRequest/request-123'],
+        draftOrders: {
+          resourceType: 'Bundle',
+          entry: [{ resource: { resourceType: 'MedicationRequest', id: 'request-123' } }, { resource: serviceRequest }],
+        },
+      };
+    });
+
+    it('replaces updated draft orders and adds created ones to the draft orders and selections', () => {
+      const created = { resourceType: 'MedicationRequest', id: 'new-request' };
+      expect(applyScratchpad(context, {
+        entries: {
+          'MedicationRequest/request-123': { change: 'update', resource: medicationRequest },
+          'MedicationRequest/new-request': { change: 'create', resource: created },
+        },
+      })).toEqual({
+        patientId: 'patient-1',
+        selections: ['MedicationRequest/request-123', 'MedicationRequest/new-request'],
+        draftOrders: {
+          resourceType: 'Bundle',
+          entry: [{ resource: medicationRequest }, { resource: serviceRequest }, { resource: created }],
+        },
+      });
+    });
+
+    it('removes deleted draft orders from the draft orders and selections', () => {
+      const newContext = applyScratchpad(context, {
+        entries: { 'MedicationRequest/request-123': { change: 'delete', resource: null } },
+      });
+      expect(newContext.selections).toEqual([]);
+      expect(newContext.draftOrders.entry).toEqual([{ resource: serviceRequest }]);
+    });
+
+    it('leaves contexts without draft orders, or without scratchpad changes, as they are', () => {
+      const entries = { 'MedicationRequest/request-123': { change: 'delete', resource: null } };
+      expect(applyScratchpad({ patientId: 'patient-1' }, { entries })).toEqual({ patientId: 'patient-1' });
+      expect(applyScratchpad(context, { entries: {} })).toBe(context);
+      expect(applyScratchpad(context, undefined)).toBe(context);
+    });
+  });
+
+  describe('getDraftResources', () => {
+    it('gets the draft orders with the scratchpad applied, and the resources only on the scratchpad', () => {
+      const context = {
+        patientId: 'patient-1',
+        draftOrders: { resourceType: 'Bundle', entry: [{ resource: medicationRequest }] },
+      };
+      const updated = { ...medicationRequest, status: 'active' };
+      expect(getDraftResources(context, {
+        entries: {
+          'MedicationRequest/request-123': { change: 'update', resource: updated },
+          'ServiceRequest/service-1': { change: 'create', resource: serviceRequest },
+        },
+      })).toEqual([updated, serviceRequest]);
+      expect(getDraftResources({ patientId: 'patient-1' }, {
+        entries: { 'ServiceRequest/service-1': { change: 'update', resource: serviceRequest } },
+      })).toEqual([serviceRequest]);
+      expect(getDraftResources(context, undefined)).toEqual([medicationRequest]);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import reducer from '../../src/reducers/service-exchange-reducers';
+import reducer, { MAX_HISTORY_ENTRIES } from '../../src/reducers/service-exchange-reducers';
 import * as types from '../../src/actions/action-types';
 
 describe('Services Exchange Reducers', () => {
@@ -11,7 +11,15 @@ describe('Services Exchange Reducers', () => {
       selectedService: '',
       exchanges: {},
       launchLinks: {},
+      messagingHandles: {},
       hiddenCards: {},
+      takenSuggestions: {},
+      history: [],
+      exchangeRounds: {},
+      selectedHistoryEntry: null,
+      feedbackLog: [],
+      pendingFeedback: {},
+      isFeedbackBatched: false,
     };
     storedExchange = {
       request: 'request',
@@ -24,6 +32,25 @@ describe('Services Exchange Reducers', () => {
     expect(reducer(undefined, {})).toMatchObject(state);
   });
 
+  describe('STORE_LAUNCH_LINK', () => {
+    it('stores the launch URL of a SMART link and the messaging handle given to the app', () => {
+      const action = {
+        type: types.STORE_LAUNCH_LINK,
+        url: 'http://example.com/launch',
+        remappedUrl: 'http://example.com/launch?launch=123',
+        messagingHandle: 'handle-1',
+      };
+      const newState = reducer(state, action);
+      expect(newState.launchLinks).toEqual({ 'http://example.com/launch': { default: 'http://example.com/launch?launch=123' } });
+      expect(newState.messagingHandles).toEqual({ 'http://example.com/launch?launch=123': 'handle-1' });
+    });
+
+    it('does not store a messaging handle for links that cannot be launched', () => {
+      const action = { type: types.STORE_LAUNCH_LINK, url: 'http://example.com/launch', remappedUrl: null, messagingHandle: 'handle-1' };
+      expect(reducer(state, action).messagingHandles).toEqual({});
+    });
+  });
+
   describe('STORE_SERVICE_EXCHANGE', () => {
     it('should return the state if action does not qualify state change', () => {
       const action = { type: types.STORE_SERVICE_EXCHANGE };
@@ -39,14 +66,222 @@ describe('Services Exchange Reducers', () => {
 
       const newState = Object.assign({}, state, {
         exchanges: {
-          [action.url]: storedExchange
+          [action.url]: Object.assign({ validationIssues: null }, storedExchange),
         },
         hiddenCards: {
           [action.url]: []
-        }
+        },
+        takenSuggestions: {
+          [action.url]: {}
+        },
+        history: [Object.assign({
+          id: 1,
+          url,
+          exchangeRound: undefined,
+          screen: null,
+          triggerPoint: null,
+          timestamp: undefined,
+          validationIssues: null,
+        }, storedExchange)],
       });
       expect(reducer(state, action)).toEqual(newState);
     });
+
+    it('should append every exchange to the history, tagged with the screen and trigger point of its round', () => {
+      const roundAction = {
+        type: types.CREATE_EXCHANGE_ROUND,
+        id: 3,
+        screen: 'rx-view',
+        triggerPoint: 'rx-view/order-select',
+      };
+      const exchangeAction = Object.assign({
+        type: types.STORE_SERVICE_EXCHANGE,
+        url,
+        exchangeRound: 3,
+        timestamp: '2020-01-01T00:00:00.000Z',
+      }, storedExchange);
+      const newerExchangeAction = Object.assign({}, exchangeAction, {
+        response: 'newer-response',
+        exchangeRound: 4,
+      });
+
+      let newState = reducer(state, roundAction);
+      newState = reducer(newState, exchangeAction);
+      newState = reducer(newState, newerExchangeAction);
+
+      expect(newState.exchanges[url].response).toEqual('newer-response');
+      expect(newState.history).toEqual([
+        Object.assign({
+          id: 1,
+          url,
+          exchangeRound: 3,
+          screen: 'rx-view',
+          triggerPoint: 'rx-view/order-select',
+          timestamp: exchangeAction.timestamp,
+          validationIssues: null,
+        }, storedExchange),
+        Object.assign({
+          id: 2,
+          url,
+          exchangeRound: 4,
+          screen: null,
+          triggerPoint: null,
+          timestamp: exchangeAction.timestamp,
+          validationIssues: null,
+        }, storedExchange, { response: 'newer-response' }),
+      ]);
+    });
+
+    it('should validate a JSON response and store its issues with the exchange and history entry', () => {
+      const action = Object.assign({ type: types.STORE_SERVICE_EXCHANGE, url }, storedExchange, {
+        response: { cards: [{ summary: 'Summary', indicator: 'urgent', source: { label: 'Source' } }] },
+      });
+      const newState = reducer(state, action);
+      const expectedIssues = [{
+        severity: 'error',
+        path: 'cards[0].indicator',
+        message: '"indicator" must be one of info, warning, critical (found "urgent")',
+      }];
+      expect(newState.exchanges[url].validationIssues).toEqual(expectedIssues);
+      expect(newState.history[0].validationIssues).toEqual(expectedIssues);
+    });
+
+    it('should store the details recorded about an exchange with the exchange and history entry', () => {
+      const details = { prefetchLog: [{ key: 'encounter', error: 'Could not resolve' }] };
+      const action = Object.assign({ type: types.STORE_SERVICE_EXCHANGE, url, details }, storedExchange);
+      const newState = reducer(state, action);
+      expect(newState.exchanges[url].prefetchLog).toEqual(details.prefetchLog);
+      expect(newState.history[0].prefetchLog).toEqual(details.prefetchLog);
+    });
+
+    it('should drop the oldest history entries beyond the maximum history length', () => {
+      const action = Object.assign({ type: types.STORE_SERVICE_EXCHANGE, url }, storedExchange);
+      let newState = state;
+      for (let i = 0; i < MAX_HISTORY_ENTRIES + 2; i += 1) {
+        newState = reducer(newState, action);
+      }
+      expect(newState.history).toHaveLength(MAX_HISTORY_ENTRIES);
+      expect(newState.history[0].id).toEqual(3);
+      expect(newState.history[MAX_HISTORY_ENTRIES - 1].id).toEqual(MAX_HISTORY_ENTRIES + 2);
+    });
+
+    it('should drop the exchange rounds of the entries dropped from the history, keeping the rounds still in flight', () => {
+      const otherUrl = 'http://example.com/cds-services/id-2';
+      const round = { screen: 'patient-view', triggerPoint: 'face-sheet/patient-view' };
+      state.exchanges[otherUrl] = Object.assign({ exchangeRound: 1 }, storedExchange);
+      state.exchangeRounds = {
+        1: round, 2: round, 3: round, 4: round, 5: round,
+      };
+      state.history = Array.from({ length: MAX_HISTORY_ENTRIES }, (value, index) => Object.assign({
+        id: index + 1, url, exchangeRound: index < 100 ? 2 : 3,
+      }, storedExchange));
+      const action = Object.assign({ type: types.STORE_SERVICE_EXCHANGE, url, exchangeRound: 3 }, storedExchange);
+
+      let newState = reducer(state, action);
+      expect(Object.keys(newState.exchangeRounds)).toEqual(['1', '2', '3', '4', '5']);
+      for (let i = 0; i < 100; i += 1) {
+        newState = reducer(newState, action);
+      }
+      expect(Object.keys(newState.exchangeRounds)).toEqual(['1', '3', '4', '5']);
+    });
+  });
+
+  describe('STORE_RESPONSE_HANDLING_TIME', () => {
+    it('should add the response handling time to the timings of the exchange and its history entry', () => {
+      const timings = { prefetch: 200, request: 300, responseHandling: null, total: 500 };
+      const exchange = Object.assign({ timings }, storedExchange, { request: { hookInstance: 'hook-instance' } });
+      state.exchanges[url] = exchange;
+      state.history = [
+        Object.assign({ id: 1, url, timings }, storedExchange, { request: { hookInstance: 'older-hook-instance' } }),
+        Object.assign({ id: 2, url }, exchange),
+      ];
+      const action = { type: types.STORE_RESPONSE_HANDLING_TIME, url, hookInstance: 'hook-instance', duration: 12 };
+      const newState = reducer(state, action);
+      const expectedTimings = { prefetch: 200, request: 300, responseHandling: 12, total: 512 };
+      expect(newState.exchanges[url].timings).toEqual(expectedTimings);
+      expect(newState.history[0]).toBe(state.history[0]);
+      expect(newState.history[1].timings).toEqual(expectedTimings);
+    });
+
+    it('should not update the exchange of a later request', () => {
+      state.exchanges[url] = Object.assign({ timings: { prefetch: 0, request: 10, total: 10 } }, storedExchange, {
+        request: { hookInstance: 'later-hook-instance' },
+      });
+      const action = { type: types.STORE_RESPONSE_HANDLING_TIME, url, hookInstance: 'hook-instance', duration: 12 };
+      expect(reducer(state, action).exchanges).toEqual(state.exchanges);
+    });
+  });
+
+  describe('STORE_SERVICE_EXCHANGE of a stale exchange', () => {
+    it('should only add a stale exchange to the history', () => {
+      state.exchanges[url] = Object.assign({ exchangeRound: 2 }, storedExchange);
+      state.hiddenCards[url] = ['1'];
+      const action = Object.assign({
+        type: types.STORE_SERVICE_EXCHANGE,
+        url,
+        exchangeRound: 1,
+        details: { stale: { supersededBy: 2 } },
+      }, storedExchange, { response: 'Request cancelled: Superseded by exchange round 2' });
+      const newState = reducer(state, action);
+      expect(newState.exchanges).toEqual(state.exchanges);
+      expect(newState.hiddenCards).toEqual(state.hiddenCards);
+      expect(newState.history).toHaveLength(1);
+      expect(newState.history[0]).toMatchObject({
+        url,
+        exchangeRound: 1,
+        response: 'Request cancelled: Superseded by exchange round 2',
+        stale: { supersededBy: 2 },
+      });
+    });
+  });
+
+  describe('STORE_SERVICE_EXCHANGE of a resent request', () => {
+    it('should only add a resent exchange to the history', () => {
+      state.exchanges[url] = Object.assign({ exchangeRound: 2 }, storedExchange);
+      state.hiddenCards[url] = ['1'];
+      state.takenSuggestions[url] = { 'card-1': [0] };
+      [7, null].forEach((resentFrom) => {
+        const action = Object.assign({
+          type: types.STORE_SERVICE_EXCHANGE,
+          url,
+          exchangeRound: 2,
+          details: { resentFrom },
+        }, storedExchange, { request: { hookInstance: 'resent-hook-instance' } });
+        const newState = reducer(state, action);
+        expect(newState.exchanges).toEqual(state.exchanges);
+        expect(newState.hiddenCards).toEqual(state.hiddenCards);
+        expect(newState.takenSuggestions).toEqual(state.takenSuggestions);
+        expect(newState.history).toHaveLength(1);
+        expect(newState.history[0]).toMatchObject({ url, request: { hookInstance: 'resent-hook-instance' }, resentFrom });
+      });
+    });
+  });
+
+  describe('CREATE_EXCHANGE_ROUND', () => {
+    it('should store the screen and trigger point of an exchange round', () => {
+      const action = {
+        type: types.CREATE_EXCHANGE_ROUND,
+        id: 1,
+        screen: 'patient-view',
+        triggerPoint: 'face-sheet/patient-view',
+      };
+      expect(reducer(state, action).exchangeRounds).toEqual({
+        1: { screen: 'patient-view', triggerPoint: 'face-sheet/patient-view' },
+      });
+    });
+  });
+
+  describe('SELECT_HISTORY_ENTRY', () => {
+    it('should store the selected history entry', () => {
+      const action = { type: types.SELECT_HISTORY_ENTRY, id: 2 };
+      expect(reducer(state, action)).toEqual(Object.assign({}, state, { selectedHistoryEntry: 2 }));
+    });
+
+    it('should clear the selected history entry', () => {
+      state.selectedHistoryEntry = 2;
+      const action = { type: types.SELECT_HISTORY_ENTRY, id: null };
+      expect(reducer(state, action)).toEqual(Object.assign({}, state, { selectedHistoryEntry: null }));
+    });
   });
 
   describe('SELECT_SERVICE_CONTEXT', () => {
@@ -80,14 +315,84 @@ describe('Services Exchange Reducers', () => {
     });
   });
 
+  describe('TAKE_CARD_SUGGESTION', () => {
+    it('should add the suggestion index to the suggestions taken from the card', () => {
+      state.takenSuggestions[url] = { '1': [0] };
+      const action = { type: types.TAKE_CARD_SUGGESTION, serviceUrl: url, cardUUID: '1', suggestionIndex: 2 };
+      expect(reducer(state, action).takenSuggestions).toEqual({ [url]: { '1': [0, 2] } });
+    });
+
+    it('should forget the suggestions taken from the cards of a service once it returns new cards', () => {
+      state.takenSuggestions[url] = { '1': [0] };
+      const action = Object.assign({ type: types.STORE_SERVICE_EXCHANGE, url }, storedExchange);
+      expect(reducer(state, action).takenSuggestions).toEqual({ [url]: {} });
+    });
+  });
+
+  describe('Feedback', () => {
+    const cardFeedback = { card: 'card-2', outcome: 'overridden' };
+
+    it('queues card outcomes per service and clears them', () => {
+      let newState = reducer(state, { type: types.QUEUE_FEEDBACK, url, cardFeedback });
+      newState = reducer(newState, { type: types.QUEUE_FEEDBACK, url, cardFeedback: { card: 'card-3', outcome: 'accepted' } });
+      expect(newState.pendingFeedback[url]).toEqual([cardFeedback, { card: 'card-3', outcome: 'accepted' }]);
+      expect(reducer(newState, { type: types.CLEAR_PENDING_FEEDBACK, url }).pendingFeedback).toEqual({});
+    });
+
+    it('records feedback requests alongside the exchange that returned their cards', () => {
+      state.history = [
+        Object.assign({ id: 1, url }, storedExchange, { response: { cards: [{ uuid: 'card-2' }] } }),
+        Object.assign({ id: 2, url }, storedExchange, { response: { cards: [{ uuid: 'card-9' }] } }),
+      ];
+      const action = {
+        type: types.STORE_FEEDBACK,
+        url,
+        feedback: [cardFeedback],
+        status: 500,
+        response: null,
+        error: 'Request failed with status code 500',
+        timestamp: '2020-01-01T00:00:00.000Z',
+      };
+      let newState = reducer(state, action);
+      expect(newState.feedbackLog).toEqual([{
+        id: 1,
+        url,
+        historyEntry: 1,
+        timestamp: action.timestamp,
+        feedback: [cardFeedback],
+        status: 500,
+        response: null,
+        error: 'Request failed with status code 500',
+      }]);
+
+      // Cards no longer in the history are attributed to the latest exchange of the service
+      newState = reducer(newState, { ...action, feedback: [{ card: 'card-5', outcome: 'accepted' }] });
+      expect(newState.feedbackLog[1]).toMatchObject({ id: 2, historyEntry: 2 });
+    });
+
+    it('toggles the batching of card outcomes', () => {
+      expect(reducer(state, { type: types.SET_FEEDBACK_BATCHING, isBatched: true }).isFeedbackBatched).toBe(true);
+    });
+  });
+
   describe('RESET_SERVICES', () => {
     it('should reset the exchanges hash and any selected service', () => {
       state.exchanges[url] = storedExchange;
       state.hiddenCards[url] = ['1', '2']
+      state.takenSuggestions[url] = { '1': [0] };
+      state.history = [Object.assign({ id: 1, url }, storedExchange)];
+      state.selectedHistoryEntry = 1;
+      state.feedbackLog = [{ id: 1, url, feedback: [] }];
+      state.pendingFeedback = { [url]: [{ card: 'card-1', outcome: 'accepted' }] };
       const stateCopy = JSON.parse(JSON.stringify(state));
+      stateCopy.feedbackLog = [];
+      stateCopy.pendingFeedback = {};
       stateCopy.exchanges = {};
       stateCopy.selectedService = '';
       stateCopy.hiddenCards = {};
+      stateCopy.takenSuggestions = {};
+      stateCopy.history = [];
+      stateCopy.selectedHistoryEntry = null;
       const action = { type: types.RESET_SERVICES };
       expect(reducer(state, action)).toEqual(stateCopy);
     });
@@ -121,10 +426,23 @@ describe('Services Exchange Reducers', () => {
       state.exchanges[url] = storedExchange;
       state.selectedService = url;
       state.hiddenCards[url] = ['1', '2'];
+      state.takenSuggestions[url] = { '1': [0] };
+      state.history = [
+        Object.assign({ id: 1, url }, storedExchange),
+        Object.assign({ id: 2, url: 'http://other.com/cds-services/id-2' }, storedExchange),
+      ];
+      state.selectedHistoryEntry = 1;
+      state.feedbackLog = [{ id: 1, url, feedback: [] }, { id: 2, url: 'http://other.com/cds-services/id-2', feedback: [] }];
+      state.pendingFeedback = { [url]: [{ card: 'card-1', outcome: 'accepted' }] };
       const stateCopy = JSON.parse(JSON.stringify(state));
+      stateCopy.feedbackLog = [state.feedbackLog[1]];
+      stateCopy.pendingFeedback = {};
       stateCopy.exchanges =  {};
       stateCopy.selectedService = '';
       stateCopy.hiddenCards = {};
+      stateCopy.takenSuggestions = {};
+      stateCopy.history = [state.history[1]];
+      stateCopy.selectedHistoryEntry = null;
       const action = {
         type: types.DELETE_SERVICE,
         service: url,
@@ -144,6 +462,27 @@ describe('Services Exchange Reducers', () => {
       expect(reducer(state, action)).toEqual(stateCopy);
     });
 
+    it('should remove the history entries and feedback of a service with no stored exchange', () => {
+      const otherUrl = 'http://other.com/cds-services/id-2';
+      state.history = [
+        Object.assign({ id: 1, url, stale: { supersededBy: 2 } }, storedExchange),
+        Object.assign({ id: 2, url, resentFrom: 1 }, storedExchange),
+        Object.assign({ id: 3, url: otherUrl }, storedExchange),
+      ];
+      state.selectedHistoryEntry = 2;
+      state.feedbackLog = [{ id: 1, url, historyEntry: 1, feedback: [] }];
+      state.pendingFeedback = { [url]: [{ card: 'card-1', outcome: 'accepted' }] };
+      const action = {
+        type: types.DELETE_SERVICE,
+        service: url,
+      };
+      const newState = reducer(state, action);
+      expect(newState.history).toEqual([state.history[2]]);
+      expect(newState.selectedHistoryEntry).toEqual(null);
+      expect(newState.feedbackLog).toEqual([]);
+      expect(newState.pendingFeedback).toEqual({});
+    });
+
     it('should not update state if action service property does not exist in exchanges', () => {
       const action = {
         type: types.DELETE_SERVICE,
@@ -158,7 +497,8 @@ describe('Services Exchange Reducers', () => {
       const action = {
         type: types.SET_HOOK,
       };
-      expect(reducer(state, action)).toEqual(Object.assign({}, state, { selectedService: '' }));
+      state.selectedHistoryEntry = 1;
+      expect(reducer(state, action)).toEqual(Object.assign({}, state, { selectedService: '', selectedHistoryEntry: null }));
     });
   });
 
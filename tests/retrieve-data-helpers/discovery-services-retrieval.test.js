@@ -10,6 +10,8 @@ describe('Discovery Services Retrieval', () => {
   let mockStore = {};
   let retrieveServices;
   let jwtMock = 'jwt-mock';
+  let generateJwtMock;
+  const jwtSettingsState = { issuer: 'https://ehr.example.com', kid: 'custom-kid' };
   console.error = jest.fn();
   console.log = jest.fn();
 
@@ -19,9 +21,12 @@ describe('Discovery Services Retrieval', () => {
       cdsServicesState: {
         defaultUrl: defaultServicesUrl,
       },
+      jwtSettingsState,
     });
+    generateJwtMock = jest.fn(() => jwtMock);
+    generateJwtMock.hasSignedJwtFor = jest.fn(() => true);
     jest.setMock('../../src/store/store', mockStore);
-    jest.setMock('../../src/retrieve-data-helpers/jwt-generator', () => jwtMock);
+    jest.setMock('../../src/retrieve-data-helpers/jwt-generator', generateJwtMock);
     axios = require('axios').default;
     mockAxios = new MockAdapter(axios);
     retrieveServices = require('../../src/retrieve-data-helpers/discovery-services-retrieval').default;
@@ -52,6 +57,7 @@ describe('Discovery Services Retrieval', () => {
       const service = {
         id: 'example-id',
         hook: 'patient-view',
+        description: 'Example service',
       };
       mockAxios.onGet(`${defaultServicesUrl}`)
         .reply((config) => {
@@ -60,7 +66,27 @@ describe('Discovery Services Retrieval', () => {
         });
 
       return retrieveServices().then(() => {
-        expect(spy).toHaveBeenCalledWith([service], defaultServicesUrl);
+        expect(generateJwtMock).toHaveBeenCalledWith(defaultServicesUrl, jwtSettingsState);
+        expect(spy).toHaveBeenCalledWith([service], defaultServicesUrl, [[]]);
+        spy.mockReset();
+        spy.mockRestore();
+      });
+    });
+
+    it('lints each service definition found at the discovery endpoint', () => {
+      const spy = jest.spyOn(actions, 'signalSuccessServicesRetrieval');
+      const service = {
+        id: 'example-id',
+        hook: 'unknown-hook',
+        description: 'Example service',
+      };
+      mockAxios.onGet(`${defaultServicesUrl}`)
+        .reply(200, { services: [service] });
+
+      return retrieveServices().then(() => {
+        expect(spy).toHaveBeenCalledWith([service], defaultServicesUrl, [[
+          { severity: 'warning', path: 'hook', message: 'Unknown hook "unknown-hook"' },
+        ]]);
         spy.mockReset();
         spy.mockRestore();
       });
@@ -90,4 +116,67 @@ describe('Discovery Services Retrieval', () => {
       });
     });
   });
+
+  describe('When a services call to the discovery endpoint is sent with an auth fault', () => {
+    it('stores the status the discovery endpoint rejected the request with, without storing services', () => {
+      mockAxios.onGet(`${defaultServicesUrl}`).reply(401);
+      return retrieveServices(defaultServicesUrl, 'expired-exp').then((result) => {
+        expect(result).toEqual({ authFault: 'expired-exp', status: 401 });
+        expect(generateJwtMock).toHaveBeenCalledWith(defaultServicesUrl, jwtSettingsState, 'expired-exp');
+        expect(mockStore.getActions()).toEqual([
+          actions.storeDiscoveryAuthFault(defaultServicesUrl, 'expired-exp', 401),
+        ]);
+      });
+    });
+
+    it('stores the status of a discovery endpoint accepting the request', () => {
+      mockAxios.onGet(`${defaultServicesUrl}`).reply(200, { services: [{ id: 'example-id' }] });
+      return retrieveServices(null, 'wrong-aud').then((result) => {
+        expect(result).toEqual({ authFault: 'wrong-aud', status: 200 });
+        expect(mockStore.getActions()).toEqual([
+          actions.storeDiscoveryAuthFault(defaultServicesUrl, 'wrong-aud', 200),
+        ]);
+      });
+    });
+
+    it('sends no Authorization header for the missing-authorization auth fault', () => {
+      mockAxios.onGet(`${defaultServicesUrl}`).reply((config) => {
+        expect(config.headers.Authorization).toBeUndefined();
+        return [403];
+      });
+      return retrieveServices(defaultServicesUrl, 'missing-authorization').then((result) => {
+        expect(result).toEqual({ authFault: 'missing-authorization', status: 403 });
+        expect(generateJwtMock).not.toHaveBeenCalled();
+      });
+    });
+
+    it('sends a valid JWT, storing the fault as not introduced, until a JWT was sent to the discovery endpoint', () => {
+      generateJwtMock.hasSignedJwtFor.mockReturnValue(false);
+      mockAxios.onGet(`${defaultServicesUrl}`).reply(200, { services: [] });
+      return retrieveServices(defaultServicesUrl, 'replayed-jti').then((result) => {
+        expect(result).toEqual({ authFault: 'replayed-jti', status: 200, isNotIntroduced: true });
+        expect(generateJwtMock.hasSignedJwtFor).toHaveBeenCalledWith(defaultServicesUrl);
+        expect(generateJwtMock).toHaveBeenCalledWith(defaultServicesUrl, jwtSettingsState, 'none');
+        expect(mockStore.getActions()).toEqual([
+          actions.storeDiscoveryAuthFault(defaultServicesUrl, 'replayed-jti', 200, true),
+        ]);
+      });
+    });
+
+    it('rejects, without sending the request, if the JWT cannot be signed', () => {
+      generateJwtMock.mockImplementation(() => { throw new Error('Invalid private key'); });
+      const retrieval = retrieveServices(defaultServicesUrl, 'expired-exp');
+      return expect(retrieval).rejects.toThrow('Invalid private key').then(() => {
+        expect(mockAxios.history.get).toHaveLength(0);
+        expect(mockStore.getActions()).toEqual([]);
+      });
+    });
+
+    it('stores a null status if the discovery endpoint could not be reached', () => {
+      mockAxios.onGet(`${defaultServicesUrl}`).networkError();
+      return retrieveServices(defaultServicesUrl, 'bad-signature').then((result) => {
+        expect(result).toEqual({ authFault: 'bad-signature', status: null });
+      });
+    });
+  });
 });
@@ -0,0 +1,130 @@
+import configureStore from 'redux-mock-store';
+import MockAdapter from 'axios-mock-adapter';
+
+import * as types from '../../src/actions/action-types';
+
+describe('Feedback Sender', () => {
+  console.error = jest.fn();
+  let mockAxios;
+  let axios;
+  let mockStore;
+  let storeState;
+  let submitCardFeedback;
+  let sendPendingFeedback;
+  let generateJwtMock;
+
+  const serviceUrl = 'http://example.com/cds-services/id-1';
+  const jwtSettingsState = { issuer: 'https://ehr.example.com', kid: 'custom-kid' };
+  const cardFeedback = { card: 'card-1', outcome: 'accepted', acceptedSuggestions: [{ id: 'suggestion-1' }] };
+  const otherFeedback = { card: 'card-2', outcome: 'overridden' };
+
+  function setup() {
+    mockStore = configureStore([])(storeState);
+    generateJwtMock = jest.fn(() => 'jwt-mock');
+    jest.setMock('../../src/store/store', mockStore);
+    jest.setMock('../../src/retrieve-data-helpers/jwt-generator', generateJwtMock);
+    axios = require('axios').default;
+    mockAxios = new MockAdapter(axios);
+    ({ default: submitCardFeedback, sendPendingFeedback } = require('../../src/retrieve-data-helpers/feedback-sender'));
+  }
+
+  beforeEach(() => {
+    storeState = {
+      jwtSettingsState,
+      serviceExchangeState: { isFeedbackBatched: false, pendingFeedback: {} },
+    };
+  });
+
+  afterEach(() => {
+    mockAxios.reset();
+    jest.resetModules();
+  });
+
+  it('sends the outcome of a card right away, and records the request', () => {
+    setup();
+    mockAxios.onPost(`${serviceUrl}/feedback`).reply((config) => {
+      expect(config.headers.Authorization).toEqual('Bearer jwt-mock');
+      expect(JSON.parse(config.data)).toEqual({ feedback: [cardFeedback] });
+      return [200, ''];
+    });
+    return submitCardFeedback(serviceUrl, cardFeedback).then(() => {
+      expect(generateJwtMock).toHaveBeenCalledWith(`${serviceUrl}/feedback`, jwtSettingsState);
+      expect(mockStore.getActions()).toEqual([expect.objectContaining({
+        type: types.STORE_FEEDBACK, url: serviceUrl, feedback: [cardFeedback], status: 200, response: '', error: null,
+      })]);
+    });
+  });
+
+  it('records the status, response and error of a failed request', () => {
+    setup();
+    mockAxios.onPost(`${serviceUrl}/feedback`).reply(400, { error: 'Unknown card' });
+    return submitCardFeedback(serviceUrl, cardFeedback).then(() => {
+      expect(mockStore.getActions()).toEqual([expect.objectContaining({
+        status: 400, response: { error: 'Unknown card' }, error: 'Request failed with status code 400',
+      })]);
+    });
+  });
+
+  it('records a request that got no response', () => {
+    setup();
+    mockAxios.onPost(`${serviceUrl}/feedback`).networkError();
+    return submitCardFeedback(serviceUrl, cardFeedback).then(() => {
+      expect(mockStore.getActions()).toEqual([expect.objectContaining({ status: null, response: null, error: 'Network Error' })]);
+    });
+  });
+
+  it('records a request whose JWT could not be signed, without sending it', () => {
+    setup();
+    generateJwtMock.mockImplementation(() => { throw new Error('Invalid private key'); });
+    return submitCardFeedback(serviceUrl, cardFeedback).then(() => {
+      expect(mockAxios.history.post).toHaveLength(0);
+      expect(mockStore.getActions()).toEqual([expect.objectContaining({
+        type: types.STORE_FEEDBACK,
+        feedback: [cardFeedback],
+        status: null,
+        response: null,
+        error: 'The Sandbox could not sign the JWT of the feedback request: Invalid private key',
+      })]);
+    });
+  });
+
+  it('records the queued outcomes of a service whose JWT could not be signed', () => {
+    storeState.serviceExchangeState.pendingFeedback = { [serviceUrl]: [cardFeedback, otherFeedback] };
+    setup();
+    generateJwtMock.mockImplementation(() => { throw new Error('Invalid private key'); });
+    return sendPendingFeedback(serviceUrl).then(() => {
+      expect(mockStore.getActions()).toEqual([
+        expect.objectContaining({ type: types.CLEAR_PENDING_FEEDBACK }),
+        expect.objectContaining({ type: types.STORE_FEEDBACK, feedback: [cardFeedback, otherFeedback], status: null }),
+      ]);
+    });
+  });
+
+  it('queues the outcome of a card if card outcomes are batched', () => {
+    storeState.serviceExchangeState.isFeedbackBatched = true;
+    setup();
+    return submitCardFeedback(serviceUrl, cardFeedback).then(() => {
+      expect(mockAxios.history.post).toHaveLength(0);
+      expect(mockStore.getActions()).toEqual([{ type: types.QUEUE_FEEDBACK, url: serviceUrl, cardFeedback }]);
+    });
+  });
+
+  it('sends the queued outcomes of a service in a single request', () => {
+    storeState.serviceExchangeState.pendingFeedback = { [serviceUrl]: [cardFeedback, otherFeedback] };
+    setup();
+    mockAxios.onPost(`${serviceUrl}/feedback`).reply(200);
+    return sendPendingFeedback(serviceUrl).then(() => {
+      expect(mockAxios.history.post).toHaveLength(1);
+      expect(JSON.parse(mockAxios.history.post[0].data)).toEqual({ feedback: [cardFeedback, otherFeedback] });
+      expect(mockStore.getActions().map((action) => action.type)).toEqual([types.CLEAR_PENDING_FEEDBACK, types.STORE_FEEDBACK]);
+    });
+  });
+
+  it('sends nothing if no outcome is queued', () => {
+    setup();
+    return sendPendingFeedback(serviceUrl).then(() => {
+      expect(mockAxios.history.post).toHaveLength(0);
+      expect(mockStore.getActions()).toEqual([]);
+    });
+  });
+});
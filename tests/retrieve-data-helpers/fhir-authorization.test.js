@@ -0,0 +1,90 @@
+import MockAdapter from 'axios-mock-adapter';
+import retrieveFhirAuthorization from '../../src/retrieve-data-helpers/fhir-authorization';
+import { getMockSmartServerUrl } from '../../src/retrieve-data-helpers/launch-context-retrieval';
+import { productionClientId, allScopes } from '../../src/config/fhir-config';
+import { DEFAULT_SERVICE_SETTINGS } from '../../src/reducers/helpers/service-settings';
+
+describe('FHIR Authorization Retrieval', () => {
+  let mockAxios;
+  let axios;
+  let state;
+
+  const fhirServer = 'http://fhir-server-example.com';
+  const accessToken = { access_token: 'access-token', expires_in: '600' };
+  const serviceDefinition = {
+    prefetch: {
+      patient: 'Patient/{{context.patientId}}',
+      observations: 'Observation?patient={{context.patientId}}',
+      labs: 'Observation?patient={{context.patientId}}&category=laboratory',
+    },
+  };
+  const settings = (mode, overrides) => ({ ...DEFAULT_SERVICE_SETTINGS, fhirAuthorizationMode: mode, ...overrides });
+
+  beforeEach(() => {
+    axios = require('axios').default;
+    mockAxios = new MockAdapter(axios);
+    state = {
+      fhirServerState: { currentFhirServer: fhirServer, accessToken },
+      patientState: { currentPatient: { id: 'patient-1' } },
+    };
+  });
+
+  afterEach(() => {
+    mockAxios.reset();
+  });
+
+  it('sends the access token of the Sandbox', () => (
+    retrieveFhirAuthorization(state, serviceDefinition, settings('sandbox')).then((result) => {
+      expect(result).toEqual({
+        fhirServer,
+        fhirAuthorization: {
+          access_token: 'access-token',
+          token_type: 'Bearer',
+          expires_in: '600',
+          scope: allScopes,
+          subject: productionClientId,
+        },
+      });
+    })
+  ));
+
+  it('sends the configured subject and patient with the access token of the Sandbox', () => {
+    const overrides = { fhirAuthorizationSubject: 'client-1', fhirAuthorizationPatient: 'patient-2' };
+    return retrieveFhirAuthorization(state, serviceDefinition, settings('sandbox', overrides)).then((result) => {
+      expect(result.fhirAuthorization).toMatchObject({ subject: 'client-1', patient: 'patient-2' });
+    });
+  });
+
+  it('sends no fhirAuthorization without an access token, or in the none mode', () => {
+    state.fhirServerState.accessToken = null;
+    return Promise.all([
+      retrieveFhirAuthorization(state, serviceDefinition, settings('sandbox')),
+      retrieveFhirAuthorization({ ...state, fhirServerState: { currentFhirServer: fhirServer, accessToken } }, serviceDefinition, settings('none')),
+    ]).then((results) => {
+      expect(results).toEqual([{ fhirServer }, { fhirServer }]);
+    });
+  });
+
+  it('mints a token scoped to the prefetch resource types, valid against the mock SMART server', () => {
+    const mockServerUrl = getMockSmartServerUrl(fhirServer);
+    const token = { access_token: 'minted-token', token_type: 'Bearer' };
+    mockAxios.onPost(`${mockServerUrl}/_services/smart/Token`).reply((config) => {
+      expect(config.headers.Authorization).toEqual('Bearer access-token');
+      expect(JSON.parse(config.data)).toEqual({
+        scope: 'patient/Patient.read patient/Observation.read',
+        subject: 'client-1',
+        patient: 'patient-1',
+      });
+      return [200, token];
+    });
+    return retrieveFhirAuthorization(state, serviceDefinition, settings('scoped', { fhirAuthorizationSubject: 'client-1' }))
+      .then((result) => {
+        expect(result).toEqual({ fhirServer: mockServerUrl, fhirAuthorization: token });
+      });
+  });
+
+  it('rejects if a token cannot be minted', () => {
+    mockAxios.onPost(`${getMockSmartServerUrl(fhirServer)}/_services/smart/Token`).reply(400);
+    return expect(retrieveFhirAuthorization(state, serviceDefinition, settings('scoped'))).rejects.toBeTruthy();
+  });
+});
@@ -0,0 +1,54 @@
+import MockAdapter from 'axios-mock-adapter';
+
+describe('JWKS Registration', () => {
+  let mockAxios;
+  let axios;
+  let registerPublicKey;
+  let getLocalJwksUrl;
+  let settings;
+
+  beforeEach(() => {
+    axios = require('axios').default;
+    mockAxios = new MockAdapter(axios);
+    ({ default: registerPublicKey, getLocalJwksUrl } = require('../../src/retrieve-data-helpers/jwks-registration'));
+    settings = {
+      issuer: 'https://sandbox.cds-hooks.org',
+      algorithm: 'ES384',
+      kid: 'custom-kid',
+      jku: 'https://cds-client.org/.well-known/jwks.json',
+      privateKey: 'private-key',
+      publicJwk: { kty: 'EC', crv: 'P-384', x: 'x', y: 'y' },
+    };
+  });
+
+  afterEach(() => {
+    mockAxios.reset();
+    jest.resetModules();
+  });
+
+  it('points to the JWKS served by the Sandbox', () => {
+    expect(getLocalJwksUrl()).toEqual('https://cds-client.org/.well-known/jwks.json');
+  });
+
+  it('registers the public key with the kid and algorithm of the settings', async () => {
+    const expectedJwk = {
+      kty: 'EC', crv: 'P-384', x: 'x', y: 'y', kid: 'custom-kid', alg: 'ES384', use: 'sig',
+    };
+    mockAxios.onPost('https://cds-client.org/jwks/keys').reply((config) => {
+      expect(JSON.parse(config.data)).toEqual(expectedJwk);
+      return [201, expectedJwk];
+    });
+    await expect(registerPublicKey(settings)).resolves.toEqual(expectedJwk);
+    expect(mockAxios.history.post.length).toEqual(1);
+  });
+
+  it('does not register anything if the Sandbox signs with its own key pair', async () => {
+    await expect(registerPublicKey({ ...settings, privateKey: null, publicJwk: null })).resolves.toEqual(null);
+    expect(mockAxios.history.post.length).toEqual(0);
+  });
+
+  it('rejects if the public key could not be registered', async () => {
+    mockAxios.onPost('https://cds-client.org/jwks/keys').reply(400, { error: 'Bad JWK' });
+    await expect(registerPublicKey(settings)).rejects.toBeTruthy();
+  });
+});
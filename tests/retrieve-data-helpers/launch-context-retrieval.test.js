@@ -1,6 +1,6 @@
 import configureStore from 'redux-mock-store';
 import MockAdapter from 'axios-mock-adapter';
-import retrieveLaunchContext from '../../src/retrieve-data-helpers/launch-context-retrieval';
+import retrieveLaunchContext, { getMockSmartServerUrl } from '../../src/retrieve-data-helpers/launch-context-retrieval';
 
 describe('Launch Context Retrieval', () => {
   console.error = jest.fn();
@@ -58,6 +58,15 @@ describe('Launch Context Retrieval', () => {
         });
       });
 
+      it('gives the app a SMART Web Messaging handle in its launch context', () => {
+        return retrieveLaunchContext(link, accessToken, patientId, defaultFhirServer).then((result) => {
+          const { parameters } = JSON.parse(mockAxios.history.post[0].data);
+          expect(result.messagingHandle).toEqual(expect.any(String));
+          expect(parameters.smart_web_messaging_handle).toEqual(result.messagingHandle);
+          expect(parameters.smart_web_messaging_origin).toEqual(window.origin);
+        });
+      });
+
       it('resolves even if link already has query parameter', () => {
         link.url += '?stuff=stuff';
         newUrl = `${link.url}&launch=123&iss=${defaultFhirServer}`;
@@ -68,6 +77,25 @@ describe('Launch Context Retrieval', () => {
     });
   });
 
+  describe('When the FHIR server is open (no access token)', () => {
+    it('encodes the FHIR server URL in the base URL of the mock SMART authorization server', () => {
+      expect(getMockSmartServerUrl('http://a.com/fhir?'))
+        .toEqual(`${window.location.origin}/mock-smart/aHR0cDovL2EuY29tL2ZoaXI_/fhir`);
+    });
+
+    it('launches the app against the mock SMART authorization server, with the patient and user in context', () => {
+      const mockServerUrl = getMockSmartServerUrl(defaultFhirServer);
+      mockAxios.onPost(`${mockServerUrl}/_services/smart/Launch`).reply(200, { launch_id: '123' });
+      link.appContext = 'app-context';
+      return retrieveLaunchContext(link, null, patientId, defaultFhirServer, 'Practitioner/user-1').then((result) => {
+        expect(result.remappedUrl).toEqual(`${link.url}?launch=123&iss=${mockServerUrl}`);
+        const { launchUrl, parameters } = JSON.parse(mockAxios.history.post[0].data);
+        expect(launchUrl).toEqual(link.url);
+        expect(parameters).toMatchObject({ patient: patientId, user: 'Practitioner/user-1', appContext: 'app-context' });
+      });
+    });
+  });
+
   describe('When POST to launch endpoint call is unsuccessful', () => {
     it('rejects the Promise with a new link object containing an error status', () => {
       mockAxios.onPost(`${defaultFhirServer}/_services/smart/Launch`).reply(500);
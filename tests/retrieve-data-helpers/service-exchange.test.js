@@ -28,6 +28,8 @@ describe('Service Exchange', () => {
   let mockRequestWithContext;
   let mockRequestWithFhirAuthorization;
   let mockAccessToken;
+  let mockDetails;
+  let mockRequestHeaders;
 
   let noDataMessage = 'No response returned. Check developer tools for more details.';
   let failedServiceCallMessage = 'Could not get a response from the CDS Service. See developer tools for more details';
@@ -35,6 +37,7 @@ describe('Service Exchange', () => {
   let prefetchedData = 'prefetch';
   const mockServiceResult = { test: 'result' };
   const jwtMock = 'jwt-mock';
+  let generateJwtMock;
 
   function setMocksAndTestFunction(testStore) {
     const mockStoreWrapper = configureStore([]);
@@ -45,7 +48,9 @@ describe('Service Exchange', () => {
     mockAxios = new MockAdapter(axios);
     jest.mock('uuid/v4', () => { return jest.fn(() => { return mockHookInstance })});
     actions = require('../../src/actions/service-exchange-actions');
-    jest.setMock('../../src/retrieve-data-helpers/jwt-generator', () => jwtMock);
+    generateJwtMock = jest.fn(() => jwtMock);
+    generateJwtMock.hasSignedJwtFor = jest.fn(() => true);
+    jest.setMock('../../src/retrieve-data-helpers/jwt-generator', generateJwtMock);
     callServices = require('../../src/retrieve-data-helpers/service-exchange').default;
   }
 
@@ -58,6 +63,10 @@ describe('Service Exchange', () => {
     mockServiceNoEncoding = 'http://example.com/cds-services/id-3';
     mockServiceWithPrefetchEncoded = 'http://example.com/cds-services/id-4';
     mockHookInstance = '123';
+    mockRequestHeaders = { Accept: 'application/json', Authorization: `Bearer ${jwtMock}` };
+    mockDetails = {
+      prefetchMode: 'full', prefetchLog: [], timings: expect.any(Object), requestHeaders: mockRequestHeaders,
+    };
     mockAccessToken = {
       access_token: 'access-token',
       expires_in: '600',
@@ -155,7 +164,7 @@ describe('Service Exchange', () => {
           })
           .onPost(mockServiceWithPrefetch).reply(serviceResultStatus, mockServiceResult);
         return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetch).then(() => {
-          expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetch, mockRequestWithFhirAuthorization, mockServiceResult, serviceResultStatus, 0);
+          expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetch, mockRequestWithFhirAuthorization, mockServiceResult, serviceResultStatus, 0, { prefetchMode: 'full', prefetchLog: expect.any(Array), timings: expect.any(Object), requestHeaders: mockRequestHeaders });
         });
       });
 
@@ -164,7 +173,9 @@ describe('Service Exchange', () => {
           .reply(200, prefetchedData)
           .onPost(mockServiceNoEncoding).reply(200, {});
         return callServices(mockStore.dispatch, mockStore.getState(), mockServiceNoEncoding).then(() => {
-          expect(spy).toHaveBeenCalledWith(mockServiceNoEncoding, mockRequest, noDataMessage);
+          expect(spy).toHaveBeenCalledWith(mockServiceNoEncoding, mockRequest, noDataMessage, undefined, 0, {
+            prefetchMode: 'full', prefetchLog: expect.any(Array), timings: expect.any(Object), requestHeaders: mockRequestHeaders, error: expect.objectContaining({ type: 'empty-response' }),
+          });
         });
       });
 
@@ -175,7 +186,9 @@ describe('Service Exchange', () => {
           .onGet(`${mockFhirServer}/Patient/${mockPatient}`).reply(200, {})
           .onPost(mockServiceWithPrefetchEncoded).reply(500);
         return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetchEncoded).then(() => {
-          expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetchEncoded, mockRequest, failedServiceCallMessage);
+          expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetchEncoded, mockRequest, failedServiceCallMessage, undefined, 0, {
+            prefetchMode: 'full', prefetchLog: expect.any(Array), timings: expect.any(Object), requestHeaders: mockRequestHeaders, error: expect.objectContaining({ type: 'http', status: 500 }),
+          });
         });
       });
     });
@@ -187,12 +200,305 @@ describe('Service Exchange', () => {
           .reply(404)
           .onPost(mockServiceWithPrefetch).reply(serviceResultStatus, mockServiceResult);
         return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetch).then(() => {
-          expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0);
+          expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0, { prefetchMode: 'full', prefetchLog: expect.any(Array), timings: expect.any(Object), requestHeaders: mockRequestHeaders });
+        });
+      });
+    });
+
+    describe('the prefetch log', () => {
+      let observationQuery;
+      beforeEach(() => {
+        observationQuery = `Observation?code=${encodeURIComponent('http://loinc.org|2857-1')}&patient=${mockPatient}`;
+      });
+
+      it('records a query made with POST _search', () => {
+        mockAxios.onPost(`${mockFhirServer}/Observation/_search`)
+          .reply(200, { resourceType: 'Bundle', entry: [{}, {}] })
+          .onPost(mockServiceWithPrefetch).reply(200, mockServiceResult);
+        return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetch).then(() => {
+          const [query] = spy.mock.calls[0][5].prefetchLog;
+          expect(query).toEqual({
+            key: 'test',
+            template: 'Observation?patient={{context.patientId}}&code=http://loinc.org|2857-1',
+            url: `${mockFhirServer}/Observation/_search`,
+            method: 'POST',
+            status: 200,
+            duration: expect.any(Number),
+            resultCount: 2,
+            error: null,
+            attempts: [{
+              method: 'POST',
+              url: `${mockFhirServer}/Observation/_search`,
+              body: `code=${encodeURIComponent('http://loinc.org|2857-1')}&patient=${mockPatient}`,
+              status: 200,
+              duration: expect.any(Number),
+              error: null,
+            }],
+          });
+        });
+      });
+
+      it('records the GET a failed POST _search fell back to, and an empty search result', () => {
+        mockAxios.onPost(`${mockFhirServer}/Observation/_search`).reply(405)
+          .onGet(`${mockFhirServer}/${observationQuery}`).reply(200, { resourceType: 'Bundle', total: 0 })
+          .onPost(mockServiceWithPrefetch).reply(200, mockServiceResult);
+        return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetch).then(() => {
+          const [query] = spy.mock.calls[0][5].prefetchLog;
+          expect(query).toMatchObject({
+            url: `${mockFhirServer}/${observationQuery}`,
+            method: 'GET',
+            status: 200,
+            resultCount: 0,
+            error: null,
+          });
+          expect(query.attempts.map((attempt) => [attempt.method, attempt.status, attempt.error])).toEqual([
+            ['POST', 405, 'Request failed with status code 405'],
+            ['GET', 200, null],
+          ]);
+        });
+      });
+
+      it('records a failed query', () => {
+        mockAxios.onGet(`${mockFhirServer}/${observationQuery}`).reply(500)
+          .onPost(mockServiceWithPrefetch).reply(200, mockServiceResult);
+        return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetch).then(() => {
+          const [query] = spy.mock.calls[0][5].prefetchLog;
+          expect(query).toMatchObject({
+            method: 'GET',
+            status: 500,
+            resultCount: null,
+            error: 'Request failed with status code 500',
+          });
         });
       });
     });
   });
 
+  describe('When prefetch templates reference the hook context', () => {
+    const mockServiceWithContextPrefetch = 'http://example.com/cds-services/id-5';
+    let spy;
+    beforeEach(() => {
+      defaultStore.cdsServicesState.configuredServices[mockServiceWithContextPrefetch] = {
+        prefetch: {
+          encounter: 'Encounter/{{context.encounterId}}',
+          orders: 'MedicationRequest?_id={{context.draftOrders.MedicationRequest.id}}',
+        },
+      };
+      setMocksAndTestFunction(defaultStore);
+      spy = jest.spyOn(actions, 'storeExchange');
+    });
+
+    it('fills out the prefetch templates from the context passed in', () => {
+      const context = [
+        { key: 'encounterId', value: 'encounter-1' },
+        {
+          key: 'draftOrders',
+          value: {
+            resourceType: 'Bundle',
+            entry: [
+              { resource: { resourceType: 'MedicationRequest', id: 'med-1' } },
+              { resource: { resourceType: 'Communication', id: 'comm-1' } },
+              { resource: { resourceType: 'MedicationRequest', id: 'med-2' } },
+            ],
+          },
+        },
+      ];
+      mockAxios.onGet(`${mockFhirServer}/Encounter/encounter-1`).reply(200, { id: 'encounter-1' })
+        .onGet(`${mockFhirServer}/MedicationRequest?_id=med-1%2Cmed-2`).reply(200, { total: 2 })
+        .onPost(mockServiceWithContextPrefetch).reply(200, mockServiceResult);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithContextPrefetch, context).then(() => {
+        const [, request, , , , details] = spy.mock.calls[0];
+        expect(request.prefetch).toEqual({ encounter: { id: 'encounter-1' }, orders: { total: 2 } });
+        expect(details.prefetchLog.map((query) => query.url)).toEqual([
+          `${mockFhirServer}/Encounter/encounter-1`,
+          `${mockFhirServer}/MedicationRequest?_id=med-1%2Cmed-2`,
+        ]);
+      });
+    });
+
+    it('leaves out and reports prefetch keys with tokens that cannot be resolved', () => {
+      mockAxios.onPost(mockServiceWithContextPrefetch).reply(200, mockServiceResult);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithContextPrefetch).then(() => {
+        const [, request, , , , details] = spy.mock.calls[0];
+        expect(request.prefetch).toBeUndefined();
+        expect(mockAxios.history.get).toHaveLength(0);
+        expect(details.prefetchLog).toEqual([
+          {
+            key: 'encounter',
+            template: 'Encounter/{{context.encounterId}}',
+            url: null,
+            method: null,
+            status: null,
+            duration: null,
+            resultCount: null,
+            error: 'Could not resolve "{{context.encounterId}}": Expression resolves to no value in the hook context',
+            attempts: [],
+          },
+          {
+            key: 'orders',
+            template: 'MedicationRequest?_id={{context.draftOrders.MedicationRequest.id}}',
+            url: null,
+            method: null,
+            status: null,
+            duration: null,
+            resultCount: null,
+            error: 'Could not resolve "{{context.draftOrders.MedicationRequest.id}}": Expression resolves to no value in the hook context',
+            attempts: [],
+          },
+        ]);
+      });
+    });
+  });
+
+  describe('When a prefetch mode is configured for the service', () => {
+    let spy;
+    const configureMode = (settings) => {
+      defaultStore.cdsServicesState.serviceSettings = { [mockServiceWithPrefetchEncoded]: settings };
+      setMocksAndTestFunction(defaultStore);
+      spy = jest.spyOn(actions, 'storeExchange');
+      mockAxios.onGet(`${mockFhirServer}/Conditions?patient=${mockPatient}`).reply(200, { id: 'conditions' })
+        .onGet(`${mockFhirServer}/Patient/${mockPatient}`).reply(200, { id: mockPatient })
+        .onPost(mockServiceWithPrefetchEncoded).reply(200, mockServiceResult);
+    };
+
+    it('sends no prefetch and makes no prefetch query in the "none" mode', () => {
+      configureMode({ prefetchMode: 'none' });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetchEncoded).then(() => {
+        const [, request, , , , details] = spy.mock.calls[0];
+        expect(request.prefetch).toBeUndefined();
+        expect(mockAxios.history.get).toHaveLength(0);
+        expect(details).toEqual({ prefetchMode: 'none', prefetchLog: [], timings: expect.any(Object), requestHeaders: mockRequestHeaders });
+      });
+    });
+
+    it('only fulfills the chosen prefetch keys in the "partial" mode', () => {
+      configureMode({ prefetchMode: 'partial', prefetchKeys: ['first', 'second'] });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetchEncoded).then(() => {
+        const [, request, , , , details] = spy.mock.calls[0];
+        expect(request.prefetch).toEqual({ first: { id: 'conditions' }, second: { id: mockPatient } });
+        expect(details.prefetchMode).toEqual('partial');
+        expect(details.prefetchKeys).toEqual(['first', 'second']);
+        expect(details.prefetchLog.map((query) => query.key)).toEqual(['first', 'second']);
+      });
+    });
+
+    it('sends every prefetch key with a null value in the "null" mode', () => {
+      configureMode({ prefetchMode: 'null' });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetchEncoded).then(() => {
+        const [, request, , , , details] = spy.mock.calls[0];
+        expect(request.prefetch).toEqual({ first: null, test: null, second: null });
+        expect(mockAxios.history.get).toHaveLength(0);
+        expect(details).toEqual({ prefetchMode: 'null', prefetchLog: [], timings: expect.any(Object), requestHeaders: mockRequestHeaders });
+      });
+    });
+  });
+
+  describe('When an auth fault is configured for the service', () => {
+    let spy;
+    const configureAuthFault = (authFault) => {
+      defaultStore.cdsServicesState.serviceSettings = { [mockServiceWithoutPrefetch]: { authFault } };
+      setMocksAndTestFunction(defaultStore);
+      spy = jest.spyOn(actions, 'storeExchange');
+    };
+
+    it('signs the JWT with the auth fault and records the status the service rejected it with', () => {
+      configureAuthFault('expired-exp');
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(401, {});
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(generateJwtMock).toHaveBeenCalledWith(mockServiceWithoutPrefetch, undefined, 'expired-exp');
+        const [, , , , , details] = spy.mock.calls[0];
+        expect(details.authFault).toEqual({ authFault: 'expired-exp', status: 401 });
+      });
+    });
+
+    it('records the status of a service accepting the request', () => {
+      configureAuthFault('bad-signature');
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, mockServiceResult);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        const [, , , , , details] = spy.mock.calls[0];
+        expect(details.authFault).toEqual({ authFault: 'bad-signature', status: 200 });
+      });
+    });
+
+    it('sends no Authorization header for the missing-authorization auth fault', () => {
+      configureAuthFault('missing-authorization');
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply((config) => {
+        expect(config.headers.Authorization).toBeUndefined();
+        return [403, {}];
+      });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(generateJwtMock).not.toHaveBeenCalled();
+        const [, , , , , details] = spy.mock.calls[0];
+        expect(details.authFault).toEqual({ authFault: 'missing-authorization', status: 403 });
+      });
+    });
+
+    it('replays the jti of the last valid JWT sent to the service', () => {
+      configureAuthFault('replayed-jti');
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(401, {});
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(generateJwtMock.hasSignedJwtFor).toHaveBeenCalledWith(mockServiceWithoutPrefetch);
+        expect(generateJwtMock).toHaveBeenCalledWith(mockServiceWithoutPrefetch, undefined, 'replayed-jti');
+        const [, , , , , details] = spy.mock.calls[0];
+        expect(details.authFault).toEqual({ authFault: 'replayed-jti', status: 401 });
+      });
+    });
+
+    it('sends a valid JWT, recording the fault as not introduced, until a JWT was sent to the service', () => {
+      configureAuthFault('replayed-jti');
+      generateJwtMock.hasSignedJwtFor.mockReturnValue(false);
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, mockServiceResult);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(generateJwtMock).toHaveBeenCalledWith(mockServiceWithoutPrefetch, undefined, 'none');
+        const [, , , , , details] = spy.mock.calls[0];
+        expect(details.authFault).toEqual({ authFault: 'replayed-jti', status: 200, isNotIntroduced: true });
+      });
+    });
+  });
+
+  describe('When a fhirAuthorization mode is configured for the service', () => {
+    let spy;
+    const configureFhirAuthorization = (settings) => {
+      defaultStore.fhirServerState.accessToken = mockAccessToken;
+      defaultStore.cdsServicesState.serviceSettings = { [mockServiceWithoutPrefetch]: settings };
+      setMocksAndTestFunction(defaultStore);
+      spy = jest.spyOn(actions, 'storeExchange');
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, mockServiceResult);
+    };
+
+    it('sends no fhirAuthorization in the "none" mode', () => {
+      configureFhirAuthorization({ fhirAuthorizationMode: 'none' });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        const [, request] = spy.mock.calls[0];
+        expect(request.fhirAuthorization).toBeUndefined();
+        expect(request.fhirServer).toEqual(mockFhirServer);
+      });
+    });
+
+    it('sends a minted token and the FHIR server it is valid against in the "scoped" mode', () => {
+      configureFhirAuthorization({ fhirAuthorizationMode: 'scoped', fhirAuthorizationPatient: 'patient-2' });
+      const { getMockSmartServerUrl } = require('../../src/retrieve-data-helpers/launch-context-retrieval');
+      const mockServerUrl = getMockSmartServerUrl(mockFhirServer);
+      const token = { access_token: 'minted-token', token_type: 'Bearer', scope: '', patient: 'patient-2' };
+      mockAxios.onPost(`${mockServerUrl}/_services/smart/Token`).reply(200, token);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        const [, request] = spy.mock.calls[0];
+        expect(request.fhirAuthorization).toEqual(token);
+        expect(request.fhirServer).toEqual(mockServerUrl);
+      });
+    });
+
+    it('calls the service without fhirAuthorization if no token could be minted', () => {
+      configureFhirAuthorization({ fhirAuthorizationMode: 'scoped' });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        const [, request, response] = spy.mock.calls[0];
+        expect(request.fhirAuthorization).toBeUndefined();
+        expect(request.fhirServer).toEqual(mockFhirServer);
+        expect(response).toEqual(mockServiceResult);
+      });
+    });
+  });
+
   describe('When prefetch is not needed by a service', () => {
     let spy;
     beforeEach(() => {
@@ -204,7 +510,19 @@ describe('Service Exchange', () => {
       const serviceResultStatus = 200;
       mockAxios.onPost(mockServiceWithoutPrefetch).reply(serviceResultStatus, mockServiceResult);
       return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
-        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0, mockDetails);
+      });
+    });
+
+    it('signs the JWT of the service call with the signing settings in context', () => {
+      const jwtSettingsState = { issuer: 'https://ehr.example.com', kid: 'custom-kid' };
+      defaultStore.jwtSettingsState = jwtSettingsState;
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply((config) => {
+        expect(config.headers.Authorization).toEqual(`Bearer ${jwtMock}`);
+        return [200, mockServiceResult];
+      });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(generateJwtMock).toHaveBeenCalledWith(mockServiceWithoutPrefetch, jwtSettingsState, 'none');
       });
     });
 
@@ -214,7 +532,7 @@ describe('Service Exchange', () => {
       const serviceResultStatus = 200;
       mockAxios.onPost(mockServiceWithoutPrefetch).reply(serviceResultStatus, mockServiceResult);
       return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
-        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0, mockDetails);
       });
     });
 
@@ -222,21 +540,168 @@ describe('Service Exchange', () => {
       const serviceResultStatus = 200;
       mockAxios.onPost(mockServiceWithEmptyPrefetch).reply(serviceResultStatus, mockServiceResult);
       return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithEmptyPrefetch).then(() => {
-        expect(spy).toHaveBeenCalledWith(mockServiceWithEmptyPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithEmptyPrefetch, mockRequest, mockServiceResult, serviceResultStatus, 0, mockDetails);
       });
     });
 
     it('resolves and dispatches an appropriate message if no data is returned from service', () => {
       mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, {});
       return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
-        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, noDataMessage);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, noDataMessage, undefined, 0, {
+          ...mockDetails,
+          error: {
+            type: 'empty-response',
+            title: 'Empty response',
+            message: 'The CDS Service responded without a body (or with an empty object)',
+            status: 200,
+            bodyExcerpt: null,
+          },
+        });
+      });
+    });
+
+    it('records a response body that is not valid JSON as an error', () => {
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, '<html>Service Unavailable</html>');
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, '<html>Service Unavailable</html>', 200, 0, {
+          ...mockDetails,
+          error: {
+            type: 'invalid-json',
+            title: 'Invalid JSON',
+            message: 'The CDS Service responded with a body that is not valid JSON',
+            status: 200,
+            bodyExcerpt: '<html>Service Unavailable</html>',
+          },
+        });
       });
     });
 
     it('resolves and dispatches an appropriate message when service call fails', () => {
       mockAxios.onPost(mockServiceWithoutPrefetch).reply(500);
       return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
-        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, failedServiceCallMessage);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, failedServiceCallMessage, undefined, 0, {
+          ...mockDetails,
+          error: {
+            type: 'http',
+            title: 'HTTP 500',
+            message: 'Request failed with status code 500',
+            status: 500,
+            bodyExcerpt: null,
+          },
+        });
+      });
+    });
+
+    it('records an excerpt of the body of an error response', () => {
+      const body = { message: 'x'.repeat(600) };
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(400, body);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        const { error } = spy.mock.calls[0][5];
+        expect(error.title).toEqual('HTTP 400');
+        expect(error.bodyExcerpt).toEqual(`${JSON.stringify(body).slice(0, 500)}…`);
+      });
+    });
+
+    it('records a network (or CORS) error when the service cannot be reached', () => {
+      mockAxios.onPost(mockServiceWithoutPrefetch).networkError();
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, failedServiceCallMessage, undefined, 0, {
+          ...mockDetails,
+          error: expect.objectContaining({ type: 'network', title: 'Network or CORS error', status: null }),
+        });
+      });
+    });
+
+    it('records a signing error, without sending the request, when the JWT cannot be signed', () => {
+      generateJwtMock.mockImplementation(() => { throw new Error('Invalid private key'); });
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(mockAxios.history.post).toHaveLength(0);
+        const { requestHeaders, ...details } = mockDetails;
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, failedServiceCallMessage, undefined, 0, {
+          ...details,
+          error: {
+            type: 'signing',
+            title: 'JWT signing error',
+            message: 'The Sandbox could not sign the JWT of the request: Invalid private key',
+            status: null,
+            bodyExcerpt: null,
+          },
+        });
+      });
+    });
+
+    it('records the timings of the exchange, then the time its response took to handle', () => {
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, mockServiceResult);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        const [, , , , , details] = spy.mock.calls[0];
+        expect(details.timings).toEqual({
+          prefetch: expect.any(Number), request: expect.any(Number), responseHandling: null, total: expect.any(Number),
+        });
+        expect(details.timings.total).toEqual(details.timings.prefetch + details.timings.request);
+        expect(mockStore.getActions()[1]).toEqual({
+          type: 'STORE_RESPONSE_HANDLING_TIME',
+          url: mockServiceWithoutPrefetch,
+          hookInstance: mockHookInstance,
+          duration: expect.any(Number),
+        });
+      });
+    });
+
+    it('gives up on a service with no timeout configured after the default timeout', () => {
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, mockServiceResult);
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(mockAxios.history.post[0].timeout).toEqual(10000);
+      });
+    });
+
+    it('gives up on a service that does not respond within the timeout configured for it', () => {
+      defaultStore.cdsServicesState.serviceSettings = { [mockServiceWithoutPrefetch]: { timeout: 2000 } };
+      mockAxios.onPost(mockServiceWithoutPrefetch).timeout();
+      return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch).then(() => {
+        expect(mockAxios.history.post[0].timeout).toEqual(2000);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest,
+          'The CDS Service did not respond within the 2000 ms timeout', undefined, 0, {
+            ...mockDetails,
+            timedOut: true,
+            error: {
+              type: 'timeout',
+              title: 'Timeout',
+              message: 'The CDS Service did not respond within the 2000 ms timeout',
+              status: null,
+              bodyExcerpt: null,
+            },
+          });
+      });
+    });
+
+    it('cancels a call superseded by a later call to the service, and stores it as stale', () => {
+      let replyToFirstCall;
+      mockAxios.onPost(mockServiceWithoutPrefetch).replyOnce(() => new Promise((resolve) => {
+        replyToFirstCall = resolve;
+      }));
+      mockAxios.onPost(mockServiceWithoutPrefetch).replyOnce(200, mockServiceResult);
+      const firstCall = callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, [], 1);
+      return new Promise((resolve) => setTimeout(resolve)).then(() => {
+        const secondCall = callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, [], 2);
+        replyToFirstCall([200, { cards: [] }]);
+        return Promise.all([firstCall, secondCall]);
+      }).then(() => {
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest,
+          'Request cancelled: Superseded by exchange round 2', undefined, 1, { ...mockDetails, stale: { supersededBy: 2 } });
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequest, mockServiceResult, 200, 2, mockDetails);
+      });
+    });
+
+    it('does not send the request of a call superseded before it is sent (i.e. while prefetching)', () => {
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(200, mockServiceResult);
+      const firstCall = callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, [], 1);
+      const secondCall = callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, [], 2);
+      return Promise.all([firstCall, secondCall]).then(() => {
+        expect(mockAxios.history.post).toHaveLength(1);
+        expect(spy.mock.calls.map((call) => [call[2], call[4], call[5].stale])).toEqual([
+          ['Request cancelled: Superseded by exchange round 2', 1, { supersededBy: 2 }],
+          [mockServiceResult, 2, undefined],
+        ]);
       });
     });
 
@@ -254,7 +719,66 @@ describe('Service Exchange', () => {
         },
       ];
       return callServices(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, context).then(() => {
-        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequestWithContext, mockServiceResult, serviceResultStatus, 0)
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, mockRequestWithContext, mockServiceResult, serviceResultStatus, 0, mockDetails)
+      });
+    });
+  });
+
+  describe('When a request is resent from the request composer', () => {
+    let spy;
+    let resendRequest;
+    let editedRequest;
+
+    beforeEach(() => {
+      setMocksAndTestFunction(defaultStore);
+      resendRequest = require('../../src/retrieve-data-helpers/service-exchange').resendRequest;
+      spy = jest.spyOn(actions, 'storeExchange');
+      editedRequest = {
+        hookInstance: 'original-hook-instance',
+        hook: 'order-select',
+        fhirServer: mockFhirServer,
+        context: { patientId: 'patient-2', userId: 'Practitioner/specified-1' },
+        prefetch: { patient: { resourceType: 'Patient', id: 'patient-2' } },
+      };
+    });
+
+    it('sends the request as is, with a new hookInstance, and stores the exchange as resent from the original', () => {
+      mockAxios.onPost(mockServiceWithPrefetch).reply(200, mockServiceResult);
+      return resendRequest(mockStore.dispatch, mockStore.getState(), mockServiceWithPrefetch, editedRequest, {
+        exchangeRound: 3, resentFrom: 7,
+      }).then((hookInstance) => {
+        const resent = { ...editedRequest, hookInstance: mockHookInstance };
+        expect(hookInstance).toEqual(mockHookInstance);
+        expect(JSON.parse(mockAxios.history.post[0].data)).toEqual(resent);
+        expect(mockAxios.history.post[0].headers.Authorization).toEqual(`Bearer ${jwtMock}`);
+        expect(mockAxios.history.get).toHaveLength(0);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithPrefetch, resent, mockServiceResult, 200, 3, {
+          resentFrom: 7, timings: expect.any(Object), requestHeaders: mockRequestHeaders,
+        });
+      });
+    });
+
+    it('records the error of a resent request that fails', () => {
+      mockAxios.onPost(mockServiceWithoutPrefetch).reply(422, { message: 'Unknown hook' });
+      return resendRequest(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, editedRequest).then(() => {
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, expect.any(Object), failedServiceCallMessage, undefined, 0, {
+          resentFrom: null,
+          timings: expect.any(Object),
+          requestHeaders: mockRequestHeaders,
+          error: expect.objectContaining({ type: 'http', status: 422, bodyExcerpt: '{"message":"Unknown hook"}' }),
+        });
+      });
+    });
+
+    it('records a signing error, without sending the request, when the JWT cannot be signed', () => {
+      generateJwtMock.mockImplementation(() => { throw new Error('Invalid private key'); });
+      return resendRequest(mockStore.dispatch, mockStore.getState(), mockServiceWithoutPrefetch, editedRequest).then(() => {
+        expect(mockAxios.history.post).toHaveLength(0);
+        expect(spy).toHaveBeenCalledWith(mockServiceWithoutPrefetch, expect.any(Object), failedServiceCallMessage, undefined, 0, {
+          resentFrom: null,
+          timings: expect.any(Object),
+          error: expect.objectContaining({ type: 'signing', title: 'JWT signing error' }),
+        });
       });
     });
   });
@@ -0,0 +1,104 @@
+/**
+ * Tests for the JWKS of the Sandbox, over HTTP
+ */
+
+const express = require('express');
+const axios = require('axios');
+const httpAdapter = require('axios/lib/adapters/http');
+const { createJwksRouter } = require('../../../scripts/express/jwks-server');
+
+describe('JWKS Server', () => {
+  let server;
+  let http;
+
+  const jwk = {
+    kty: 'EC', crv: 'P-384', x: 'x-coordinate', y: 'y-coordinate', kid: 'custom-kid', alg: 'ES384', use: 'sig',
+  };
+
+  beforeEach(async () => {
+    const app = express();
+    app.use(createJwksRouter());
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseURL = `http://127.0.0.1:${server.address().port}`;
+    // Keys are registered by the Sandbox, served from the same origin
+    http = axios.create({
+      adapter: httpAdapter,
+      baseURL,
+      headers: { Origin: baseURL },
+      validateStatus: () => true,
+    });
+  });
+
+  afterEach(() => {
+    server.close();
+  });
+
+  it('serves the public key of the Sandbox key pair', async () => {
+    const result = await http.get('/.well-known/jwks.json');
+    expect(result.status).toEqual(200);
+    expect(result.data.keys).toHaveLength(1);
+    expect(result.data.keys[0]).toMatchObject({ kty: 'EC', crv: 'P-384', kid: '44823f3d-0b01-4a6c-a80e-b9d3e8a7226f' });
+    expect(result.data.keys[0].d).toBeUndefined();
+  });
+
+  it('serves registered public keys, replacing keys registered with the same kid', async () => {
+    expect((await http.post('/jwks/keys', { ...jwk, x: 'old-x-coordinate' })).status).toEqual(201);
+    const result = await http.post('/jwks/keys', { ...jwk, ext: true });
+    expect(result.status).toEqual(201);
+    expect(result.data).toEqual(jwk);
+    const { keys } = (await http.get('/.well-known/jwks.json')).data;
+    expect(keys).toHaveLength(2);
+    expect(keys[1]).toEqual(jwk);
+  });
+
+  it('rejects private keys and incomplete keys', async () => {
+    let result = await http.post('/jwks/keys', { ...jwk, d: 'private' });
+    expect(result.status).toEqual(400);
+    expect(result.data.error).toEqual('The JWK holds private key members: only register the public key');
+
+    result = await http.post('/jwks/keys', { kty: 'RSA', n: 'modulus' });
+    expect(result.status).toEqual(400);
+    expect(result.data.error).toEqual('The JWK is missing required members: e, kid');
+
+    result = await http.post('/jwks/keys', { kty: 'oct', k: 'secret', kid: 'custom-kid' });
+    expect(result.status).toEqual(400);
+    expect(result.data.error).toEqual('Only EC and RSA keys are supported');
+  });
+
+  it('only registers keys sent from the origin of the JWKS', async () => {
+    let result = await http.post('/jwks/keys', jwk, { headers: { Origin: 'http://attacker.com' } });
+    expect(result.status).toEqual(403);
+    expect(result.data.error).toEqual('Only the Sandbox served alongside the JWKS may register keys');
+    result = await http.post('/jwks/keys', jwk, { headers: { Origin: '' } });
+    expect(result.status).toEqual(403);
+    expect((await http.get('/.well-known/jwks.json')).data.keys).toHaveLength(1);
+  });
+
+  it('keeps the latest registrations, for a day after they are made', async () => {
+    for (let i = 0; i < 51; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await http.post('/jwks/keys', { ...jwk, kid: `kid-${i}` });
+    }
+    let { keys } = (await http.get('/.well-known/jwks.json')).data;
+    expect(keys).toHaveLength(51);
+    expect(keys[1].kid).toEqual('kid-1');
+
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + (25 * 60 * 60 * 1000));
+    try {
+      await http.post('/jwks/keys', jwk);
+      ({ keys } = (await http.get('/.well-known/jwks.json')).data);
+      expect(keys.map((key) => key.kid)).toEqual(['44823f3d-0b01-4a6c-a80e-b9d3e8a7226f', 'custom-kid']);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('does not let registered keys take over the kid of the Sandbox key pair', async () => {
+    const result = await http.post('/jwks/keys', { ...jwk, kid: '44823f3d-0b01-4a6c-a80e-b9d3e8a7226f' });
+    expect(result.status).toEqual(409);
+    expect((await http.get('/.well-known/jwks.json')).data.keys).toHaveLength(1);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for the mock SMART authorization server, over HTTP against a local FHIR server stub
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const httpAdapter = require('axios/lib/adapters/http');
+const { createMockSmartRouter, encodeServerUrl, decodeServerUrl } = require('../../../scripts/express/mock-smart-server');
+
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+describe('Mock SMART Server', () => {
+  let fhirServer;
+  let smartServer;
+  let fhirBaseUrl;
+  let baseUrl;
+  let iss;
+  let http;
+
+  beforeAll(async () => {
+    const fhirApp = express();
+    // The mock server reaches the FHIR server through the XMLHttpRequest of jsdom in tests
+    fhirApp.use((req, res, next) => {
+      res.set({ 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Authorization, Accept' });
+      return req.method === 'OPTIONS' ? res.sendStatus(204) : next();
+    });
+    fhirApp.get('/fhir/metadata', (req, res) => res.json({ resourceType: 'CapabilityStatement', rest: [{ mode: 'server' }] }));
+    fhirApp.get('/fhir/Patient/:id', (req, res) => res.json({ resourceType: 'Patient', id: req.params.id }));
+    fhirApp.get('/fhir/Observation/:id', (req, res) => res.json({
+      resourceType: 'Observation', id: req.params.id, subject: { reference: 'Patient/patient-2' }, authorization: req.get('Authorization'),
+    }));
+    fhirApp.get('/fhir/Observation', (req, res) => res.json({ resourceType: 'Bundle', total: 0, authorization: req.get('Authorization') }));
+    fhirApp.get('/fhir/Condition/:id', (req, res) => res.json({ resourceType: 'Condition', id: req.params.id }));
+    fhirApp.get('/fhir/Encounter', (req, res) => res.json({
+      resourceType: 'Bundle',
+      entry: [
+        { resource: { resourceType: 'Encounter', id: 'enc-1', subject: { reference: 'Patient/patient-1' } } },
+        { resource: { resourceType: 'Practitioner', id: 'practitioner-1' } },
+        ...(req.query._revinclude ? [{ resource: { resourceType: 'Encounter', id: 'enc-2', subject: { reference: 'Patient/patient-2' } } }] : []),
+        ...(req.query._include ? [{ resource: { resourceType: 'Observation', id: 'obs-1', subject: { reference: 'Patient/patient-1' } } }] : []),
+      ],
+    }));
+    fhirServer = await listen(fhirApp);
+    fhirBaseUrl = `http://127.0.0.1:${fhirServer.address().port}/fhir`;
+
+    const app = express();
+    app.use('/mock-smart', createMockSmartRouter());
+    smartServer = await listen(app);
+    baseUrl = `http://127.0.0.1:${smartServer.address().port}/mock-smart`;
+    iss = `${baseUrl}/${encodeServerUrl(fhirBaseUrl)}/fhir`;
+    // Requests are made from Node rather than through the XMLHttpRequest of jsdom, which follows redirects
+    http = axios.create({ adapter: httpAdapter, validateStatus: () => true, maxRedirects: 0 });
+  });
+
+  afterAll(() => {
+    fhirServer.close();
+    smartServer.close();
+  });
+
+  const launch = async (parameters) => {
+    const result = await http.post(`${iss}/_services/smart/Launch`, { launchUrl: 'http://app.com/launch', parameters });
+    return result.data.launch_id;
+  };
+
+  const authorize = async (query) => {
+    const result = await http.get(`${baseUrl}/authorize`, { params: { response_type: 'code', client_id: 'app', redirect_uri: 'http://app.com/', aud: iss, ...query } });
+    return new URL(result.headers.location).searchParams;
+  };
+
+  it('encodes and decodes the URL of FHIR servers', () => {
+    expect(decodeServerUrl(encodeServerUrl('http://example.com/fhir/'))).toEqual('http://example.com/fhir');
+    expect(decodeServerUrl(encodeServerUrl('not a URL'))).toBeNull();
+  });
+
+  it('advertises its authorize and token endpoints', async () => {
+    const configuration = (await http.get(`${iss}/.well-known/smart-configuration`)).data;
+    expect(configuration.authorization_endpoint).toEqual(`${baseUrl}/authorize`);
+    expect(configuration.token_endpoint).toEqual(`${baseUrl}/token`);
+
+    const metadata = (await http.get(`${iss}/metadata`)).data;
+    expect(metadata.rest[0].security.extension[0].extension).toEqual([
+      { url: 'authorize', valueUri: `${baseUrl}/authorize` },
+      { url: 'token', valueUri: `${baseUrl}/token` },
+    ]);
+  });
+
+  it('mints tokens carrying the launch context through the authorization code flow', async () => {
+    const launchId = await launch({
+      patient: 'patient-1',
+      user: 'Practitioner/user-1',
+      appContext: 'app-context',
+      smart_web_messaging_handle: 'handle-1',
+    });
+    const codeVerifier = 'code-verifier';
+    const params = await authorize({
+      launch: launchId,
+      scope: 'launch patient/*.read',
+      state: 'state-1',
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256',
+    });
+    expect(params.get('state')).toEqual('state-1');
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code', code: params.get('code'), redirect_uri: 'http://app.com/', code_verifier: codeVerifier,
+    });
+    const token = (await http.post(`${baseUrl}/token`, body.toString())).data;
+    expect(token).toMatchObject({
+      token_type: 'Bearer',
+      scope: 'launch patient/*.read',
+      patient: 'patient-1',
+      fhirUser: 'Practitioner/user-1',
+      appContext: 'app-context',
+      smart_web_messaging_handle: 'handle-1',
+    });
+
+    const patient = await http.get(`${iss}/Patient/patient-1`, { headers: { Authorization: `Bearer ${token.access_token}` } });
+    expect(patient.data).toEqual({ resourceType: 'Patient', id: 'patient-1' });
+
+    // Authorization codes are single use
+    expect((await http.post(`${baseUrl}/token`, body.toString())).data.error).toEqual('invalid_grant');
+  });
+
+  it('rejects unknown launches, audiences and code verifiers', async () => {
+    expect((await authorize({ launch: 'unknown' })).get('error')).toEqual('invalid_request');
+    const launchId = await launch({ patient: 'patient-1' });
+    expect((await authorize({ launch: launchId, aud: 'http://other.com/fhir' })).get('error')).toEqual('invalid_request');
+
+    const params = await authorize({ launch: launchId, code_challenge: 'challenge', code_challenge_method: 'S256' });
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code', code: params.get('code'), redirect_uri: 'http://app.com/', code_verifier: 'wrong',
+    });
+    expect((await http.post(`${baseUrl}/token`, body.toString())).status).toEqual(400);
+  });
+
+  it('only passes reads and searches on to the FHIR server', async () => {
+    expect((await http.put(`${iss}/Patient/patient-1`, { resourceType: 'Patient' })).status).toEqual(403);
+    expect((await http.delete(`${iss}/Patient/patient-1`)).status).toEqual(403);
+    expect((await http.post(`${iss}/Patient`, { resourceType: 'Patient' })).status).toEqual(403);
+  });
+
+  it('only passes requests on to the FHIR servers it is restricted to', async () => {
+    const app = express();
+    app.use('/mock-smart', createMockSmartRouter({ allowedFhirServers: [`${fhirBaseUrl}/`] }));
+    const restrictedServer = await listen(app);
+    const restrictedUrl = `http://127.0.0.1:${restrictedServer.address().port}/mock-smart`;
+    try {
+      expect((await http.get(`${restrictedUrl}/${encodeServerUrl(fhirBaseUrl)}/fhir/Patient/patient-1`)).status).toEqual(200);
+      const other = await http.get(`${restrictedUrl}/${encodeServerUrl('http://169.254.169.254/latest')}/fhir/meta-data`);
+      expect(other.status).toEqual(403);
+      expect(other.data.issue[0].diagnostics).toEqual('The FHIR server http://169.254.169.254/latest is not allowed');
+    } finally {
+      restrictedServer.close();
+    }
+  });
+
+  it('expires authorization codes', async () => {
+    const launchId = await launch({ patient: 'patient-1' });
+    const params = await authorize({ launch: launchId });
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + (301 * 1000));
+    try {
+      const body = new URLSearchParams({ grant_type: 'authorization_code', code: params.get('code'), redirect_uri: 'http://app.com/' });
+      expect((await http.post(`${baseUrl}/token`, body.toString())).data.error).toEqual('invalid_grant');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('rejects unknown access tokens and paths without a FHIR server', async () => {
+    expect((await http.get(`${iss}/Patient/patient-1`, { headers: { Authorization: 'Bearer unknown' } })).status).toEqual(401);
+    expect((await http.get(`${iss}/Patient/patient-1`)).status).toEqual(200);
+    expect((await http.get(`${baseUrl}/bm90LWEtdXJs/fhir/metadata`)).status).toEqual(404);
+  });
+
+  describe('Tokens minted for CDS services', () => {
+    const mint = async (data, headers) => (await http.post(`${iss}/_services/smart/Token`, data, { headers })).data;
+    const read = (path, token) => http.get(`${iss}/${path}`, { headers: { Authorization: `Bearer ${token.access_token}` } });
+
+    it('mints a token restricted to the scopes and patient requested', async () => {
+      const token = await mint({ scope: 'patient/Patient.read patient/Observation.read', subject: 'client-1', patient: 'patient-1' });
+      expect(token).toMatchObject({
+        token_type: 'Bearer', scope: 'patient/Patient.read patient/Observation.read', subject: 'client-1', patient: 'patient-1',
+      });
+      expect((await read('Patient/patient-1', token)).status).toEqual(200);
+      expect((await read('Observation?patient=Patient/patient-1', token)).status).toEqual(200);
+    });
+
+    it('forbids resource types out of the scopes, other patients and writes', async () => {
+      const token = await mint({ scope: 'patient/Observation.read', patient: 'patient-1' });
+      const patient = await read('Patient/patient-1', token);
+      expect(patient.status).toEqual(403);
+      expect(patient.data.issue[0].diagnostics).toEqual('The access token is not scoped to read Patient resources');
+      expect((await read('Observation?patient=patient-2', token)).status).toEqual(403);
+      expect((await read('Observation/obs-1', token)).status).toEqual(403);
+      const write = await http.put(`${iss}/Observation/obs-1`, {}, { headers: { Authorization: `Bearer ${token.access_token}` } });
+      expect(write.status).toEqual(403);
+    });
+
+    it('queries the FHIR server with the access token the token was minted with', async () => {
+      const token = await mint({ scope: 'patient/*.read', patient: 'patient-2' }, { Authorization: 'Bearer sandbox-token' });
+      expect((await read('Observation/obs-1', token)).data.authorization).toEqual('Bearer sandbox-token');
+      expect((await read('Observation?subject=patient-2', token)).data.authorization).toEqual('Bearer sandbox-token');
+    });
+
+    it('checks every resource returned, including those included in searches', async () => {
+      const token = await mint({ scope: 'patient/Encounter.read patient/Condition.read', patient: 'patient-1' });
+      expect((await read('Encounter?patient=patient-1', token)).status).toEqual(200);
+      expect((await read('Encounter?patient=patient-1&_revinclude=Encounter:part-of', token)).status).toEqual(403);
+      const included = await read('Encounter?patient=patient-1&_include=Encounter:reason-reference', token);
+      expect(included.status).toEqual(403);
+      expect(included.data.issue[0].diagnostics).toEqual('The access token is not scoped to read Observation resources');
+      // Resources without a subject or patient reference are not known to be in the compartment of the patient
+      expect((await read('Condition/condition-1', token)).status).toEqual(403);
+    });
+
+    it('only allows queries to the FHIR server the token was minted for', async () => {
+      const token = await mint({ scope: 'patient/*.read', patient: 'patient-2' });
+      const otherIss = `${baseUrl}/${encodeServerUrl(fhirBaseUrl.replace('127.0.0.1', 'localhost'))}/fhir`;
+      const other = await http.get(`${otherIss}/Observation/obs-1`, { headers: { Authorization: `Bearer ${token.access_token}` } });
+      expect(other.status).toEqual(403);
+      expect(other.data.issue[0].diagnostics).toEqual(`The access token was minted for another FHIR server (${fhirBaseUrl})`);
+    });
+
+    it('requires the patient the token is restricted to', async () => {
+      expect((await http.post(`${iss}/_services/smart/Token`, { scope: 'patient/*.read' })).status).toEqual(400);
+    });
+  });
+});
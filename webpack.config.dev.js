@@ -1,5 +1,7 @@
 const { merge } = require('webpack-merge');
 const common = require('./webpack.config.common.js');
+const { createMockSmartRouter } = require('./scripts/express/mock-smart-server');
+const { createJwksRouter } = require('./scripts/express/jwks-server');
 
 module.exports = merge(common, {
   mode: 'development',
@@ -11,5 +13,11 @@ module.exports = merge(common, {
     static: {
       publicPath: './build',
     },
+    // Serve the mock SMART authorization server as the Express server does (see scripts/express/app.js)
+    setupMiddlewares: (middlewares, devServer) => {
+      devServer.app.use('/mock-smart', createMockSmartRouter());
+      devServer.app.use(createJwksRouter());
+      return middlewares;
+    },
   },
 });